@@ -0,0 +1,91 @@
+// Service worker of the installable app:
+// - Keeps the app shell (page, built assets, icons) cached so it opens offline or on a flaky
+//   connection and shows its reconnection screen instead of a browser error.
+// - Shows chat and terminal alerts pushed by the server (lib/PaneWatcher.js) while the app is in the
+//   background or closed, and brings the app back when one is tapped.
+
+// Bump to drop every cached shell on the next visit
+const SHELL_CACHE = 'shell-v1';
+const SHELL_FILES = ['./', 'manifest.webmanifest', 'icons/icon-192.png', 'icons/icon-512.png'];
+
+// Alerts come worded by the server (lib/alertText.js); this is for pushes that are not
+const FALLBACK_ALERT = { title: 'Aviso del chat', body: '', tag: 'chat-alert' };
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== SHELL_CACHE).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Pages: network first so a new build shows up right away, the cached shell when offline.
+// Built assets have a content hash in their name (assets/*): cache first, they never change.
+// Anything else (the server's API and Socket.IO are on another port) is left to the network.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith((async () => {
+            const cache = await caches.open(SHELL_CACHE);
+            try {
+                const response = await fetch(request);
+                if (response.ok) await cache.put('./', response.clone());
+                return response;
+            } catch (err) {
+                const cached = await cache.match('./');
+                if (cached) return cached;
+                throw err;
+            }
+        })());
+        return;
+    }
+
+    const scopePath = new URL(self.registration.scope).pathname;
+    const cacheable = url.pathname.startsWith(`${scopePath}assets/`) || url.pathname.startsWith(`${scopePath}icons/`);
+    if (!cacheable) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    })());
+});
+
+self.addEventListener('push', (event) => {
+    let alert = {};
+    try {
+        alert = event.data ? event.data.json() : {};
+    } catch {
+        // Not from our server: show the generic text
+    }
+    const { title, body, tag } = alert && typeof alert.title === 'string' ? alert : FALLBACK_ALERT;
+    event.waitUntil(self.registration.showNotification(title, {
+        body,
+        tag,
+        renotify: true,
+        timestamp: (alert && alert.timestamp) || Date.now()
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) return windows[0].focus();
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
@@ -3,7 +3,12 @@ import StreamCanvas from './components/StreamCanvas'
 import SettingsPanel from './components/SettingsPanel'
 import ConsolePanel from './components/ConsolePanel'
 import AppsPanel from './components/AppsPanel'
-import { socket } from './services/socket'
+import PairingPanel from './components/PairingPanel'
+import ConnectionBanner from './components/ConnectionBanner'
+import { socket, setDeviceToken } from './services/socket'
+import { RoleContext, hasRole } from './services/permissions'
+import { showAlert } from './services/alerts'
+import { registerServiceWorker, getLastTab, setLastTab, reconnectOnWake } from './services/pwa'
 import './App.css'
 
 // Inline Icons (Lucide-style)
@@ -25,24 +30,77 @@ const Icons = {
   )
 };
 
+const TABS = ['chat', 'console', 'apps', 'settings'];
+
+// View mode of the tabs without a stream; StreamCanvas and AppsPanel set it for theirs
+const TAB_MODES = { console: 'idle', settings: 'config' };
+
 function App() {
-  const [activeTab, setActiveTab] = useState('chat');
+  // The installed app reopens on the tab it was left on
+  const [activeTab, setActiveTab] = useState(() => TABS.includes(getLastTab()) ? getLastTab() : 'chat');
   const [showCropModal, setShowCropModal] = useState(false);
+  // null until the server reports whether this device is paired
+  const [isAuthenticated, setIsAuthenticated] = useState(null);
+  const [role, setRole] = useState('viewer');
+
+  useEffect(() => {
+    const onAuthStatus = ({ authenticated, device }) => {
+      setIsAuthenticated(authenticated);
+      setRole(device ? device.role : 'viewer');
+    };
+    const onAuthRequired = () => setIsAuthenticated(false);
+    const onRevoked = () => {
+      setDeviceToken(null);
+      setIsAuthenticated(false);
+      // The server drops revoked sockets; reconnect unauthenticated to allow re-pairing
+      setTimeout(() => socket.connect(), 500);
+    };
+
+    socket.on('auth:status', onAuthStatus);
+    socket.on('auth:required', onAuthRequired);
+    socket.on('auth:revoked', onRevoked);
+
+    return () => {
+      socket.off('auth:status', onAuthStatus);
+      socket.off('auth:required', onAuthRequired);
+      socket.off('auth:revoked', onRevoked);
+    };
+  }, []);
+
+  // Chat alerts (Ajustes → Avisos); the service worker also shows them when pushed
+  useEffect(() => {
+    registerServiceWorker();
+    const stopReconnectOnWake = reconnectOnWake();
+    const onAlert = (alert) => {
+      showAlert(alert).catch(err => console.error('Alert notification failed:', err));
+    };
+    socket.on('watch:alert', onAlert);
+    return () => {
+      stopReconnectOnWake();
+      socket.off('watch:alert', onAlert);
+    };
+  }, []);
+
+  // Also after every reconnect: a new connection starts in the server's default mode
+  useEffect(() => {
+    const mode = TAB_MODES[activeTab];
+    if (!mode) return;
+    const onConnect = () => socket.emit('view:setMode', mode);
+    if (socket.connected) onConnect();
+    socket.on('connect', onConnect);
+    return () => socket.off('connect', onConnect);
+  }, [activeTab]);
 
   // Handle Tab Switch
   const handleTabSwitch = (tab) => {
     setActiveTab(tab);
+    setLastTab(tab);
 
-    // Explicitly set mode on server to avoid stuck states
+    // Explicitly set mode on server to avoid stuck states (console and settings: see TAB_MODES)
     if (socket.connected) {
       if (tab === 'chat') {
         // StreamCanvas will mount and emit 'chat', but we can pre-set/ensure it
         socket.emit('view:setMode', 'chat');
-      } else if (tab === 'console') {
-        // Default to idle for console tab until a VSCode terminal is selected
-        socket.emit('view:setMode', 'idle');
-      } else if (tab === 'settings') {
-        socket.emit('view:setMode', 'config');
       } else if (tab === 'apps') {
         socket.emit('view:setMode', 'idle');
       }
@@ -59,59 +117,75 @@ function App() {
     setShowCropModal(false);
   };
 
+  if (isAuthenticated === false) {
+    return (
+      <div className="app-container">
+        <PairingPanel />
+      </div>
+    );
+  }
+
+  const canOperate = hasRole(role, 'operator');
+
   return (
-    <div className="app-container">
-      {/* Main Content Area */}
-      <main className="app-content">
-        {activeTab === 'chat' && (
-          <StreamCanvas
-            showCropModal={showCropModal}
-            onCloseCropModal={handleCloseCropModal}
-            viewMode="chat"
-          />
-        )}
-        {activeTab === 'settings' && (
-          <SettingsPanel onOpenCropConfig={handleOpenCropConfig} />
-        )}
-        {activeTab === 'apps' && (
-          <AppsPanel />
-        )}
-        {activeTab === 'console' && (
-          <ConsolePanel />
-        )}
-      </main>
-
-      {/* Bottom Navigation */}
-      <nav className="bottom-nav">
-        <button
-          className={`nav-item ${activeTab === 'chat' ? 'active' : ''}`}
-          onClick={() => handleTabSwitch('chat')}
-        >
-          <div className="nav-icon"><Icons.MessageSquare /></div>
-        </button>
-
-        <button
-          className={`nav-item ${activeTab === 'console' ? 'active' : ''}`}
-          onClick={() => handleTabSwitch('console')}
-        >
-          <div className="nav-icon"><Icons.Terminal /></div>
-        </button>
-
-        <button
-          className={`nav-item ${activeTab === 'apps' ? 'active' : ''}`}
-          onClick={() => handleTabSwitch('apps')}
-        >
-          <div className="nav-icon"><Icons.Grid /></div>
-        </button>
-
-        <button
-          className={`nav-item ${activeTab === 'settings' ? 'active' : ''}`}
-          onClick={() => handleTabSwitch('settings')}
-        >
-          <div className="nav-icon"><Icons.Settings /></div>
-        </button>
-      </nav>
-    </div>
+    <RoleContext.Provider value={role}>
+      <div className="app-container">
+        <ConnectionBanner />
+
+        {/* Main Content Area */}
+        <main className="app-content">
+          {activeTab === 'chat' && (
+            <StreamCanvas
+              showCropModal={showCropModal}
+              onCloseCropModal={handleCloseCropModal}
+              viewMode="chat"
+            />
+          )}
+          {activeTab === 'settings' && (
+            <SettingsPanel onOpenCropConfig={handleOpenCropConfig} />
+          )}
+          {activeTab === 'apps' && (
+            <AppsPanel />
+          )}
+          {activeTab === 'console' && canOperate && (
+            <ConsolePanel />
+          )}
+        </main>
+
+        {/* Bottom Navigation */}
+        <nav className="bottom-nav">
+          <button
+            className={`nav-item ${activeTab === 'chat' ? 'active' : ''}`}
+            onClick={() => handleTabSwitch('chat')}
+          >
+            <div className="nav-icon"><Icons.MessageSquare /></div>
+          </button>
+
+          {canOperate && (
+            <button
+              className={`nav-item ${activeTab === 'console' ? 'active' : ''}`}
+              onClick={() => handleTabSwitch('console')}
+            >
+              <div className="nav-icon"><Icons.Terminal /></div>
+            </button>
+          )}
+
+          <button
+            className={`nav-item ${activeTab === 'apps' ? 'active' : ''}`}
+            onClick={() => handleTabSwitch('apps')}
+          >
+            <div className="nav-icon"><Icons.Grid /></div>
+          </button>
+
+          <button
+            className={`nav-item ${activeTab === 'settings' ? 'active' : ''}`}
+            onClick={() => handleTabSwitch('settings')}
+          >
+            <div className="nav-icon"><Icons.Settings /></div>
+          </button>
+        </nav>
+      </div>
+    </RoleContext.Provider>
   )
 }
 
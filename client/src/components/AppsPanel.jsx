@@ -1,11 +1,19 @@
 import React, { useEffect, useState } from 'react';
 import { socket } from '../services/socket';
+import { useHasRole } from '../services/permissions';
 import StreamCanvas from './StreamCanvas';
 import './AppsPanel.css'; // We'll create this or append to App.css
 
+// 'apps:setSource' payload for a selected window or monitor
+const sourceFor = (selected) => selected.type === 'global'
+    ? { type: 'global', monitor: selected.monitor }
+    : { type: 'window', target: selected.title, handle: selected.handle };
+
 const AppsPanel = () => {
+    const canOperate = useHasRole('operator'); // Viewers can watch windows but not raise them
     const [view, setView] = useState('list'); // 'list' | 'stream'
     const [windows, setWindows] = useState([]);
+    const [monitors, setMonitors] = useState([]);
     const [selectedWindow, setSelectedWindow] = useState(null);
     const [refreshing, setRefreshing] = useState(false);
 
@@ -19,22 +27,43 @@ const AppsPanel = () => {
         };
 
         socket.on('apps:list', onList);
+        socket.on('apps:monitors', setMonitors);
 
         // cleanup
         return () => {
             socket.off('apps:list', onList);
+            socket.off('apps:monitors', setMonitors);
             // If unmounting, ideally reset mode? Handled by App.jsx tab switch usually.
         };
     }, []);
 
+    // A reconnect (e.g. after the phone slept) starts a fresh client on the server: pick the same
+    // source again, or stay idle on the list
+    useEffect(() => {
+        const onConnect = () => {
+            if (view === 'stream' && selectedWindow) {
+                socket.emit('apps:setSource', sourceFor(selectedWindow));
+                socket.emit('view:setMode', 'apps');
+            } else {
+                socket.emit('view:setMode', 'idle');
+            }
+            fetchWindows();
+        };
+        socket.on('connect', onConnect);
+        return () => socket.off('connect', onConnect);
+    }, [view, selectedWindow]);
+
     const fetchWindows = () => {
         setRefreshing(true);
         socket.emit('apps:list');
+        socket.emit('apps:monitors');
     };
 
-    const handleGlobalStream = () => {
-        setSelectedWindow({ title: 'Global Desktop', type: 'global' });
-        socket.emit('apps:setSource', { type: 'global' });
+    // Without a monitor the whole desktop is streamed
+    const handleGlobalStream = (monitor = null) => {
+        const source = { title: monitor ? monitor.name : 'Global Desktop', type: 'global', monitor: monitor ? monitor.id : null };
+        setSelectedWindow(source);
+        socket.emit('apps:setSource', sourceFor(source));
         socket.emit('view:setMode', 'apps');
         setView('stream');
     };
@@ -44,12 +73,14 @@ const AppsPanel = () => {
 
         // 1. Activate plain window
         // 1. Activate plain window
-        socket.emit('apps:activate', { title: win.title, handle: win.handle });
+        if (canOperate) {
+            socket.emit('apps:activate', { title: win.title, handle: win.handle });
+        }
 
         // 2. Set source
         // 2. Set source
         // We can pass handle here too for better tracking if we update backend stream logic
-        socket.emit('apps:setSource', { type: 'window', target: win.title, handle: win.handle });
+        socket.emit('apps:setSource', sourceFor({ ...win, type: 'window' }));
 
         // 3. Enable stream mode
         socket.emit('view:setMode', 'apps');
@@ -78,10 +109,13 @@ const AppsPanel = () => {
                 <div className="apps-stream-content">
                     {/* Reuse StreamCanvas - we can pass generic viewMode 'apps' or just let it inherit defaults */}
                     {/* Reuse StreamCanvas - we can pass generic viewMode 'apps' or just let it inherit defaults */}
-                    <StreamCanvas viewMode="apps" />
+                    <StreamCanvas
+                        viewMode="apps"
+                        windowHandle={selectedWindow && selectedWindow.type === 'window' ? selectedWindow.handle : null}
+                    />
 
                     {/* Bring to Front FAB */}
-                    {selectedWindow && selectedWindow.type === 'window' && (
+                    {selectedWindow && selectedWindow.type === 'window' && canOperate && (
                         <button
                             className="fab-crop"
                             style={{
@@ -112,7 +146,7 @@ const AppsPanel = () => {
 
             <div className="apps-grid">
                 {/* Global Option */}
-                <div className="app-card global-card" onClick={handleGlobalStream}>
+                <div className="app-card global-card" onClick={() => handleGlobalStream()}>
                     <div className="app-icon global-icon">
                         <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10" /><line x1="2" y1="12" x2="22" y2="12" /><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10z" /></svg>
                     </div>
@@ -122,6 +156,21 @@ const AppsPanel = () => {
                     </div>
                 </div>
 
+                {/* One card per monitor when there are several */}
+                {monitors.length > 1 && monitors.map((monitor) => (
+                    <div key={`monitor-${monitor.id}`} className="app-card global-card" onClick={() => handleGlobalStream(monitor)}>
+                        <div className="app-icon global-icon">
+                            <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="3" width="20" height="14" rx="2" ry="2" /><line x1="8" y1="21" x2="16" y2="21" /><line x1="12" y1="17" x2="12" y2="21" /></svg>
+                        </div>
+                        <div className="app-info">
+                            <span className="app-name" title={monitor.name}>{monitor.name}{monitor.primary ? ' (primary)' : ''}</span>
+                            <span className="app-desc">
+                                {Math.round(monitor.bounds.width)}×{Math.round(monitor.bounds.height)} · {Math.round(monitor.scale.x * 100)}%
+                            </span>
+                        </div>
+                    </div>
+                ))}
+
                 {/* Windows List */}
                 {windows.map((win, idx) => (
                     <div key={`${win.handle}-${idx}`} className="app-card" onClick={() => handleWindowClick(win)}>
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { socket } from '../services/socket';
+
+// Connection state for every tab: while reconnecting (the phone slept, the network changed) and
+// once Socket.IO gives up, with a button to try again. Hidden while connected.
+const ConnectionBanner = () => {
+    const [status, setStatus] = useState(() => socket.connected ? 'connected' : 'connecting');
+    const [attempt, setAttempt] = useState(0);
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const onConnect = () => {
+            setStatus('connected');
+            setAttempt(0);
+        };
+        const onDisconnect = () => setStatus('reconnecting');
+        const onConnectError = () => {
+            // Not retried by Socket.IO (e.g. refused by the server)
+            if (!socket.active) setStatus('failed');
+        };
+        const onReconnectAttempt = (n) => {
+            setStatus('reconnecting');
+            setAttempt(n);
+        };
+        const onReconnectFailed = () => setStatus('failed');
+        const onOnline = () => setOnline(true);
+        const onOffline = () => setOnline(false);
+
+        socket.on('connect', onConnect);
+        socket.on('disconnect', onDisconnect);
+        socket.on('connect_error', onConnectError);
+        socket.io.on('reconnect_attempt', onReconnectAttempt);
+        socket.io.on('reconnect_failed', onReconnectFailed);
+        window.addEventListener('online', onOnline);
+        window.addEventListener('offline', onOffline);
+        return () => {
+            socket.off('connect', onConnect);
+            socket.off('disconnect', onDisconnect);
+            socket.off('connect_error', onConnectError);
+            socket.io.off('reconnect_attempt', onReconnectAttempt);
+            socket.io.off('reconnect_failed', onReconnectFailed);
+            window.removeEventListener('online', onOnline);
+            window.removeEventListener('offline', onOffline);
+        };
+    }, []);
+
+    const retry = () => {
+        setStatus('reconnecting');
+        setAttempt(0);
+        socket.connect();
+    };
+
+    if (status === 'connected' || (status === 'connecting' && online)) return null;
+
+    if (!online) {
+        return (
+            <div className="connection-banner offline">
+                📵 Sin red. Se reconectará al volver la conexión.
+            </div>
+        );
+    }
+
+    if (status === 'failed') {
+        return (
+            <div className="connection-banner offline">
+                <span>⚠️ Sin conexión con el servidor</span>
+                <button className="connection-retry" onClick={retry}>
+                    Reintentar
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="connection-banner">
+            🔄 Reconectando{attempt > 0 ? ` (intento ${attempt})` : ''}...
+        </div>
+    );
+};
+
+export default ConnectionBanner;
@@ -1,60 +1,218 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Terminal } from 'xterm';
 import { FitAddon } from 'xterm-addon-fit';
+import { SearchAddon } from 'xterm-addon-search';
 import 'xterm/css/xterm.css';
 import { socket } from '../services/socket';
+import { downloadApiFile } from '../services/api';
+import { useHasRole } from '../services/permissions';
 import StreamCanvas from './StreamCanvas';
 
 // --- Sub-component: XTerm View for System Terminals ---
-const SystemTerminalView = ({ id, isActive }) => {
+const RESIZE_POLICY_LABELS = { smallest: 'Smallest screen', owner: 'Driver\'s screen' };
+
+const barButtonStyle = {
+    background: '#333', color: '#fff', border: '1px solid #555',
+    padding: '2px 8px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px'
+};
+
+// Lines kept by xterm for live output. A replay of the server scrollback (terminal.scrollback,
+// in characters) raises it to fit, so all of that output stays searchable (see replayRows)
+const XTERM_SCROLLBACK = 10000;
+// Rows a replay takes in xterm: its lines, wrapped at the terminal width. Escape sequences count
+// as text, which can only overestimate
+function replayRows(data, cols) {
+    return data.split('\n').reduce((rows, line) => rows + Math.max(1, Math.ceil(line.length / cols)), 0);
+}
+
+const SEARCH_DECORATIONS = {
+    matchBackground: '#515c6a',
+    activeMatchBackground: '#a8ac94',
+    matchOverviewRuler: '#d18616',
+    activeMatchColorOverviewRuler: '#d18616'
+};
+
+// Server-side watchers of one terminal: an alert to every device when a line of output matches a
+// regex or when the shell exits. The server keeps them (term:setWatchers replaces the list).
+const TerminalWatchersEditor = ({ id }) => {
+    const [watchers, setWatchers] = useState(null);
+    const [error, setError] = useState(null);
+    const [type, setType] = useState('pattern');
+    const [pattern, setPattern] = useState('');
+    const [once, setOnce] = useState(false);
+    const [onlyFailure, setOnlyFailure] = useState(false);
+
+    useEffect(() => {
+        const onWatchers = (update) => {
+            if (update.id !== id) return;
+            setWatchers(update.watchers || []);
+            setError(update.error || null);
+        };
+        socket.on('term:watchers', onWatchers);
+        socket.emit('term:getWatchers', { id });
+        return () => socket.off('term:watchers', onWatchers);
+    }, [id]);
+
+    const save = (next) => socket.emit('term:setWatchers', { id, watchers: next });
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (type === 'pattern' && !pattern.trim()) return;
+        save([...watchers, type === 'pattern' ? { type, pattern: pattern.trim(), once } : { type, onlyFailure }]);
+        setPattern('');
+    };
+
+    const describe = (w) => w.type === 'exit'
+        ? (w.onlyFailure ? 'Exits with an error' : 'Exits')
+        : `/${w.pattern}/${w.caseSensitive ? '' : 'i'}${w.once ? ' (once)' : ''}`;
+
+    const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', padding: '6px 8px', background: '#252526', color: '#ccc', fontSize: '12px' }}>
+            <span>🔔 Alert all devices when this terminal...</span>
+            {watchers === null && <span>Loading...</span>}
+            {watchers && watchers.map(w => (
+                <div key={w.id} style={rowStyle}>
+                    <code style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {describe(w)}
+                    </code>
+                    <button style={barButtonStyle} onClick={() => save(watchers.filter(other => other.id !== w.id))} title="Remove watcher">
+                        ✕
+                    </button>
+                </div>
+            ))}
+            {watchers && (
+                <form onSubmit={handleAdd} style={rowStyle}>
+                    <select value={type} onChange={(e) => setType(e.target.value)} style={{ ...barButtonStyle, padding: '2px 4px' }}>
+                        <option value="pattern">Prints</option>
+                        <option value="exit">Exits</option>
+                    </select>
+                    {type === 'pattern' ? (
+                        <>
+                            <input
+                                type="text"
+                                value={pattern}
+                                onChange={(e) => setPattern(e.target.value)}
+                                placeholder="Regex, e.g. FAIL|error"
+                                autoCapitalize="none"
+                                autoComplete="off"
+                                maxLength={200}
+                                style={{ flex: 1, minWidth: '120px', padding: '4px 8px', background: '#1e1e1e', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontFamily: 'monospace' }}
+                            />
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                <input type="checkbox" checked={once} onChange={(e) => setOnce(e.target.checked)} />
+                                Once
+                            </label>
+                        </>
+                    ) : (
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                            <input type="checkbox" checked={onlyFailure} onChange={(e) => setOnlyFailure(e.target.checked)} />
+                            Only with an error
+                        </label>
+                    )}
+                    <button type="submit" style={barButtonStyle}>Add</button>
+                </form>
+            )}
+            {error && <span style={{ color: '#f48771' }}>⚠️ {error}</span>}
+        </div>
+    );
+};
+
+// Terminals can be shared between devices: one drives (types), the others watch. The pty size is
+// decided by the server (term:session), so the local xterm takes that size and scrolls if needed.
+const SystemTerminalView = ({ id, isActive, logging, logId, onError }) => {
     const containerRef = useRef(null);
     const terminalRef = useRef(null);
     const fitAddonRef = useRef(null);
+    const searchAddonRef = useRef(null);
+    const drivingRef = useRef(true);
+    const [session, setSession] = useState(null);
+    const [searchOpen, setSearchOpen] = useState(false);
+    const [watchersOpen, setWatchersOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const [matches, setMatches] = useState(null); // { resultIndex, resultCount }
+
+    // Sends the size this device could show; the server applies its resize policy
+    const reportSize = () => {
+        const dims = fitAddonRef.current && fitAddonRef.current.proposeDimensions();
+        if (dims && dims.cols > 0 && dims.rows > 0) {
+            socket.emit('term:resize', { id, cols: dims.cols, rows: dims.rows });
+        }
+    };
+    const reportSizeRef = useRef(reportSize);
+    useEffect(() => {
+        reportSizeRef.current = reportSize;
+    });
 
     useEffect(() => {
         const term = new Terminal({
             theme: { background: '#1e1e1e', foreground: '#ffffff', cursor: '#ffffff' },
             cursorBlink: true,
             fontSize: 14,
-            fontFamily: 'Menlo, Monaco, "Courier New", monospace'
+            fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+            scrollback: XTERM_SCROLLBACK,
+            allowProposedApi: true // Match decorations of the search addon
         });
 
         const fitAddon = new FitAddon();
         term.loadAddon(fitAddon);
+        const searchAddon = new SearchAddon();
+        term.loadAddon(searchAddon);
+        searchAddon.onDidChangeResults((results) => setMatches(results));
+
+        terminalRef.current = term;
+        fitAddonRef.current = fitAddon;
+        searchAddonRef.current = searchAddon;
 
         if (containerRef.current) {
             term.open(containerRef.current);
-            fitAddon.fit();
-            setTimeout(() => {
-                fitAddon.fit();
-                socket.emit('term:resize', { id, cols: term.cols, rows: term.rows });
-            }, 100);
+            setTimeout(() => reportSizeRef.current(), 100);
         }
 
-        terminalRef.current = term;
-        fitAddonRef.current = fitAddon;
-
-        term.onData((data) => socket.emit('term:input', { id, data }));
+        // Watching devices don't type over the driver (the server drops it anyway)
+        term.onData((data) => {
+            if (drivingRef.current) socket.emit('term:input', { id, data });
+        });
 
         const handleData = (data) => {
             if (data.id === id) term.write(data.data);
         };
+        // The terminal lives on the server: its scrollback is replayed on every attach (mount and
+        // reconnect) and then live output follows, so start from a clean screen each time
+        const handleReplay = (replay) => {
+            if (replay.id !== id) return;
+            term.reset();
+            term.options.scrollback = Math.max(XTERM_SCROLLBACK, replayRows(replay.data, term.cols));
+            term.write(replay.data);
+        };
+        const handleSession = (next) => {
+            if (next.id !== id) return;
+            drivingRef.current = next.driving;
+            if (term.cols !== next.cols || term.rows !== next.rows) term.resize(next.cols, next.rows);
+            setSession(next);
+        };
+        const attach = () => {
+            socket.emit('term:attach', { id });
+            reportSizeRef.current();
+        };
         socket.on('term:data', handleData);
+        socket.on('term:replay', handleReplay);
+        socket.on('term:session', handleSession);
+        socket.on('connect', attach);
+        attach();
 
-        const resizeObserver = new ResizeObserver(() => {
-            if (isActive && fitAddonRef.current) {
-                try {
-                    fitAddonRef.current.fit();
-                    socket.emit('term:resize', { id, cols: term.cols, rows: term.rows });
-                } catch (e) { }
-            }
-        });
+        const resizeObserver = new ResizeObserver(() => reportSizeRef.current());
         if (containerRef.current) resizeObserver.observe(containerRef.current);
 
         return () => {
             // Check if terminalRef.current exists before disposing to avoid errors
             if (terminalRef.current) term.dispose();
             socket.off('term:data', handleData);
+            socket.off('term:replay', handleReplay);
+            socket.off('term:session', handleSession);
+            socket.off('connect', attach);
+            socket.emit('term:detach', { id });
             resizeObserver.disconnect();
         };
     }, [id]);
@@ -63,18 +221,127 @@ const SystemTerminalView = ({ id, isActive }) => {
         if (isActive && fitAddonRef.current) {
             setTimeout(() => {
                 try {
-                    fitAddonRef.current.fit();
+                    reportSizeRef.current();
                     terminalRef.current.focus();
                 } catch (e) { }
             }, 50);
         }
     }, [isActive]);
 
-    return <div ref={containerRef} style={{ display: isActive ? 'block' : 'none', width: '100%', height: '100%' }} />;
+    const others = session ? session.viewers.length - 1 : 0;
+
+    const search = (backwards = false) => {
+        const searchAddon = searchAddonRef.current;
+        if (!searchAddon || !query) return;
+        const options = { caseSensitive: false, decorations: SEARCH_DECORATIONS };
+        if (backwards) searchAddon.findPrevious(query, options);
+        else searchAddon.findNext(query, options);
+    };
+
+    const closeSearch = () => {
+        setSearchOpen(false);
+        setQuery('');
+        setMatches(null);
+        searchAddonRef.current?.clearDecorations();
+        terminalRef.current?.focus();
+    };
+
+    return (
+        <div style={{ display: isActive ? 'flex' : 'none', flexDirection: 'column', width: '100%', height: '100%' }}>
+            {session && (
+                <div style={{
+                    display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap',
+                    padding: '4px 8px', background: '#252526', color: '#ccc', fontSize: '12px'
+                }}>
+                    <span>
+                        {session.driving ? '⌨️ You are typing' : `👀 Watching${session.driver ? ` (${session.driver} is typing)` : ''}`}
+                    </span>
+                    {!session.driving && (
+                        <button style={barButtonStyle} onClick={() => socket.emit('term:takeControl', { id })}>
+                            Take control
+                        </button>
+                    )}
+                    {others > 0 && <span title={session.viewers.join(', ')}>+{others} watching</span>}
+                    <span style={{ marginLeft: 'auto' }}>{session.cols}×{session.rows}</span>
+                    <button
+                        style={{ ...barButtonStyle, background: searchOpen ? '#3794ff' : '#333' }}
+                        onClick={() => (searchOpen ? closeSearch() : setSearchOpen(true))}
+                        title="Search the scrollback"
+                    >
+                        🔍
+                    </button>
+                    <button
+                        style={{ ...barButtonStyle, background: watchersOpen ? '#3794ff' : '#333' }}
+                        onClick={() => setWatchersOpen(!watchersOpen)}
+                        title="Alerts on output or exit"
+                    >
+                        🔔
+                    </button>
+                    <button
+                        style={{ ...barButtonStyle, background: logging ? '#d9534f' : '#333' }}
+                        onClick={() => socket.emit('term:setLogging', { id, enabled: !logging })}
+                        title={logging ? 'Stop logging to disk' : 'Log the output to disk on the server'}
+                    >
+                        {logging ? '⏺ Logging' : '⏺ Log'}
+                    </button>
+                    {logId && (
+                        <button
+                            style={barButtonStyle}
+                            onClick={() => downloadApiFile(`/api/terminal-logs/${encodeURIComponent(logId)}`, `terminal-${logId}.txt`)
+                                .catch(err => onError(`Log download failed: ${err.message}`))}
+                            title="Download the log as text"
+                        >
+                            ⬇
+                        </button>
+                    )}
+                    <select
+                        value={session.resizePolicy}
+                        onChange={(e) => socket.emit('term:setResizePolicy', { id, policy: e.target.value })}
+                        style={{ ...barButtonStyle, padding: '2px 4px' }}
+                        title="Terminal size when shared"
+                    >
+                        {Object.entries(RESIZE_POLICY_LABELS).map(([policy, label]) => (
+                            <option key={policy} value={policy}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+            {watchersOpen && <TerminalWatchersEditor id={id} />}
+            {searchOpen && (
+                <form
+                    onSubmit={(e) => { e.preventDefault(); search(); }}
+                    style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '4px 8px', background: '#252526', color: '#ccc', fontSize: '12px' }}
+                >
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => { setQuery(e.target.value); setMatches(null); }}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && e.shiftKey) { e.preventDefault(); search(true); }
+                            if (e.key === 'Escape') closeSearch();
+                        }}
+                        placeholder="Search..."
+                        autoFocus
+                        autoCapitalize="none"
+                        autoComplete="off"
+                        style={{ flex: 1, minWidth: 0, padding: '4px 8px', background: '#1e1e1e', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '14px' }}
+                    />
+                    <span>
+                        {matches && (matches.resultCount === 0 ? 'No results'
+                            : matches.resultIndex >= 0 ? `${matches.resultIndex + 1}/${matches.resultCount}` : `${matches.resultCount}+`)}
+                    </span>
+                    <button type="button" style={barButtonStyle} onClick={() => search(true)} title="Previous match">↑</button>
+                    <button type="submit" style={barButtonStyle} title="Next match">↓</button>
+                </form>
+            )}
+            <div ref={containerRef} style={{ flex: 1, minHeight: 0, overflow: 'auto' }} />
+        </div>
+    );
 };
 
 // --- Sub-component: Control View for VSCode Terminals ---
 const VSCodeTerminalControl = ({ id, name, isActive }) => {
+    const isAdmin = useHasRole('admin');
     const [input, setInput] = useState('');
     const [history, setHistory] = useState(() => {
         try {
@@ -159,16 +426,18 @@ const VSCodeTerminalControl = ({ id, name, isActive }) => {
                     >
                         ^C
                     </button>
-                    <button
-                        onClick={() => socket.emit('client:vscode:action', { type: 'kill', payload: id })}
-                        style={{
-                            background: '#444', color: '#ccc', border: 'none',
-                            padding: '6px 12px', borderRadius: '4px', cursor: 'pointer'
-                        }}
-                        title="Close Terminal"
-                    >
-                        Close
-                    </button>
+                    {isAdmin && (
+                        <button
+                            onClick={() => socket.emit('client:vscode:action', { type: 'kill', payload: id })}
+                            style={{
+                                background: '#444', color: '#ccc', border: 'none',
+                                padding: '6px 12px', borderRadius: '4px', cursor: 'pointer'
+                            }}
+                            title="Close Terminal"
+                        >
+                            Close
+                        </button>
+                    )}
                 </div>
             </div>
 
@@ -212,7 +481,9 @@ const VSCodeTerminalControl = ({ id, name, isActive }) => {
 
 
 const ConsolePanel = () => {
+    const isAdmin = useHasRole('admin'); // Killing terminals is admin-only
     const [sysTerminals, setSysTerminals] = useState([]);
+    const [closedTerminals, setClosedTerminals] = useState([]); // Open when the server last stopped
     const [vscodeTerminals, setVscodeTerminals] = useState([]);
     const [activeTab, setActiveTab] = useState(null); // { type: 'sys'|'vscode', id: string }
 
@@ -221,13 +492,33 @@ const ConsolePanel = () => {
 
     const [showAll, setShowAll] = useState(false);
     const [hiddenTerminals, setHiddenTerminals] = useState(new Set());
+    const [profiles, setProfiles] = useState([]); // Server terminal profiles: { id, name }
+    const [notice, setNotice] = useState(null); // { text, error } shown above the terminals
+    const sysTerminalsRef = useRef(sysTerminals); // Names for exit notices
 
     // Refresh function to be called on mount and via button
     const refreshTerminals = () => {
         socket.emit('term:list');
+        socket.emit('term:profiles');
         socket.emit('client:vscode:action', { type: 'refresh' });
     };
 
+    const createTerminal = (profile) => {
+        setNotice(null);
+        socket.emit('term:create', profile ? { profile } : {});
+    };
+
+    const reopenTerminal = (id) => {
+        setNotice(null);
+        socket.emit('term:reopen', { id });
+    };
+
+    const renameTerminal = (e, t) => {
+        e.stopPropagation();
+        const name = window.prompt('Terminal name (empty for the profile name)', t.name);
+        if (name !== null) socket.emit('term:rename', { id: t.id, name });
+    };
+
     const toggleHide = (e, id) => {
         e.stopPropagation();
         const newHidden = new Set(hiddenTerminals);
@@ -241,8 +532,36 @@ const ConsolePanel = () => {
 
     useEffect(() => {
         refreshTerminals();
+        // Terminals may have exited (or been created elsewhere) while this device was offline
+        const onExit = ({ id, exitCode, signal }) => {
+            socket.emit('term:list');
+            if (exitCode === undefined) return; // Already gone when attaching
+            const terminal = sysTerminalsRef.current.find(t => t.id === id);
+            const name = terminal ? terminal.name : id;
+            setNotice({
+                text: signal ? `"${name}" was stopped by signal ${signal}` : `"${name}" exited with code ${exitCode}`,
+                error: !!signal || exitCode !== 0
+            });
+        };
+        const onError = ({ message }) => setNotice({ text: message, error: true });
+        socket.on('connect', refreshTerminals);
+        socket.on('term:exit', onExit);
+        socket.on('term:profiles', setProfiles);
+        socket.on('term:closed', setClosedTerminals);
+        socket.on('term:error', onError);
+        return () => {
+            socket.off('connect', refreshTerminals);
+            socket.off('term:exit', onExit);
+            socket.off('term:profiles', setProfiles);
+            socket.off('term:closed', setClosedTerminals);
+            socket.off('term:error', onError);
+        };
     }, []);
 
+    useEffect(() => {
+        sysTerminalsRef.current = sysTerminals;
+    }, [sysTerminals]);
+
     // Sync activeGroup with activeTab
     useEffect(() => {
         if (activeTab) {
@@ -409,24 +728,69 @@ const ConsolePanel = () => {
                             <div
                                 key={`sys-${t.id}`}
                                 onClick={() => switchTab('sys', t.id)}
+                                onDoubleClick={(e) => renameTerminal(e, t)}
                                 style={tabStyle(activeTab?.type === 'sys' && activeTab?.id === t.id, 'sys')}
+                                title={t.process ? `${t.name} (${t.process})` : t.name}
                             >
                                 <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', marginRight: '6px' }}>
                                     {t.name}
                                 </span>
-                                <span
-                                    onClick={(e) => { e.stopPropagation(); socket.emit('term:kill', { id: t.id }); }}
-                                    style={{ opacity: 0.6, fontSize: '14px', padding: '0 4px', borderRadius: '50%', cursor: 'pointer' }}
-                                    title="Kill Terminal"
-                                >✕</span>
+                                {activeTab?.type === 'sys' && activeTab?.id === t.id && (
+                                    <span
+                                        onClick={(e) => renameTerminal(e, t)}
+                                        style={{ opacity: 0.6, fontSize: '12px', padding: '0 4px', cursor: 'pointer' }}
+                                        title="Rename Terminal"
+                                    >✏️</span>
+                                )}
+                                {isAdmin && (
+                                    <span
+                                        onClick={(e) => { e.stopPropagation(); socket.emit('term:kill', { id: t.id }); }}
+                                        style={{ opacity: 0.6, fontSize: '14px', padding: '0 4px', borderRadius: '50%', cursor: 'pointer' }}
+                                        title="Kill Terminal"
+                                    >✕</span>
+                                )}
                             </div>
                         ))}
-                        {/* New System Terminal Button */}
-                        <button
-                            onClick={() => socket.emit('term:create')}
-                            style={{ ...tabStyle(false, 'sys'), minWidth: 'auto', padding: '0 12px', color: '#4CAF50', fontWeight: 'bold' }}
-                            title="New System Terminal"
-                        >+</button>
+                        {/* Open when the server stopped: they only start again when tapped */}
+                        {closedTerminals.map(t => (
+                            <div
+                                key={`closed-${t.id}`}
+                                onClick={() => reopenTerminal(t.id)}
+                                style={{ ...tabStyle(false, 'sys'), opacity: 0.5 }}
+                                title={`Reopen "${t.name}" (closed when the server restarted)`}
+                            >
+                                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', marginRight: '6px' }}>
+                                    ↺ {t.name}
+                                </span>
+                                {isAdmin && (
+                                    <span
+                                        onClick={(e) => { e.stopPropagation(); socket.emit('term:forget', { id: t.id }); }}
+                                        style={{ opacity: 0.6, fontSize: '14px', padding: '0 4px', borderRadius: '50%', cursor: 'pointer' }}
+                                        title="Forget Terminal"
+                                    >✕</span>
+                                )}
+                            </div>
+                        ))}
+                        {/* New System Terminal Button: with several profiles, pick one */}
+                        {profiles.length > 1 ? (
+                            <select
+                                value=""
+                                onChange={(e) => createTerminal(e.target.value)}
+                                style={{ ...tabStyle(false, 'sys'), minWidth: 'auto', padding: '0 8px', color: '#4CAF50', fontWeight: 'bold', appearance: 'none' }}
+                                title="New System Terminal"
+                            >
+                                <option value="" disabled>+</option>
+                                {profiles.map(p => (
+                                    <option key={p.id} value={p.id}>{p.name}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <button
+                                onClick={() => createTerminal()}
+                                style={{ ...tabStyle(false, 'sys'), minWidth: 'auto', padding: '0 12px', color: '#4CAF50', fontWeight: 'bold' }}
+                                title="New System Terminal"
+                            >+</button>
+                        )}
                     </>
                 )}
 
@@ -451,14 +815,16 @@ const ConsolePanel = () => {
                                         👁️
                                     </span>
                                     {/* Close Button */}
-                                    <span
-                                        onClick={(e) => {
-                                            e.stopPropagation();
-                                            socket.emit('client:vscode:action', { type: 'kill', payload: t.id });
-                                        }}
-                                        style={{ opacity: 0.6, fontSize: '14px', marginLeft: '2px', cursor: 'pointer' }}
-                                        title="Close Terminal"
-                                    >✕</span>
+                                    {isAdmin && (
+                                        <span
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                socket.emit('client:vscode:action', { type: 'kill', payload: t.id });
+                                            }}
+                                            style={{ opacity: 0.6, fontSize: '14px', marginLeft: '2px', cursor: 'pointer' }}
+                                            title="Close Terminal"
+                                        >✕</span>
+                                    )}
                                 </div>
                             </div>
                         ))}
@@ -473,12 +839,28 @@ const ConsolePanel = () => {
 
             </div>
 
+            {notice && (
+                <div
+                    onClick={() => setNotice(null)}
+                    style={{
+                        padding: '6px 12px', fontSize: '12px', cursor: 'pointer',
+                        background: notice.error ? '#5a1d1d' : '#1d3a1d', color: notice.error ? '#f48771' : '#89d185'
+                    }}
+                    title="Dismiss"
+                >
+                    {notice.error ? '⚠️' : '✓'} {notice.text}
+                </div>
+            )}
+
             {/* Content Area */}
             <div style={{ flex: 1, position: 'relative', overflow: 'hidden' }}>
                 {sysTerminals.map(t => (
                     <SystemTerminalView
                         key={t.id}
                         id={t.id}
+                        logging={t.logging}
+                        logId={t.logId}
+                        onError={(text) => setNotice({ text, error: true })}
                         isActive={activeTab?.type === 'sys' && activeTab?.id === t.id}
                     />
                 ))}
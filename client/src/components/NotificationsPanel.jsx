@@ -0,0 +1,359 @@
+import { useState, useEffect, useRef } from 'react';
+import { socket } from '../services/socket';
+import { fetchSnapshot } from '../services/snapshot';
+import { notificationsSupported, pushSupported, enableNotifications, disablePush } from '../services/alerts';
+import { useHasRole } from '../services/permissions';
+
+const SETTLE_DEFAULT = 10;
+const PATTERN_MIN_SIZE = 8;
+const PATTERN_MAX_SIZE = 600;
+
+const PERMISSION_LABELS = {
+    granted: 'Permitidas',
+    denied: 'Bloqueadas (cámbialo en los ajustes del navegador)',
+    default: 'Sin permiso todavía',
+    unsupported: 'Este navegador no tiene notificaciones'
+};
+
+// Drag a rectangle on a snapshot of the chat to use it as the pattern (e.g. an "Accept" button)
+const PatternPicker = ({ onSave, onCancel }) => {
+    const [imageUrl, setImageUrl] = useState(null);
+    const [error, setError] = useState(null);
+    const [imageSize, setImageSize] = useState(null); // Natural size of the snapshot
+    const [selection, setSelection] = useState(null); // In image pixels
+    const [name, setName] = useState('');
+    const imageRef = useRef(null);
+    const dragStartRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let url = null;
+        fetchSnapshot('chat')
+            .then(blob => {
+                if (cancelled) return;
+                url = URL.createObjectURL(blob);
+                setImageUrl(url);
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, []);
+
+    const toImagePoint = (e) => {
+        const img = imageRef.current;
+        const rect = img.getBoundingClientRect();
+        const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+        const y = Math.min(Math.max(e.clientY - rect.top, 0), rect.height);
+        return {
+            x: Math.round(x * img.naturalWidth / rect.width),
+            y: Math.round(y * img.naturalHeight / rect.height)
+        };
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragStartRef.current = toImagePoint(e);
+        setSelection(null);
+    };
+
+    const handlePointerMove = (e) => {
+        const start = dragStartRef.current;
+        if (!start) return;
+        const point = toImagePoint(e);
+        setSelection({
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        });
+    };
+
+    const handlePointerUp = () => {
+        dragStartRef.current = null;
+    };
+
+    const validSize = selection &&
+        selection.width >= PATTERN_MIN_SIZE && selection.height >= PATTERN_MIN_SIZE &&
+        selection.width <= PATTERN_MAX_SIZE && selection.height <= PATTERN_MAX_SIZE;
+
+    const handleSave = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = selection.width;
+        canvas.height = selection.height;
+        canvas.getContext('2d').drawImage(
+            imageRef.current,
+            selection.x, selection.y, selection.width, selection.height,
+            0, 0, selection.width, selection.height
+        );
+        onSave({
+            name: name.trim() || 'Patrón',
+            image: canvas.toDataURL('image/png').split(',')[1]
+        });
+    };
+
+    return (
+        <div className="setting-item">
+            <label className="input-label">Marca lo que debe aparecer</label>
+            {error && <p className="setting-hint">No se pudo capturar el chat: {error}</p>}
+            {!imageUrl && !error && <p className="setting-hint">Capturando el chat...</p>}
+            {imageUrl && (
+                <div
+                    className="pattern-picker"
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                >
+                    <img
+                        ref={imageRef}
+                        src={imageUrl}
+                        alt=""
+                        draggable={false}
+                        onLoad={(e) => setImageSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                    />
+                    {selection && imageSize && (
+                        <span
+                            className="pattern-selection"
+                            style={{
+                                left: `${(selection.x / imageSize.width) * 100}%`,
+                                top: `${(selection.y / imageSize.height) * 100}%`,
+                                width: `${(selection.width / imageSize.width) * 100}%`,
+                                height: `${(selection.height / imageSize.height) * 100}%`
+                            }}
+                        />
+                    )}
+                </div>
+            )}
+            {selection && !validSize && (
+                <p className="setting-hint">
+                    La selección debe medir entre {PATTERN_MIN_SIZE} y {PATTERN_MAX_SIZE} px por lado ({selection.width}×{selection.height})
+                </p>
+            )}
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="text-input"
+                placeholder="Nombre (p. ej. Botón Accept)"
+                maxLength={50}
+            />
+            <div className="button-group">
+                <button className="secondary-btn" onClick={handleSave} disabled={!validSize}>
+                    💾 Guardar patrón
+                </button>
+                <button className="secondary-btn" onClick={onCancel}>
+                    Cancelar
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const NotificationsPanel = () => {
+    const [config, setConfig] = useState(null);
+    const [error, setError] = useState(null);
+    const [permission, setPermission] = useState(() => notificationsSupported() ? Notification.permission : 'unsupported');
+    const [settleDraft, setSettleDraft] = useState(null); // Slider value while dragging
+    const [picking, setPicking] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const canPush = useHasRole('operator'); // The server only takes push subscriptions from operators up
+
+    useEffect(() => {
+        const onConfig = (next) => {
+            setConfig(next);
+            setError(next.error || null);
+            setBusy(false);
+        };
+        socket.on('watch:config', onConfig);
+        socket.emit('watch:get');
+        return () => socket.off('watch:config', onConfig);
+    }, []);
+
+    const update = (changes) => {
+        setBusy(true);
+        socket.emit('watch:update', changes);
+    };
+
+    const commitSettle = () => {
+        if (settleDraft === null) return;
+        update({ settleSeconds: settleDraft });
+        setSettleDraft(null);
+    };
+
+    const handleEnableNotifications = async () => {
+        try {
+            setPermission(await enableNotifications(config.vapidPublicKey, { push: canPush }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDisablePush = async () => {
+        try {
+            await disablePush();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSavePattern = (pattern) => {
+        setPicking(false);
+        update({ pattern });
+    };
+
+    if (!config) {
+        return (
+            <section className="settings-section">
+                <p className="setting-hint">Cargando...</p>
+            </section>
+        );
+    }
+
+    const settleSeconds = settleDraft !== null ? settleDraft : config.settleSeconds;
+
+    return (
+        <>
+            <section className="settings-section">
+                <h3 className="section-title">
+                    <span className="icon">🔔</span>
+                    Avisos del Chat
+                </h3>
+                <p className="setting-hint">
+                    El servidor vigila el panel del chat y avisa a este dispositivo cuando el agente termina o cuando aparece algo concreto, aunque la app esté en segundo plano.
+                </p>
+
+                <div className="setting-item">
+                    <label className="input-label">Vigilancia</label>
+                    <div className="button-group">
+                        <button
+                            className={`toggle-btn ${config.enabled ? 'active' : ''}`}
+                            onClick={() => update({ enabled: true })}
+                            disabled={busy}
+                        >
+                            🔔 Activada
+                        </button>
+                        <button
+                            className={`toggle-btn ${!config.enabled ? 'active' : ''}`}
+                            onClick={() => update({ enabled: false })}
+                            disabled={busy}
+                        >
+                            🔕 Desactivada
+                        </button>
+                    </div>
+                </div>
+
+                <div className="setting-item">
+                    <label className="input-label">Cuando el chat deja de cambiar</label>
+                    <div className="button-group">
+                        <button
+                            className={`toggle-btn ${config.settleSeconds !== null ? 'active' : ''}`}
+                            onClick={() => update({ settleSeconds: SETTLE_DEFAULT })}
+                            disabled={busy}
+                        >
+                            ✅ Avisar
+                        </button>
+                        <button
+                            className={`toggle-btn ${config.settleSeconds === null ? 'active' : ''}`}
+                            onClick={() => update({ settleSeconds: null })}
+                            disabled={busy}
+                        >
+                            🚫 No avisar
+                        </button>
+                    </div>
+                    {config.settleSeconds !== null && (
+                        <>
+                            <div className="setting-label">
+                                <span>Tiempo sin cambios</span>
+                                <span className="setting-value">{settleSeconds} s</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="3"
+                                max="120"
+                                step="1"
+                                value={settleSeconds}
+                                onChange={(e) => setSettleDraft(parseInt(e.target.value))}
+                                onPointerUp={commitSettle}
+                                onKeyUp={commitSettle}
+                                className="slider"
+                            />
+                        </>
+                    )}
+                </div>
+
+                <div className="setting-item">
+                    <label className="input-label">Cuando aparece un patrón</label>
+                    {config.pattern && !picking && (
+                        <div className="device-item">
+                            <div className="device-info">
+                                <span className="device-name">{config.pattern.name}</span>
+                                <span className="setting-hint">{config.pattern.width}×{config.pattern.height} px</span>
+                            </div>
+                            <button className="secondary-btn" onClick={() => update({ pattern: null })} disabled={busy}>
+                                Quitar
+                            </button>
+                        </div>
+                    )}
+                    {!picking && (
+                        <button className="secondary-btn" onClick={() => setPicking(true)} disabled={busy}>
+                            {config.pattern ? '✏️ Cambiar patrón' : '➕ Elegir del chat'}
+                        </button>
+                    )}
+                </div>
+                {picking && <PatternPicker onSave={handleSavePattern} onCancel={() => setPicking(false)} />}
+
+                {error && <p className="setting-hint">Error: {error}</p>}
+            </section>
+
+            <section className="settings-section">
+                <h3 className="section-title">
+                    <span className="icon">📲</span>
+                    Notificaciones
+                </h3>
+
+                <div className="setting-item">
+                    <div className="setting-label">
+                        <span>Permiso</span>
+                        <span className="setting-value">{PERMISSION_LABELS[permission]}</span>
+                    </div>
+                    <div className="setting-label">
+                        <span>Con la app cerrada (push)</span>
+                        <span className="setting-value">{config.push ? 'Sí' : 'No'}</span>
+                    </div>
+                    {!pushSupported() && (
+                        <p className="setting-hint">
+                            Sin HTTPS solo llegan avisos con la app abierta (activa HTTPS en General → Conexión).
+                        </p>
+                    )}
+                    {pushSupported() && !canPush && (
+                        <p className="setting-hint">
+                            Los dispositivos de solo lectura reciben avisos solo con la app abierta.
+                        </p>
+                    )}
+                </div>
+
+                <div className="button-group">
+                    {(permission !== 'granted' || (canPush && pushSupported() && !config.push)) && permission !== 'unsupported' && (
+                        <button className="secondary-btn" onClick={handleEnableNotifications}>
+                            🔔 Activar notificaciones
+                        </button>
+                    )}
+                    {config.push && (
+                        <button className="secondary-btn" onClick={handleDisablePush}>
+                            Quitar push
+                        </button>
+                    )}
+                    <button className="secondary-btn" onClick={() => socket.emit('watch:test')}>
+                        Probar
+                    </button>
+                </div>
+            </section>
+        </>
+    );
+};
+
+export default NotificationsPanel;
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { socket, reconnectWithToken, getConnectedUrl } from '../services/socket';
+
+const PairingPanel = () => {
+    const [code, setCode] = useState('');
+    const [deviceName, setDeviceName] = useState(() => localStorage.getItem('deviceName') || 'Móvil');
+    const [error, setError] = useState(null);
+    const [isPairing, setIsPairing] = useState(false);
+
+    useEffect(() => {
+        const onPaired = ({ token, device }) => {
+            setIsPairing(false);
+            localStorage.setItem('deviceId', device.id);
+            reconnectWithToken(token);
+        };
+
+        const onError = ({ message }) => {
+            setIsPairing(false);
+            setError(message === 'Invalid pairing code' ? 'Código incorrecto' : message);
+        };
+
+        socket.on('auth:paired', onPaired);
+        socket.on('auth:error', onError);
+
+        return () => {
+            socket.off('auth:paired', onPaired);
+            socket.off('auth:error', onError);
+        };
+    }, []);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+
+        setError(null);
+        setIsPairing(true);
+        localStorage.setItem('deviceName', deviceName);
+        socket.emit('auth:pair', { code: code.trim(), name: deviceName });
+    };
+
+    return (
+        <div className="pairing-panel">
+            <form className="pairing-card" onSubmit={handleSubmit}>
+                <h2 className="pairing-title">🔑 Vincular dispositivo</h2>
+                <p className="setting-hint">
+                    Introduce el código de emparejamiento que muestra la consola del servidor ({getConnectedUrl()}).
+                </p>
+
+                <div className="setting-item">
+                    <label className="input-label">Código</label>
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        maxLength={6}
+                        value={code}
+                        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                        className="text-input pairing-code-input"
+                        placeholder="000000"
+                    />
+                </div>
+
+                <div className="setting-item">
+                    <label className="input-label">Nombre del dispositivo</label>
+                    <input
+                        type="text"
+                        value={deviceName}
+                        onChange={(e) => setDeviceName(e.target.value)}
+                        className="text-input"
+                        placeholder="Mi móvil"
+                    />
+                </div>
+
+                {error && <p className="pairing-error">{error}</p>}
+
+                <button
+                    type="submit"
+                    className={`action-btn ${isPairing ? 'disabled' : ''}`}
+                    disabled={isPairing}
+                >
+                    {isPairing ? '🔄 Vinculando...' : 'Vincular'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default PairingPanel;
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+
+const FONT_SIZE_MIN = 12;
+const FONT_SIZE_MAX = 32;
+const FONT_SIZE_STEP = 2;
+
+// Reader mode: the OCR text of the chat pane ('chat:text'), selectable and at a readable size
+const ReaderPanel = ({ content, onClose }) => {
+    const [fontSize, setFontSize] = useState(() => parseInt(localStorage.getItem('readerFontSize')) || 16);
+    const [copied, setCopied] = useState(false);
+
+    const changeFontSize = (delta) => {
+        const size = Math.max(FONT_SIZE_MIN, Math.min(FONT_SIZE_MAX, fontSize + delta));
+        setFontSize(size);
+        localStorage.setItem('readerFontSize', String(size));
+    };
+
+    const copyAll = async () => {
+        if (!content || !content.text) return;
+        try {
+            await navigator.clipboard.writeText(content.text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (err) {
+            console.error('Copy failed:', err);
+        }
+    };
+
+    return (
+        <div className="reader-panel">
+            <div className="reader-toolbar">
+                <button className="reader-btn" onClick={() => changeFontSize(-FONT_SIZE_STEP)} disabled={fontSize <= FONT_SIZE_MIN} title="Texto más pequeño">
+                    A−
+                </button>
+                <button className="reader-btn" onClick={() => changeFontSize(FONT_SIZE_STEP)} disabled={fontSize >= FONT_SIZE_MAX} title="Texto más grande">
+                    A+
+                </button>
+                <button className="reader-btn" onClick={copyAll} disabled={!content || !content.text}>
+                    {copied ? '✓ Copiado' : '📋 Copiar'}
+                </button>
+                {content && (
+                    <span className="reader-updated">
+                        {new Date(content.timestamp).toLocaleTimeString()}
+                    </span>
+                )}
+                <button className="reader-btn reader-close" onClick={onClose} title="Cerrar modo lectura">
+                    ✕
+                </button>
+            </div>
+
+            <div className="reader-text" style={{ fontSize: `${fontSize}px` }}>
+                {!content && <p className="reader-hint">Leyendo el chat...</p>}
+                {content && content.lines.length === 0 && <p className="reader-hint">No se ha reconocido texto</p>}
+                {content && content.lines.map((line, i) => (
+                    <p key={i}>{line.text}</p>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ReaderPanel;
@@ -0,0 +1,285 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+    fetchRecordings,
+    downloadRecording,
+    deleteRecording,
+    saveRecording,
+    parseRecording,
+    frameIndexAt
+} from '../services/recordings';
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Clicks stay marked on the frame for this long (recording time)
+const CLICK_MARKER_MS = 1500;
+
+const formatDuration = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const formatSize = (bytes) => {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const describeInput = ({ event }) => {
+    switch (event.type) {
+        case 'click': return `Clic en (${Math.round(event.x)}, ${Math.round(event.y)})`;
+        // Only the length is recorded, never the text itself
+        case 'type': return `Texto (${event.length ?? 0} caracteres)`;
+        case 'keyTap': return `Tecla: ${event.key}`;
+        case 'scroll': return `Scroll ${event.ticks > 0 ? '↑' : '↓'} ${Math.abs(event.ticks)}`;
+        default: return event.type;
+    }
+};
+
+const RecordingPlayer = ({ summary, onClose, onDelete }) => {
+    const [recording, setRecording] = useState(null);
+    const [error, setError] = useState(null);
+    const [time, setTime] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const clockRef = useRef(null); // { startedAt (performance.now), fromTime } while playing
+    const timeRef = useRef(0); // Same as `time`, for the clock to start from without restarting on every tick
+
+    const moveTo = useCallback((value) => {
+        timeRef.current = value;
+        setTime(value);
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        downloadRecording(summary.id)
+            .then(buffer => {
+                if (!cancelled) setRecording(parseRecording(buffer));
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => { cancelled = true; };
+    }, [summary.id]);
+
+    // Playback clock: recording time advances at `speed` from where play was pressed
+    useEffect(() => {
+        if (!playing || !recording) return;
+        clockRef.current = { startedAt: performance.now(), fromTime: timeRef.current };
+        let raf;
+        const tick = (now) => {
+            const { startedAt, fromTime } = clockRef.current;
+            const next = fromTime + (now - startedAt) * speed;
+            if (next >= recording.durationMs) {
+                moveTo(recording.durationMs);
+                setPlaying(false);
+                return;
+            }
+            moveTo(next);
+            raf = requestAnimationFrame(tick);
+        };
+        raf = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(raf);
+    }, [playing, speed, recording, moveTo]);
+
+    const frameIndex = recording && recording.frames.length > 0 ? frameIndexAt(recording.frames, time) : -1;
+    const frame = frameIndex >= 0 ? recording.frames[frameIndex] : null;
+
+    // One object URL per shown frame, released when the frame changes
+    const frameUrl = useMemo(() => (frame ? URL.createObjectURL(frame.blob) : null), [frame]);
+    useEffect(() => () => {
+        if (frameUrl) URL.revokeObjectURL(frameUrl);
+    }, [frameUrl]);
+
+    const handleSeek = (value) => {
+        moveTo(value);
+        if (playing) clockRef.current = { startedAt: performance.now(), fromTime: value };
+    };
+
+    const togglePlay = () => {
+        if (!playing && recording && time >= recording.durationMs) moveTo(0);
+        setPlaying(!playing);
+    };
+
+    const pastInputs = recording ? recording.inputs.filter(input => input.time <= time) : [];
+    const clicks = pastInputs.filter(input => input.event.type === 'click' && time - input.time < CLICK_MARKER_MS);
+    const recentInputs = pastInputs.slice(-5).reverse();
+
+    return (
+        <section className="settings-section">
+            <h3 className="section-title">
+                <span className="icon">▶️</span>
+                {summary.name}
+            </h3>
+
+            {error && <p className="setting-hint">No se pudo cargar la grabación: {error}</p>}
+            {!recording && !error && <p className="setting-hint">Cargando...</p>}
+
+            {recording && (
+                <>
+                    <div className="recording-screen">
+                        {frame ? (
+                            <div className="recording-frame">
+                                <img src={frameUrl || undefined} alt="" draggable={false} />
+                                {clicks.map((click, i) => (
+                                    <span
+                                        key={`${click.time}-${i}`}
+                                        className="recording-click"
+                                        style={{
+                                            left: `${(click.event.x / frame.width) * 100}%`,
+                                            top: `${(click.event.y / frame.height) * 100}%`
+                                        }}
+                                    />
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="setting-hint">La grabación no tiene frames</p>
+                        )}
+                    </div>
+
+                    <div className="setting-item">
+                        <div className="setting-label">
+                            <span>{formatDuration(time)} / {formatDuration(recording.durationMs)}</span>
+                            <span className="setting-value">Frame {frameIndex + 1} de {recording.frames.length}</span>
+                        </div>
+                        <input
+                            type="range"
+                            min="0"
+                            max={recording.durationMs}
+                            step="100"
+                            value={Math.round(time)}
+                            onChange={(e) => handleSeek(parseInt(e.target.value))}
+                            className="slider"
+                        />
+                    </div>
+
+                    <div className="setting-item">
+                        <div className="button-group">
+                            <button className="toggle-btn active" onClick={togglePlay}>
+                                {playing ? '⏸ Pausa' : '▶ Reproducir'}
+                            </button>
+                            {PLAYBACK_SPEEDS.map(s => (
+                                <button
+                                    key={s}
+                                    className={`toggle-btn ${speed === s ? 'active' : ''}`}
+                                    onClick={() => setSpeed(s)}
+                                >
+                                    {s}×
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {recentInputs.length > 0 && (
+                        <div className="setting-item">
+                            <label className="input-label">Últimas acciones</label>
+                            {recentInputs.map((input, i) => (
+                                <p key={`${input.time}-${i}`} className="setting-hint">
+                                    {formatDuration(input.time)} · {describeInput(input)}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+
+            <div className="button-group">
+                <button className="secondary-btn" onClick={() => saveRecording(summary.id).catch(err => setError(err.message))}>
+                    ⬇️ Descargar
+                </button>
+                {!summary.recording && (
+                    <button className="revoke-btn" onClick={() => onDelete(summary)}>
+                        🗑️ Borrar
+                    </button>
+                )}
+                <button className="secondary-btn" onClick={onClose}>
+                    Volver
+                </button>
+            </div>
+        </section>
+    );
+};
+
+const RecordingsPanel = () => {
+    const [recordings, setRecordings] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    // State is only set once the request settles (the caller marks loading)
+    const load = useCallback(() => {
+        fetchRecordings()
+            .then(list => {
+                setRecordings(list);
+                setError(null);
+            })
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const refresh = () => {
+        setLoading(true);
+        load();
+    };
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleDelete = async (recording) => {
+        if (!window.confirm(`¿Borrar la grabación "${recording.name}"?`)) return;
+        try {
+            await deleteRecording(recording.id);
+            setSelected(null);
+            setRecordings(list => list.filter(r => r.id !== recording.id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (selected) {
+        return <RecordingPlayer summary={selected} onClose={() => { setSelected(null); refresh(); }} onDelete={handleDelete} />;
+    }
+
+    return (
+        <section className="settings-section">
+            <h3 className="section-title">
+                <span className="icon">🎬</span>
+                Grabaciones
+            </h3>
+            <p className="setting-hint">
+                Graba la vista con el botón ⏺ del stream para revisar después lo que pasó en el chat o la terminal. Cada dispositivo ve solo sus grabaciones (los administradores, todas).
+            </p>
+
+            {error && <p className="setting-hint">No se pudo obtener la lista: {error}</p>}
+            {!error && recordings.length === 0 && !loading && (
+                <p className="setting-hint">Todavía no hay grabaciones</p>
+            )}
+
+            <div className="device-list">
+                {recordings.map(rec => (
+                    <div key={rec.id} className="device-item">
+                        <div className="device-info">
+                            <span className="device-name">
+                                {rec.name}
+                                {rec.recording && <span className="device-current"> (grabando)</span>}
+                            </span>
+                            <span className="setting-hint">
+                                {new Date(rec.startedAt).toLocaleString()} · {formatDuration(rec.durationMs)} · {rec.frames} frames · {formatSize(rec.bytes)}
+                            </span>
+                        </div>
+                        <button className="secondary-btn" onClick={() => setSelected(rec)}>
+                            Ver
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <button className="secondary-btn" onClick={refresh} disabled={loading}>
+                {loading ? 'Actualizando...' : '↻ Actualizar'}
+            </button>
+        </section>
+    );
+};
+
+export default RecordingsPanel;
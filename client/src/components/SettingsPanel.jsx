@@ -1,5 +1,31 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { socket } from '../services/socket';
+import {
+    socket,
+    getConnectedUrl,
+    isSecureModePreferred,
+    getServerInfo,
+    getPinnedFingerprint,
+    pinFingerprint,
+    getStreamTransport,
+    reconnectSocket
+} from '../services/socket';
+import { isVideoModePreferred, setVideoModePreferred, supportsWebRtc } from '../services/frames';
+import { useHasRole } from '../services/permissions';
+import RecordingsPanel from './RecordingsPanel';
+import NotificationsPanel from './NotificationsPanel';
+
+const METRICS_INTERVAL_MS = 2000;
+
+// Pipeline stages reported by 'stream:metrics', in order
+const PIPELINE_STAGES = [
+    ['capture', 'Captura'],
+    ['decode', 'Decodificación'],
+    ['queue', 'Cola'],
+    ['detect', 'Detección'],
+    ['crop', 'Recorte'],
+    ['encode', 'Codificación'],
+    ['frame', 'Total por frame']
+];
 
 // Debounce helper
 const debounce = (func, wait) => {
@@ -12,6 +38,8 @@ const debounce = (func, wait) => {
 
 const SettingsPanel = ({ onOpenCropConfig }) => {
     const [activeTab, setActiveTab] = useState('chat');
+    // Server settings are global, so only admins can change them
+    const isAdmin = useHasRole('admin');
 
     // Default settings - server-synced settings will be updated when config loads
     const [settings, setSettings] = useState(() => {
@@ -27,6 +55,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
             quality: 70,
             qualityMin: 30,
             qualityMax: 100,
+            adaptiveStreaming: true,
             scrollSensitivity: 1.0,
             threeFingerScrollSensitivity: 1.0,
             windowTitles: "Cursor|Antigravity|Windsurf",
@@ -56,9 +85,18 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
     });
 
     const [isCalibrating, setIsCalibrating] = useState(false);
+    const [devices, setDevices] = useState([]);
+    const currentDeviceId = localStorage.getItem('deviceId');
     const [serverUrl, setServerUrl] = useState(() => {
         return localStorage.getItem('serverUrl') || `${window.location.hostname}:3001`;
     });
+    const [secureMode, setSecureMode] = useState(isSecureModePreferred);
+    const [serverInfo, setServerInfo] = useState(getServerInfo);
+    const [pinnedFingerprint, setPinnedFingerprint] = useState(getPinnedFingerprint);
+    const [videoMode, setVideoMode] = useState(isVideoModePreferred);
+    const [streamTransport, setStreamTransport] = useState(getStreamTransport);
+    const [adaptive, setAdaptive] = useState(null);
+    const [pipelineMetrics, setPipelineMetrics] = useState(null);
 
     // Debounced config update
     const emitConfigUpdate = useRef(
@@ -85,6 +123,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                 quality: config.quality ?? prev.quality,
                 qualityMin: config.qualityMin ?? prev.qualityMin,
                 qualityMax: config.qualityMax ?? prev.qualityMax,
+                adaptiveStreaming: config.adaptiveStreaming ?? prev.adaptiveStreaming,
                 scrollSensitivity: config.scrollSensitivity ?? prev.scrollSensitivity,
                 threeFingerScrollSensitivity: config.threeFingerScrollSensitivity ?? prev.threeFingerScrollSensitivity,
                 windowTitles: config.windowTitles ?? prev.windowTitles,
@@ -124,6 +163,67 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
         };
     }, []);
 
+    // Device management is admin-only
+    useEffect(() => {
+        if (!isAdmin) return;
+
+        const requestDevices = () => socket.emit('auth:devices');
+        const handleAuthError = ({ message }) => {
+            if (message === 'Role change not allowed') {
+                window.alert('No se puede quitar el rol de administrador al último administrador');
+            } else if (message === 'Revoke not allowed') {
+                window.alert('No se puede revocar al último administrador');
+            }
+        };
+
+        socket.on('auth:devices', setDevices);
+        socket.on('auth:error', handleAuthError);
+        socket.on('connect', requestDevices);
+
+        if (socket.connected) {
+            requestDevices();
+        }
+
+        return () => {
+            socket.off('auth:devices', setDevices);
+            socket.off('auth:error', handleAuthError);
+            socket.off('connect', requestDevices);
+        };
+    }, [isAdmin]);
+
+    // TLS status of the server (sent again on every reconnect)
+    useEffect(() => {
+        socket.on('server:info', setServerInfo);
+        return () => socket.off('server:info', setServerInfo);
+    }, []);
+
+    // Frame transport negotiated with the server (changes on reconnect or WebRTC fallback)
+    useEffect(() => {
+        const onTransport = ({ transport }) => setStreamTransport(transport);
+        socket.on('stream:transport', onTransport);
+        return () => socket.off('stream:transport', onTransport);
+    }, []);
+
+    // Values adaptive streaming is using for this device, sent after each stats report
+    useEffect(() => {
+        socket.on('stream:adaptive', setAdaptive);
+        return () => socket.off('stream:adaptive', setAdaptive);
+    }, []);
+
+    // Server capture/encode latency per stage, polled while the General tab is open
+    useEffect(() => {
+        if (activeTab !== 'general') return;
+        const requestMetrics = () => {
+            if (!socket.connected) return;
+            socket.timeout(METRICS_INTERVAL_MS).emit('stream:metrics', (err, metrics) => {
+                if (!err) setPipelineMetrics(metrics);
+            });
+        };
+        requestMetrics();
+        const timer = setInterval(requestMetrics, METRICS_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [activeTab]);
+
     // Apply theme on load
     useEffect(() => {
         document.documentElement.setAttribute('data-theme', settings.theme);
@@ -157,6 +257,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
         const serverKeyMap = {
             fps: 'fps',
             quality: 'quality',
+            adaptiveStreaming: 'adaptiveStreaming',
             scrollSensitivity: 'scrollSensitivity',
             threeFingerScrollSensitivity: 'threeFingerScrollSensitivity',
             windowTitles: 'windowTitles',
@@ -205,12 +306,47 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
         window.location.reload();
     };
 
+    const handleSecureModeChange = (secure) => {
+        setSecureMode(secure);
+        localStorage.setItem('serverSecure', secure ? 'true' : 'false');
+        // An explicit scheme in the URL would override the toggle
+        const bareUrl = serverUrl.replace(/^https?:\/\//, '');
+        setServerUrl(bareUrl);
+        localStorage.setItem('serverUrl', bareUrl);
+    };
+
+    const handleVideoModeChange = (enabled) => {
+        setVideoMode(enabled);
+        setVideoModePreferred(enabled);
+        reconnectSocket(); // The transport is negotiated in the handshake
+    };
+
+    const handlePinFingerprint = () => {
+        pinFingerprint(serverInfo.tls.fingerprint);
+        setPinnedFingerprint(serverInfo.tls.fingerprint);
+    };
+
+    const handleRevokeDevice = (device) => {
+        const isCurrent = device.id === currentDeviceId;
+        const message = isCurrent
+            ? '¿Revocar este dispositivo? Tendrás que volver a vincularlo.'
+            : `¿Revocar "${device.name}"?`;
+        if (window.confirm(message)) {
+            socket.emit('auth:revoke', { id: device.id });
+        }
+    };
+
     const tabs = [
-        { id: 'chat', label: '💬 Chat' },
-        { id: 'console', label: '⌨️ Console' },
+        { id: 'chat', label: '💬 Chat', adminOnly: true },
+        { id: 'console', label: '⌨️ Console', adminOnly: true },
         { id: 'apps', label: '📱 Apps' },
+        { id: 'recordings', label: '🎬 Grabaciones' },
+        { id: 'alerts', label: '🔔 Avisos' },
         { id: 'general', label: '⚙️ General' }
-    ];
+    ].filter(tab => isAdmin || !tab.adminOnly);
+
+    // Fall back to the first visible tab if the role no longer allows the selected one
+    const currentTab = tabs.some(tab => tab.id === activeTab) ? activeTab : tabs[0].id;
 
     return (
         <div className="settings-panel">
@@ -219,7 +355,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                 {tabs.map(tab => (
                     <button
                         key={tab.id}
-                        className={`settings-tab ${activeTab === tab.id ? 'active' : ''}`}
+                        className={`settings-tab ${currentTab === tab.id ? 'active' : ''}`}
                         onClick={() => setActiveTab(tab.id)}
                     >
                         {tab.label}
@@ -229,7 +365,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
 
             <div className="settings-content">
                 {/* CHAT TAB */}
-                {activeTab === 'chat' && (
+                {currentTab === 'chat' && (
                     <>
                         <section className="settings-section">
                             <h3 className="section-title">
@@ -276,6 +412,25 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                                     <span>Alta</span>
                                 </div>
                             </div>
+
+                            <div className="setting-item">
+                                <label className="input-label">Ajuste Automático</label>
+                                <div className="button-group">
+                                    <button
+                                        className={`toggle-btn ${settings.adaptiveStreaming ? 'active' : ''}`}
+                                        onClick={() => updateSetting('adaptiveStreaming', true)}
+                                    >
+                                        📶 Activado
+                                    </button>
+                                    <button
+                                        className={`toggle-btn ${!settings.adaptiveStreaming ? 'active' : ''}`}
+                                        onClick={() => updateSetting('adaptiveStreaming', false)}
+                                    >
+                                        🚫 Desactivado
+                                    </button>
+                                </div>
+                                <p className="setting-hint">Baja calidad, FPS y resolución en cada dispositivo según su conexión, sin pasar de los valores de arriba</p>
+                            </div>
                         </section>
 
                         <section className="settings-section">
@@ -415,7 +570,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                 )}
 
                 {/* CONSOLE TAB */}
-                {activeTab === 'console' && (
+                {currentTab === 'console' && (
                     <>
                         <section className="settings-section">
                             <h3 className="section-title">
@@ -570,7 +725,7 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                 )}
 
                 {/* APPS TAB */}
-                {activeTab === 'apps' && (
+                {currentTab === 'apps' && (
                     <section className="settings-section">
                         <h3 className="section-title">
                             <span className="icon">📱</span>
@@ -583,8 +738,14 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                     </section>
                 )}
 
+                {/* RECORDINGS TAB */}
+                {currentTab === 'recordings' && <RecordingsPanel />}
+
+                {/* ALERTS TAB */}
+                {currentTab === 'alerts' && <NotificationsPanel />}
+
                 {/* GENERAL TAB */}
-                {activeTab === 'general' && (
+                {currentTab === 'general' && (
                     <>
                         <section className="settings-section">
                             <h3 className="section-title">
@@ -608,34 +769,183 @@ const SettingsPanel = ({ onOpenCropConfig }) => {
                                 </div>
                                 <p className="setting-hint">Requiere recargar la página</p>
                             </div>
-                        </section>
 
-                        <section className="settings-section">
-                            <h3 className="section-title">
-                                <span className="icon">⚙️</span>
-                                Comportamiento
-                            </h3>
+                            <div className="setting-item">
+                                <label className="input-label">Conexión Segura</label>
+                                <div className="button-group">
+                                    <button
+                                        className={`toggle-btn ${secureMode ? 'active' : ''}`}
+                                        onClick={() => handleSecureModeChange(true)}
+                                    >
+                                        🔒 HTTPS/WSS
+                                    </button>
+                                    <button
+                                        className={`toggle-btn ${!secureMode ? 'active' : ''}`}
+                                        onClick={() => handleSecureModeChange(false)}
+                                    >
+                                        🌐 HTTP
+                                    </button>
+                                </div>
+                                <p className="setting-hint">
+                                    El servidor debe arrancarse con <code>--https</code> o <code>tls.enabled</code>. Pulsa Aplicar para reconectar.
+                                </p>
+                                {secureMode && (
+                                    <p className="setting-hint">
+                                        Con un certificado autofirmado, abre <a href={getConnectedUrl()} target="_blank" rel="noreferrer">{getConnectedUrl()}</a> y acéptalo en el navegador antes de conectar.
+                                    </p>
+                                )}
+                            </div>
 
                             <div className="setting-item">
-                                <label className="input-label">Auto-activar Ventana</label>
+                                <label className="input-label">Modo Vídeo (WebRTC)</label>
                                 <div className="button-group">
                                     <button
-                                        className={`toggle-btn ${settings.autoActivateWindow ? 'active' : ''}`}
-                                        onClick={() => updateSetting('autoActivateWindow', true)}
+                                        className={`toggle-btn ${videoMode ? 'active' : ''}`}
+                                        onClick={() => handleVideoModeChange(true)}
+                                        disabled={!supportsWebRtc()}
                                     >
-                                        ⚡ Activado
+                                        🎬 Vídeo
                                     </button>
                                     <button
-                                        className={`toggle-btn ${!settings.autoActivateWindow ? 'active' : ''}`}
-                                        onClick={() => updateSetting('autoActivateWindow', false)}
+                                        className={`toggle-btn ${!videoMode ? 'active' : ''}`}
+                                        onClick={() => handleVideoModeChange(false)}
                                     >
-                                        🛑 Desactivado
+                                        🖼️ Imágenes
                                     </button>
                                 </div>
-                                <p className="setting-hint">Maximiza la ventana si está minimizada o en otro plano</p>
+                                <p className="setting-hint">
+                                    El vídeo consume menos CPU y Wi‑Fi que las imágenes JPEG. Transporte actual: <code>{streamTransport || '—'}</code>
+                                </p>
+                                {videoMode && streamTransport && streamTransport !== 'webrtc' && (
+                                    <p className="setting-hint">
+                                        El servidor no admite WebRTC (falta <code>@roamhq/wrtc</code>) o la conexión falló; se usan imágenes.
+                                    </p>
+                                )}
                             </div>
+
+                            {adaptive && streamTransport !== 'webrtc' && (
+                                <div className="setting-item">
+                                    <label className="input-label">Stream de este dispositivo</label>
+                                    <p className="setting-hint">
+                                        {adaptive.fps} FPS · calidad {adaptive.quality}% · escala {Math.round(adaptive.downscale * 100)}%
+                                        {adaptive.reason === 'network' && ' · reducido por la red'}
+                                        {adaptive.reason === 'client' && ' · reducido por el dispositivo'}
+                                    </p>
+                                    {adaptive.stats && (
+                                        <p className="setting-hint">
+                                            Recibidos {adaptive.stats.fps} FPS de {adaptive.stats.sentFps} enviados · decodificación {adaptive.stats.decodeMs} ms · RTT {adaptive.stats.rtt} ms
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {pipelineMetrics && (
+                                <div className="setting-item">
+                                    <label className="input-label">Rendimiento del Servidor</label>
+                                    <p className="setting-hint">
+                                        {pipelineMetrics.pool.workers} hilos de imagen · {pipelineMetrics.pool.busy} ocupados · {pipelineMetrics.pool.queued} en cola
+                                    </p>
+                                    {PIPELINE_STAGES.filter(([stage]) => pipelineMetrics.stages[stage]).map(([stage, label]) => (
+                                        <p key={stage} className="setting-hint">
+                                            {label}: {pipelineMetrics.stages[stage].avgMs} ms de media · p95 {pipelineMetrics.stages[stage].p95Ms} ms
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+
+                            {serverInfo?.tls?.enabled && (
+                                <div className="setting-item">
+                                    <label className="input-label">Huella del Certificado (SHA-256)</label>
+                                    <code className="cert-fingerprint">{serverInfo.tls.fingerprint}</code>
+                                    {/* The server reports it over this same connection: only a manual comparison proves anything */}
+                                    <p className="setting-hint">
+                                        Compárala a mano con la del certificado que muestra el navegador (candado → Certificado) o con la que imprime la consola del servidor al arrancar. La envía el propio servidor por esta conexión, así que por sí sola no garantiza nada.
+                                    </p>
+                                    {pinnedFingerprint && pinnedFingerprint !== serverInfo.tls.fingerprint && (
+                                        <p className="cert-status mismatch">
+                                            ⚠️ La huella ha cambiado desde que la comprobaste. Si no has regenerado el certificado, no sigas.
+                                        </p>
+                                    )}
+                                    {pinnedFingerprint !== serverInfo.tls.fingerprint && (
+                                        <button className="action-btn" onClick={handlePinFingerprint}>
+                                            Ya la he comprobado
+                                        </button>
+                                    )}
+                                </div>
+                            )}
                         </section>
 
+                        {isAdmin && (
+                            <section className="settings-section">
+                                <h3 className="section-title">
+                                    <span className="icon">🔑</span>
+                                    Dispositivos Vinculados
+                                </h3>
+
+                                {devices.length === 0 ? (
+                                    <p className="setting-hint">No hay dispositivos vinculados</p>
+                                ) : (
+                                    <div className="device-list">
+                                        {devices.map(device => (
+                                            <div key={device.id} className="device-item">
+                                                <div className="device-info">
+                                                    <span className="device-name">
+                                                        {device.name}
+                                                        {device.id === currentDeviceId && <span className="device-current"> (este)</span>}
+                                                    </span>
+                                                    <span className="setting-hint">
+                                                        Última conexión: {new Date(device.lastSeen).toLocaleString()}
+                                                    </span>
+                                                </div>
+                                                <select
+                                                    value={device.role}
+                                                    onChange={(e) => socket.emit('auth:setRole', { id: device.id, role: e.target.value })}
+                                                    className="select-input device-role-select"
+                                                >
+                                                    <option value="viewer">👁️ Observador</option>
+                                                    <option value="operator">🖱️ Operador</option>
+                                                    <option value="admin">🛡️ Admin</option>
+                                                </select>
+                                                <button className="revoke-btn" onClick={() => handleRevokeDevice(device)}>
+                                                    Revocar
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                <p className="setting-hint">Para vincular otro dispositivo usa el código que muestra la consola del servidor</p>
+                                <p className="setting-hint">Observador: solo ve el stream · Operador: control y terminales · Admin: configuración global</p>
+                            </section>
+                        )}
+
+                        {isAdmin && (
+                            <section className="settings-section">
+                                <h3 className="section-title">
+                                    <span className="icon">⚙️</span>
+                                    Comportamiento
+                                </h3>
+
+                                <div className="setting-item">
+                                    <label className="input-label">Auto-activar Ventana</label>
+                                    <div className="button-group">
+                                        <button
+                                            className={`toggle-btn ${settings.autoActivateWindow ? 'active' : ''}`}
+                                            onClick={() => updateSetting('autoActivateWindow', true)}
+                                        >
+                                            ⚡ Activado
+                                        </button>
+                                        <button
+                                            className={`toggle-btn ${!settings.autoActivateWindow ? 'active' : ''}`}
+                                            onClick={() => updateSetting('autoActivateWindow', false)}
+                                        >
+                                            🛑 Desactivado
+                                        </button>
+                                    </div>
+                                    <p className="setting-hint">Maximiza la ventana si está minimizada o en otro plano</p>
+                                </div>
+                            </section>
+                        )}
+
                         <section className="settings-section">
                             <h3 className="section-title">
                                 <span className="icon">🎨</span>
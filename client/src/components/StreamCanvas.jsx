@@ -1,6 +1,12 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { socket } from '../services/socket';
+import { socket, getStreamTransport } from '../services/socket';
+import { useHasRole } from '../services/permissions';
+import { decodeFrame, decodeTileFrame } from '../services/frames';
+import { createVideoReceiver } from '../services/webrtc';
+import { createStatsReporter } from '../services/streamStats';
+import { fetchSnapshot, shareOrSaveSnapshot } from '../services/snapshot';
 import DraggableFab from './DraggableFab';
+import ReaderPanel from './ReaderPanel';
 
 // Debounce helper
 const debounce = (func, wait) => {
@@ -11,13 +17,29 @@ const debounce = (func, wait) => {
     };
 };
 
-const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, viewMode = 'chat' }) => {
+const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, viewMode = 'chat', windowHandle = null }) => {
     const canvasRef = useRef(null);
+    const videoRef = useRef(null);
+    const videoStreamRef = useRef(null);
+    const videoFrameSizeRef = useRef(null); // Real frame size; the decoded video may be scaled
+    const [videoMode, setVideoMode] = useState(() => getStreamTransport() === 'webrtc');
     const containerRef = useRef(null);
     const inputRef = useRef(null);
-    const [status, setStatus] = useState('Disconnected');
+    const [paused, setPaused] = useState(false); // Server paused the stream for inactivity
     const [inputMode, setInputMode] = useState(false);
     const [remoteScrollMode, setRemoteScrollMode] = useState(false);
+    const [recording, setRecording] = useState(false); // Session recording of this view (server side)
+    const [snapshotting, setSnapshotting] = useState(false);
+    const [readerMode, setReaderMode] = useState(false); // OCR text of the chat next to the image
+    const [readerContent, setReaderContent] = useState(null);
+    const readerModeRef = useRef(false);
+
+    // Snapshot source: the pane, or in Apps the streamed window (none for the global desktop)
+    const snapshotMode = viewMode === 'apps' ? (windowHandle ? 'window' : null) : viewMode;
+
+    // Viewers only watch the stream; input needs operator, crop (global config) needs admin
+    const canOperate = useHasRole('operator');
+    const isAdmin = useHasRole('admin');
 
     // Use external control for crop modal if provided
     const showCropModal = externalCropModal ?? false;
@@ -67,35 +89,159 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
             socket.emit('config:get');
         }
 
+        // Back from the background (screen off, another app): wake up a stream paused meanwhile
+        const onVisible = () => {
+            if (document.visibilityState === 'visible' && socket.connected) socket.emit('view:setMode', viewMode);
+        };
+
         socket.on('connect', onConnectMode);
+        document.addEventListener('visibilitychange', onVisible);
         return () => {
             socket.off('connect', onConnectMode);
+            document.removeEventListener('visibilitychange', onVisible);
         }
     }, [viewMode]);
 
+    // Inactivity pause (server ClientManager.checkInactivity); a new connection starts unpaused
     useEffect(() => {
-        const onConnect = () => setStatus('Connected');
-        const onDisconnect = () => setStatus('Disconnected');
+        const onPaused = ({ paused }) => setPaused(paused);
+        const onDisconnectPause = () => setPaused(false);
+        socket.on('stream:paused', onPaused);
+        socket.on('disconnect', onDisconnectPause);
+        return () => {
+            socket.off('stream:paused', onPaused);
+            socket.off('disconnect', onDisconnectPause);
+        };
+    }, []);
+
+    const resumeStream = () => {
+        socket.emit('view:setMode', viewMode);
+    };
+
+    useEffect(() => {
+        // Binary frame sequence numbers are per connection and restart on reconnect
+        let lastFrameSeq = 0;
+
+        // Tiles transport: deltas only make sense on top of the frame before them
+        let tileQueue = Promise.resolve();
+        let awaitingKeyframe = true;
+
+        const requestKeyframe = () => {
+            awaitingKeyframe = true;
+            socket.emit('stream:keyframe');
+        };
+
+        // Adaptive streaming feedback
+        const stats = createStatsReporter();
+        stats.start();
+
+        // WebRTC transport: the server streams a video track instead of frames
+        const videoReceiver = createVideoReceiver({
+            onStream: (stream) => {
+                videoStreamRef.current = stream;
+                if (videoRef.current) videoRef.current.srcObject = stream;
+            }
+        });
+
+        const applyTransport = (transport) => {
+            const isVideo = transport === 'webrtc';
+            setVideoMode(isVideo);
+            if (isVideo) {
+                videoReceiver.start();
+            } else {
+                // Fallback from WebRTC: the canvas has nothing the server can diff against
+                videoReceiver.stop();
+                requestKeyframe();
+            }
+        };
+
+        const onTransport = ({ transport }) => applyTransport(transport);
+        const onVideoFrameSize = (size) => {
+            videoFrameSizeRef.current = size;
+        };
+
+        const onConnect = () => {
+            lastFrameSeq = 0;
+            requestKeyframe();
+        };
+        const onDisconnect = () => {
+            videoReceiver.stop();
+        };
 
         if (socket.connected) {
-            setStatus('Connected');
+            requestKeyframe(); // The canvas is new; the server may think we have its last frame
+            if (getStreamTransport() === 'webrtc') videoReceiver.start();
         }
 
-        const onFrame = (base64) => {
+        const drawFrame = (image) => {
             const canvas = canvasRef.current;
-            const container = containerRef.current;
-            if (canvas && container) {
-                const ctx = canvas.getContext('2d');
-                const img = new Image();
-                img.onload = () => {
-                    if (canvas.width !== img.width) canvas.width = img.width;
-                    if (canvas.height !== img.height) canvas.height = img.height;
-                    ctx.drawImage(img, 0, 0);
-                };
-                img.src = `data:image/jpeg;base64,${base64}`;
+            if (!canvas || !containerRef.current) return;
+            const ctx = canvas.getContext('2d');
+            if (canvas.width !== image.width) canvas.width = image.width;
+            if (canvas.height !== image.height) canvas.height = image.height;
+            ctx.drawImage(image, 0, 0);
+        };
+
+        // Legacy transport: base64 JPEG strings
+        const onFrame = (base64) => {
+            const startedAt = performance.now();
+            const img = new Image();
+            img.onload = () => {
+                drawFrame(img);
+                stats.recordFrame(performance.now() - startedAt);
+            };
+            img.src = `data:image/jpeg;base64,${base64}`;
+        };
+
+        // Binary transport: decodes can finish out of order, so older frames are dropped
+        const onBinaryFrame = async (buffer) => {
+            const startedAt = performance.now();
+            try {
+                const { header, bitmap } = await decodeFrame(buffer);
+                if (header.seq > lastFrameSeq) {
+                    lastFrameSeq = header.seq;
+                    drawFrame(bitmap);
+                }
+                bitmap.close();
+                stats.recordFrame(performance.now() - startedAt);
+            } catch (e) {
+                console.error('Failed to decode frame:', e);
             }
         };
 
+        const applyTileFrame = async (buffer) => {
+            const startedAt = performance.now();
+            const frame = await decodeTileFrame(buffer);
+            const { seq } = frame.header;
+
+            if (!frame.keyframe && (awaitingKeyframe || seq !== lastFrameSeq + 1)) {
+                // A frame went missing: the canvas is out of sync until the next keyframe
+                if (!awaitingKeyframe) requestKeyframe();
+            } else {
+                lastFrameSeq = seq;
+                awaitingKeyframe = false;
+                const canvas = canvasRef.current;
+                if (canvas) {
+                    if (canvas.width !== frame.width) canvas.width = frame.width;
+                    if (canvas.height !== frame.height) canvas.height = frame.height;
+                    const ctx = canvas.getContext('2d');
+                    for (const tile of frame.tiles) {
+                        ctx.drawImage(tile.bitmap, tile.x, tile.y);
+                    }
+                }
+            }
+            frame.tiles.forEach(tile => tile.bitmap.close());
+            stats.recordFrame(performance.now() - startedAt);
+        };
+
+        // Tile frames are applied strictly in order
+        const onTileFrame = (buffer) => {
+            tileQueue = tileQueue.then(() => applyTileFrame(buffer)).catch((e) => {
+                console.error('Failed to apply tile frame:', e);
+                requestKeyframe();
+            });
+        };
+
         const onFocusLocation = (data) => {
             if (data.isInChat) {
                 if (!inputMode) {
@@ -127,6 +273,10 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
         socket.on('connect', onConnect);
         socket.on('disconnect', onDisconnect);
         socket.on('frame', onFrame);
+        socket.on('frame:binary', onBinaryFrame);
+        socket.on('frame:tiles', onTileFrame);
+        socket.on('stream:transport', onTransport);
+        socket.on('webrtc:frameSize', onVideoFrameSize);
         socket.on('input:focusLocation', onFocusLocation);
         socket.on('config:current', onConfig);
 
@@ -137,11 +287,80 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
             socket.off('connect', onConnect);
             socket.off('disconnect', onDisconnect);
             socket.off('frame', onFrame);
+            socket.off('frame:binary', onBinaryFrame);
+            socket.off('frame:tiles', onTileFrame);
+            socket.off('stream:transport', onTransport);
+            socket.off('webrtc:frameSize', onVideoFrameSize);
             socket.off('input:focusLocation', onFocusLocation);
             socket.off('config:current', onConfig);
+            videoReceiver.dispose();
+            stats.stop();
+        };
+    }, []);
+
+    // Recording keeps going on the server while other tabs are open: ask for its state on mount
+    useEffect(() => {
+        const onRecordStatus = (status) => setRecording(!!status.recording);
+        socket.on('record:status', onRecordStatus);
+        socket.emit('record:status');
+        return () => socket.off('record:status', onRecordStatus);
+    }, []);
+
+    // Reader mode lives on the server per socket: turn it off on unmount and back on after a reconnect
+    useEffect(() => {
+        const onReaderStatus = ({ enabled, available }) => {
+            readerModeRef.current = enabled;
+            setReaderMode(enabled);
+            if (!enabled) setReaderContent(null);
+            if (!available) {
+                setFocusNotice('📖 El servidor no tiene OCR (tesseract.js) para el modo lectura');
+                setTimeout(() => setFocusNotice(null), 3000);
+            }
+        };
+        const onChatText = (content) => setReaderContent(content);
+        const onConnectReader = () => {
+            if (readerModeRef.current) socket.emit('chat:reader', { enabled: true });
+        };
+
+        socket.on('chat:reader', onReaderStatus);
+        socket.on('chat:text', onChatText);
+        socket.on('connect', onConnectReader);
+        return () => {
+            socket.off('chat:reader', onReaderStatus);
+            socket.off('chat:text', onChatText);
+            socket.off('connect', onConnectReader);
+            if (readerModeRef.current) socket.emit('chat:reader', { enabled: false });
         };
     }, []);
 
+    const toggleReader = () => {
+        socket.emit('chat:reader', { enabled: !readerMode });
+    };
+
+    const toggleRecording = () => {
+        socket.emit(recording ? 'record:stop' : 'record:start');
+    };
+
+    const takeSnapshot = async () => {
+        if (snapshotting) return;
+        setSnapshotting(true);
+        try {
+            const blob = await fetchSnapshot(snapshotMode, windowHandle);
+            await shareOrSaveSnapshot(blob, snapshotMode);
+        } catch (err) {
+            setFocusNotice(`📷 No se pudo capturar: ${err.message}`);
+            setTimeout(() => setFocusNotice(null), 3000);
+        }
+        setSnapshotting(false);
+    };
+
+    // The <video> element only exists in video mode; the track may have arrived before it
+    useEffect(() => {
+        if (videoMode && videoRef.current) {
+            videoRef.current.srcObject = videoStreamRef.current;
+        }
+    }, [videoMode]);
+
     // Handle crop update
     const updateCrop = (key, value) => {
         const newVal = parseInt(value, 10) || 0;
@@ -171,10 +390,12 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
     };
 
     const handleInteraction = (e) => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
+        const surface = videoMode ? videoRef.current : canvasRef.current;
+        // Taps are sent in frame pixels: the canvas is exactly one frame, the video may be scaled
+        const frameSize = videoMode ? videoFrameSizeRef.current : surface;
+        if (!surface || !frameSize || !canOperate) return;
 
-        const rect = canvas.getBoundingClientRect();
+        const rect = surface.getBoundingClientRect();
         let clientX, clientY;
 
         if (e.type.startsWith('touch')) {
@@ -188,8 +409,8 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
         const x = clientX - rect.left;
         const y = clientY - rect.top;
 
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
+        const scaleX = frameSize.width / rect.width;
+        const scaleY = frameSize.height / rect.height;
 
         const finalX = Math.round(x * scaleX);
         const finalY = Math.round(y * scaleY);
@@ -327,7 +548,7 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
             lastTouchPosRef.current = currentCenter;
             isDraggingRef.current = true;
 
-        } else if (e.touches.length === 3 && isThreeFingerRef.current && lastTouchPosRef.current) {
+        } else if (e.touches.length === 3 && isThreeFingerRef.current && lastTouchPosRef.current && canOperate) {
             // Three-finger scroll: scroll remote chat/terminal content
             e.preventDefault();
 
@@ -364,7 +585,7 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
                 isDraggingRef.current = true;
                 e.preventDefault(); // Prevent browser scroll/bounce
 
-                if (remoteScrollMode) {
+                if (remoteScrollMode && canOperate) {
                     // REMOTE SCROLL MODE (Priority): scroll chat content with sensitivity
                     // 0.1 provides smoother control
                     const scrollFactor = 0.1;
@@ -408,22 +629,40 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
     };
 
 
+    const surfaceStyle = {
+        width: '100%',
+        height: 'auto',
+        objectFit: 'contain',
+        boxShadow: '0 0 20px rgba(0,0,0,0.5)',
+        transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+        transformOrigin: '0 0',
+        touchAction: 'pan-x pan-y'
+    };
+
     return (
         <div
-            className={`stream-container ${inputMode ? 'input-active' : ''}`}
+            className={`stream-container ${inputMode ? 'input-active' : ''} ${readerMode ? 'reader-active' : ''}`}
             style={{
                 height: '100%',
                 display: 'flex',
-                flexDirection: 'column',
                 alignItems: 'center',
                 position: 'relative',
                 width: '100%',
                 overflow: 'hidden', // Main container doesn't scroll
             }}
         >
+            {/* Inactivity pause: the last frame stays under it (reconnection is shown by ConnectionBanner) */}
+            {paused && (
+                <div className="stream-paused" onClick={resumeStream}>
+                    <span>⏸ Stream en pausa por inactividad</span>
+                    <button className="stream-paused-btn">▶ Continuar</button>
+                </div>
+            )}
+
             {/* Scrollable Area for Content */}
             <div
                 ref={containerRef}
+                className="stream-scroll"
                 style={{
                     width: '100%',
                     height: '100%',
@@ -436,13 +675,6 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
                 }}
             >
 
-                {/* Connection Status Overlay - Only show if disconnected */}
-                {status !== 'Connected' && (
-                    <div className="status-indicator status-disconnected">
-                        {status}
-                    </div>
-                )}
-
                 {/* Focus Warning Toast */}
                 {focusNotice && (
                     <div className="focus-notice-overlay">
@@ -450,23 +682,28 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
                     </div>
                 )}
 
-                {/* The Stream */}
+                {/* The Stream: a canvas for frames, a video for the WebRTC transport */}
                 <canvas
                     ref={canvasRef}
                     onClick={handleInteraction}
                     onTouchStart={handleTouchStart}
                     onTouchMove={handleTouchMove}
                     onTouchEnd={handleTouchEnd}
-                    style={{
-                        width: '100%',
-                        height: 'auto',
-                        objectFit: 'contain',
-                        boxShadow: '0 0 20px rgba(0,0,0,0.5)',
-                        transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
-                        transformOrigin: '0 0',
-                        touchAction: 'pan-x pan-y'
-                    }}
+                    style={{ ...surfaceStyle, display: videoMode ? 'none' : undefined }}
                 />
+                {videoMode && (
+                    <video
+                        ref={videoRef}
+                        autoPlay
+                        playsInline
+                        muted
+                        onClick={handleInteraction}
+                        onTouchStart={handleTouchStart}
+                        onTouchMove={handleTouchMove}
+                        onTouchEnd={handleTouchEnd}
+                        style={surfaceStyle}
+                    />
+                )}
 
                 {/* Hidden Input for Keyboard */}
                 <input
@@ -493,7 +730,7 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
                 />
 
                 {/* Crop Modal Overlay */}
-                {showCropModal && (
+                {showCropModal && isAdmin && (
                     <div className="crop-modal-overlay" onClick={() => setShowCropModal(false)}>
                         <div className="crop-modal-content" onClick={(e) => e.stopPropagation()}>
                             <h3 style={{ marginTop: 0, marginBottom: '16px' }}>✂️ Ajustar Recorte</h3>
@@ -559,26 +796,87 @@ const StreamCanvas = ({ showCropModal: externalCropModal, onCloseCropModal, view
 
             </div>
 
+            {readerMode && <ReaderPanel content={readerContent} onClose={toggleReader} />}
+
             {/* Keyboard FAB - Now outside scrollable div, sits in main stream-container */}
-            <DraggableFab
-                className="fab-input"
-                onClick={toggleInputMode}
-                style={{
-                    position: 'absolute',
-                    bottom: inputMode ? '60px' : '16px',
-                    right: '16px',
-                    zIndex: 200
-                }}
-            >
-                {inputMode ? (
-                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m6 9 6 6 6-6" /></svg>
-                ) : (
-                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="20" height="16" x="2" y="4" rx="2" /><path d="m6 8 .001 0" /><path d="m10 8 .001 0" /><path d="m14 8 .001 0" /><path d="m18 8 .001 0" /><path d="m6 12 .001 0" /><path d="m10 12 .001 0" /><path d="m14 12 .001 0" /><path d="m18 12 .001 0" /><path d="m7 16 10 0" /></svg>
-                )}
-            </DraggableFab>
+            {canOperate && (
+                <DraggableFab
+                    className="fab-input"
+                    onClick={toggleInputMode}
+                    style={{
+                        position: 'absolute',
+                        bottom: inputMode ? '60px' : '16px',
+                        right: '16px',
+                        zIndex: 200
+                    }}
+                >
+                    {inputMode ? (
+                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m6 9 6 6 6-6" /></svg>
+                    ) : (
+                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="20" height="16" x="2" y="4" rx="2" /><path d="m6 8 .001 0" /><path d="m10 8 .001 0" /><path d="m14 8 .001 0" /><path d="m18 8 .001 0" /><path d="m6 12 .001 0" /><path d="m10 12 .001 0" /><path d="m14 12 .001 0" /><path d="m18 12 .001 0" /><path d="m7 16 10 0" /></svg>
+                    )}
+                </DraggableFab>
+            )}
 
-            {/* Remote Scroll Mode FAB - Only visible in 'chat' mode */}
+            {/* Recording FAB - records this view for playback in Settings > Grabaciones */}
+            {canOperate && (
+                <DraggableFab
+                    className={`fab-input ${recording ? 'active' : ''}`}
+                    onClick={toggleRecording}
+                    style={{
+                        position: 'absolute',
+                        top: '16px',
+                        right: '16px',
+                        zIndex: 200,
+                        color: recording ? '#ef4444' : undefined
+                    }}
+                    title={recording ? 'Detener grabación' : 'Grabar sesión'}
+                >
+                    {recording ? (
+                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2" /></svg>
+                    ) : (
+                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="12" r="9" /><circle cx="12" cy="12" r="4" fill="currentColor" /></svg>
+                    )}
+                </DraggableFab>
+            )}
+
+            {/* Snapshot FAB - PNG of the streamed region, shared or saved */}
+            {snapshotMode && (
+                <DraggableFab
+                    className="fab-input"
+                    onClick={takeSnapshot}
+                    style={{
+                        position: 'absolute',
+                        top: '16px',
+                        right: canOperate ? '80px' : '16px',
+                        zIndex: 200,
+                        opacity: snapshotting ? 0.5 : undefined
+                    }}
+                    title="Captura"
+                >
+                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M14.5 4h-5L7 7H4a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2h-3l-2.5-3z" /><circle cx="12" cy="13" r="3" /></svg>
+                </DraggableFab>
+            )}
+
+            {/* Reader Mode FAB - OCR text of the chat pane */}
             {viewMode === 'chat' && (
+                <DraggableFab
+                    className={`fab-input ${readerMode ? 'active' : ''}`}
+                    onClick={toggleReader}
+                    style={{
+                        position: 'absolute',
+                        top: '16px',
+                        right: canOperate ? '144px' : '80px',
+                        zIndex: 200
+                    }}
+                    title={readerMode ? 'Cerrar modo lectura' : 'Modo lectura'}
+                >
+                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z" /><path d="M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z" /></svg>
+                </DraggableFab>
+            )}
+
+            {/* Remote Scroll Mode FAB - Only visible in 'chat' mode */}
+            {viewMode === 'chat' && canOperate && (
                 <DraggableFab
                     className={`fab-input ${remoteScrollMode ? 'active' : ''}`}
                     onClick={() => {
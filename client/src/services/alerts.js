@@ -0,0 +1,75 @@
+// Chat alerts ('watch:alert', server lib/PaneWatcher.js), also used by the terminal watchers of the
+// Console, as system notifications. The server words them: { title, body, tag }.
+// With a push subscription the service worker (public/sw.js) shows them, also with the app closed;
+// without one they are shown from the page while it is open.
+import { socket } from './socket';
+
+export const notificationsSupported = () => 'Notification' in window;
+
+// Push needs a service worker, which browsers only allow on https or localhost
+export const pushSupported = () => window.isSecureContext && 'serviceWorker' in navigator && 'PushManager' in window;
+
+const getPushSubscription = async () => {
+    if (!pushSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// VAPID keys travel as base64url; PushManager wants the raw bytes
+const base64UrlToBytes = (value) => {
+    const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+/**
+ * Asks for notification permission and, where supported, subscribes this device to push alerts.
+ * @param {string} vapidPublicKey - From 'watch:config'
+ * @param {{ push?: boolean }} [options] - push: false only asks for permission (viewers can't subscribe)
+ * @returns {Promise<NotificationPermission|'unsupported'>}
+ */
+export const enableNotifications = async (vapidPublicKey, { push = true } = {}) => {
+    if (!notificationsSupported()) return 'unsupported';
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted' || !push || !pushSupported()) return permission;
+
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    const key = base64UrlToBytes(vapidPublicKey);
+    const sameServer = subscription && subscription.options.applicationServerKey &&
+        new Uint8Array(subscription.options.applicationServerKey).every((byte, i) => byte === key[i]);
+    if (subscription && !sameServer) {
+        await subscription.unsubscribe();
+        subscription = null;
+    }
+    if (!subscription) {
+        subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+    }
+    socket.emit('watch:subscribePush', { subscription: subscription.toJSON() });
+    return permission;
+};
+
+export const disablePush = async () => {
+    const subscription = await getPushSubscription();
+    if (subscription) await subscription.unsubscribe();
+    socket.emit('watch:subscribePush', { subscription: null });
+};
+
+/**
+ * Shows an alert received over the socket, unless push already delivers it to this device.
+ */
+export const showAlert = async (alert) => {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+    if (await getPushSubscription()) return;
+
+    const { title, body, tag } = alert;
+    const options = { body, tag, renotify: true, timestamp: alert.timestamp };
+    // Mobile browsers only show notifications through a service worker
+    const registration = window.isSecureContext && 'serviceWorker' in navigator
+        ? await navigator.serviceWorker.getRegistration()
+        : null;
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        new Notification(title, options);
+    }
+};
@@ -0,0 +1,27 @@
+// REST endpoints of the connected server, authenticated with the device token
+import { getConnectedUrl, getDeviceToken } from './socket';
+
+export const apiFetch = async (path, options = {}) => {
+    const response = await fetch(`${getConnectedUrl()}${path}`, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${getDeviceToken()}` }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response;
+};
+
+// Saves a Blob through a temporary link to an object URL
+export const saveBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Downloads with the token in the header: in a link's URL it would end up in the browser
+// history and in proxy and access logs
+export const downloadApiFile = async (path, fileName) => {
+    saveBlob(await (await apiFetch(path)).blob(), fileName);
+};
@@ -0,0 +1,82 @@
+// Binary stream frames: header layout mirrors server/lib/frames.js (little-endian)
+const ENCODING_TYPES = {
+    1: 'image/jpeg',
+    2: 'image/png',
+    3: 'image/webp'
+};
+
+// Binary frames need createImageBitmap; browsers without it keep receiving base64 strings
+export const supportsBinaryFrames = () =>
+    typeof createImageBitmap === 'function' && typeof Blob !== 'undefined';
+
+export const supportsWebRtc = () => typeof RTCPeerConnection === 'function';
+
+// Video mode (WebRTC) is opt-in from Settings; it needs a reconnect to be negotiated
+export const isVideoModePreferred = () => localStorage.getItem('streamVideoMode') === 'true';
+
+export const setVideoModePreferred = (enabled) => {
+    localStorage.setItem('streamVideoMode', enabled ? 'true' : 'false');
+};
+
+// Sent in the handshake, most preferred first. The server skips 'webrtc' if it cannot serve it.
+export const getFrameTransports = () => {
+    const transports = supportsBinaryFrames() ? ['tiles', 'binary', 'base64'] : ['base64'];
+    return isVideoModePreferred() && supportsWebRtc() ? ['webrtc', ...transports] : transports;
+};
+
+const TILE_ENTRY_LENGTH = 12;
+const FLAG_KEYFRAME = 0x01;
+
+export const decodeFrameHeader = (buffer) => {
+    const view = new DataView(buffer);
+    return {
+        version: view.getUint8(0),
+        type: ENCODING_TYPES[view.getUint8(1)] || 'image/jpeg',
+        headerLength: view.getUint16(2, true),
+        seq: view.getUint32(4, true),
+        timestamp: view.getFloat64(8, true),
+        rect: {
+            x: view.getInt32(16, true),
+            y: view.getInt32(20, true),
+            width: view.getUint32(24, true),
+            height: view.getUint32(28, true)
+        }
+    };
+};
+
+// Decodes a 'frame:binary' payload off the main thread
+export const decodeFrame = async (buffer) => {
+    const header = decodeFrameHeader(buffer);
+    const blob = new Blob([new Uint8Array(buffer, header.headerLength)], { type: header.type });
+    const bitmap = await createImageBitmap(blob);
+    return { header, bitmap };
+};
+
+// Decodes a 'frame:tiles' payload: only the tiles that changed, or every tile of a keyframe
+export const decodeTileFrame = async (buffer) => {
+    const header = decodeFrameHeader(buffer);
+    const view = new DataView(buffer);
+    const tileCount = view.getUint16(34, true);
+    const entries = [];
+    let dataOffset = header.headerLength + tileCount * TILE_ENTRY_LENGTH;
+
+    for (let i = 0; i < tileCount; i++) {
+        const offset = header.headerLength + i * TILE_ENTRY_LENGTH;
+        const length = view.getUint32(offset + 8, true);
+        entries.push({
+            x: view.getUint16(offset, true),
+            y: view.getUint16(offset + 2, true),
+            blob: new Blob([new Uint8Array(buffer, dataOffset, length)], { type: header.type })
+        });
+        dataOffset += length;
+    }
+
+    const bitmaps = await Promise.all(entries.map(e => createImageBitmap(e.blob)));
+    return {
+        header,
+        keyframe: (view.getUint8(32) & FLAG_KEYFRAME) !== 0,
+        width: view.getUint16(36, true),
+        height: view.getUint16(38, true),
+        tiles: entries.map((e, i) => ({ x: e.x, y: e.y, bitmap: bitmaps[i] }))
+    };
+};
@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+
+// Ordered like server/lib/permissions.js: each role includes the previous ones
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (role, requiredRole) => {
+    const index = ROLES.indexOf(role);
+    return index !== -1 && index >= ROLES.indexOf(requiredRole);
+};
+
+// Role of this device, provided by App from the server's auth:status
+export const RoleContext = createContext('viewer');
+
+export const useRole = () => useContext(RoleContext);
+
+export const useHasRole = (requiredRole) => hasRole(useRole(), requiredRole);
@@ -0,0 +1,41 @@
+// Installable app (PWA): the service worker (public/sw.js) caches the shell and shows pushed alerts
+import { socket } from './socket';
+
+// Browsers only allow service workers on https or localhost
+export const registerServiceWorker = async () => {
+    if (!window.isSecureContext || !('serviceWorker' in navigator)) return null;
+    try {
+        return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    } catch (err) {
+        console.error('Service worker registration failed:', err);
+        return null;
+    }
+};
+
+// The tab shown when the app was last used, restored when it is opened again
+export const getLastTab = () => localStorage.getItem('lastTab');
+
+export const setLastTab = (tab) => {
+    localStorage.setItem('lastTab', tab);
+};
+
+/**
+ * Reconnects as soon as the phone wakes up or gets a network back, instead of waiting for the
+ * next reconnection attempt (or none, once Socket.IO has given up).
+ * @returns {() => void} Removes the listeners
+ */
+export const reconnectOnWake = () => {
+    const reconnect = () => {
+        if (document.visibilityState === 'visible' && navigator.onLine && !socket.connected) {
+            socket.connect();
+        }
+    };
+    document.addEventListener('visibilitychange', reconnect);
+    window.addEventListener('online', reconnect);
+    window.addEventListener('pageshow', reconnect);
+    return () => {
+        document.removeEventListener('visibilitychange', reconnect);
+        window.removeEventListener('online', reconnect);
+        window.removeEventListener('pageshow', reconnect);
+    };
+};
@@ -0,0 +1,83 @@
+// Session recordings: REST endpoints and the .rec format, mirroring server/lib/recordingFormat.js (little-endian)
+import { apiFetch, downloadApiFile } from './api';
+
+const MAGIC = 'RREC';
+const RECORD_HEADER_LENGTH = 16;
+const RECORD_FRAME = 1;
+const RECORD_INPUT = 2;
+
+const ENCODING_TYPES = {
+    1: 'image/jpeg',
+    2: 'image/png',
+    3: 'image/webp'
+};
+
+// Newest first; recordings still running have recording: true
+export const fetchRecordings = async () => (await apiFetch('/api/recordings')).json();
+
+export const downloadRecording = async (id) => (await apiFetch(`/api/recordings/${encodeURIComponent(id)}`)).arrayBuffer();
+
+// Finished recordings only (409 while recording)
+export const deleteRecording = async (id) => {
+    await apiFetch(`/api/recordings/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+// Saves the .rec file
+export const saveRecording = (id) => downloadApiFile(`/api/recordings/${encodeURIComponent(id)}`, `${id}.rec`);
+
+// Frames keep their images as Blobs; a truncated last record is dropped
+export const parseRecording = (buffer) => {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (magic !== MAGIC) throw new Error('Not a session recording');
+
+    const recording = {
+        version: view.getUint8(4),
+        startedAt: view.getFloat64(8, true),
+        durationMs: 0,
+        frames: [],
+        inputs: []
+    };
+    const decoder = new TextDecoder();
+
+    let offset = view.getUint16(6, true);
+    while (offset + RECORD_HEADER_LENGTH <= buffer.byteLength) {
+        const type = view.getUint8(offset);
+        const time = view.getUint32(offset + 4, true);
+        const length = view.getUint32(offset + 12, true);
+        const start = offset + RECORD_HEADER_LENGTH;
+        if (start + length > buffer.byteLength) break;
+        const payload = new Uint8Array(buffer, start, length);
+
+        if (type === RECORD_FRAME) {
+            recording.frames.push({
+                time,
+                width: view.getUint16(offset + 8, true),
+                height: view.getUint16(offset + 10, true),
+                blob: new Blob([payload], { type: ENCODING_TYPES[view.getUint8(offset + 1)] || 'image/jpeg' })
+            });
+        } else if (type === RECORD_INPUT) {
+            recording.inputs.push({ time, event: JSON.parse(decoder.decode(payload)) });
+        }
+        recording.durationMs = Math.max(recording.durationMs, time);
+        offset = start + length;
+    }
+    return recording;
+};
+
+// Index of the frame showing at `time` (the last one at or before it)
+export const frameIndexAt = (frames, time) => {
+    let low = 0;
+    let high = frames.length - 1;
+    let found = 0;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (frames[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+};
@@ -0,0 +1,37 @@
+// Stills of the streamed region (GET /api/snapshot), shared or saved from the stream view
+import { apiFetch, saveBlob } from './api';
+
+/**
+ * @param {'chat'|'terminal'|'window'} mode
+ * @param {string} [handle] - Window handle for 'window'
+ * @returns {Promise<Blob>} PNG
+ */
+export const fetchSnapshot = async (mode, handle) => {
+    const params = new URLSearchParams({ mode });
+    if (handle) params.set('handle', handle);
+    return (await apiFetch(`/api/snapshot?${params}`)).blob();
+};
+
+const snapshotFileName = (mode) => `${mode}-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+
+/**
+ * Shares the image with the Web Share API where files can be shared (mobile browsers),
+ * otherwise downloads it.
+ * @returns {Promise<'shared'|'saved'|'cancelled'>}
+ */
+export const shareOrSaveSnapshot = async (blob, mode) => {
+    const file = new File([blob], snapshotFileName(mode), { type: 'image/png' });
+
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: file.name });
+            return 'shared';
+        } catch (err) {
+            if (err.name === 'AbortError') return 'cancelled';
+            // Share sheet unavailable (e.g. no user activation left): fall back to saving
+        }
+    }
+
+    saveBlob(blob, file.name);
+    return 'saved';
+};
@@ -1,4 +1,17 @@
 import { io } from 'socket.io-client';
+import { getFrameTransports } from './frames';
+
+// Secure mode (https/wss) is chosen in Settings; without a choice, follow the page's own protocol
+export const isSecureModePreferred = () => {
+    const saved = localStorage.getItem('serverSecure');
+    if (saved !== null) return saved === 'true';
+    return window.location.protocol === 'https:';
+};
+
+const withProtocol = (url) => {
+    if (/^https?:\/\//.test(url)) return url;
+    return `${isSecureModePreferred() ? 'https' : 'http'}://${url}`;
+};
 
 // Connect to the server. 
 // Check localStorage for custom URL first, fallback to auto-detection
@@ -7,28 +20,94 @@ const getServerUrl = () => {
     const params = new URLSearchParams(window.location.search);
     const queryServer = params.get('server');
     if (queryServer) {
-         return queryServer.startsWith('http') ? queryServer : `http://${queryServer}`;
+         return withProtocol(queryServer);
     }
 
     // Priority 2: LocalStorage
     const savedUrl = localStorage.getItem('serverUrl');
     if (savedUrl) {
-        // Ensure it has http:// prefix
-        return savedUrl.startsWith('http') ? savedUrl : `http://${savedUrl}`;
+        return withProtocol(savedUrl);
     }
     // Default: same host, port 3001
-    return `http://${window.location.hostname}:3001`;
+    return withProtocol(`${window.location.hostname}:3001`);
 };
 
 const URL = getServerUrl();
 console.log('Connecting to server:', URL);
 
+// Long-lived token obtained by pairing this device with the server
+export const getDeviceToken = () => localStorage.getItem('deviceToken');
+
+export const setDeviceToken = (token) => {
+    if (token) {
+        localStorage.setItem('deviceToken', token);
+    } else {
+        localStorage.removeItem('deviceToken');
+    }
+};
+
 export const socket = io(URL, {
     autoConnect: true,
     reconnection: true,
     reconnectionAttempts: 10,
     reconnectionDelay: 1000,
+    // Evaluated on every (re)connect so a freshly paired token is picked up.
+    // frameTransports negotiates binary frames vs. legacy base64 strings.
+    auth: (cb) => cb({ token: getDeviceToken(), frameTransports: getFrameTransports() }),
 });
 
+// Reconnect so the server re-evaluates the handshake token
+export const reconnectWithToken = (token) => {
+    setDeviceToken(token);
+    socket.disconnect().connect();
+};
+
+// Reconnect so the server renegotiates the frame transport
+export const reconnectSocket = () => {
+    socket.disconnect().connect();
+};
+
 // Export URL for display purposes
 export const getConnectedUrl = () => URL;
+
+// Latest server:info (TLS status and certificate fingerprint). It arrives right after
+// connecting, possibly before the settings panel mounts, so keep it here.
+let serverInfo = null;
+socket.on('server:info', (info) => {
+    serverInfo = info;
+});
+
+export const getServerInfo = () => serverInfo;
+
+// Frame transport picked by the server ('stream:transport'), also sent right after connecting
+let streamTransport = null;
+socket.on('stream:transport', ({ transport }) => {
+    streamTransport = transport;
+});
+socket.on('disconnect', () => {
+    streamTransport = null;
+});
+
+export const getStreamTransport = () => streamTransport;
+
+// Certificate fingerprints the user compared by hand, per server URL: a later change is flagged
+const readPinnedFingerprints = () => {
+    try {
+        return JSON.parse(localStorage.getItem('pinnedFingerprints')) || {};
+    } catch {
+        return {};
+    }
+};
+
+export const getPinnedFingerprint = () => readPinnedFingerprints()[URL] || null;
+
+export const pinFingerprint = (fingerprint) => {
+    const pinned = readPinnedFingerprints();
+    pinned[URL] = fingerprint;
+    localStorage.setItem('pinnedFingerprints', JSON.stringify(pinned));
+};
+
+// A handler that failed on the server (e.g. the desktop backend threw); the UI just waits on its answer
+socket.on('server:error', ({ event, message }) => {
+    console.error(`Server error handling ${event}:`, message);
+});
@@ -0,0 +1,60 @@
+import { socket } from './socket';
+
+const REPORT_INTERVAL_MS = 2000;
+
+// Adaptive streaming feedback: every couple of seconds, tells the server how many frames
+// actually arrived, how long they took to decode and draw, and the socket round-trip time.
+// The server answers with 'stream:adaptive' (see server/lib/adaptive.js).
+export const createStatsReporter = () => {
+    let frames = 0;
+    let decodeTotal = 0;
+    let windowStart = performance.now();
+    let rtt = 0;
+    let timer = null;
+
+    const measureRtt = () => {
+        if (!socket.connected) return;
+        const sentAt = performance.now();
+        socket.timeout(REPORT_INTERVAL_MS).emit('stream:ping', (err) => {
+            rtt = err ? REPORT_INTERVAL_MS : performance.now() - sentAt;
+        });
+    };
+
+    const report = () => {
+        const now = performance.now();
+        const seconds = (now - windowStart) / 1000;
+        if (socket.connected && seconds > 0) {
+            socket.emit('stream:stats', {
+                fps: Math.round((frames / seconds) * 10) / 10,
+                decodeMs: frames > 0 ? Math.round((decodeTotal / frames) * 10) / 10 : 0,
+                rtt: Math.round(rtt)
+            });
+        }
+        frames = 0;
+        decodeTotal = 0;
+        windowStart = now;
+        measureRtt();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        // Every frame received counts, including the ones dropped as stale
+        recordFrame: (decodeMs) => {
+            frames++;
+            decodeTotal += decodeMs;
+        },
+        start: () => {
+            stop();
+            frames = 0;
+            decodeTotal = 0;
+            windowStart = performance.now();
+            measureRtt();
+            timer = setInterval(report, REPORT_INTERVAL_MS);
+        },
+        stop
+    };
+};
@@ -0,0 +1,74 @@
+import { socket } from './socket';
+
+// Receiving side of the 'webrtc' frame transport; signaling goes over the socket
+// (see server/lib/WebRTCManager.js). The server sends the offer, we answer.
+export const createVideoReceiver = ({ onStream }) => {
+    let session = null; // { pc, remoteSet, markRemoteSet }
+
+    const stop = () => {
+        if (session) session.pc.close();
+        session = null;
+    };
+
+    const fail = (reason, error) => {
+        console.error(`WebRTC ${reason}:`, error);
+        stop();
+        socket.emit('webrtc:failed');
+    };
+
+    const onOffer = async ({ sdp }) => {
+        const current = session;
+        if (!current) return;
+        try {
+            await current.pc.setRemoteDescription({ type: 'offer', sdp });
+            current.markRemoteSet();
+            const answer = await current.pc.createAnswer();
+            await current.pc.setLocalDescription(answer);
+            socket.emit('webrtc:answer', { sdp: answer.sdp });
+        } catch (e) {
+            if (current === session) fail('answer failed', e);
+        }
+    };
+
+    // Candidates can arrive before the offer has been applied
+    const onCandidate = (candidate) => {
+        const current = session;
+        if (!current) return;
+        current.remoteSet
+            .then(() => current.pc.addIceCandidate(candidate))
+            .catch((e) => console.warn('WebRTC candidate rejected:', e));
+    };
+
+    const start = () => {
+        stop();
+        const pc = new RTCPeerConnection({ iceServers: [] });
+        const current = { pc };
+        current.remoteSet = new Promise((resolve) => { current.markRemoteSet = resolve; });
+        session = current;
+
+        pc.ontrack = (e) => onStream(e.streams[0] || new MediaStream([e.track]));
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate && candidate.candidate) socket.emit('webrtc:candidate', candidate.toJSON());
+        };
+        pc.onconnectionstatechange = () => {
+            if (current === session && pc.connectionState === 'failed') {
+                fail('connection failed', pc.connectionState);
+            }
+        };
+
+        socket.emit('webrtc:start');
+    };
+
+    socket.on('webrtc:offer', onOffer);
+    socket.on('webrtc:candidate', onCandidate);
+
+    return {
+        start,
+        stop,
+        dispose: () => {
+            stop();
+            socket.off('webrtc:offer', onOffer);
+            socket.off('webrtc:candidate', onCandidate);
+        }
+    };
+};
@@ -3,7 +3,8 @@ const path = require('path');
 
 class ConfigManager {
     constructor() {
-        this.configPath = path.join(__dirname, 'config.json');
+        // SERVER_DATA_DIR keeps config.json (and devices.json) out of the source tree, e.g. for tests
+        this.configPath = path.join(process.env.SERVER_DATA_DIR || __dirname, 'config.json');
         this.defaults = {
             // Global settings (shared across all clients)
             global: {
@@ -36,6 +37,7 @@ class ConfigManager {
                 quality: 30,
                 qualityMin: 30,
                 qualityMax: 100,
+                adaptiveStreaming: true, // Lower quality/fps/resolution per client from its feedback (lib/adaptive.js)
 
                 // Input defaults
                 scrollSensitivity: 1.0,
@@ -55,6 +57,74 @@ class ConfigManager {
                 lowResourceDetectionInterval: 5000,
                 imageDownscale: 1.0,
 
+                // HTTPS/WSS serving (read at startup only; edit config.json and restart)
+                tls: {
+                    enabled: false,
+                    certPath: null, // Relative to server/; both null = self-signed in server/certs (SERVER_DATA_DIR/certs if set)
+                    keyPath: null
+                },
+
+                // WebRTC video mode; LAN peers connect with host candidates, STUN/TURN only across networks
+                webrtc: {
+                    iceServers: [] // e.g. [{ "urls": "stun:stun.l.google.com:19302" }]
+                },
+
+                // Session recordings (lib/SessionRecorder.js): frames per second written and JPEG quality
+                // of frames encoded only for the recording (tiles/WebRTC clients). Before each new
+                // recording, finished ones older than retentionDays are deleted, then the oldest while
+                // all of them take more than maxTotalMB (0 = no limit)
+                recording: {
+                    fps: 2,
+                    quality: 50,
+                    retentionDays: 30,
+                    maxTotalMB: 2048
+                },
+
+                // Reader mode (lib/OcrReader.js): tesseract language code(s), e.g. "eng" or "spa+eng",
+                // and the minimum time between recognitions per client (ms)
+                ocr: {
+                    language: 'eng',
+                    interval: 2000
+                },
+
+                // System terminals (terminalManager.js):
+                // - scrollback: characters of output kept per terminal and replayed to clients that
+                //   attach (term:attach), e.g. after reconnecting
+                // - resizePolicy: pty size of shared terminals, 'smallest' viewer or 'owner' (the
+                //   driving device)
+                // - logging: whether new terminals log their output to terminal-logs/
+                // - logMaxMB: raw output logged per terminal, after which its log stops
+                // - logRetentionDays: logs not written to for longer are deleted (null keeps them)
+                // - alertCooldown: least time between two alerts of the same output watcher (ms)
+                // - profiles: what new terminals start, { id, name, shell, args, cwd, env,
+                //   startupCommand }; missing fields mean the platform shell (lib/terminalProfiles.js)
+                terminal: {
+                    scrollback: 256 * 1024,
+                    resizePolicy: 'smallest',
+                    logging: false,
+                    logMaxMB: 50,
+                    logRetentionDays: 14,
+                    alertCooldown: 30000,
+                    profiles: [
+                        { id: 'shell', name: 'Shell' }
+                    ]
+                },
+
+                // Chat alerts (lib/PaneWatcher.js): how often the chat pane is compared (ms), how
+                // close a pattern must match (0-1), the contact sent to push services with alerts
+                // and the hosts (and their subdomains) push subscriptions may point to
+                watch: {
+                    interval: 1000,
+                    patternThreshold: 0.9,
+                    vapidSubject: 'mailto:remote-control@localhost',
+                    pushServices: [
+                        'fcm.googleapis.com', // Chrome, Edge, Opera, Samsung Internet
+                        'push.services.mozilla.com', // Firefox
+                        'push.apple.com', // Safari
+                        'notify.windows.com' // Legacy Edge
+                    ]
+                },
+
                 // Console settings
                 console: {
                     fontSize: 14,
@@ -129,7 +199,8 @@ class ConfigManager {
             clients: new Map() // socketId -> client config
         };
 
-        this.loadConfig();
+        // Resolves once config.json has been read; startup code that needs it awaits this
+        this.ready = this.loadConfig();
     }
 
     async loadConfig() {
@@ -218,6 +289,10 @@ class ConfigManager {
             sanitized.quality = Math.max(this.config.global.qualityMin, Math.min(this.config.global.qualityMax, updates.quality));
         }
 
+        if (updates.adaptiveStreaming !== undefined) {
+            sanitized.adaptiveStreaming = !!updates.adaptiveStreaming;
+        }
+
         // Input settings
         if (updates.scrollSensitivity !== undefined) {
             sanitized.scrollSensitivity = Math.max(0.1, Math.min(5.0, updates.scrollSensitivity));
@@ -396,6 +471,7 @@ class ConfigManager {
             quality: client.quality !== null ? client.quality : global.quality,
             qualityMin: global.qualityMin,
             qualityMax: global.qualityMax,
+            adaptiveStreaming: global.adaptiveStreaming,
 
             // Input settings
             scrollSensitivity: client.scrollSensitivity !== null ? client.scrollSensitivity : global.scrollSensitivity,
@@ -414,10 +490,7 @@ class ConfigManager {
             fabPosition: client.fabPosition,
 
             // Crop settings based on view mode
-            cropTop: viewMode === 'chat' ? global.chatCrop.top : global.terminalCrop.top,
-            cropBottom: viewMode === 'chat' ? global.chatCrop.bottom : global.terminalCrop.bottom,
-            cropLeft: viewMode === 'chat' ? global.chatCrop.left : global.terminalCrop.left,
-            cropRight: viewMode === 'chat' ? global.chatCrop.right : global.terminalCrop.right,
+            ...this.getCropConfig(viewMode),
 
             // Console settings (with inheritance)
             console: {
@@ -435,6 +508,12 @@ class ConfigManager {
         return effective;
     }
 
+    // Manual crop of a view mode (chat uses chatCrop, every other mode terminalCrop)
+    getCropConfig(viewMode) {
+        const crop = viewMode === 'chat' ? this.config.global.chatCrop : this.config.global.terminalCrop;
+        return { cropTop: crop.top, cropBottom: crop.bottom, cropLeft: crop.left, cropRight: crop.right };
+    }
+
     // Utility methods for backward compatibility
     getScreenConfig() { return this.config.global.screenConfig; }
     getChatCrop() { return this.config.global.chatCrop; }
@@ -450,6 +529,12 @@ class ConfigManager {
     getDefaultShowDebugLines() { return this.config.global.showDebugLines; }
     getDefaultAutoActivateWindow() { return this.config.global.autoActivateWindow; }
     getConsoleConfig() { return this.config.global.console; }
+    getTlsConfig() { return { ...this.defaults.global.tls, ...this.config.global.tls }; }
+    getWebRtcConfig() { return { ...this.defaults.global.webrtc, ...this.config.global.webrtc }; }
+    getRecordingConfig() { return { ...this.defaults.global.recording, ...this.config.global.recording }; }
+    getOcrConfig() { return { ...this.defaults.global.ocr, ...this.config.global.ocr }; }
+    getWatchConfig() { return { ...this.defaults.global.watch, ...this.config.global.watch }; }
+    getTerminalConfig() { return { ...this.defaults.global.terminal, ...this.config.global.terminal }; }
 
     // Low-resource mode helpers
     isLowResourceMode() { return !!this.config.global.lowResourceMode; }
@@ -1,10 +1,7 @@
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const { Server } = require('socket.io');
-const screenshot = require('screenshot-desktop');
-const { Jimp } = require('jimp');
-const robot = require('robotjs');
-const scrollWorker = require('./lib/scroll-worker');
 const cors = require('cors');
 
 const config = require('./config');
@@ -17,38 +14,265 @@ if (lowResourceArg) {
     console.log('\x1b[33m%s\x1b[0m', '🚀 Low-Resource Mode activated via CLI argument');
 }
 
-const { getActiveFocus, getOpenWindows, ensureWindowActive, ensureWindowActiveByHandle } = require('./window-detector');
+// CLI Argument for HTTPS/WSS (overrides tls.enabled from config.json for this run)
+const httpsArg = process.argv.includes('--https');
+
+const desktop = require('./lib/desktop');
 const terminalManager = require('./terminalManager');
 
 const clientManager = require('./lib/ClientManager');
 const StreamEngine = require('./lib/StreamEngine');
+const authManager = require('./lib/AuthManager');
+const webrtcManager = require('./lib/WebRTCManager');
+const sessionRecorder = require('./lib/SessionRecorder');
+const ocrReader = require('./lib/OcrReader');
+const paneWatcher = require('./lib/PaneWatcher');
+const { loadTlsCredentials } = require('./lib/tls');
+const { hasRole, requiredRoleFor } = require('./lib/permissions');
+const { parseReport } = require('./lib/adaptive');
+const { toLogicalPoint } = require('./lib/monitors');
 
 const app = express();
 app.use(cors());
 
-const server = http.createServer(app);
-const io = new Server(server, {
+// Session recordings (lib/SessionRecorder.js): what an operator saw and did, so each device gets
+// its own and admins all of them
+function canAccessRecording(device, summary) {
+    return hasRole(device.role, 'admin') || summary.deviceId === device.id;
+}
+
+// Resolves the recording of :id for the requesting device, or answers 404/403 and resolves null
+async function findRecording(req, res) {
+    const summary = await sessionRecorder.getSummary(req.params.id);
+    if (!summary) {
+        res.status(404).json({ error: 'Recording not found' });
+        return null;
+    }
+    if (!canAccessRecording(req.device, summary)) {
+        res.status(403).json({ error: 'Recording of another device' });
+        return null;
+    }
+    return summary;
+}
+
+app.get('/api/recordings', authManager.httpMiddleware(), async (req, res) => {
+    res.json((await sessionRecorder.list()).filter(summary => canAccessRecording(req.device, summary)));
+});
+
+app.get('/api/recordings/:id', authManager.httpMiddleware(), async (req, res) => {
+    if (!(await findRecording(req, res))) return;
+    const file = sessionRecorder.getRecordingFile(req.params.id);
+    if (!file) {
+        res.status(404).json({ error: 'Recording not found' });
+        return;
+    }
+    res.download(file, `${req.params.id}.rec`);
+});
+
+app.delete('/api/recordings/:id', authManager.httpMiddleware(), async (req, res) => {
+    const summary = await findRecording(req, res);
+    if (!summary) return;
+    if (summary.recording) {
+        res.status(409).json({ error: 'Recording in progress' });
+        return;
+    }
+    await sessionRecorder.remove(summary.id);
+    res.status(204).end();
+});
+
+// Logs of system terminals (terminalManager.setLogging) by log id, also after the terminal exits,
+// for operators like the terminals
+function requireOperator(req, res) {
+    if (hasRole(req.device.role, 'operator')) return true;
+    res.status(403).json({ error: 'Operator role required' });
+    return false;
+}
+
+app.get('/api/terminal-logs', authManager.httpMiddleware(), async (req, res) => {
+    if (!requireOperator(req, res)) return;
+    res.json(await terminalManager.listLogs());
+});
+
+app.get('/api/terminal-logs/:logId', authManager.httpMiddleware(), async (req, res) => {
+    if (!requireOperator(req, res)) return;
+    const format = req.query.format === 'raw' ? 'raw' : 'text';
+    const file = await terminalManager.getLogFile(req.params.logId, format);
+    if (!file) {
+        res.status(404).json({ error: 'Log not found' });
+        return;
+    }
+    res.download(file, `terminal-${req.params.logId}.${format === 'raw' ? 'log' : 'txt'}`);
+});
+
+// Still of the streamed region (StreamEngine.snapshot), for paired devices
+const SNAPSHOT_MODES = ['chat', 'terminal', 'window'];
+
+app.get('/api/snapshot', authManager.httpMiddleware(), async (req, res) => {
+    const { mode = 'chat', handle } = req.query;
+    if (!SNAPSHOT_MODES.includes(mode) || (mode === 'window' && !handle)) {
+        res.status(400).json({ error: `mode must be one of ${SNAPSHOT_MODES.join(', ')}; window needs a handle` });
+        return;
+    }
+
+    try {
+        const snapshot = await streamEngine.snapshot({ mode, handle, deviceId: req.device.id });
+        if (!snapshot) {
+            res.status(404).json({ error: 'Window not found' });
+            return;
+        }
+        res.type('png').set('Cache-Control', 'no-store').send(snapshot.image);
+    } catch (err) {
+        console.error('Snapshot error:', err);
+        res.status(500).json({ error: 'Snapshot failed' });
+    }
+});
+
+// Attached to the HTTP or HTTPS server once config.json has been loaded
+const io = new Server({
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
     }
 });
 
+io.use(authManager.socketMiddleware());
+
+// Sockets of paired devices join this room; broadcasts go only to them
+const DEVICES_ROOM = 'devices';
+
 const streamEngine = new StreamEngine(io);
 let vscodeSocket = null;
+let tlsInfo = { enabled: false, fingerprint: null, selfSigned: false };
+
+// Disconnects every socket belonging to a revoked device
+function disconnectDevice(deviceId) {
+    for (const s of io.sockets.sockets.values()) {
+        if (s.data.device && s.data.device.id === deviceId) {
+            s.emit('auth:revoked');
+            s.disconnect(true);
+        }
+    }
+}
 
-// Helper to get DPI scale
-function getDpiScale(width, height) {
-    const logical = robot.getScreenSize();
-    return {
-        x: width / logical.width,
-        y: height / logical.height
-    };
+function emitToDevice(deviceId, event, data) {
+    for (const s of io.sockets.sockets.values()) {
+        if (s.data.device && s.data.device.id === deviceId) {
+            s.emit(event, data);
+        }
+    }
 }
 
+function emitToAdmins(event, data) {
+    for (const s of io.sockets.sockets.values()) {
+        if (hasRole(clientManager.getRole(s.id), 'admin')) {
+            s.emit(event, data);
+        }
+    }
+}
+
+// Inactivity pause (ClientManager.checkInactivity): the client shows it, and any input or
+// 'view:setMode' wakes the stream up again
+clientManager.setPauseListener((socketId, paused) => {
+    const s = io.sockets.sockets.get(socketId);
+    if (s) s.emit('stream:paused', { paused });
+    if (!paused) streamEngine.reschedule();
+});
+
+// System terminals belong to the server: their output goes to the sockets attached to each one
+// (room term:<id>), so a client that reconnects attaches again and gets the scrollback first.
+// 'term:session' is per socket: it tells each one whether its device drives the terminal.
+const terminalRoom = (id) => `term:${id}`;
+
+function emitTerminalSession(s, id) {
+    const session = terminalManager.getSession(id, s.data.device.id);
+    if (session) s.emit('term:session', session);
+}
+
+// The terminal list (names, profiles) is the same for every operator, and so is the list of the
+// closed ones that can be reopened
+function emitTerminalList() {
+    const list = terminalManager.listTerminals();
+    const closed = terminalManager.listClosed();
+    for (const s of io.sockets.sockets.values()) {
+        if (hasRole(clientManager.getRole(s.id), 'operator')) {
+            s.emit('term:list', list);
+            s.emit('term:closed', closed);
+        }
+    }
+}
+
+terminalManager.setListeners({
+    onData: (id, data) => io.to(terminalRoom(id)).emit('term:data', { id, data }),
+    onExit: (id, { exitCode, signal }) => {
+        io.to(terminalRoom(id)).emit('term:exit', { id, exitCode, signal });
+        io.in(terminalRoom(id)).socketsLeave(terminalRoom(id));
+        emitTerminalList();
+    },
+    onSession: (id) => {
+        for (const socketId of terminalManager.getViewers(id)) {
+            const s = io.sockets.sockets.get(socketId);
+            if (s) emitTerminalSession(s, id);
+        }
+    },
+    onWatchers: (id) => io.to(terminalRoom(id)).emit('term:watchers', { id, watchers: terminalManager.getWatchers(id) }),
+    onLogError: (id, message) => {
+        io.to(terminalRoom(id)).emit('term:error', { id, message });
+        emitTerminalList();
+    },
+    // Every paired device hears about it, through the chat alerts' channel (socket and Web Push)
+    onAlert: (id, alert) => {
+        // Terminal output is for those allowed to read it, as in GET /api/terminal-logs
+        for (const device of authManager.listDevices().filter(d => hasRole(d.role, 'operator'))) {
+            paneWatcher.alert(device.id, { type: 'terminal', terminalId: id, ...alert });
+        }
+    }
+});
+
 io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
-    clientManager.addClient(socket);
+    const device = socket.data.device;
+    console.log('Client connected:', socket.id, device ? `(${device.name})` : '(unpaired)');
+
+    // Registers a handler whose errors, thrown or rejected, are reported to the client
+    // ('server:error') instead of ending the process. Payloads come from any client: even unpaired
+    // ones can send null or nothing at all.
+    const on = (event, handler) => {
+        socket.on(event, (...args) => {
+            new Promise(resolve => resolve(handler(...args))).catch((err) => {
+                console.error(`Error handling ${event}:`, err);
+                socket.emit('server:error', { event, message: err && err.message ? err.message : String(err) });
+            });
+        });
+    };
+
+    // Same, refusing unpaired sockets and devices whose role is too low
+    const onAuthed = (event, handler) => {
+        on(event, (...args) => {
+            if (!socket.data.device) {
+                socket.emit('auth:required', { event });
+                return;
+            }
+            const role = clientManager.getRole(socket.id);
+            if (!hasRole(role, requiredRoleFor(event))) {
+                socket.emit('auth:forbidden', { event, role });
+                return;
+            }
+            return handler(...args);
+        });
+    };
+
+    // Sent before pairing too, so the client can check the certificate fingerprint first
+    socket.emit('server:info', { tls: tlsInfo });
+
+    socket.emit('auth:status', {
+        authenticated: !!device,
+        device: device ? authManager.toPublicDevice(device) : null
+    });
+
+    if (device) {
+        socket.join(DEVICES_ROOM);
+        const state = clientManager.addClient(socket);
+        socket.emit('stream:transport', { transport: state.frameTransport });
+    }
 
     // Start streaming if we have clients
     if (io.engine.clientsCount > 0) {
@@ -57,108 +281,274 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
+        webrtcManager.stop(socket.id);
+        sessionRecorder.stop(socket.id).catch(err => console.error('Recording stop error:', err));
         clientManager.removeClient(socket.id);
+        terminalManager.leaveAll(socket.id);
 
         if (socket === vscodeSocket) {
             console.log("VSCode Agent Disconnected");
             vscodeSocket = null;
-            io.emit('vscode:status', { connected: false });
+            io.to(DEVICES_ROOM).emit('vscode:status', { connected: false });
         }
 
         if (io.engine.clientsCount === 0) {
             streamEngine.stop();
         } else {
-            streamEngine.updateInterval();
+            streamEngine.reschedule();
+        }
+    });
+
+    // --- AUTH / PAIRING ---
+    on('auth:pair', async (payload) => {
+        const { code, name } = payload || {};
+        const address = socket.handshake.address;
+        const lockout = authManager.pairingLockout(address);
+        if (lockout > 0) {
+            socket.emit('auth:error', { message: `Too many wrong pairing codes, try again in ${Math.ceil(lockout / 1000)} s`, retryAfter: lockout });
+            return;
+        }
+        const result = await authManager.pair(code, name, address);
+        if (!result) {
+            socket.emit('auth:error', { message: 'Invalid pairing code' });
+            return;
+        }
+        socket.emit('auth:paired', result);
+    });
+
+    onAuthed('auth:devices', () => {
+        socket.emit('auth:devices', authManager.listDevices());
+    });
+
+    onAuthed('auth:revoke', async ({ id } = {}) => {
+        if (!(await authManager.revoke(id))) {
+            // Unknown device, or the last admin: without one nobody could manage devices again
+            socket.emit('auth:error', { message: 'Revoke not allowed' });
+            return;
         }
+        disconnectDevice(id);
+        await paneWatcher.removeDevice(id);
+        emitToAdmins('auth:devices', authManager.listDevices());
+    });
+
+    onAuthed('auth:setRole', async ({ id, role } = {}) => {
+        const updated = await authManager.setRole(id, role);
+        if (!updated) {
+            socket.emit('auth:error', { message: 'Role change not allowed' });
+            return;
+        }
+        clientManager.setDeviceRole(id, role);
+        // Push subscriptions are for operators up
+        if (!hasRole(role, requiredRoleFor('watch:subscribePush')) && paneWatcher.getWatcher(id).push) {
+            await paneWatcher.setPushSubscription(id, null);
+        }
+
+        // Let the affected device refresh its UI
+        for (const s of io.sockets.sockets.values()) {
+            if (s.data.device && s.data.device.id === id) {
+                s.emit('auth:status', { authenticated: true, device: authManager.toPublicDevice(updated) });
+            }
+        }
+        emitToAdmins('auth:devices', authManager.listDevices());
     });
 
     // --- VSCODE AGENT HANDLERS ---
-    socket.on('agent:identify', (info) => {
-        if (info.type === 'vscode') {
+    // The extension runs next to the server, so only loopback sockets may act as the agent
+    on('agent:identify', (info) => {
+        if (info && info.type === 'vscode') {
+            if (!authManager.isLoopback(socket)) {
+                console.log("Rejected remote VSCode Agent:", socket.id);
+                return;
+            }
             console.log("VSCode Agent Connected:", socket.id);
             vscodeSocket = socket;
-            io.emit('vscode:status', { connected: true });
+            io.to(DEVICES_ROOM).emit('vscode:status', { connected: true });
         }
     });
 
-    socket.on('agent:update', (update) => {
-        if (update.type === 'terminals') {
-            io.emit('vscode:terminals', update.data);
+    on('agent:update', (update) => {
+        if (socket !== vscodeSocket) return;
+        if (update && update.type === 'terminals') {
+            io.to(DEVICES_ROOM).emit('vscode:terminals', update.data);
         }
     });
 
-    socket.on('client:vscode:action', (action) => {
+    onAuthed('client:vscode:action', (action) => {
         clientManager.updateActivity(socket.id);
+        if (action.type === 'kill' && !hasRole(clientManager.getRole(socket.id), 'admin')) {
+            socket.emit('auth:forbidden', { event: 'client:vscode:action', role: clientManager.getRole(socket.id) });
+            return;
+        }
         if (vscodeSocket) {
             vscodeSocket.emit(`vscode:${action.type}`, action.payload);
         }
     });
 
     // --- TERMINAL EVENTS ---
-    socket.on('term:create', () => {
+    onAuthed('term:create', ({ profile } = {}) => {
         clientManager.updateActivity(socket.id);
         try {
-            const id = terminalManager.createTerminal(socket);
+            const id = terminalManager.createTerminal({ profile });
+            socket.join(terminalRoom(id));
+            terminalManager.join(id, socket.id, socket.data.device);
             socket.emit('term:created', { id });
-            socket.emit('term:list', terminalManager.listTerminals());
+            emitTerminalList();
             console.log(`Terminal created: ${id}`);
         } catch (e) {
             console.error("Error creating terminal:", e);
+            socket.emit('term:error', { message: e.message });
         }
     });
 
-    socket.on('term:list', () => {
+    // A terminal that was open when the server stopped starts again only when asked to
+    onAuthed('term:reopen', ({ id } = {}) => {
+        clientManager.updateActivity(socket.id);
+        try {
+            const termId = terminalManager.reopen(id);
+            if (!termId) {
+                socket.emit('term:error', { message: 'That terminal is no longer in the closed list' });
+                emitTerminalList();
+                return;
+            }
+            socket.join(terminalRoom(termId));
+            terminalManager.join(termId, socket.id, socket.data.device);
+            socket.emit('term:created', { id: termId });
+            emitTerminalList();
+            console.log(`Terminal reopened: ${termId}`);
+        } catch (e) {
+            console.error("Error reopening terminal:", e);
+            socket.emit('term:error', { message: e.message });
+        }
+    });
+
+    onAuthed('term:forget', ({ id } = {}) => {
+        clientManager.updateActivity(socket.id);
+        if (terminalManager.forget(id)) emitTerminalList();
+    });
+
+    onAuthed('term:profiles', () => {
+        clientManager.updateActivity(socket.id);
+        socket.emit('term:profiles', terminalManager.getProfiles());
+    });
+
+    onAuthed('term:rename', ({ id, name } = {}) => {
+        clientManager.updateActivity(socket.id);
+        if (terminalManager.rename(id, name)) emitTerminalList();
+    });
+
+    onAuthed('term:getWatchers', ({ id } = {}) => {
+        clientManager.updateActivity(socket.id);
+        const watchers = terminalManager.getWatchers(id);
+        if (watchers) socket.emit('term:watchers', { id, watchers });
+    });
+
+    onAuthed('term:setWatchers', ({ id, watchers } = {}) => {
+        clientManager.updateActivity(socket.id);
+        try {
+            terminalManager.setWatchers(id, watchers);
+        } catch (e) {
+            socket.emit('term:watchers', { id, watchers: terminalManager.getWatchers(id), error: e.message });
+        }
+    });
+
+    onAuthed('term:setLogging', async ({ id, enabled } = {}) => {
+        clientManager.updateActivity(socket.id);
+        if (await terminalManager.setLogging(id, !!enabled)) emitTerminalList();
+    });
+
+    onAuthed('term:list', () => {
         clientManager.updateActivity(socket.id);
         socket.emit('term:list', terminalManager.listTerminals());
+        socket.emit('term:closed', terminalManager.listClosed());
+    });
+
+    // Replay then join in the same tick: pty output arrives between ticks, so none is lost or repeated
+    onAuthed('term:attach', ({ id } = {}) => {
+        clientManager.updateActivity(socket.id);
+        const data = terminalManager.getScrollback(id);
+        if (data === null) {
+            socket.emit('term:exit', { id });
+            return;
+        }
+        socket.emit('term:replay', { id, data });
+        socket.join(terminalRoom(id));
+        terminalManager.join(id, socket.id, socket.data.device);
+    });
+
+    onAuthed('term:detach', ({ id } = {}) => {
+        socket.leave(terminalRoom(id));
+        terminalManager.leave(id, socket.id);
+    });
+
+    onAuthed('term:input', ({ id, data }) => {
+        clientManager.updateActivity(socket.id);
+        // Another device drives it: tell this one again instead of typing over the driver
+        if (!terminalManager.write(id, socket.data.device.id, data)) emitTerminalSession(socket, id);
+    });
+
+    onAuthed('term:resize', ({ id, cols, rows }) => {
+        clientManager.updateActivity(socket.id);
+        terminalManager.resize(id, socket.id, cols, rows);
     });
 
-    socket.on('term:input', ({ id, data }) => {
+    onAuthed('term:takeControl', ({ id } = {}) => {
         clientManager.updateActivity(socket.id);
-        terminalManager.write(id, data);
+        terminalManager.takeControl(id, socket.data.device);
     });
 
-    socket.on('term:resize', ({ id, cols, rows }) => {
+    onAuthed('term:setResizePolicy', ({ id, policy } = {}) => {
         clientManager.updateActivity(socket.id);
-        terminalManager.resize(id, cols, rows);
+        if (!terminalManager.setResizePolicy(id, policy)) emitTerminalSession(socket, id);
     });
 
-    socket.on('term:kill', ({ id }) => {
+    onAuthed('term:kill', ({ id }) => {
         clientManager.updateActivity(socket.id);
         terminalManager.kill(id);
-        socket.emit('term:list', terminalManager.listTerminals());
+        emitTerminalList();
     });
 
     // --- APPS / WINDOW MANAGEMENT ---
-    socket.on('apps:list', async () => {
+    onAuthed('apps:list', async () => {
         clientManager.updateActivity(socket.id);
-        const windows = await getOpenWindows();
+        const windows = await desktop.listWindows();
         socket.emit('apps:list', windows);
     });
 
-    socket.on('apps:activate', async ({ title, handle }) => {
+    onAuthed('apps:activate', async ({ title, handle }) => {
         clientManager.updateActivity(socket.id);
         if (handle) {
             console.log(`[${socket.id}] Activating window by handle: ${handle}`);
-            await ensureWindowActiveByHandle(handle);
+            await desktop.activateWindowByHandle(handle);
         } else if (title) {
             console.log(`[${socket.id}] Activating window by title: ${title}`);
-            await ensureWindowActive(title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            await desktop.activateWindow(title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
         }
     });
 
-    socket.on('apps:setSource', ({ type, target, handle }) => {
+    // Displays for the global view; enumerated again on every request (monitors plugged in or rearranged)
+    onAuthed('apps:monitors', async () => {
+        clientManager.updateActivity(socket.id);
+        try {
+            const monitors = await desktop.getMonitors({ refresh: true });
+            socket.emit('apps:monitors', monitors.map(({ id, name, primary, bounds, scale }) => ({ id, name, primary, bounds, scale })));
+        } catch (e) {
+            console.error("Monitor listing error:", e);
+        }
+    });
+
+    onAuthed('apps:setSource', ({ type, target, handle, monitor = null }) => {
         clientManager.updateActivity(socket.id);
         const state = clientManager.getClientState(socket.id);
         if (state) {
-            state.streamSource = { type, target, handle };
-            console.log(`[${socket.id}] Stream source set to: ${type} ${target || ''} (Handle: ${handle || 'N/A'})`);
+            state.streamSource = { type, target, handle, monitor };
+            console.log(`[${socket.id}] Stream source set to: ${type} ${target || ''} (Handle: ${handle || 'N/A'}${monitor !== null ? `, Monitor: ${monitor}` : ''})`);
             // Force immediate update if possible
-            streamEngine.updateInterval();
+            streamEngine.reschedule();
         }
     });
 
     // --- INPUT EVENTS ---
-    socket.on('input:click', async (pos) => {
+    onAuthed('input:click', async (pos) => {
         clientManager.updateActivity(socket.id);
         if (!pos || typeof pos.x !== 'number' || typeof pos.y !== 'number') return;
 
@@ -166,49 +556,52 @@ io.on('connection', (socket) => {
         if (!state || !state.lastCaptureArea) return;
 
         try {
-            const imgBuffer = await screenshot();
-            const mainImage = await Jimp.read(imgBuffer);
-            const scale = getDpiScale(mainImage.width, mainImage.height);
-
             const effectiveConfig = clientManager.getEffectiveConfig(socket.id);
             const cropTop = effectiveConfig.cropTop;
             const cropLeft = effectiveConfig.cropLeft;
 
-            const isLowResource = configManager.isLowResourceMode();
-            const downscale = isLowResource ? configManager.getImageDownscale() : 1.0;
+            const downscale = state.frameScale;
 
             const absoluteX = state.lastCaptureArea.x + (pos.x / downscale) + cropLeft;
             const absoluteY = state.lastCaptureArea.y + (pos.y / downscale) + cropTop;
 
             state.lastClickPos = { x: absoluteX, y: absoluteY, time: Date.now() };
+            sessionRecorder.recordInput(socket.id, { type: 'click', x: pos.x, y: pos.y });
 
-            const logicalX = Math.round(absoluteX / scale.x);
-            const logicalY = Math.round(absoluteY / scale.y);
+            // Through the DPI scale of the monitor the click lands on
+            const logical = toLogicalPoint(await desktop.getMonitors(), { x: absoluteX, y: absoluteY });
 
-            robot.moveMouse(logicalX, logicalY);
-            robot.mouseClick();
+            await desktop.moveMouse(logical.x, logical.y);
+            await desktop.click();
         } catch (e) {
             console.error("Input click error:", e);
         }
     });
 
-    socket.on('input:type', (text) => {
+    onAuthed('input:type', async (text) => {
         clientManager.updateActivity(socket.id);
-        if (text) robot.typeString(text);
+        if (!text) return;
+        sessionRecorder.recordInput(socket.id, { type: 'type', length: [...String(text)].length });
+        try {
+            await desktop.typeString(text);
+        } catch (e) {
+            console.error("Error typing text:", e);
+        }
     });
 
-    socket.on('input:keyTap', (key) => {
+    onAuthed('input:keyTap', async (key) => {
         clientManager.updateActivity(socket.id);
         if (key) {
+            sessionRecorder.recordInput(socket.id, { type: 'keyTap', key });
             try {
-                robot.keyTap(key);
+                await desktop.keyTap(key);
             } catch (e) {
                 console.error("Error tapping key:", key, e);
             }
         }
     });
 
-    socket.on('input:scroll', async (data) => {
+    onAuthed('input:scroll', async (data) => {
         clientManager.updateActivity(socket.id);
         if (!data || typeof data.deltaY !== 'number') return;
 
@@ -240,31 +633,24 @@ io.on('connection', (socket) => {
         }
 
         if (scrollTicks === 0 && !data.isThreeFinger) return; // Ignore 0 only if direct mode
+        if (scrollTicks !== 0) sessionRecorder.recordInput(socket.id, { type: 'scroll', ticks: scrollTicks, x: data.x, y: data.y });
 
         try {
             // If coords provided (touch scroll), verify focus and position
             if (data.x !== undefined && data.y !== undefined) {
-                const isLowResource = configManager.isLowResourceMode();
-                const downscale = isLowResource ? configManager.getImageDownscale() : 1.0;
-
-                const imgBuffer = await screenshot();
-                const mainImage = await Jimp.read(imgBuffer);
-                const scale = getDpiScale(mainImage.width, mainImage.height);
+                const downscale = state.frameScale;
 
                 const cropTop = effectiveConfig.cropTop;
                 const cropLeft = effectiveConfig.cropLeft;
                 const absoluteX = state.lastCaptureArea.x + (data.x / downscale) + cropLeft;
                 const absoluteY = state.lastCaptureArea.y + (data.y / downscale) + cropTop;
 
-                const logicalX = Math.round(absoluteX / scale.x);
-                const logicalY = Math.round(absoluteY / scale.y);
-                robot.moveMouse(logicalX, logicalY);
+                const logical = toLogicalPoint(await desktop.getMonitors(), { x: absoluteX, y: absoluteY });
+                await desktop.moveMouse(logical.x, logical.y);
             }
 
-            // Execute Scroll using Scroll Worker (Persistent PowerShell)
             if (scrollTicks !== 0) {
-                // 1 tick = 120 native units
-                scrollWorker.scroll(scrollTicks * 120);
+                await desktop.scroll(scrollTicks);
             }
         } catch (e) {
             console.error("Scroll error:", e);
@@ -272,7 +658,7 @@ io.on('connection', (socket) => {
     });
 
     // Three-finger scroll: click on panel edge to give focus before scrolling
-    socket.on('input:threeFingerScrollStart', async () => {
+    onAuthed('input:threeFingerScrollStart', async () => {
         clientManager.updateActivity(socket.id);
         try {
             const state = clientManager.getClientState(socket.id);
@@ -290,24 +676,131 @@ io.on('connection', (socket) => {
             const clickX = pane.x + cropLeft + 10; // 10px from left edge
             const clickY = pane.y + cropTop + Math.floor((pane.height - cropTop - (effectiveConfig.cropBottom || 0)) / 2);
 
-            // Get DPI scale for correct mouse positioning
-            const imgBuffer = await screenshot();
-            const mainImage = await Jimp.read(imgBuffer);
-            const scale = getDpiScale(mainImage.width, mainImage.height);
+            // Monitor DPI scale for correct mouse positioning
+            const logical = toLogicalPoint(await desktop.getMonitors(), { x: clickX, y: clickY });
 
-            const logicalX = Math.round(clickX / scale.x);
-            const logicalY = Math.round(clickY / scale.y);
+            await desktop.moveMouse(logical.x, logical.y);
+            await desktop.click('left');
 
-            robot.moveMouse(logicalX, logicalY);
-            robot.mouseClick('left');
-
-            console.log(`Three-finger scroll focus: clicked at (${logicalX}, ${logicalY})`);
+            console.log(`Three-finger scroll focus: clicked at (${logical.x}, ${logical.y})`);
         } catch (e) {
             console.error("Three-finger scroll start error:", e);
         }
     });
 
-    socket.on('view:setMode', (mode) => {
+    // Tiles transport: the client lost its canvas (reconnect, remount, dropped frame) and needs a full frame
+    onAuthed('stream:keyframe', () => {
+        const state = clientManager.getClientState(socket.id);
+        if (state) state.lastSentFrame = null;
+    });
+
+    // Adaptive streaming: the client measures RTT with an ack and reports what it receives
+    onAuthed('stream:ping', (ack) => {
+        if (typeof ack === 'function') ack();
+    });
+
+    onAuthed('stream:stats', (report) => {
+        const state = clientManager.getClientState(socket.id);
+        const stats = parseReport(report);
+        if (!state || !stats) return;
+
+        const settings = streamEngine.applyClientStats(state, stats);
+        socket.emit('stream:adaptive', { ...settings, reason: state.adaptive.reason, stats: state.adaptive.stats });
+    });
+
+    // Per-stage latency of the capture/encode pipeline and the image worker pool
+    onAuthed('stream:metrics', (ack) => {
+        if (typeof ack === 'function') ack(streamEngine.getMetrics());
+    });
+
+    // Reader mode: 'chat:text' with the OCR text of the chat pane (StreamEngine.emitChatText)
+    onAuthed('chat:reader', ({ enabled } = {}) => {
+        const state = clientManager.getClientState(socket.id);
+        if (!state) return;
+        const available = ocrReader.isAvailable();
+        state.readerMode = !!enabled && available;
+        state.lastChatText = null; // A reader turned on gets the current text right away
+        state.lastTextAt = 0;
+        socket.emit('chat:reader', { enabled: state.readerMode, available });
+    });
+
+    // Chat alerts for this device (lib/PaneWatcher.js); all four answer with 'watch:config'
+    onAuthed('watch:get', async () => {
+        socket.emit('watch:config', await paneWatcher.getConfig(socket.data.device.id));
+    });
+
+    onAuthed('watch:update', async (updates) => {
+        const deviceId = socket.data.device.id;
+        try {
+            socket.emit('watch:config', await paneWatcher.update(deviceId, updates || {}));
+        } catch (e) {
+            console.error("Watch update error:", e.message);
+            socket.emit('watch:config', { ...(await paneWatcher.getConfig(deviceId)), error: e.message });
+        }
+    });
+
+    onAuthed('watch:subscribePush', async ({ subscription = null } = {}) => {
+        const deviceId = socket.data.device.id;
+        const saved = await paneWatcher.setPushSubscription(deviceId, subscription);
+        const config = await paneWatcher.getConfig(deviceId);
+        socket.emit('watch:config', saved ? config : { ...config, error: 'Invalid push subscription' });
+    });
+
+    onAuthed('watch:test', async () => {
+        const deviceId = socket.data.device.id;
+        paneWatcher.alert(deviceId, { type: 'test' });
+        socket.emit('watch:config', await paneWatcher.getConfig(deviceId));
+    });
+
+    // Session recording of this client's view; 'record:status' answers all three
+    onAuthed('record:status', () => {
+        socket.emit('record:status', sessionRecorder.getStatus(socket.id));
+    });
+
+    onAuthed('record:start', async (options) => {
+        const state = clientManager.getClientState(socket.id);
+        if (!state) return;
+        clientManager.updateActivity(socket.id); // A paused stream records nothing
+        try {
+            const recording = await sessionRecorder.start(socket.id, {
+                name: options && typeof options.name === 'string' ? options.name.slice(0, 100) : undefined,
+                device: socket.data.device.name,
+                deviceId: socket.data.device.id,
+                viewMode: state.viewMode
+            });
+            socket.emit('record:status', recording);
+        } catch (e) {
+            console.error("Recording start error:", e);
+            socket.emit('record:status', { recording: false, error: e.message });
+        }
+    });
+
+    onAuthed('record:stop', async () => {
+        await sessionRecorder.stop(socket.id);
+        socket.emit('record:status', { recording: false });
+    });
+
+    // WebRTC transport signaling (see lib/WebRTCManager.js)
+    onAuthed('webrtc:start', () => {
+        const state = clientManager.getClientState(socket.id);
+        if (state) webrtcManager.start(socket, state);
+    });
+
+    onAuthed('webrtc:answer', (answer) => {
+        const state = clientManager.getClientState(socket.id);
+        if (state) webrtcManager.handleAnswer(socket, state, answer);
+    });
+
+    onAuthed('webrtc:candidate', (candidate) => {
+        webrtcManager.addCandidate(socket.id, candidate);
+    });
+
+    onAuthed('webrtc:failed', () => {
+        const state = clientManager.getClientState(socket.id);
+        if (state) webrtcManager.fallback(socket, state, 'failed on the client');
+    });
+
+    onAuthed('view:setMode', (mode) => {
         console.log(`[${socket.id}] Setting mode to: ${mode}`);
         clientManager.setMode(socket.id, mode);
 
@@ -315,10 +808,10 @@ io.on('connection', (socket) => {
         const effectiveConfig = clientManager.getEffectiveConfig(socket.id);
         socket.emit('config:current', effectiveConfig);
 
-        streamEngine.updateInterval();
+        streamEngine.reschedule();
     });
 
-    socket.on('input:checkFocus', async () => {
+    onAuthed('input:checkFocus', async () => {
         clientManager.updateActivity(socket.id);
         const state = clientManager.getClientState(socket.id);
         if (!state || !state.lastCaptureArea) return;
@@ -356,7 +849,7 @@ io.on('connection', (socket) => {
 
         // PRIORITY 2: OS Detection
         try {
-            const focus = await getActiveFocus();
+            const focus = await desktop.getFocusedElement();
             if (focus.found) {
                 isInChat =
                     focus.x >= captureArea.x &&
@@ -375,7 +868,7 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('config:update', async (newConfig) => {
+    onAuthed('config:update', async (newConfig) => {
         clientManager.updateActivity(socket.id);
         // Delegate to configManager logic
         // We need to parse updates similar to before
@@ -415,7 +908,7 @@ io.on('connection', (socket) => {
         }
 
         // Simple global settings
-        ['fps', 'quality', 'scrollSensitivity', 'threeFingerScrollSensitivity', 'showDebugLines', 'windowTitles', 'autoActivateWindow', 'detectionMode', 'console', 'lowResourceMode'].forEach(key => {
+        ['fps', 'quality', 'adaptiveStreaming', 'scrollSensitivity', 'threeFingerScrollSensitivity', 'showDebugLines', 'windowTitles', 'autoActivateWindow', 'detectionMode', 'console', 'lowResourceMode'].forEach(key => {
             if (newConfig[key] !== undefined && newConfig[key] !== null) {
                 if (key === 'windowTitles') globalUpdates.targetWindowTitles = newConfig[key];
                 else globalUpdates[key] = newConfig[key];
@@ -425,7 +918,7 @@ io.on('connection', (socket) => {
 
         if (hasGlobalUpdates) {
             await configManager.updateGlobalConfig(globalUpdates);
-            if (newConfig.fps || newConfig.quality) streamEngine.updateInterval();
+            if (newConfig.fps || newConfig.quality || newConfig.adaptiveStreaming !== undefined) streamEngine.reschedule();
         }
 
         // Client overrides
@@ -434,17 +927,17 @@ io.on('connection', (socket) => {
 
         if (hasClientUpdates) {
             configManager.updateClientConfig(socket.id, clientUpdates);
-            streamEngine.updateInterval();
+            streamEngine.reschedule();
         }
     });
 
-    socket.on('config:get', () => {
+    onAuthed('config:get', () => {
         clientManager.updateActivity(socket.id);
         const effectiveConfig = clientManager.getEffectiveConfig(socket.id);
         socket.emit('config:current', effectiveConfig);
     });
 
-    socket.on('calibration:reset', () => {
+    onAuthed('calibration:reset', () => {
         clientManager.updateActivity(socket.id);
         console.log(`[${socket.id}] Restarting calibration...`);
         clientManager.setMode(socket.id, clientManager.getClientState(socket.id).viewMode); // Trigger reset logic
@@ -459,7 +952,7 @@ io.on('connection', (socket) => {
         socket.emit('calibration:status', { reset: true });
     });
 
-    socket.on('calibration:resetFixed', () => {
+    onAuthed('calibration:resetFixed', () => {
         clientManager.updateActivity(socket.id);
         console.log(`[${socket.id}] Resetting FIXED zones...`);
         const state = clientManager.getClientState(socket.id);
@@ -477,7 +970,44 @@ io.on('connection', (socket) => {
     });
 });
 
-server.listen(config.PORT, () => {
-    console.log(`Server listening on port ${config.PORT}`);
+/**
+ * Loads config.json, then serves HTTP or HTTPS and starts streaming.
+ * @param {number} [port] - Defaults to config.PORT; 0 picks a free port (tests)
+ * @returns {Promise<http.Server|https.Server>} Resolves once listening
+ */
+async function startServer(port = config.PORT) {
+    await configManager.ready;
+    const tlsConfig = configManager.getTlsConfig();
+
+    let server;
+    if (httpsArg || tlsConfig.enabled) {
+        const credentials = await loadTlsCredentials(tlsConfig);
+        server = https.createServer({ key: credentials.key, cert: credentials.cert }, app);
+        tlsInfo = { enabled: true, fingerprint: credentials.fingerprint, selfSigned: credentials.selfSigned };
+    } else {
+        server = http.createServer(app);
+    }
+    io.attach(server);
+
+    await new Promise(resolve => server.listen(port, resolve));
+    console.log(`Server listening on port ${server.address().port} (${tlsInfo.enabled ? 'HTTPS/WSS' : 'HTTP'})`);
+    if (tlsInfo.enabled) {
+        console.log('\x1b[32m%s\x1b[0m', `🔒 Certificate SHA-256 fingerprint: ${tlsInfo.fingerprint}`);
+        console.log('   Compare it with the certificate your browser shows before trusting this server.');
+    }
+    authManager.printPairingCode();
+    await terminalManager.restore();
     streamEngine.start();
-});
+    await paneWatcher.start(streamEngine, (deviceId, alert) => emitToDevice(deviceId, 'watch:alert', alert));
+    return server;
+}
+
+// Required by the tests: they start the server themselves with the mock desktop backend
+if (require.main === module) {
+    startServer().catch((error) => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app, io, streamEngine, startServer };
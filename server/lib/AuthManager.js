@@ -0,0 +1,250 @@
+/**
+ * AuthManager - Device pairing and token authentication
+ * A one-time pairing code is printed on startup. A client exchanges it for a
+ * long-lived device token; only a hash of the token is persisted to devices.json.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isValidRole } = require('./permissions');
+
+const MAX_PAIRING_ATTEMPTS = 5; // Wrong codes before the pairing code is rotated, and before an address is locked out
+const PAIRING_LOCKOUT_MS = 60 * 1000; // First lockout of an address; each further one doubles it
+const MAX_PAIRING_LOCKOUT_MS = 60 * 60 * 1000;
+
+class AuthManager {
+    constructor() {
+        this.devicesPath = path.join(process.env.SERVER_DATA_DIR || path.join(__dirname, '..'), 'devices.json');
+        this.devices = new Map(); // deviceId -> { id, name, role, tokenHash, createdAt, lastSeen }
+        this.pairingCode = null;
+        this.failedAttempts = 0;
+        this.addressAttempts = new Map(); // address -> { failures, lockouts, lockedUntil, lastFailure }
+        this.loadDevices();
+    }
+
+    async loadDevices() {
+        try {
+            const data = await fs.readFile(this.devicesPath, 'utf8');
+            const saved = JSON.parse(data);
+            for (const device of saved.devices || []) {
+                // Devices paired before roles existed had full access
+                if (!isValidRole(device.role)) device.role = 'admin';
+                this.devices.set(device.id, device);
+            }
+            console.log(`Loaded ${this.devices.size} paired device(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading paired devices:', error);
+            }
+        }
+    }
+
+    async saveDevices() {
+        try {
+            const toSave = { devices: Array.from(this.devices.values()) };
+            await fs.writeFile(this.devicesPath, JSON.stringify(toSave, null, 2));
+        } catch (error) {
+            console.error('Error saving paired devices:', error);
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Generates a fresh 6-digit pairing code, invalidating the previous one.
+     * @returns {string}
+     */
+    rotatePairingCode() {
+        this.pairingCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        this.failedAttempts = 0;
+        return this.pairingCode;
+    }
+
+    printPairingCode() {
+        if (!this.pairingCode) this.rotatePairingCode();
+        console.log('\x1b[36m%s\x1b[0m', `🔑 Pairing code: ${this.pairingCode}`);
+        console.log('   Enter this code on the device you want to pair (single use).');
+    }
+
+    /**
+     * How long an address must wait before trying another pairing code. Rotating the code alone
+     * would let a client keep guessing across codes; locking the address out after
+     * MAX_PAIRING_ATTEMPTS wrong ones, for longer each time, makes that take years.
+     * @returns {number} ms, 0 when it may try now
+     */
+    pairingLockout(address, now = Date.now()) {
+        const attempts = this.addressAttempts.get(address);
+        return attempts ? Math.max(0, attempts.lockedUntil - now) : 0;
+    }
+
+    recordPairingFailure(address, now = Date.now()) {
+        // Addresses that stopped trying an hour ago start over
+        for (const [key, attempts] of this.addressAttempts) {
+            if (now - attempts.lastFailure > MAX_PAIRING_LOCKOUT_MS && attempts.lockedUntil <= now) this.addressAttempts.delete(key);
+        }
+        const attempts = this.addressAttempts.get(address) || { failures: 0, lockouts: 0, lockedUntil: 0, lastFailure: 0 };
+        attempts.failures++;
+        attempts.lastFailure = now;
+        if (attempts.failures >= MAX_PAIRING_ATTEMPTS) {
+            const lockout = Math.min(PAIRING_LOCKOUT_MS * 2 ** attempts.lockouts, MAX_PAIRING_LOCKOUT_MS);
+            attempts.failures = 0;
+            attempts.lockouts++;
+            attempts.lockedUntil = now + lockout;
+            console.log(`Too many failed pairing attempts from ${address} - locked out for ${Math.round(lockout / 1000)} s`);
+        }
+        this.addressAttempts.set(address, attempts);
+    }
+
+    /**
+     * Exchanges a pairing code for a device token.
+     * @param {string} code - The one-time pairing code
+     * @param {string} name - Human readable device name
+     * @param {string} [address] - Client address, for the lockout after wrong codes (pairingLockout)
+     * @returns {{ token: string, device: Object } | null} null if the code is wrong or the address
+     *   is locked out
+     */
+    async pair(code, name, address = 'unknown') {
+        if (this.pairingLockout(address) > 0) return null;
+        if (!this.pairingCode || typeof code !== 'string') {
+            this.recordPairingFailure(address);
+            return null;
+        }
+
+        const expected = Buffer.from(this.pairingCode);
+        const received = Buffer.from(code.trim());
+        const matches = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+        if (!matches) {
+            this.recordPairingFailure(address);
+            this.failedAttempts++;
+            if (this.failedAttempts >= MAX_PAIRING_ATTEMPTS) {
+                console.log('Too many failed pairing attempts - rotating code');
+                this.rotatePairingCode();
+                this.printPairingCode();
+            }
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+        const device = {
+            id: crypto.randomUUID(),
+            name: (typeof name === 'string' && name.trim()) ? name.trim().slice(0, 64) : 'Unnamed device',
+            // The first device administers the server; later ones start read-only
+            role: this.devices.size === 0 ? 'admin' : 'viewer',
+            tokenHash: this.hashToken(token),
+            createdAt: now,
+            lastSeen: now
+        };
+
+        this.addressAttempts.delete(address);
+        this.devices.set(device.id, device);
+        await this.saveDevices();
+        console.log(`Device paired: ${device.name} (${device.id}) as ${device.role}`);
+
+        // The code is single use
+        this.rotatePairingCode();
+        this.printPairingCode();
+
+        return { token, device: this.toPublicDevice(device) };
+    }
+
+    /**
+     * Resolves a device token to its paired device.
+     * @param {string} token
+     * @returns {Object | null}
+     */
+    authenticate(token) {
+        if (!token || typeof token !== 'string') return null;
+        const tokenHash = this.hashToken(token);
+        for (const device of this.devices.values()) {
+            if (device.tokenHash === tokenHash) {
+                device.lastSeen = new Date().toISOString();
+                return device;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Unpairs a device. Refuses to revoke the last admin, as setRole refuses to demote it.
+     * @returns {boolean} false if there is no such device or it is the last admin
+     */
+    async revoke(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device || this.isLastAdmin(device)) return false;
+        this.devices.delete(deviceId);
+        await this.saveDevices();
+        console.log(`Device revoked: ${device.name} (${device.id})`);
+        return true;
+    }
+
+    /**
+     * Changes the role of a paired device. Refuses to demote the last admin.
+     * @returns {Object | null} The updated device, or null if not allowed
+     */
+    async setRole(deviceId, role) {
+        const device = this.devices.get(deviceId);
+        if (!device || !isValidRole(role)) return null;
+
+        if (role !== 'admin' && this.isLastAdmin(device)) return null;
+
+        device.role = role;
+        await this.saveDevices();
+        console.log(`Device ${device.name} (${device.id}) is now ${role}`);
+        return device;
+    }
+
+    isLastAdmin(device) {
+        if (device.role !== 'admin') return false;
+        return Array.from(this.devices.values()).filter(d => d.role === 'admin').length <= 1;
+    }
+
+    listDevices() {
+        return Array.from(this.devices.values()).map(d => this.toPublicDevice(d));
+    }
+
+    toPublicDevice(device) {
+        const { tokenHash, ...rest } = device;
+        return rest;
+    }
+
+    /**
+     * Socket.IO middleware: attaches the paired device (or null) to socket.data.
+     * Unauthenticated sockets are still accepted so they can pair.
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            const token = socket.handshake.auth && socket.handshake.auth.token;
+            socket.data.device = this.authenticate(token);
+            next();
+        };
+    }
+
+    /**
+     * Express middleware for the REST endpoints: requires a paired device, given as
+     * "Authorization: Bearer <token>". Never in the query string, where it would end up in
+     * browser history and access logs. Sets req.device.
+     */
+    httpMiddleware() {
+        return (req, res, next) => {
+            const header = req.get('authorization') || '';
+            const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+            req.device = this.authenticate(token);
+            if (!req.device) {
+                res.status(401).json({ error: 'Device not paired' });
+                return;
+            }
+            next();
+        };
+    }
+
+    isLoopback(socket) {
+        const address = socket.handshake.address || '';
+        return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+    }
+}
+
+module.exports = new AuthManager();
@@ -1,12 +1,18 @@
 const config = require('../config');
 const configManager = config.getConfigManager();
+const { negotiateTransport } = require('./frames');
+const webrtcManager = require('./WebRTCManager');
+const sessionRecorder = require('./SessionRecorder');
+const { createAdaptiveState } = require('./adaptive');
 
 const INACTIVITY_TIMEOUT_MS = 60000; // 1 minute inactivity timeout
 
 class ClientManager {
     constructor() {
         this.clientStates = new Map();
+        this.pauseListener = null;
         this.inactivityInterval = setInterval(() => this.checkInactivity(), 10000);
+        this.inactivityInterval.unref(); // The HTTP server keeps the process alive, not this timer
     }
 
     createDefaultClientState(socketId) {
@@ -16,6 +22,10 @@ class ClientManager {
             lastActivity: Date.now(),
             isActive: true, // Used for logical activity (connected and awake)
 
+            // Paired device permissions: 'viewer' | 'operator' | 'admin'
+            deviceId: null,
+            role: 'viewer',
+
             // Detection State
             calibrationMode: true,
             calibrationStartTime: null,
@@ -53,13 +63,41 @@ class ClientManager {
             console: null,
 
             // Stream Source State
-            streamSource: { type: 'auto', target: null } // type: 'auto' | 'global' | 'window'
+            streamSource: { type: 'auto', target: null, monitor: null }, // type: 'auto' | 'global' | 'window'; monitor: id for 'global'
+
+            // Frame Transport (negotiated on connect, see lib/frames.js)
+            frameTransport: 'base64',
+            frameTransports: [], // As requested in the handshake, for falling back from WebRTC
+            frameSeq: 0,
+            lastSentFrame: null, // Tiles transport: { width, height, data } of the last frame sent
+
+            // Adaptive streaming (see lib/adaptive.js)
+            adaptive: createAdaptiveState(),
+
+            // Capture scheduling (see StreamEngine.reschedule)
+            nextFrameAt: 0,      // When this client's next frame is due
+            frameInFlight: false,
+            frameScale: 1, // Downscale applied to the last frame; input coordinates are divided by it
+
+            // Reader mode: OCR text of the chat pane (see StreamEngine.emitChatText)
+            readerMode: false,
+            lastTextAt: 0,
+            textInFlight: false,
+            lastChatText: null // Last text sent; unchanged text is not sent again
         };
     }
 
     addClient(socket) {
         if (!this.clientStates.has(socket.id)) {
             const state = this.createDefaultClientState(socket.id);
+            const device = socket.data && socket.data.device;
+            if (device) {
+                state.deviceId = device.id;
+                state.role = device.role;
+            }
+            const auth = socket.handshake && socket.handshake.auth;
+            state.frameTransports = Array.isArray(auth && auth.frameTransports) ? auth.frameTransports : [];
+            state.frameTransport = negotiateTransport(state.frameTransports, webrtcManager.getSupportedTransports());
             this.clientStates.set(socket.id, state);
             return state;
         }
@@ -79,6 +117,28 @@ class ClientManager {
         return Array.from(this.clientStates.values());
     }
 
+    getRole(socketId) {
+        const state = this.clientStates.get(socketId);
+        return state ? state.role : null;
+    }
+
+    // Applies a new role to every connected socket of a device
+    setDeviceRole(deviceId, role) {
+        for (const state of this.clientStates.values()) {
+            if (state.deviceId === deviceId) {
+                state.role = role;
+            }
+        }
+    }
+
+    /**
+     * @param {(socketId: string, paused: boolean) => void} listener - Called when a client's stream
+     *   is paused for inactivity and when it wakes up
+     */
+    setPauseListener(listener) {
+        this.pauseListener = listener;
+    }
+
     updateActivity(socketId) {
         const state = this.clientStates.get(socketId);
         if (state) {
@@ -86,6 +146,7 @@ class ClientManager {
             if (!state.isActive) {
                 state.isActive = true;
                 console.log(`[${socketId}] Client woke up`);
+                if (this.pauseListener) this.pauseListener(socketId, false);
             }
         }
     }
@@ -93,10 +154,14 @@ class ClientManager {
     checkInactivity() {
         const now = Date.now();
         for (const [socketId, state] of this.clientStates.entries()) {
+            // A recording keeps going while the user is away, which is when it is most useful
+            if (sessionRecorder.isRecording(socketId)) continue;
             if (state.isActive && (now - state.lastActivity > INACTIVITY_TIMEOUT_MS)) {
                 console.log(`[${socketId}] Client inactive - pausing stream`);
+                // Inactive clients are not streamed; the view mode and its calibrated pane are kept
+                // so waking up resumes the same view
                 state.isActive = false;
-                state.viewMode = 'idle'; // Switch to idle to stop streaming
+                if (this.pauseListener) this.pauseListener(socketId, true);
             }
         }
     }
@@ -141,6 +206,9 @@ class ClientManager {
             }
         }
 
+        // A different pane starts over from a keyframe
+        if (state.viewMode !== mode) state.lastSentFrame = null;
+
         state.viewMode = mode;
         this.updateActivity(socketId);
     }
@@ -0,0 +1,109 @@
+/**
+ * ImagePool - worker_threads pool for the image work of streaming (see lib/imageWorker.js)
+ * StreamEngine only orchestrates: it hands decode/detect/render tasks to the pool and emits
+ * the results, so JPEG encoding and pane detection never block socket handling on the main
+ * thread. Tasks run in order of arrival on the first idle worker; a worker that crashes fails
+ * its task and is replaced on the next one.
+ * Size: IMAGE_WORKERS environment variable, or one per CPU core minus the main thread (1..4).
+ */
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'imageWorker.js');
+const MAX_DEFAULT_WORKERS = 4;
+
+function defaultSize() {
+    const requested = parseInt(process.env.IMAGE_WORKERS, 10);
+    if (requested > 0) return requested;
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, Math.min(MAX_DEFAULT_WORKERS, cores - 1));
+}
+
+class ImagePool {
+    constructor(size = defaultSize()) {
+        this.size = size;
+        this.workers = new Set();
+        this.idle = [];
+        this.queue = [];          // { id, type, payload, resolve, reject }
+        this.running = new Map(); // worker -> task
+        this.nextId = 1;
+    }
+
+    /**
+     * Runs a task on a worker.
+     * @param {'decode'|'detect'|'render'} type
+     * @param {Object} payload
+     * @returns {Promise<{ result: *, timings: Object<string, number> }>} timings in ms per stage
+     */
+    run(type, payload) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, type, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+            if (!worker) return;
+
+            const task = this.queue.shift();
+            this.running.set(worker, task);
+            worker.ref();
+            worker.postMessage({ id: task.id, type: task.type, payload: task.payload, postedAt: Date.now() });
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT);
+        this.workers.add(worker);
+
+        worker.on('message', ({ id, result, error, timings }) => {
+            const task = this.running.get(worker);
+            this.running.delete(worker);
+            this.idle.push(worker);
+            worker.unref();
+            if (task && task.id === id) {
+                if (error) task.reject(new Error(error));
+                else task.resolve({ result, timings });
+            }
+            this.dispatch();
+        });
+
+        const remove = (err) => {
+            if (!this.workers.delete(worker)) return;
+            this.idle = this.idle.filter(w => w !== worker);
+            const task = this.running.get(worker);
+            this.running.delete(worker);
+            if (task) task.reject(err || new Error('Image worker exited'));
+            if (err) console.error('Image worker crashed:', err.message);
+            this.dispatch();
+        };
+        worker.on('error', remove);
+        worker.on('exit', (code) => remove(code === 0 ? null : new Error(`Image worker exited with code ${code}`)));
+
+        // Idle workers never keep the process alive (unref after the listeners, which ref it again)
+        worker.unref();
+
+        return worker;
+    }
+
+    getStatus() {
+        return { workers: this.size, busy: this.running.size, queued: this.queue.length };
+    }
+
+    async close() {
+        const workers = [...this.workers];
+        this.workers.clear();
+        this.idle = [];
+        for (const task of [...this.running.values(), ...this.queue]) {
+            task.reject(new Error('Image pool closed'));
+        }
+        this.running.clear();
+        this.queue = [];
+        await Promise.all(workers.map(w => w.terminate()));
+    }
+}
+
+module.exports = new ImagePool();
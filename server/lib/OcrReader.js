@@ -0,0 +1,114 @@
+/**
+ * OcrReader - Text of the chat pane for the client's reader mode
+ * Clients in reader mode ('chat:reader') get 'chat:text' events with the text of their chat
+ * crop region (see StreamEngine.emitChatText), recognized by tesseract.js in its own worker thread.
+ * Requires the optional tesseract.js dependency; without it reader mode reports itself unavailable.
+ * Language data comes from the @tesseract.js-data/<language> package when installed (works
+ * offline); otherwise tesseract.js downloads it once into ocr/ under SERVER_DATA_DIR.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const configManager = require('../configManager');
+
+let tesseract; // undefined = not loaded yet, null = not installed
+
+function loadTesseract() {
+    if (tesseract === undefined) {
+        try {
+            tesseract = require('tesseract.js');
+        } catch (e) {
+            tesseract = null;
+            console.log('Reader mode unavailable (optional dependency tesseract.js is not installed)');
+        }
+    }
+    return tesseract;
+}
+
+// { langPath, gzip } of a locally installed language package, or null
+function localLanguageData(language) {
+    try {
+        const { langPath, gzip } = require(`@tesseract.js-data/${language}`);
+        return { langPath, gzip };
+    } catch (e) {
+        return null;
+    }
+}
+
+class OcrReader {
+    constructor() {
+        this.cacheDir = path.join(process.env.SERVER_DATA_DIR || path.join(__dirname, '..'), 'ocr');
+        this.worker = null; // { language, promise } of the tesseract worker
+        this.lastResult = null; // { key, promise }: the same image is only recognized once
+    }
+
+    isAvailable() {
+        return !!loadTesseract();
+    }
+
+    getWorker() {
+        const { language } = configManager.getOcrConfig();
+        if (this.worker && this.worker.language === language) return this.worker.promise;
+        if (this.worker) this.terminate();
+
+        const local = localLanguageData(language);
+        const options = local
+            ? { ...local, cacheMethod: 'none' }
+            : { cachePath: this.cacheDir };
+        const promise = fs.promises.mkdir(this.cacheDir, { recursive: true })
+            .then(() => loadTesseract().createWorker(language, 1, options));
+        promise.catch(err => {
+            console.error(`OCR worker (${language}) failed to start:`, err.message);
+            if (this.worker && this.worker.promise === promise) this.worker = null; // Retried on the next request
+        });
+        this.worker = { language, promise };
+        return promise;
+    }
+
+    /**
+     * @param {Buffer} image - PNG or JPEG
+     * @returns {Promise<{ text: string, confidence: number, lines: Array<{ text, confidence, bbox: { x, y, width, height } }> }>}
+     *   Lines in reading order, bbox in image pixels
+     */
+    recognize(image) {
+        if (!this.isAvailable()) return Promise.reject(new Error('OCR is not available'));
+
+        const key = crypto.createHash('sha1').update(image).digest('hex');
+        if (this.lastResult && this.lastResult.key === key) return this.lastResult.promise;
+
+        const promise = this.getWorker()
+            .then(worker => worker.recognize(image, {}, { text: true, blocks: true }))
+            .then(({ data }) => ({
+                text: data.text.trim(),
+                confidence: data.confidence,
+                lines: (data.blocks || [])
+                    .flatMap(block => block.paragraphs)
+                    .flatMap(paragraph => paragraph.lines)
+                    .map(({ text, confidence, bbox }) => ({
+                        text: text.trim(),
+                        confidence,
+                        bbox: { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 }
+                    }))
+                    .filter(line => line.text)
+            }));
+        this.lastResult = { key, promise };
+        promise.catch(() => {
+            if (this.lastResult && this.lastResult.promise === promise) this.lastResult = null;
+        });
+        return promise;
+    }
+
+    async terminate() {
+        const worker = this.worker;
+        this.worker = null;
+        this.lastResult = null;
+        if (!worker) return;
+        try {
+            await (await worker.promise).terminate();
+        } catch (e) {
+            // Never started
+        }
+    }
+}
+
+module.exports = new OcrReader();
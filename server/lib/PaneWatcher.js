@@ -0,0 +1,337 @@
+/**
+ * PaneWatcher - Alerts about the chat while the phone is in a pocket
+ * While any device has alerts on, the chat region StreamEngine streams (findRegion) is captured
+ * every watch.interval ms, joining a stream capture when one is in progress, and compared as a
+ * thumbnail (lib/changeDetection.js). Each device can be alerted when:
+ *   - settled: the pane changed and then stayed still for settleSeconds (the agent finished)
+ *   - pattern: its pattern image (e.g. an "Accept" button) appeared in the pane
+ * Alerts are { type: 'settled'|'pattern'|'test', timestamp, settleSeconds?, pattern? } plus their
+ * notification's { title, body, tag } (lib/alertText.js), and go to the device's sockets
+ * ('watch:alert') and, when it has a push subscription, through Web Push, so they arrive with the
+ * app in the background or closed.
+ * Settings and subscriptions persist in watchers.json, the VAPID keys in vapid.json (SERVER_DATA_DIR).
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const webpush = require('web-push');
+const configManager = require('../configManager');
+const imagePool = require('./ImagePool');
+const { containsRect, relativeTo } = require('./rects');
+const { toThumbnail, countChangedCells, patternCellSize } = require('./changeDetection');
+const { formatAlert } = require('./alertText');
+
+const REGION_REFRESH_MS = 30000; // The chat region is looked up again after this long
+const MIN_CHANGED_CELLS = 3; // Fewer changed cells (a blinking cursor) is not activity
+const PATTERN_MAX_SIZE = 600; // px per side
+const PATTERN_MIN_SIZE = 8;
+const PUSH_TTL_SECONDS = 600; // Alerts older than this are not worth delivering
+
+/**
+ * Whether a push endpoint is on one of the push services in watch.pushServices. The server posts
+ * every alert to the endpoint, so any other URL would let a device make it reach arbitrary hosts,
+ * including ones only visible from its own network.
+ */
+function isKnownPushService(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+    const host = url.hostname.toLowerCase();
+    return configManager.getWatchConfig().pushServices.some(service => host === service || host.endsWith(`.${service}`));
+}
+
+const DEFAULT_WATCHER = {
+    enabled: false,
+    settleSeconds: 10, // null = no settled alerts
+    pattern: null, // { name, width, height, cellSize, thumbnail: { width, height, data (base64) } }
+    push: null // PushSubscription JSON
+};
+
+class PaneWatcher {
+    constructor() {
+        const dataDir = process.env.SERVER_DATA_DIR || path.join(__dirname, '..');
+        this.watchersPath = path.join(dataDir, 'watchers.json');
+        this.vapidPath = path.join(dataDir, 'vapid.json');
+        this.watchers = new Map(); // deviceId -> settings (DEFAULT_WATCHER)
+        this.alertState = new Map(); // deviceId -> { active, patternVisible }
+        this.streamEngine = null;
+        this.notify = null;
+        this.timer = null;
+        this.tickInFlight = false;
+        this.region = null; // { rect, foundAt }
+        this.lastThumbnail = null;
+        this.lastChangeAt = 0;
+        this.vapidKeys = null; // Promise of { publicKey, privateKey }
+        this.loaded = this.loadWatchers();
+    }
+
+    async loadWatchers() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.watchersPath, 'utf8'));
+            for (const [deviceId, watcher] of Object.entries(saved.watchers || {})) {
+                this.watchers.set(deviceId, { ...DEFAULT_WATCHER, ...watcher });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading pane watchers:', error);
+        }
+    }
+
+    async saveWatchers() {
+        try {
+            await fs.writeFile(this.watchersPath, JSON.stringify({ watchers: Object.fromEntries(this.watchers) }, null, 2));
+        } catch (error) {
+            console.error('Error saving pane watchers:', error);
+        }
+    }
+
+    /**
+     * Starts watching for the devices that have alerts on.
+     * @param {StreamEngine} streamEngine - Finds and captures the chat region
+     * @param {(deviceId: string, alert: Object) => void} notify - Sends an alert to the device's sockets
+     */
+    async start(streamEngine, notify) {
+        this.streamEngine = streamEngine;
+        this.notify = notify;
+        await this.loaded;
+        this.schedule();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Runs the timer only while some device has alerts on
+    schedule() {
+        const watching = [...this.watchers.values()].some(w => w.enabled);
+        if (!watching || !this.streamEngine) {
+            this.stop();
+            this.lastThumbnail = null;
+            return;
+        }
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), configManager.getWatchConfig().interval);
+        this.timer.unref(); // The HTTP server keeps the process alive, not this timer
+    }
+
+    async tick() {
+        if (this.tickInFlight) return;
+        this.tickInFlight = true;
+        try {
+            const now = Date.now();
+            if (!this.region || now - this.region.foundAt > REGION_REFRESH_MS) {
+                const region = await this.streamEngine.findRegion({ mode: 'chat' });
+                this.region = region ? { rect: region.rect, foundAt: now } : null;
+            }
+            if (!this.region) return;
+
+            const { rect } = this.region;
+            const screen = await this.streamEngine.captureShared(rect);
+            if (!containsRect(screen, rect)) return;
+
+            const watching = [...this.watchers.entries()].filter(([, w]) => w.enabled);
+            const patterns = watching
+                .filter(([, w]) => w.pattern)
+                .map(([deviceId, { pattern }]) => ({
+                    id: deviceId,
+                    cellSize: pattern.cellSize,
+                    thumbnail: { ...pattern.thumbnail, data: Buffer.from(pattern.thumbnail.data, 'base64') }
+                }));
+            const { thumbnail, matches } = await this.streamEngine.runImageTask('watch', {
+                screen,
+                region: relativeTo(screen, rect),
+                patterns
+            });
+
+            // The first thumbnail is only the baseline
+            const changed = !!this.lastThumbnail && countChangedCells(this.lastThumbnail, thumbnail) >= MIN_CHANGED_CELLS;
+            this.lastThumbnail = thumbnail;
+            if (changed) this.lastChangeAt = now;
+
+            for (const [deviceId, watcher] of watching) {
+                // Settings changed during this tick: the next one uses the new ones
+                if (this.watchers.get(deviceId) !== watcher) continue;
+                this.evaluate(deviceId, watcher, { changed, match: matches.find(m => m.id === deviceId), now });
+            }
+        } catch (err) {
+            console.error('Pane watcher error:', err.message);
+        } finally {
+            this.tickInFlight = false;
+        }
+    }
+
+    /**
+     * One device's alerts for this tick: settled once after each burst of activity, pattern each
+     * time it appears.
+     */
+    evaluate(deviceId, watcher, { changed, match, now }) {
+        let state = this.alertState.get(deviceId);
+        if (!state) {
+            state = { active: false, patternVisible: false };
+            this.alertState.set(deviceId, state);
+        }
+
+        if (changed) {
+            state.active = true;
+        } else if (state.active && watcher.settleSeconds && now - this.lastChangeAt >= watcher.settleSeconds * 1000) {
+            state.active = false;
+            this.alert(deviceId, { type: 'settled', settleSeconds: watcher.settleSeconds });
+        }
+
+        const visible = !!match && match.score >= configManager.getWatchConfig().patternThreshold;
+        if (visible && !state.patternVisible) {
+            this.alert(deviceId, { type: 'pattern', pattern: watcher.pattern.name });
+        }
+        state.patternVisible = visible;
+    }
+
+    /**
+     * Sends an alert to the device's sockets and its push subscription.
+     */
+    alert(deviceId, alert) {
+        const payload = { ...alert, ...formatAlert(alert), timestamp: Date.now() };
+        console.log(`[watch] ${alert.type} alert for device ${deviceId}`);
+        if (this.notify) this.notify(deviceId, payload);
+
+        const watcher = this.watchers.get(deviceId);
+        if (watcher && watcher.push) {
+            this.sendPush(deviceId, watcher.push, payload).catch(err => console.error('Push error:', err.message));
+        }
+    }
+
+    async sendPush(deviceId, subscription, payload) {
+        // Subscriptions saved before the check, or services removed from the config since
+        if (!isKnownPushService(subscription.endpoint)) throw new Error('Push endpoint is not a known push service');
+        const { publicKey, privateKey } = await this.getVapidKeys();
+        try {
+            await webpush.sendNotification(subscription, JSON.stringify(payload), {
+                TTL: PUSH_TTL_SECONDS,
+                vapidDetails: { subject: configManager.getWatchConfig().vapidSubject, publicKey, privateKey }
+            });
+        } catch (err) {
+            // The browser dropped the subscription (app uninstalled, permission revoked)
+            if (err.statusCode === 404 || err.statusCode === 410) {
+                await this.setPushSubscription(deviceId, null);
+                return;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * VAPID keys identifying this server to push services, generated on first use.
+     * Concurrent first calls share one load, so only one key pair is ever generated.
+     */
+    getVapidKeys() {
+        if (!this.vapidKeys) {
+            this.vapidKeys = this.loadVapidKeys().catch((error) => {
+                this.vapidKeys = null;
+                throw error;
+            });
+        }
+        return this.vapidKeys;
+    }
+
+    async loadVapidKeys() {
+        try {
+            return JSON.parse(await fs.readFile(this.vapidPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            const keys = webpush.generateVAPIDKeys();
+            await fs.writeFile(this.vapidPath, JSON.stringify(keys, null, 2));
+            console.log('Generated VAPID keys for Web Push');
+            return keys;
+        }
+    }
+
+    getWatcher(deviceId) {
+        return this.watchers.get(deviceId) || { ...DEFAULT_WATCHER };
+    }
+
+    /**
+     * Settings as sent to the client ('watch:config').
+     */
+    async getConfig(deviceId) {
+        const { enabled, settleSeconds, pattern, push } = this.getWatcher(deviceId);
+        return {
+            enabled,
+            settleSeconds,
+            pattern: pattern ? { name: pattern.name, width: pattern.width, height: pattern.height } : null,
+            push: !!push,
+            vapidPublicKey: (await this.getVapidKeys()).publicKey
+        };
+    }
+
+    /**
+     * @param {{ enabled?: boolean, settleSeconds?: number|null, pattern?: { name: string, image: string }|null }} updates
+     *   pattern.image: base64 PNG/JPEG, e.g. cropped from /api/snapshot
+     * @throws {Error} When the pattern image is unreadable or out of size limits
+     */
+    async update(deviceId, { enabled, settleSeconds, pattern } = {}) {
+        const watcher = { ...this.getWatcher(deviceId) };
+
+        if (enabled !== undefined) watcher.enabled = !!enabled;
+        if (settleSeconds !== undefined) {
+            watcher.settleSeconds = settleSeconds === null ? null : Math.max(3, Math.min(600, Math.round(Number(settleSeconds) || 0)));
+        }
+        if (pattern === null) {
+            watcher.pattern = null;
+        } else if (pattern !== undefined) {
+            watcher.pattern = await this.createPattern(pattern);
+        }
+
+        this.watchers.set(deviceId, watcher);
+        this.alertState.delete(deviceId);
+        await this.saveWatchers();
+        this.schedule();
+        return this.getConfig(deviceId);
+    }
+
+    async createPattern({ name, image }) {
+        const encoded = Buffer.from(String(image || ''), 'base64');
+        const { result: bitmap } = await imagePool.run('decode', { encoded });
+        const { width, height } = bitmap;
+        if (width < PATTERN_MIN_SIZE || height < PATTERN_MIN_SIZE || width > PATTERN_MAX_SIZE || height > PATTERN_MAX_SIZE) {
+            throw new Error(`Pattern must be between ${PATTERN_MIN_SIZE} and ${PATTERN_MAX_SIZE} px per side`);
+        }
+
+        const cellSize = patternCellSize(width, height);
+        const thumbnail = toThumbnail(bitmap, { x: 0, y: 0, width, height }, cellSize);
+        return {
+            name: String(name || 'Patrón').slice(0, 50),
+            width,
+            height,
+            cellSize,
+            thumbnail: { width: thumbnail.width, height: thumbnail.height, data: Buffer.from(thumbnail.data).toString('base64') }
+        };
+    }
+
+    /**
+     * @param {Object|null} subscription - PushSubscription JSON ({ endpoint, keys: { p256dh, auth } }), null to remove
+     * @returns {boolean} false when the subscription is malformed or not on a known push service
+     */
+    async setPushSubscription(deviceId, subscription) {
+        if (subscription !== null) {
+            const valid = subscription && typeof subscription.endpoint === 'string' &&
+                isKnownPushService(subscription.endpoint) &&
+                subscription.keys && subscription.keys.p256dh && subscription.keys.auth;
+            if (!valid) return false;
+        }
+        this.watchers.set(deviceId, { ...this.getWatcher(deviceId), push: subscription });
+        await this.saveWatchers();
+        return true;
+    }
+
+    // A revoked device gets no more alerts
+    async removeDevice(deviceId) {
+        if (!this.watchers.delete(deviceId)) return;
+        this.alertState.delete(deviceId);
+        await this.saveWatchers();
+        this.schedule();
+    }
+}
+
+module.exports = new PaneWatcher();
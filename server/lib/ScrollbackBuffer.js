@@ -0,0 +1,55 @@
+/**
+ * ScrollbackBuffer - The most recent output of a terminal, replayed to clients that (re)attach
+ * Output is kept as the chunks the pty produced, up to `limit` characters; older chunks are
+ * dropped first. When a chunk has to be cut, the cut moves on to the next line break in it so
+ * the replay does not start in the middle of a line or an escape sequence.
+ */
+class ScrollbackBuffer {
+    /**
+     * @param {number} limit - Characters kept
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.chunks = [];
+        this.length = 0;
+    }
+
+    append(data) {
+        if (!data) return;
+        this.chunks.push(data);
+        this.length += data.length;
+        if (this.length > this.limit) this.trim();
+    }
+
+    trim() {
+        while (this.chunks.length > 1 && this.length - this.chunks[0].length >= this.limit) {
+            this.length -= this.chunks.shift().length;
+        }
+        if (this.length <= this.limit) return;
+
+        const first = this.chunks[0];
+        const cut = this.length - this.limit;
+        // Without a line break left (one long line), keep its tail
+        const lineBreak = first.indexOf('\n', cut);
+        const start = lineBreak === -1 ? cut : lineBreak + 1;
+        if (start === first.length) {
+            this.chunks.shift();
+        } else {
+            this.chunks[0] = first.slice(start);
+        }
+        this.length -= start;
+    }
+
+    toString() {
+        // Joined once per attach instead of on every chunk
+        if (this.chunks.length > 1) this.chunks = [this.chunks.join('')];
+        return this.chunks[0] || '';
+    }
+
+    clear() {
+        this.chunks = [];
+        this.length = 0;
+    }
+}
+
+module.exports = ScrollbackBuffer;
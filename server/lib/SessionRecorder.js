@@ -0,0 +1,263 @@
+/**
+ * SessionRecorder - Records what a client sees so it can be reviewed later
+ * While a client records, StreamEngine hands it a frame of that client's view every
+ * 1/recording.fps seconds and index.js the input events the client sends; both go to an
+ * append-only .rec file (lib/recordingFormat.js) with a .json summary next to it.
+ * Files live in recordings/ under SERVER_DATA_DIR (server/ by default) and are served by the
+ * /api/recordings endpoints. Old recordings are deleted before a new one starts (prune).
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const configManager = require('../configManager');
+const { encodeFileHeader, encodeFrameRecord, encodeInputRecord } = require('./recordingFormat');
+
+const ID_PATTERN = /^[\w-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionRecorder {
+    constructor() {
+        this.dir = path.join(process.env.SERVER_DATA_DIR || path.join(__dirname, '..'), 'recordings');
+        this.active = new Map(); // socketId -> { meta, stream, lastFrameAt, lastImage }
+        this.starting = new Map(); // socketId -> Promise of the start in progress
+    }
+
+    isRecording(socketId) {
+        return this.active.has(socketId);
+    }
+
+    /**
+     * Summary of the client's running recording, or { recording: false }.
+     */
+    getStatus(socketId) {
+        const current = this.active.get(socketId);
+        return current ? this.toSummary(current.meta) : { recording: false };
+    }
+
+    /**
+     * Starts recording a client's view. A client that is already recording keeps its recording.
+     * @param {string} socketId
+     * @param {{ name?: string, device?: string, deviceId?: string, viewMode?: string }} info
+     *   device is the name shown in the list, deviceId the paired device allowed to see it
+     * @returns {Promise<Object>} Recording summary (see toSummary)
+     */
+    start(socketId, info) {
+        // Starts that overlap (a double tap) share the first one, so only one file is ever opened
+        const pending = this.starting.get(socketId);
+        if (pending) return pending;
+        const current = this.active.get(socketId);
+        if (current) return Promise.resolve(this.toSummary(current.meta));
+
+        const starting = this.create(socketId, info).finally(() => this.starting.delete(socketId));
+        this.starting.set(socketId, starting);
+        return starting;
+    }
+
+    async create(socketId, { name, device = null, deviceId = null, viewMode = null } = {}) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await this.prune();
+
+        const startedAt = Date.now();
+        const id = `${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+        const meta = {
+            id,
+            name: name || `${viewMode || 'stream'} ${new Date(startedAt).toLocaleString()}`,
+            device,
+            deviceId,
+            viewMode,
+            startedAt,
+            endedAt: null,
+            frames: 0,
+            inputs: 0,
+            bytes: 0
+        };
+
+        const stream = fs.createWriteStream(this.filePath(id));
+        stream.on('error', (err) => console.error(`Recording ${id} write error:`, err.message));
+        const recording = { meta, stream, lastFrameAt: 0, lastImage: null };
+        this.active.set(socketId, recording);
+        this.write(recording, encodeFileHeader(startedAt));
+        await this.saveMeta(meta);
+
+        console.log(`[${socketId}] Recording started: ${id}`);
+        return this.toSummary(meta);
+    }
+
+    /**
+     * Whether the client's recording wants a frame captured at `timestamp` (recording.fps).
+     */
+    wantsFrame(socketId, timestamp) {
+        const recording = this.active.get(socketId);
+        if (!recording) return false;
+        return timestamp - recording.lastFrameAt >= 1000 / configManager.getRecordingConfig().fps;
+    }
+
+    /**
+     * Frames identical to the previous one are left out (playback keeps showing it), so an idle
+     * pane costs next to nothing.
+     * @param {Buffer} image - JPEG of the client's view
+     * @param {{ timestamp: number, width: number, height: number }} meta
+     */
+    recordFrame(socketId, image, { timestamp, width, height }) {
+        const recording = this.active.get(socketId);
+        if (!recording) return;
+        recording.lastFrameAt = timestamp;
+
+        const buffer = Buffer.from(image);
+        if (recording.lastImage && recording.lastImage.equals(buffer)) return;
+        recording.lastImage = buffer;
+        recording.meta.frames++;
+        this.write(recording, encodeFrameRecord(buffer, { time: timestamp - recording.meta.startedAt, width, height }));
+    }
+
+    /**
+     * @param {Object} event - e.g. { type: 'click', x, y } in frame pixels. Typed text is given by
+     *   its length only ({ type: 'type', length }): a recording must not keep passwords
+     */
+    recordInput(socketId, event) {
+        const recording = this.active.get(socketId);
+        if (!recording) return;
+        recording.meta.inputs++;
+        this.write(recording, encodeInputRecord(event, { time: Date.now() - recording.meta.startedAt }));
+    }
+
+    write(recording, buffer) {
+        recording.meta.bytes += buffer.length;
+        recording.stream.write(buffer);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Summary of the finished recording, null if none was running
+     */
+    async stop(socketId) {
+        // A stop right after a start stops that recording
+        await (this.starting.get(socketId) || Promise.resolve()).catch(() => {});
+        const recording = this.active.get(socketId);
+        if (!recording) return null;
+        this.active.delete(socketId);
+
+        recording.meta.endedAt = Date.now();
+        await new Promise(resolve => recording.stream.end(resolve));
+        await this.saveMeta(recording.meta);
+
+        console.log(`[${socketId}] Recording stopped: ${recording.meta.id} (${recording.meta.frames} frames)`);
+        return this.toSummary(recording.meta);
+    }
+
+    /**
+     * Recordings on disk, newest first. Recordings in progress have endedAt null.
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const recordings = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                recordings.push(await this.readSummary(file.slice(0, -'.json'.length)));
+            } catch (err) {
+                console.error(`Unreadable recording summary ${file}:`, err.message);
+            }
+        }
+        return recordings.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Summary of one recording, or null for unknown or malformed ids.
+     */
+    async getSummary(id) {
+        if (!this.isValidId(id)) return null;
+        try {
+            return await this.readSummary(id);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async readSummary(id) {
+        const active = [...this.active.values()].find(r => r.meta.id === id);
+        if (active) return this.toSummary(active.meta);
+        const meta = JSON.parse(await fs.promises.readFile(this.metaPath(id), 'utf8'));
+        // Interrupted by a server stop: no end time was saved
+        return this.toSummary({ ...meta, endedAt: meta.endedAt || meta.startedAt });
+    }
+
+    /**
+     * Deletes a finished recording.
+     * @returns {Promise<boolean>} false if there is no such recording
+     * @throws {Error} While it is still recording
+     */
+    async remove(id) {
+        const summary = await this.getSummary(id);
+        if (!summary) return false;
+        if (summary.recording) throw new Error('Recording in progress');
+        await fs.promises.rm(this.filePath(id), { force: true });
+        await fs.promises.rm(this.metaPath(id), { force: true });
+        console.log(`Recording deleted: ${id}`);
+        return true;
+    }
+
+    /**
+     * Retention (recording.retentionDays, recording.maxTotalMB): deletes finished recordings older
+     * than retentionDays, then the oldest ones while all of them take more than maxTotalMB.
+     * @returns {Promise<string[]>} Ids of the deleted recordings
+     */
+    async prune(now = Date.now()) {
+        const { retentionDays, maxTotalMB } = configManager.getRecordingConfig();
+        const recordings = await this.list();
+        let totalBytes = recordings.reduce((sum, r) => sum + r.bytes, 0);
+
+        const removed = [];
+        for (const recording of recordings.filter(r => !r.recording).reverse()) {
+            const expired = retentionDays > 0 && now - recording.endedAt > retentionDays * DAY_MS;
+            const overLimit = maxTotalMB > 0 && totalBytes > maxTotalMB * 1024 * 1024;
+            if (!expired && !overLimit) continue;
+            try {
+                await this.remove(recording.id);
+                totalBytes -= recording.bytes;
+                removed.push(recording.id);
+            } catch (err) {
+                console.error(`Recording ${recording.id} not pruned:`, err.message);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Path of a recording's .rec file, or null for unknown or malformed ids.
+     */
+    getRecordingFile(id) {
+        if (!this.isValidId(id)) return null;
+        const file = this.filePath(id);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    filePath(id) {
+        return path.join(this.dir, `${id}.rec`);
+    }
+
+    metaPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async saveMeta(meta) {
+        await fs.promises.writeFile(this.metaPath(meta.id), JSON.stringify(meta, null, 2));
+    }
+
+    toSummary(meta) {
+        const durationMs = (meta.endedAt || Date.now()) - meta.startedAt;
+        return { ...meta, durationMs, recording: meta.endedAt === null };
+    }
+}
+
+module.exports = new SessionRecorder();
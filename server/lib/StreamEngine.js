@@ -1,26 +1,37 @@
-const screenshot = require('screenshot-desktop');
-const { Jimp } = require('jimp');
-const robot = require('robotjs');
 const config = require('../config');
 const configManager = config.getConfigManager();
-const { findWindowBounds, ensureWindowActive, findWindowBoundsByHandle } = require('../window-detector');
-const { findChatPaneStructural, findVerticalEdges, findHorizontalEdges, findTerminalPane, drawDebugMarkers } = require('../pane-detector');
+const desktop = require('./desktop');
 const clientManager = require('./ClientManager');
+const webrtcManager = require('./WebRTCManager');
+const imagePool = require('./ImagePool');
+const sessionRecorder = require('./SessionRecorder');
+const ocrReader = require('./OcrReader');
+const { encodeFrame, encodeTileFrame } = require('./frames');
+const { currentSettings, applyReport } = require('./adaptive');
+const { createStageMetrics, recordStages, summarizeStages } = require('./stageMetrics');
+const { unionRects, containsRect, relativeTo } = require('./rects');
+const { findMonitor, toPhysicalRect } = require('./monitors');
+
+// Clients due within this window of each other share one screenshot
+const SHARED_CAPTURE_WINDOW_MS = 10;
+
+const STREAMING_MODES = ['chat', 'terminal', 'apps'];
 
 class StreamEngine {
     constructor(io) {
         this.io = io;
         this.isStreaming = false;
-        this.streamInterval = null;
+        this.frameTimer = null;
         this.detectionInterval = null;
-        this.isCapturing = false;
+        this.pendingCapture = null; // { rect, promise } of the screenshot being taken
         this.globalDetectedWindow = null;
+        this.metrics = createStageMetrics();
     }
 
     start() {
         if (this.isStreaming) return;
         this.isStreaming = true;
-        this.updateInterval();
+        this.reschedule();
         this.startWindowDetection();
         console.log("Stream Engine started");
     }
@@ -28,36 +39,76 @@ class StreamEngine {
     stop() {
         if (!this.isStreaming) return;
         this.isStreaming = false;
-        if (this.streamInterval) clearInterval(this.streamInterval);
+        clearTimeout(this.frameTimer);
+        this.frameTimer = null;
         if (this.detectionInterval) clearInterval(this.detectionInterval);
+        ocrReader.terminate(); // Frees the OCR engine's memory until a reader needs it again
         console.log("Stream Engine stopped");
     }
 
-    updateInterval() {
-        if (this.streamInterval) clearInterval(this.streamInterval);
+    getStreamingClients() {
+        return clientManager.getAllClients().filter(c => c.isActive && STREAMING_MODES.includes(c.viewMode));
+    }
 
-        const globalConfig = configManager.getGlobalConfig();
-        const lowResourceMode = configManager.isLowResourceMode();
-        const clients = clientManager.getAllClients();
+    /**
+     * Per-client scheduling: each client has its own nextFrameAt (from its effective fps) and the
+     * timer wakes up for the earliest one. Call after anything that changes who streams or how fast.
+     * Clients with a frame still in flight are left out; they reschedule when it is done.
+     */
+    reschedule() {
+        clearTimeout(this.frameTimer);
+        this.frameTimer = null;
+        if (!this.isStreaming) return;
 
-        // In low-resource mode, use the reduced FPS
-        let baseFps = lowResourceMode ? configManager.getEffectiveFps() : globalConfig.fps;
+        const waiting = this.getStreamingClients().filter(c => !c.frameInFlight);
+        if (waiting.length === 0) return;
 
-        // Find max requested FPS among clients (but cap at base if low-resource)
-        const clientFps = clients.map(c => {
-            const conf = clientManager.getEffectiveConfig(c.socketId);
-            return conf ? conf.fps : baseFps;
-        });
+        const nextFrameAt = Math.min(...waiting.map(c => c.nextFrameAt));
+        this.frameTimer = setTimeout(() => this.captureAndEmit(), Math.max(0, nextFrameAt - Date.now()));
+    }
 
-        const targetFps = lowResourceMode
-            ? baseFps  // In low-resource mode, ignore client overrides
-            : Math.max(baseFps, ...clientFps);
+    /**
+     * Configured stream values for a client: its fps/quality, or the low-resource ones.
+     * Adaptive streaming stays within these.
+     */
+    getStreamLimits(effectiveConfig) {
+        const lowResourceMode = configManager.isLowResourceMode();
+        return {
+            fps: lowResourceMode ? configManager.getEffectiveFps() : effectiveConfig.fps,
+            quality: lowResourceMode ? configManager.getEffectiveQuality() : effectiveConfig.quality,
+            fpsMin: effectiveConfig.fpsMin,
+            qualityMin: effectiveConfig.qualityMin
+        };
+    }
 
-        const intervalMs = 1000 / targetFps;
+    /**
+     * fps, JPEG quality and downscale to stream a client with right now.
+     * @returns {{ fps: number, quality: number, downscale: number }}
+     */
+    getStreamSettings(state, effectiveConfig = clientManager.getEffectiveConfig(state.socketId)) {
+        const limits = this.getStreamLimits(effectiveConfig);
+        const baseDownscale = configManager.isLowResourceMode() ? configManager.getImageDownscale() : 1.0;
+
+        // WebRTC has its own congestion control
+        if (!effectiveConfig.adaptiveStreaming || state.frameTransport === 'webrtc') {
+            return { fps: limits.fps, quality: limits.quality, downscale: baseDownscale };
+        }
+        const adaptive = currentSettings(state.adaptive, limits);
+        return { ...adaptive, downscale: baseDownscale * adaptive.downscale };
+    }
 
-        if (this.isStreaming) {
-            this.streamInterval = setInterval(() => this.captureAndEmit(), intervalMs);
+    /**
+     * Feeds a 'stream:stats' report into adaptive streaming.
+     * @returns {{ fps: number, quality: number, downscale: number }} The settings now in use
+     */
+    applyClientStats(state, report) {
+        const effectiveConfig = clientManager.getEffectiveConfig(state.socketId);
+        if (effectiveConfig.adaptiveStreaming && state.frameTransport !== 'webrtc') {
+            const before = state.adaptive.fps;
+            applyReport(state.adaptive, report, this.getStreamLimits(effectiveConfig));
+            if (state.adaptive.fps !== before) this.reschedule();
         }
+        return this.getStreamSettings(state, effectiveConfig);
     }
 
     startWindowDetection() {
@@ -79,17 +130,21 @@ class StreamEngine {
 
                             // Priority: Handle (most reliable for tracking moves/resizes)
                             if (state.streamSource.handle) {
-                                bounds = await findWindowBoundsByHandle(state.streamSource.handle);
+                                bounds = await desktop.findWindowBoundsByHandle(state.streamSource.handle);
                             }
 
                             // Fallback: Title (if handle failed or not present)
                             if (!bounds && state.streamSource.target) {
-                                bounds = await findWindowBounds(state.streamSource.target);
+                                bounds = await desktop.findWindowBounds(state.streamSource.target);
                             }
 
                             if (bounds) {
                                 state.detectedWindow = bounds;
                             }
+                        } else if (state.streamSource.monitor !== undefined && state.streamSource.monitor !== null) {
+                            // Global on one monitor
+                            const monitor = findMonitor(await desktop.getMonitors(), state.streamSource.monitor);
+                            state.detectedWindow = monitor ? { ...monitor.bounds } : null;
                         } else {
                             // Global or unset - full screen
                             state.detectedWindow = null;
@@ -101,11 +156,11 @@ class StreamEngine {
 
                         // Activation logic
                         if (effectiveConfig.autoActivateWindow) {
-                            await ensureWindowActive(titles);
+                            await desktop.activateWindow(titles);
                         }
 
                         // Detection logic
-                        const bounds = await findWindowBounds(titles);
+                        const bounds = await desktop.findWindowBounds(titles);
                         if (bounds) {
                             state.detectedWindow = bounds;
                         }
@@ -114,7 +169,7 @@ class StreamEngine {
 
                 // Global fallback
                 const globalConfig = configManager.getGlobalConfig();
-                const globalBounds = await findWindowBounds(globalConfig.targetWindowTitles);
+                const globalBounds = await desktop.findWindowBounds(globalConfig.targetWindowTitles);
                 if (globalBounds) this.globalDetectedWindow = globalBounds;
 
             } catch (e) {
@@ -123,131 +178,407 @@ class StreamEngine {
         }, configManager.getDetectionInterval());
     }
 
-    getDpiScale(width, height) {
-        const logical = robot.getScreenSize();
-        return {
-            x: width / logical.width,
-            y: height / logical.height
-        };
-    }
-
+    /**
+     * Serves every client that is due (or due within SHARED_CAPTURE_WINDOW_MS) from one screenshot.
+     * Clients are processed concurrently, so a slow client does not hold the others back, and
+     * the next wake-up is scheduled before the work starts.
+     */
     async captureAndEmit() {
-        if (this.isCapturing) return;
-        this.isCapturing = true;
+        this.frameTimer = null;
+        const now = Date.now();
+        const due = this.getStreamingClients().filter(c =>
+            !c.frameInFlight && c.nextFrameAt <= now + SHARED_CAPTURE_WINDOW_MS
+        );
+
+        for (const state of due) {
+            const intervalMs = 1000 / this.getStreamSettings(state).fps;
+            const next = state.nextFrameAt + intervalMs;
+            state.nextFrameAt = next < now ? now + intervalMs : next; // Fell behind: no catch-up burst
+            state.frameInFlight = true;
+        }
+        this.reschedule();
+        if (due.length === 0) return;
 
         try {
-            const clients = clientManager.getAllClients();
-            const activeLinkClients = clients.filter(c =>
-                c.isActive &&
-                ['chat', 'terminal', 'apps'].includes(c.viewMode)
-            );
-
-            if (activeLinkClients.length === 0) {
-                this.isCapturing = false;
-                return;
-            }
+            const geometry = { monitors: await desktop.getMonitors() };
+
+            // Only the part of the screen these clients need (backends without region capture grab it all)
+            const rects = due.map(state => this.getNeededRect(state, geometry)).filter(Boolean);
+            if (rects.length === 0) return;
+            const screen = await this.captureShared(unionRects(rects));
+            const timestamp = Date.now();
+
+            await Promise.all(due.map(state =>
+                this.emitClientFrame(state, screen, { timestamp, ...geometry })
+                    .catch(err => console.error(`[${state.socketId}] StreamEngine Error:`, err))
+            ));
+        } catch (err) {
+            console.error('StreamEngine Error:', err);
+        } finally {
+            for (const state of due) state.frameInFlight = false;
+            this.reschedule();
+        }
+    }
 
-            const imgBuffer = await screenshot();
-            const mainImage = await Jimp.read(imgBuffer);
-            const screenWidth = mainImage.width;
-            const screenHeight = mainImage.height;
-            const dpiScale = this.getDpiScale(screenWidth, screenHeight);
+    /**
+     * Screenshot of `rect` for the clients due now. Joins a capture already in progress (clients
+     * whose ticks coincide with another tick's) when it covers `rect`, instead of taking a second one.
+     * @returns {Promise<{ x, y, width, height, data: SharedArrayBuffer, capturedAt: number }>}
+     *   RGBA pixels of the captured region and where it starts on the screen
+     */
+    captureShared(rect) {
+        const pending = this.pendingCapture;
+        if (pending && containsRect(pending.rect, rect)) return pending.promise;
+
+        const promise = this.captureScreen(rect).finally(() => {
+            if (this.pendingCapture && this.pendingCapture.promise === promise) this.pendingCapture = null;
+        });
+        this.pendingCapture = { rect, promise };
+        return promise;
+    }
 
-            for (const state of activeLinkClients) {
-                const socket = this.io.sockets.sockets.get(state.socketId);
-                if (!socket) continue;
+    async captureScreen(rect) {
+        const capturedAt = Date.now();
+        const raw = await desktop.captureRaw(rect);
+        recordStages(this.metrics, { capture: Date.now() - capturedAt });
+        const screen = await this.runImageTask('decode', raw);
 
-                const effectiveConfig = clientManager.getEffectiveConfig(state.socketId);
+        // A full screenshot is also a free check of the screen size (resolution or DPI changes)
+        if (raw.encoded && raw.x === undefined) desktop.updatePhysicalScreenSize(screen.width, screen.height);
+        return { ...screen, capturedAt };
+    }
 
-                // Determine Base Region
-                let baseX, baseY, baseW, baseH;
-                const activeWindow = state.detectedWindow || this.globalDetectedWindow;
+    /**
+     * Runs a task on the image worker pool and records how long each stage took.
+     */
+    async runImageTask(type, payload) {
+        const { result, timings } = await imagePool.run(type, payload);
+        recordStages(this.metrics, timings);
+        return result;
+    }
 
-                if (activeWindow) {
-                    baseX = Math.round(activeWindow.x * dpiScale.x);
-                    baseY = Math.round(activeWindow.y * dpiScale.y);
-                    baseW = Math.round(activeWindow.width * dpiScale.x);
-                    baseH = Math.round(activeWindow.height * dpiScale.y);
-                } else {
-                    const screenConfig = configManager.getScreenConfig();
-                    baseX = Math.round(screenConfig.x * dpiScale.x);
-                    baseY = Math.round(screenConfig.y * dpiScale.y);
-                    baseW = Math.round(screenConfig.width * dpiScale.x);
-                    baseH = Math.round(screenConfig.height * dpiScale.y);
-                }
+    /**
+     * Latency per pipeline stage (see lib/stageMetrics.js) and the state of the worker pool.
+     */
+    getMetrics() {
+        return { pool: imagePool.getStatus(), stages: summarizeStages(this.metrics) };
+    }
 
-                // Clip
-                if (baseX < 0) baseX = 0;
-                if (baseY < 0) baseY = 0;
-                if (baseX + baseW > screenWidth) baseW = screenWidth - baseX;
-                if (baseY + baseH > screenHeight) baseH = screenHeight - baseY;
+    /**
+     * Where a client's frame comes from, in physical screen pixels, with its current stable pane:
+     *   - base: the window (or configured screen area) pane detection looks at
+     *   - crops: stable pane and manual crops, applied in order, each relative to the previous result
+     *   - area: the pane (lastCaptureArea, before the manual crop)
+     *   - display: what the client gets (after the manual crop)
+     * @returns {Object|null} null when the area is off screen (see lib/monitors.js)
+     */
+    planFrame(state, effectiveConfig, { monitors }) {
+        // Determine Base Region (on the monitor showing most of it, at that monitor's DPI)
+        const activeWindow = state.detectedWindow || this.globalDetectedWindow || configManager.getScreenConfig();
+        const base = toPhysicalRect(monitors, activeWindow);
+        if (!base) return null;
+
+        const crops = [];
+        let area = { ...base };
+
+        // Apply Stable Crops
+        if (state.viewMode === 'chat' && state.stablePaneX > 0) {
+            const paneW = base.width - state.stablePaneX;
+            crops.push({ x: state.stablePaneX, y: 0, width: paneW, height: base.height });
+            area = { x: base.x + state.stablePaneX, y: base.y, width: paneW, height: base.height };
+        } else if (state.viewMode === 'terminal' && state.stablePaneY > 0) {
+            const cropX = state.stablePaneX > 0 ? state.stablePaneX : 0;
+            const cropW = state.stablePaneW > 0 ? state.stablePaneW : base.width - cropX;
+            const cropH = state.stablePaneH > 0 ? state.stablePaneH : base.height - state.stablePaneY;
+
+            crops.push({ x: cropX, y: state.stablePaneY, width: cropW, height: cropH });
+            area = { x: base.x + cropX, y: base.y + state.stablePaneY, width: cropW, height: cropH };
+        }
 
-                const clientImage = mainImage.clone().crop({ x: baseX, y: baseY, w: baseW, h: baseH });
+        // User Manual Config Crop
+        const { cropTop, cropBottom, cropLeft, cropRight } = effectiveConfig;
+        const displayW = area.width - cropLeft - cropRight;
+        const displayH = area.height - cropTop - cropBottom;
+        let display = { ...area };
 
-                // Detect Pane
-                let finalX = baseX;
-                let finalY = baseY;
-                let finalW = baseW;
-                let finalH = baseH;
+        if (displayH > 0 && displayW > 0) {
+            crops.push({ x: cropLeft, y: cropTop, width: displayW, height: displayH });
+            display = { x: area.x + cropLeft, y: area.y + cropTop, width: displayW, height: displayH };
+        }
 
-                // Pane Detection (only for Chat/Terminal)
-                if (state.detectedWindow && ['chat', 'terminal'].includes(state.viewMode)) {
-                    await this.performPaneDetection(state, clientImage, baseW, baseH);
-                }
+        return { base, crops, area, display };
+    }
+
+    /**
+     * The screen rectangle to capture for a client this tick: the whole window when pane
+     * detection will run on it, otherwise just the pane it is shown.
+     */
+    getNeededRect(state, geometry) {
+        const effectiveConfig = clientManager.getEffectiveConfig(state.socketId);
+        const plan = this.planFrame(state, effectiveConfig, geometry);
+        if (!plan) return null;
+        const detects = this.canDetectPane(state) && this.shouldDetectPane(state, effectiveConfig, state.frameCount + 1);
+        return detects ? plan.base : plan.display;
+    }
 
-                // Apply Stable Crops
-                if (state.viewMode === 'chat' && state.stablePaneX > 0) {
-                    const paneW = baseW - state.stablePaneX;
-                    clientImage.crop({ x: state.stablePaneX, y: 0, w: paneW, h: baseH });
-                    finalX = baseX + state.stablePaneX;
-                    finalW = paneW;
-                } else if (state.viewMode === 'terminal' && state.stablePaneY > 0) {
-                    const cropX = state.stablePaneX > 0 ? state.stablePaneX : 0;
-                    const cropW = state.stablePaneW > 0 ? state.stablePaneW : baseW - cropX;
-                    const cropH = state.stablePaneH > 0 ? state.stablePaneH : baseH - state.stablePaneY;
-
-                    clientImage.crop({ x: cropX, y: state.stablePaneY, w: cropW, h: cropH });
-                    finalX = baseX + cropX;
-                    finalY = baseY + state.stablePaneY;
-                    finalW = cropW;
-                    finalH = cropH;
+    /**
+     * The region a client viewing `mode` is streamed: the window, its stable pane and the manual
+     * crop. Uses the pane of a client already streaming that mode (the given device's first);
+     * otherwise finds the window and detects the pane once.
+     * @param {{ mode: 'chat'|'terminal'|'window', handle?: string, deviceId?: string }} options
+     *   handle: window in 'window' mode (as listed by apps:list)
+     * @returns {Promise<{ rect: Object, screen: Object|null }|null>} rect in screen pixels, with
+     *   the screenshot taken for detection when there was one; null when the window is not found
+     *   or off screen
+     */
+    async findRegion({ mode, handle = null, deviceId = null }) {
+        const viewMode = mode === 'window' ? 'apps' : mode;
+        const geometry = { monitors: await desktop.getMonitors() };
+        const state = clientManager.createDefaultClientState(null);
+        state.viewMode = viewMode;
+        let effectiveConfig = { windowTitles: configManager.getTargetWindowTitles(), ...configManager.getCropConfig(viewMode) };
+        let screen = null;
+
+        if (mode === 'window') {
+            state.detectedWindow = await desktop.findWindowBoundsByHandle(handle);
+            if (!state.detectedWindow) return null;
+        } else {
+            const streaming = this.findStablePaneClient(viewMode, deviceId);
+            if (streaming) {
+                Object.assign(state, {
+                    detectedWindow: streaming.detectedWindow,
+                    stablePaneX: streaming.stablePaneX,
+                    stablePaneY: streaming.stablePaneY,
+                    stablePaneW: streaming.stablePaneW,
+                    stablePaneH: streaming.stablePaneH
+                });
+                effectiveConfig = clientManager.getEffectiveConfig(streaming.socketId, viewMode);
+            } else {
+                state.detectedWindow = await desktop.findWindowBounds(effectiveConfig.windowTitles);
+                if (state.detectedWindow) {
+                    const plan = this.planFrame(state, effectiveConfig, geometry);
+                    if (!plan) return null;
+                    screen = await this.captureScreen(plan.base);
+                    const { bounds } = await this.runImageTask('detect', {
+                        screen,
+                        region: relativeTo(screen, plan.base),
+                        mode: viewMode,
+                        quiet: true,
+                        debug: false,
+                        lowResourceMode: configManager.isLowResourceMode()
+                    });
+                    // Without a pane the stream shows the whole window while it calibrates
+                    if (bounds && viewMode === 'chat') {
+                        state.stablePaneX = bounds.x;
+                    } else if (bounds) {
+                        Object.assign(state, { stablePaneX: bounds.x, stablePaneY: bounds.y, stablePaneW: bounds.width, stablePaneH: bounds.height });
+                    }
                 }
+            }
+        }
 
-                state.lastCaptureArea = { x: finalX, y: finalY, width: finalW, height: finalH };
+        const plan = this.planFrame(state, effectiveConfig, geometry);
+        return plan ? { rect: plan.display, screen } : null;
+    }
 
-                // User Manual Config Crop
-                const { cropTop, cropBottom, cropLeft, cropRight } = effectiveConfig;
-                let displayW = finalW - cropLeft - cropRight;
-                let displayH = finalH - cropTop - cropBottom;
+    /**
+     * PNG of exactly the region a client viewing `mode` is streamed (see findRegion), at full resolution.
+     * @returns {Promise<{ image: Buffer, width: number, height: number, rect: Object }|null>}
+     *   rect is the captured region in screen pixels; null when the window is not found or off screen
+     */
+    async snapshot(options) {
+        const region = await this.findRegion(options);
+        if (!region) return null;
+        const { rect } = region;
+        let { screen } = region;
+        if (!screen || !containsRect(screen, rect)) screen = await this.captureScreen(rect);
+        if (!containsRect(screen, rect)) return null;
+
+        const { image, width, height } = await this.runImageTask('render', {
+            screen,
+            region: relativeTo(screen, rect),
+            output: { type: 'png' }
+        });
+        return { image: Buffer.from(image), width, height, rect };
+    }
 
-                if (displayH > 0 && displayW > 0) {
-                    clientImage.crop({ x: cropLeft, y: cropTop, w: displayW, h: displayH });
-                }
+    /**
+     * A client streaming `viewMode` with a stable pane, preferring the given device's clients.
+     */
+    findStablePaneClient(viewMode, deviceId) {
+        const candidates = clientManager.getAllClients().filter(state =>
+            state.viewMode === viewMode && state.detectedWindow &&
+            (viewMode === 'chat' ? state.stablePaneX > 0 : state.stablePaneY > 0)
+        );
+        return candidates.find(state => deviceId && state.deviceId === deviceId) || candidates[0] || null;
+    }
 
-                // Determine quality - use low-resource quality if enabled
-                const lowResourceMode = configManager.isLowResourceMode();
-                const quality = lowResourceMode
-                    ? configManager.getEffectiveQuality()
-                    : effectiveConfig.quality;
+    /**
+     * Has the image workers detect, crop and encode one client's frame from a shared screenshot,
+     * and sends the result.
+     */
+    async emitClientFrame(state, screen, { timestamp, monitors }) {
+        const socket = this.io.sockets.sockets.get(state.socketId);
+        if (!socket) return;
+
+        // The check a volatile emit would do, made before spending time on this client.
+        // For tiles it also keeps lastSentFrame equal to what the client has.
+        if (state.frameTransport !== 'webrtc' && !socket.conn.transport.writable) {
+            state.adaptive.skippedFrames++;
+            return;
+        }
 
-                // Optional downscale for low-resource mode
-                const downscale = configManager.getImageDownscale();
-                if (lowResourceMode && downscale < 1.0) {
-                    clientImage.scale(downscale);
-                }
+        const effectiveConfig = clientManager.getEffectiveConfig(state.socketId);
+        const settings = this.getStreamSettings(state, effectiveConfig);
+        const geometry = { monitors };
+
+        let plan = this.planFrame(state, effectiveConfig, geometry);
+        if (!plan) return;
 
-                const buffer = await clientImage.getBuffer("image/jpeg", { quality });
-                socket.volatile.emit('frame', buffer.toString('base64'));
+        // Pane Detection (only for Chat/Terminal)
+        let markers = [];
+        if (this.canDetectPane(state)) {
+            markers = await this.performPaneDetection(state, screen, plan.base);
+            plan = this.planFrame(state, effectiveConfig, geometry); // The stable pane may have moved
+        }
+
+        // The pane moved or the config changed since the capture was planned: next tick
+        const source = markers.length > 0 ? plan.base : plan.display;
+        if (!containsRect(screen, source)) return;
+
+        state.lastCaptureArea = plan.area;
+        const displayRect = plan.display;
+
+        // Debug markers are drawn on the whole window before cropping
+        const framing = markers.length > 0
+            ? { region: relativeTo(screen, plan.base), markers, crops: plan.crops }
+            : { region: relativeTo(screen, plan.display) };
+
+        // Low-resource and adaptive downscale
+        const { quality, downscale } = settings;
+        state.frameScale = downscale;
+        const job = { screen, ...framing, downscale };
+        let jpeg = null;
+
+        if (state.frameTransport === 'webrtc') {
+            if (!webrtcManager.isConnected(socket.id)) return;
+            webrtcManager.pushFrame(socket, await this.runImageTask('render', { ...job, output: { type: 'rgba' } }));
+        } else if (state.frameTransport === 'tiles') {
+            await this.emitTiles(socket, state, job, { timestamp, rect: displayRect, quality });
+        } else {
+            jpeg = await this.runImageTask('render', { ...job, output: { type: 'jpeg', quality } });
+            const { image } = jpeg;
+            state.frameSeq++;
+            state.adaptive.sentFrames++;
+            if (state.frameTransport === 'binary') {
+                const frame = encodeFrame(image, { seq: state.frameSeq, timestamp, rect: displayRect });
+                socket.volatile.emit('frame:binary', frame);
+            } else {
+                socket.volatile.emit('frame', Buffer.from(image).toString('base64'));
             }
+        }
 
+        if (sessionRecorder.wantsFrame(state.socketId, timestamp)) {
+            // Tiles and video clients have no JPEG of the whole view: encode one for the recording
+            if (!jpeg) {
+                const { quality: recordingQuality } = configManager.getRecordingConfig();
+                jpeg = await this.runImageTask('render', { ...job, output: { type: 'jpeg', quality: recordingQuality } });
+            }
+            sessionRecorder.recordFrame(state.socketId, jpeg.image, { timestamp, width: jpeg.width, height: jpeg.height });
+        }
+
+        // OCR takes far longer than a frame: frames keep flowing while it runs
+        if (this.wantsChatText(state, timestamp)) {
+            this.emitChatText(socket, state, screen, displayRect, timestamp);
+        }
+        recordStages(this.metrics, { frame: Date.now() - screen.capturedAt });
+    }
+
+    /**
+     * Reader mode: whether to recognize the client's chat text from this frame (one recognition at
+     * a time, at most every ocr.interval ms).
+     */
+    wantsChatText(state, timestamp) {
+        return state.readerMode && state.viewMode === 'chat' && !state.textInFlight &&
+            timestamp - state.lastTextAt >= configManager.getOcrConfig().interval &&
+            ocrReader.isAvailable();
+    }
+
+    /**
+     * Recognizes the text of the client's display region (chat crop, full resolution) and sends
+     * it as 'chat:text' { text, confidence, lines, width, height, timestamp } when it changed.
+     */
+    async emitChatText(socket, state, screen, rect, timestamp) {
+        state.textInFlight = true;
+        state.lastTextAt = timestamp;
+        try {
+            const { image, width, height } = await this.runImageTask('render', {
+                screen,
+                region: relativeTo(screen, rect),
+                output: { type: 'png' }
+            });
+            const startedAt = Date.now();
+            const result = await ocrReader.recognize(Buffer.from(image));
+            recordStages(this.metrics, { ocr: Date.now() - startedAt });
+
+            if (!state.readerMode || result.text === state.lastChatText) return;
+            state.lastChatText = result.text;
+            socket.emit('chat:text', { ...result, width, height, timestamp });
         } catch (err) {
-            console.error('StreamEngine Error:', err);
+            console.error(`[${state.socketId}] OCR error:`, err.message);
         } finally {
-            this.isCapturing = false;
+            state.textInFlight = false;
         }
     }
 
-    async performPaneDetection(state, clientImage, baseW, baseH) {
+    /**
+     * Delta streaming: sends only the tiles that changed since the last frame sent to this client,
+     * nothing when the pane is idle, and a keyframe when the size changed, most of the frame changed
+     * or the client asked for one (state.lastSentFrame cleared). The diff runs in the image worker.
+     */
+    async emitTiles(socket, state, job, { timestamp, rect, quality }) {
+        const previous = state.lastSentFrame;
+        const frame = await this.runImageTask('render', { ...job, output: { type: 'tiles', quality, previous } });
+        if (frame.tiles.length === 0) return;
+
+        // A keyframe requested while this frame was being encoded still applies to the next one
+        if (state.lastSentFrame === previous) {
+            state.lastSentFrame = { width: frame.width, height: frame.height, data: frame.data };
+        }
+        state.frameSeq++;
+        state.adaptive.sentFrames++;
+        socket.emit('frame:tiles', encodeTileFrame(frame.tiles, {
+            seq: state.frameSeq, timestamp, rect, keyframe: frame.keyframe, width: frame.width, height: frame.height
+        }));
+    }
+
+    canDetectPane(state) {
+        return !!state.detectedWindow && ['chat', 'terminal'].includes(state.viewMode);
+    }
+
+    /**
+     * Whether pane detection runs on the given frame (by default the current one).
+     * Also used before capturing, with the next frame number, to know how much to capture.
+     */
+    shouldDetectPane(state, effectiveConfig, frameCount = state.frameCount) {
+        // Fast Exit if Fixed Mode AND already stable
+        if (effectiveConfig.detectionMode === 'fixed' && !state.calibrationMode) {
+            if (state.viewMode === 'chat' && state.stablePaneX > 0) return false;
+            if (state.viewMode === 'terminal' && state.stablePaneY > 0) return false;
+        }
+
+        return state.calibrationMode ||
+            (frameCount % 10 === 0) || // Freq
+            (state.viewMode === 'chat' && state.stablePaneX === -1) ||
+            (state.viewMode === 'terminal' && state.stablePaneY === -1);
+    }
+
+    /**
+     * Runs pane detection on the client's region when due and updates its stable pane.
+     * @param {Object} region - Window to search, in screen pixels
+     * @returns {Array<{ edges, selected, horizontal }>} Debug markers to draw on the frame
+     */
+    async performPaneDetection(state, screen, region) {
         // Logic extracted from original index.js
         if (state.calibrationMode && state.calibrationStartTime === null) {
             state.calibrationStartTime = Date.now();
@@ -265,24 +596,21 @@ class StreamEngine {
 
         const effectiveConfig = clientManager.getEffectiveConfig(state.socketId);
         const isFixedMode = effectiveConfig.detectionMode === 'fixed';
-
-        // Fast Exit if Fixed Mode AND already stable
-        if (isFixedMode && !state.calibrationMode) {
-            if (state.viewMode === 'chat' && state.stablePaneX > 0) return;
-            if (state.viewMode === 'terminal' && state.stablePaneY > 0) return;
-        }
-
-        const shouldRunDetection = state.calibrationMode ||
-            (state.frameCount % 10 === 0) || // Freq
-            (state.viewMode === 'chat' && state.stablePaneX === -1) ||
-            (state.viewMode === 'terminal' && state.stablePaneY === -1);
-
-        if (!shouldRunDetection) return;
+        if (!this.shouldDetectPane(state, effectiveConfig)) return [];
+        if (!containsRect(screen, region)) return []; // Only the pane was captured (state changed since planning)
 
         const isQuiet = !state.calibrationMode;
+        const { bounds: paneBounds, edges } = await this.runImageTask('detect', {
+            screen,
+            region: relativeTo(screen, region),
+            mode: state.viewMode,
+            quiet: isQuiet,
+            debug: state.calibrationMode && effectiveConfig.showDebugLines,
+            lowResourceMode: configManager.isLowResourceMode()
+        });
+        const markers = [];
 
         if (state.viewMode === 'chat') {
-            let paneBounds = await findChatPaneStructural(clientImage, { quiet: isQuiet });
             if (paneBounds) {
                 const detectedX = paneBounds.x;
                 if (Math.abs(detectedX - state.lastPaneX) < 5) {
@@ -300,13 +628,11 @@ class StreamEngine {
                         console.log(`[${state.socketId}] FIXED MODE: Chat zone locked at X=${state.stablePaneX}`);
                     }
                 }
-                if (state.calibrationMode && effectiveConfig.showDebugLines) {
-                    const edges = findVerticalEdges(clientImage, { minEdgeScore: 0.50, edgeThreshold: 20, sampleStep: 8 });
-                    drawDebugMarkers(clientImage, edges, state.stablePaneX > 0 ? state.stablePaneX : detectedX, false);
+                if (state.calibrationMode && edges) {
+                    markers.push({ edges: edges.vertical, selected: state.stablePaneX > 0 ? state.stablePaneX : detectedX, horizontal: false });
                 }
             }
         } else if (state.viewMode === 'terminal') {
-            let paneBounds = await findTerminalPane(clientImage, { quiet: isQuiet });
             if (paneBounds) {
                 const detectedY = paneBounds.y;
                 const detectedX = paneBounds.x;
@@ -340,18 +666,16 @@ class StreamEngine {
                     }
                 }
 
-                if (state.calibrationMode && effectiveConfig.showDebugLines) {
-                    const hEdges = findHorizontalEdges(clientImage, { minEdgeScore: 0.50, edgeThreshold: 20, sampleStep: 8 });
+                if (state.calibrationMode && edges) {
                     const selectedY = state.stablePaneY > 0 ? state.stablePaneY : detectedY;
                     const selectedH = state.stablePaneH > 0 ? state.stablePaneH : detectedH;
-                    drawDebugMarkers(clientImage, hEdges, [selectedY, selectedY + selectedH], true);
-
-                    const vEdges = findVerticalEdges(clientImage, { minEdgeScore: 0.40, edgeThreshold: 20, sampleStep: 8, fullWidth: true });
-                    drawDebugMarkers(clientImage, vEdges, [paneBounds.x, paneBounds.x + paneBounds.width], false);
+                    markers.push({ edges: edges.horizontal, selected: [selectedY, selectedY + selectedH], horizontal: true });
+                    markers.push({ edges: edges.vertical, selected: [paneBounds.x, paneBounds.x + paneBounds.width], horizontal: false });
                 }
             }
         }
+        return markers;
     }
 }
 
-module.exports = StreamEngine;
+module.exports = StreamEngine;
\ No newline at end of file
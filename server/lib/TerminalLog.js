@@ -0,0 +1,67 @@
+/**
+ * TerminalLog - Output of one system terminal written to disk while logging is on
+ * Two files share a base path: <base>.log with the raw output (replays colors with `cat`) and
+ * <base>.txt with plain text (lib/ansi.js), for reading or searching on a phone.
+ * Turning logging off and on again appends to the same files. Past maxBytes of raw output both
+ * files end with a note and get nothing more, so a chatty terminal can't fill the disk.
+ */
+const fs = require('fs');
+const { createAnsiStripper } = require('./ansi');
+
+class TerminalLog {
+    /**
+     * @param {string} basePath - Without extension; its directory must exist
+     * @param {{ maxBytes?: number, bytes?: number, onError?: (err: Error) => void }} [options] -
+     *   bytes: raw output already in the files (logging turned off and on again); onError: once,
+     *   on the first error opening or writing either file
+     */
+    constructor(basePath, { maxBytes = Infinity, bytes = 0, onError = () => {} } = {}) {
+        this.rawPath = `${basePath}.log`;
+        this.textPath = `${basePath}.txt`;
+        this.maxBytes = maxBytes;
+        this.bytes = bytes;
+        this.onError = onError;
+        this.failed = false;
+        this.strip = createAnsiStripper();
+        this.raw = this.open(this.rawPath);
+        this.text = this.open(this.textPath);
+    }
+
+    open(file) {
+        const stream = fs.createWriteStream(file, { flags: 'a' });
+        stream.on('error', (err) => {
+            console.error(`Terminal log ${file} write error:`, err.message);
+            if (this.failed) return;
+            this.failed = true;
+            this.onError(err);
+        });
+        return stream;
+    }
+
+    get full() {
+        return this.bytes >= this.maxBytes;
+    }
+
+    write(data) {
+        if (this.full || this.failed) return;
+        this.bytes += Buffer.byteLength(data);
+        this.raw.write(data);
+        const text = this.strip(data);
+        if (text) this.text.write(text);
+        if (this.full) {
+            const note = '\r\n[Log stopped: size limit (terminal.logMaxMB) reached]\r\n';
+            this.raw.write(note);
+            this.text.write(this.strip(note));
+        }
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once both files are flushed
+     */
+    close() {
+        const end = (stream) => new Promise(resolve => stream.end(resolve));
+        return Promise.all([end(this.raw), end(this.text)]).then(() => {});
+    }
+}
+
+module.exports = TerminalLog;
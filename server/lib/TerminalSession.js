@@ -0,0 +1,123 @@
+/**
+ * TerminalSession - Who is using a shared system terminal
+ * Every socket attached to the terminal is a viewer with the size of its xterm. One device drives
+ * (its input goes to the pty, the others watch) until another one takes control; the first viewer
+ * of a terminal nobody drives gets it. The pty size follows the resize policy:
+ * - 'smallest': the smallest viewer, so everyone sees the whole screen
+ * - 'owner': the driving device, other viewers get the same size and scroll
+ */
+const RESIZE_POLICIES = ['smallest', 'owner'];
+
+class TerminalSession {
+    /**
+     * @param {{ resizePolicy?: string, cols: number, rows: number }} options
+     */
+    constructor({ resizePolicy, cols, rows }) {
+        this.resizePolicy = RESIZE_POLICIES.includes(resizePolicy) ? resizePolicy : 'smallest';
+        this.cols = cols;
+        this.rows = rows;
+        this.viewers = new Map(); // socketId -> { deviceId, name, cols, rows, resizedAt }
+        this.driver = null; // { deviceId, name }
+    }
+
+    /**
+     * @param {string} socketId
+     * @param {{ id: string, name: string }} device
+     */
+    join(socketId, device) {
+        const previous = this.viewers.get(socketId);
+        this.viewers.set(socketId, {
+            deviceId: device.id,
+            name: device.name,
+            cols: previous ? previous.cols : null,
+            rows: previous ? previous.rows : null,
+            resizedAt: previous ? previous.resizedAt : 0
+        });
+        if (!this.driver) this.driver = { deviceId: device.id, name: device.name };
+    }
+
+    /**
+     * The driver keeps control while away: a phone that reconnects goes on typing.
+     * @returns {boolean} Whether the socket was a viewer
+     */
+    leave(socketId) {
+        return this.viewers.delete(socketId);
+    }
+
+    socketIds() {
+        return Array.from(this.viewers.keys());
+    }
+
+    canDrive(deviceId) {
+        return !this.driver || this.driver.deviceId === deviceId;
+    }
+
+    takeControl(device) {
+        this.driver = { deviceId: device.id, name: device.name };
+    }
+
+    /**
+     * @returns {boolean} false for an unknown policy
+     */
+    setResizePolicy(policy) {
+        if (!RESIZE_POLICIES.includes(policy)) return false;
+        this.resizePolicy = policy;
+        return true;
+    }
+
+    /**
+     * Records the size a viewer's xterm fits in. Ignored for sockets that are not attached.
+     */
+    setViewerSize(socketId, cols, rows) {
+        const viewer = this.viewers.get(socketId);
+        if (!viewer) return;
+        viewer.cols = cols;
+        viewer.rows = rows;
+        viewer.resizedAt = Date.now();
+    }
+
+    /**
+     * Applies the resize policy to the current viewers.
+     * @returns {boolean} Whether the pty size changed (this.cols / this.rows)
+     */
+    updateSize() {
+        const sized = Array.from(this.viewers.values()).filter(v => v.cols && v.rows);
+        let target = null;
+
+        if (this.resizePolicy === 'owner' && this.driver) {
+            // The driver's most recently resized socket (e.g. the phone it is typing on)
+            const owned = sized.filter(v => v.deviceId === this.driver.deviceId);
+            if (owned.length > 0) target = owned.reduce((a, b) => (b.resizedAt > a.resizedAt ? b : a));
+        }
+        if (!target && sized.length > 0) {
+            target = {
+                cols: Math.min(...sized.map(v => v.cols)),
+                rows: Math.min(...sized.map(v => v.rows))
+            };
+        }
+        if (!target || (target.cols === this.cols && target.rows === this.rows)) return false;
+
+        this.cols = target.cols;
+        this.rows = target.rows;
+        return true;
+    }
+
+    /**
+     * State sent to each viewer as 'term:session'.
+     * @param {string} deviceId - Device of the socket it is sent to
+     */
+    describe(deviceId) {
+        const devices = new Map();
+        for (const viewer of this.viewers.values()) devices.set(viewer.deviceId, viewer.name);
+        return {
+            driver: this.driver ? this.driver.name : null,
+            driving: !!this.driver && this.driver.deviceId === deviceId,
+            viewers: Array.from(devices.values()),
+            cols: this.cols,
+            rows: this.rows,
+            resizePolicy: this.resizePolicy
+        };
+    }
+}
+
+module.exports = TerminalSession;
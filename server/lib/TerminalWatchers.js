@@ -0,0 +1,178 @@
+/**
+ * TerminalWatchers - Alerts set on one system terminal
+ * - 'pattern': a line of output (plain text, lib/ansi.js) matches a regex, e.g. "FAIL|error"
+ * - 'exit': the shell exits, optionally only with a failure (non-zero code or a signal)
+ * A pattern watcher fires at most once per cooldown, so a failing test run gives one alert and
+ * not one per line; `once` removes it after the first alert.
+ */
+const crypto = require('crypto');
+const { createAnsiStripper } = require('./ansi');
+
+const MAX_WATCHERS = 10;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_LINE_LENGTH = 1000; // Output without a line break is checked once it gets this long
+const ALERT_LINE_LENGTH = 200;
+
+/**
+ * Whether a pattern can backtrack exponentially (ReDoS): a repeated group that holds a quantifier
+ * or an alternation, as in (a+)+ or (a|ab)*, or a backreference. Output is matched synchronously
+ * on the server, so one such pattern and a crafted line would stall every client.
+ */
+function isSlowPattern(pattern) {
+    const groups = [{ repeats: false }]; // innermost last: whether it holds a quantifier or a |
+    let lastGroup = null; // the group just closed, if the next token may quantify it
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const quantifier = char === '*' || char === '+' || char === '?'
+            ? char
+            : char === '{' && (/^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) || [])[0];
+        if (quantifier) {
+            // (a+)? matches at most once, but (a+){9} backtracks like (a+)+ on a long enough line
+            const bounded = quantifier === '?' || /^\{[01](,[01])?\}$/.test(quantifier);
+            if (lastGroup && lastGroup.repeats && !bounded) return true;
+            groups[groups.length - 1].repeats = true;
+            i += quantifier.length - 1;
+            if (pattern[i + 1] === '?') i++; // lazy
+            lastGroup = null;
+            continue;
+        }
+        lastGroup = null;
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1])) return true;
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+            if (pattern[i + 1] === '?') i++; // (?: (?= (?<name> are groups too
+        } else if (char === ')' && groups.length > 1) {
+            lastGroup = groups.pop();
+            if (lastGroup.repeats) groups[groups.length - 1].repeats = true;
+        } else if (char === '|') {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Validates a watcher sent by a client.
+ * @throws {Error} With a message for the client
+ */
+function normalizeWatcher(watcher) {
+    if (!watcher || (watcher.type !== 'pattern' && watcher.type !== 'exit')) {
+        throw new Error('Watcher type must be pattern or exit');
+    }
+    const id = typeof watcher.id === 'string' && watcher.id ? watcher.id : crypto.randomBytes(4).toString('hex');
+    if (watcher.type === 'exit') {
+        return { id, type: 'exit', onlyFailure: !!watcher.onlyFailure };
+    }
+
+    const pattern = typeof watcher.pattern === 'string' ? watcher.pattern : '';
+    if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Pattern must have 1 to ${MAX_PATTERN_LENGTH} characters`);
+    }
+    const caseSensitive = !!watcher.caseSensitive;
+    try {
+        new RegExp(pattern, caseSensitive ? '' : 'i');
+    } catch (err) {
+        throw new Error(`Invalid pattern: ${err.message}`);
+    }
+    if (isSlowPattern(pattern)) {
+        throw new Error('Pattern too slow to check: no repeated groups with quantifiers or | inside, like (a+)+, nor backreferences');
+    }
+    return { id, type: 'pattern', pattern, caseSensitive, once: !!watcher.once };
+}
+
+class TerminalWatchers {
+    /**
+     * @param {number} cooldown - ms between alerts of the same pattern watcher
+     */
+    constructor(cooldown) {
+        this.cooldown = cooldown;
+        this.watchers = [];
+        this.regexes = new Map(); // watcher id -> RegExp
+        this.lastAlertAt = new Map(); // watcher id -> timestamp
+        this.strip = createAnsiStripper();
+        this.partialLine = '';
+    }
+
+    /**
+     * Replaces the watchers. Nothing changes if one of them is invalid.
+     * @throws {Error} For invalid watchers
+     */
+    set(watchers) {
+        if (!Array.isArray(watchers)) throw new Error('Watchers must be a list');
+        if (watchers.length > MAX_WATCHERS) throw new Error(`At most ${MAX_WATCHERS} watchers per terminal`);
+        const normalized = watchers.map(normalizeWatcher);
+
+        this.watchers = normalized;
+        this.regexes = new Map(normalized
+            .filter(w => w.type === 'pattern')
+            .map(w => [w.id, new RegExp(w.pattern, w.caseSensitive ? '' : 'i')]));
+        for (const id of this.lastAlertAt.keys()) {
+            if (!this.regexes.has(id)) this.lastAlertAt.delete(id);
+        }
+        // Output seen while nothing was watching is not parsed: start on a clean line
+        this.strip = createAnsiStripper();
+        this.partialLine = '';
+    }
+
+    list() {
+        return this.watchers.map(w => ({ ...w }));
+    }
+
+    /**
+     * Checks new output against the pattern watchers, one complete line at a time.
+     * @returns {{ watcher: Object, line: string }[]} Watchers that fire
+     */
+    feed(data, now = Date.now()) {
+        if (this.regexes.size === 0) return [];
+        const lines = (this.partialLine + this.strip(data)).split('\n');
+        this.partialLine = lines.pop();
+        if (this.partialLine.length > MAX_LINE_LENGTH) {
+            lines.push(this.partialLine);
+            this.partialLine = '';
+        }
+
+        const fired = [];
+        for (const line of lines) {
+            for (const watcher of this.watchers) {
+                const regex = this.regexes.get(watcher.id);
+                if (!regex || fired.some(f => f.watcher === watcher)) continue;
+                const lastAlertAt = this.lastAlertAt.get(watcher.id);
+                if (lastAlertAt !== undefined && now - lastAlertAt < this.cooldown) continue;
+                if (!regex.test(line)) continue;
+                this.lastAlertAt.set(watcher.id, now);
+                fired.push({ watcher, line: line.trim().slice(0, ALERT_LINE_LENGTH) });
+            }
+        }
+        this.removeFiredOnce(fired);
+        return fired;
+    }
+
+    /**
+     * @param {{ exitCode: number, signal?: number }} exit
+     * @returns {{ watcher: Object }[]} Exit watchers that fire
+     */
+    exit({ exitCode, signal }) {
+        const failed = exitCode !== 0 || !!signal;
+        return this.watchers
+            .filter(w => w.type === 'exit' && (!w.onlyFailure || failed))
+            .map(watcher => ({ watcher }));
+    }
+
+    removeFiredOnce(fired) {
+        const done = new Set(fired.filter(f => f.watcher.once).map(f => f.watcher.id));
+        if (done.size === 0) return;
+        this.watchers = this.watchers.filter(w => !done.has(w.id));
+        for (const id of done) {
+            this.regexes.delete(id);
+            this.lastAlertAt.delete(id);
+        }
+    }
+}
+
+module.exports = TerminalWatchers;
@@ -0,0 +1,176 @@
+/**
+ * WebRTCManager - Video track streaming for the 'webrtc' frame transport
+ * The captured region of each client is pushed into an RTCVideoSource (software VP8/H.264,
+ * encoded by libwebrtc), so the phone receives a video track instead of JPEG frames.
+ * Signaling reuses the Socket.IO connection:
+ *   client -> 'webrtc:start'      server creates the peer connection and sends 'webrtc:offer' { sdp }
+ *   client -> 'webrtc:answer'     { sdp }
+ *   both   -> 'webrtc:candidate'  { candidate, sdpMid, sdpMLineIndex }
+ *   server -> 'webrtc:frameSize'  { width, height } whenever the streamed region changes size
+ *   client -> 'webrtc:failed'     the browser could not connect; the server falls back
+ * Requires the optional @roamhq/wrtc dependency; without it the transport is never negotiated.
+ */
+const config = require('../config');
+const configManager = config.getConfigManager();
+const { TRANSPORTS, negotiateTransport } = require('./frames');
+
+const CONNECT_TIMEOUT_MS = 10000; // Peer connections not up by then fall back to frames
+
+let wrtc; // undefined = not loaded yet, null = not installed
+
+function loadWrtc() {
+    if (wrtc === undefined) {
+        try {
+            wrtc = require('@roamhq/wrtc');
+        } catch (e) {
+            wrtc = null;
+            console.log('WebRTC video mode unavailable (optional dependency @roamhq/wrtc is not installed)');
+        }
+    }
+    return wrtc;
+}
+
+class WebRTCManager {
+    constructor() {
+        this.sessions = new Map(); // socketId -> { pc, source, track, frameSize, connectTimer }
+    }
+
+    isAvailable() {
+        return !!loadWrtc();
+    }
+
+    // Transports this server can negotiate
+    getSupportedTransports() {
+        return this.isAvailable() ? TRANSPORTS : TRANSPORTS.filter(t => t !== 'webrtc');
+    }
+
+    /**
+     * Creates (or recreates) the peer connection for a client and sends the offer.
+     * @param {Socket} socket
+     * @param {Object} state - Client state from ClientManager
+     */
+    async start(socket, state) {
+        this.stop(socket.id);
+        if (state.frameTransport !== 'webrtc' || !this.isAvailable()) return;
+
+        const { RTCPeerConnection, nonstandard: { RTCVideoSource } } = wrtc;
+        const pc = new RTCPeerConnection({ iceServers: configManager.getWebRtcConfig().iceServers });
+        const source = new RTCVideoSource({ isScreencast: true });
+        const track = source.createTrack();
+        pc.addTransceiver(track, { direction: 'sendonly' });
+
+        const session = { pc, source, track, frameSize: null, connectTimer: null };
+        this.sessions.set(socket.id, session);
+
+        pc.onicecandidate = ({ candidate }) => {
+            if (!candidate) return;
+            socket.emit('webrtc:candidate', {
+                candidate: candidate.candidate,
+                sdpMid: candidate.sdpMid,
+                sdpMLineIndex: candidate.sdpMLineIndex
+            });
+        };
+        pc.onconnectionstatechange = () => {
+            if (this.sessions.get(socket.id) !== session) return;
+            if (pc.connectionState === 'connected') {
+                clearTimeout(session.connectTimer);
+                console.log(`[${socket.id}] WebRTC connected`);
+            } else if (pc.connectionState === 'failed') {
+                this.fallback(socket, state, 'connection failed');
+            }
+        };
+
+        session.connectTimer = setTimeout(() => {
+            if (this.sessions.get(socket.id) === session && pc.connectionState !== 'connected') {
+                this.fallback(socket, state, 'connection timed out');
+            }
+        }, CONNECT_TIMEOUT_MS);
+        session.connectTimer.unref();
+
+        try {
+            const offer = await pc.createOffer();
+            await pc.setLocalDescription(offer);
+            socket.emit('webrtc:offer', { sdp: pc.localDescription.sdp });
+        } catch (e) {
+            console.error(`[${socket.id}] WebRTC offer error:`, e);
+            this.fallback(socket, state, 'offer failed');
+        }
+    }
+
+    async handleAnswer(socket, state, { sdp } = {}) {
+        const session = this.sessions.get(socket.id);
+        if (!session || typeof sdp !== 'string') return;
+        try {
+            await session.pc.setRemoteDescription({ type: 'answer', sdp });
+        } catch (e) {
+            console.error(`[${socket.id}] WebRTC answer error:`, e);
+            this.fallback(socket, state, 'invalid answer');
+        }
+    }
+
+    async addCandidate(socketId, candidate) {
+        const session = this.sessions.get(socketId);
+        if (!session || !candidate || typeof candidate.candidate !== 'string') return;
+        try {
+            await session.pc.addIceCandidate(candidate);
+        } catch (e) {
+            console.error(`[${socketId}] WebRTC candidate error:`, e.message);
+        }
+    }
+
+    // Frames are only worth rendering once the peer connection is up
+    isConnected(socketId) {
+        const session = this.sessions.get(socketId);
+        return !!session && session.pc.connectionState === 'connected';
+    }
+
+    /**
+     * Feeds one captured frame into the client's video track. Frames are dropped until the
+     * peer connection is up. I420 needs even dimensions; the image worker cuts off an odd
+     * last row/column (render output 'rgba').
+     * @param {Socket} socket
+     * @param {{ width: number, height: number, data: Uint8ClampedArray }} frame - RGBA, own ArrayBuffer
+     */
+    pushFrame(socket, frame) {
+        const session = this.sessions.get(socket.id);
+        if (!session || session.pc.connectionState !== 'connected') return;
+
+        const { width, height } = frame;
+        if (width === 0 || height === 0) return;
+
+        // Taps are sent in frame pixels; the browser may scale the video, so it needs the real size
+        if (!session.frameSize || session.frameSize.width !== width || session.frameSize.height !== height) {
+            session.frameSize = { width, height };
+            socket.emit('webrtc:frameSize', session.frameSize);
+        }
+
+        const i420 = { width, height, data: new Uint8ClampedArray(width * height * 1.5) };
+        wrtc.nonstandard.rgbaToI420(frame, i420);
+        session.source.onFrame(i420);
+    }
+
+    /**
+     * Gives up on WebRTC for this client and switches it to the best frame transport it also asked for.
+     */
+    fallback(socket, state, reason) {
+        this.stop(socket.id);
+        if (state.frameTransport !== 'webrtc') return;
+
+        state.frameTransports = (state.frameTransports || []).filter(t => t !== 'webrtc');
+        state.frameTransport = negotiateTransport(state.frameTransports);
+        state.lastSentFrame = null;
+        console.log(`[${socket.id}] WebRTC ${reason} - falling back to ${state.frameTransport} frames`);
+        socket.emit('stream:transport', { transport: state.frameTransport, reason });
+    }
+
+    stop(socketId) {
+        const session = this.sessions.get(socketId);
+        if (!session) return;
+        this.sessions.delete(socketId);
+        clearTimeout(session.connectTimer);
+        session.track.stop();
+        session.pc.close();
+    }
+}
+
+module.exports = new WebRTCManager();
@@ -0,0 +1,120 @@
+/**
+ * Adaptive streaming
+ * Clients report what they actually get ('stream:stats': received fps, average decode time, RTT)
+ * and each report moves the client's stream one step:
+ *   - network congestion (frames lost, high RTT, socket not writable): lower the JPEG quality,
+ *     then the frame rate, then the resolution
+ *   - slow client (decoding takes most of the frame budget): lower the frame rate, then the resolution
+ *   - healthy for a few reports in a row: recover in reverse order, up to the configured values
+ * Quality and fps never leave [qualityMin, configured quality] and [fpsMin, configured fps].
+ */
+
+const QUALITY_STEP_DOWN = 10;
+const QUALITY_STEP_UP = 5;
+const FPS_FACTOR_DOWN = 0.75;
+const FPS_STEP_UP = 5;
+const DOWNSCALE_STEP = 0.25;
+const MIN_DOWNSCALE = 0.5;
+
+const LOSS_RATIO = 0.8;       // Received below 80% of the frames sent = frames are being dropped
+const HIGH_RTT_MS = 400;
+const DECODE_BUDGET = 0.8;    // Share of the frame interval the client may spend decoding
+const HEALTHY_REPORTS = 2;    // Consecutive good reports before stepping back up
+
+function createAdaptiveState() {
+    return {
+        fps: null,        // null until the first report: the configured values apply
+        quality: null,
+        downscale: 1,
+        reason: null,     // Why the last change was made
+        healthyReports: 0,
+        stats: null,      // Last client report
+        sentFrames: 0,    // Since the last report
+        skippedFrames: 0, // Socket not writable, since the last report
+        windowStart: Date.now()
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Values to stream with right now.
+ * @param {Object} adaptive - State from createAdaptiveState
+ * @param {{ fps, quality, fpsMin, qualityMin }} limits - Configured values (upper bounds) and minimums
+ * @returns {{ fps: number, quality: number, downscale: number }}
+ */
+function currentSettings(adaptive, limits) {
+    return {
+        fps: clamp(adaptive.fps ?? limits.fps, Math.min(limits.fpsMin, limits.fps), limits.fps),
+        quality: clamp(adaptive.quality ?? limits.quality, Math.min(limits.qualityMin, limits.quality), limits.quality),
+        downscale: adaptive.downscale
+    };
+}
+
+/**
+ * Applies one client report and returns the new settings.
+ * @param {Object} adaptive - State from createAdaptiveState (updated in place)
+ * @param {{ fps: number, decodeMs: number, rtt: number }} report
+ * @param {Object} limits - See currentSettings
+ * @param {number} [now]
+ */
+function applyReport(adaptive, report, limits, now = Date.now()) {
+    const seconds = Math.max(0.001, (now - adaptive.windowStart) / 1000);
+    const sentFps = adaptive.sentFrames / seconds;
+    const skipped = adaptive.skippedFrames;
+    const settings = currentSettings(adaptive, limits);
+    const fpsMin = Math.min(limits.fpsMin, limits.fps);
+    const qualityMin = Math.min(limits.qualityMin, limits.quality);
+
+    adaptive.stats = { ...report, sentFps: Math.round(sentFps * 10) / 10, skipped };
+    adaptive.sentFrames = 0;
+    adaptive.skippedFrames = 0;
+    adaptive.windowStart = now;
+
+    const congested = skipped > 0 ||
+        report.rtt > HIGH_RTT_MS ||
+        (sentFps > 1 && report.fps < sentFps * LOSS_RATIO);
+    const slowClient = report.decodeMs > DECODE_BUDGET * 1000 / settings.fps;
+
+    if (congested || slowClient) {
+        adaptive.healthyReports = 0;
+        if (congested && settings.quality > qualityMin) {
+            settings.quality = Math.max(qualityMin, settings.quality - QUALITY_STEP_DOWN);
+        } else if (settings.fps > fpsMin) {
+            settings.fps = Math.max(fpsMin, Math.round(settings.fps * FPS_FACTOR_DOWN));
+        } else if (settings.downscale > MIN_DOWNSCALE) {
+            settings.downscale = Math.max(MIN_DOWNSCALE, settings.downscale - DOWNSCALE_STEP);
+        }
+        adaptive.reason = congested ? 'network' : 'client';
+    } else if (++adaptive.healthyReports >= HEALTHY_REPORTS) {
+        adaptive.healthyReports = 0;
+        if (settings.downscale < 1) {
+            settings.downscale = Math.min(1, settings.downscale + DOWNSCALE_STEP);
+        } else if (settings.fps < limits.fps) {
+            settings.fps = Math.min(limits.fps, settings.fps + FPS_STEP_UP);
+        } else if (settings.quality < limits.quality) {
+            settings.quality = Math.min(limits.quality, settings.quality + QUALITY_STEP_UP);
+        }
+        adaptive.reason = null;
+    }
+
+    adaptive.fps = settings.fps;
+    adaptive.quality = settings.quality;
+    adaptive.downscale = settings.downscale;
+    return settings;
+}
+
+/**
+ * Validates a 'stream:stats' payload from a client.
+ * @returns {{ fps, decodeMs, rtt }|null}
+ */
+function parseReport(report) {
+    if (!report || typeof report !== 'object') return null;
+    const fields = ['fps', 'decodeMs', 'rtt'];
+    if (!fields.every(f => Number.isFinite(report[f]) && report[f] >= 0)) return null;
+    return { fps: report.fps, decodeMs: report.decodeMs, rtt: report.rtt };
+}
+
+module.exports = { createAdaptiveState, currentSettings, applyReport, parseReport, MIN_DOWNSCALE };
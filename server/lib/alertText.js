@@ -0,0 +1,37 @@
+/**
+ * Notification wording of the alerts PaneWatcher sends, shared by the page and the service
+ * worker: both show { title, body, tag } as they come.
+ */
+
+const CHAT_TAG = 'chat-alert';
+
+/**
+ * @param {Object} alert - { type: 'settled'|'pattern'|'test'|'terminal', ... } (lib/PaneWatcher.js)
+ * @returns {{ title: string, body: string, tag: string }} Alerts with the same tag replace each other
+ */
+function formatAlert(alert) {
+    switch (alert.type) {
+        case 'settled':
+            return { title: 'El chat ha terminado', body: `Sin cambios durante ${alert.settleSeconds} s`, tag: CHAT_TAG };
+        case 'pattern':
+            return { title: `Aparece "${alert.pattern}"`, body: 'En el panel del chat', tag: CHAT_TAG };
+        case 'test':
+            return { title: 'Aviso de prueba', body: 'Las notificaciones funcionan', tag: CHAT_TAG };
+        case 'terminal': {
+            // Each terminal gets its own notification instead of replacing the chat's
+            const tag = `terminal-${alert.terminalId}`;
+            if (alert.reason === 'exit') {
+                return {
+                    title: `Terminal "${alert.terminal}" ha terminado`,
+                    body: alert.signal ? `Terminada por la señal ${alert.signal}` : `Código de salida ${alert.exitCode}`,
+                    tag
+                };
+            }
+            return { title: `Terminal "${alert.terminal}": ${alert.pattern}`, body: alert.line || '', tag };
+        }
+        default:
+            return { title: 'Aviso del chat', body: '', tag: CHAT_TAG };
+    }
+}
+
+module.exports = { formatAlert };
@@ -0,0 +1,57 @@
+/**
+ * Plain text from terminal output: escape sequences (colors, cursor moves, titles) and control
+ * characters are dropped, line endings become \n. Sequences may be split across pty chunks, so the
+ * stripper keeps its state between calls.
+ */
+const ESC = '\x1b';
+const BEL = '\x07';
+
+/**
+ * @returns {(chunk: string) => string} Strips one chunk of output
+ */
+function createAnsiStripper() {
+    // text | esc (after ESC) | csi (ESC [ ...) | string (OSC/DCS/... until BEL or ESC \) | stringEsc | skipOne
+    let state = 'text';
+    let pendingCR = false;
+
+    return (chunk) => {
+        let out = '';
+        for (const ch of chunk) {
+            switch (state) {
+                case 'text':
+                    if (pendingCR) {
+                        pendingCR = false;
+                        // A lone \r redraws the line (progress bars): keep each state as a line
+                        if (ch !== '\n') out += '\n';
+                    }
+                    if (ch === ESC) state = 'esc';
+                    else if (ch === '\r') pendingCR = true;
+                    else if (ch === '\n' || ch === '\t' || ch >= ' ') out += ch;
+                    break;
+                case 'esc':
+                    if (ch === '[') state = 'csi';
+                    else if (ch === ']' || ch === 'P' || ch === 'X' || ch === '^' || ch === '_') state = 'string';
+                    // Character set designations take one more character, e.g. ESC ( B
+                    else if (ch === '(' || ch === ')' || ch === '*' || ch === '+' || ch === '#' || ch === '%') state = 'skipOne';
+                    else state = 'text';
+                    break;
+                case 'csi':
+                    if (ch >= '@' && ch <= '~') state = 'text';
+                    break;
+                case 'string':
+                    if (ch === BEL) state = 'text';
+                    else if (ch === ESC) state = 'stringEsc';
+                    break;
+                case 'stringEsc':
+                    state = ch === '\\' ? 'text' : 'string';
+                    break;
+                case 'skipOne':
+                    state = 'text';
+                    break;
+            }
+        }
+        return out;
+    };
+}
+
+module.exports = { createAnsiStripper };
@@ -0,0 +1,91 @@
+/**
+ * Change and pattern detection for the pane watcher (lib/PaneWatcher.js)
+ * Panes are compared as small grayscale thumbnails (box-averaged cells), so a blinking cursor or
+ * a repainted glyph moves only a cell or two while new text, a spinner or a scrolling response
+ * moves many. Patterns (e.g. an "Accept" button) are found by template matching on thumbnails.
+ */
+
+const CELL_SIZE = 8; // Screen pixels per side of a change-detection cell
+const CHANGE_LEVELS = 16; // Gray levels a cell must move to count as changed
+const PATTERN_CELLS = 8; // Pattern thumbnails have at least this many cells on their short side
+
+/**
+ * Grayscale box-average thumbnail of a rectangle of an RGBA bitmap.
+ * @param {{ width: number, data: ArrayBufferLike|Uint8Array }} bitmap - RGBA rows of bitmap.width pixels
+ * @param {{ x, y, width, height }} region - Inside the bitmap
+ * @param {number} cellSize - Bitmap pixels per side of a thumbnail cell
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function toThumbnail(bitmap, region, cellSize = CELL_SIZE) {
+    const src = bitmap.data instanceof Uint8Array ? bitmap.data : new Uint8Array(bitmap.data);
+    const width = Math.max(1, Math.floor(region.width / cellSize));
+    const height = Math.max(1, Math.floor(region.height / cellSize));
+    const sums = new Uint32Array(width * height);
+    const counts = new Uint32Array(width * height);
+
+    for (let row = 0; row < height * cellSize && row < region.height; row++) {
+        const cellRow = Math.floor(row / cellSize) * width;
+        let offset = ((region.y + row) * bitmap.width + region.x) * 4;
+        for (let col = 0; col < width * cellSize && col < region.width; col++, offset += 4) {
+            // Integer luma (BT.601)
+            const gray = (src[offset] * 77 + src[offset + 1] * 150 + src[offset + 2] * 29) >> 8;
+            const cell = cellRow + Math.floor(col / cellSize);
+            sums[cell] += gray;
+            counts[cell]++;
+        }
+    }
+
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = counts[i] ? Math.round(sums[i] / counts[i]) : 0;
+    return { width, height, data };
+}
+
+/**
+ * Cells whose gray level moved by more than `levels` between two thumbnails.
+ * @returns {number} Infinity when the sizes differ (the pane moved or was resized)
+ */
+function countChangedCells(previous, current, levels = CHANGE_LEVELS) {
+    if (!previous || previous.width !== current.width || previous.height !== current.height) return Infinity;
+    let changed = 0;
+    for (let i = 0; i < current.data.length; i++) {
+        if (Math.abs(current.data[i] - previous.data[i]) > levels) changed++;
+    }
+    return changed;
+}
+
+/**
+ * Cell size that gives a pattern of this size PATTERN_CELLS cells on its short side.
+ */
+function patternCellSize(width, height) {
+    return Math.max(1, Math.floor(Math.min(width, height) / PATTERN_CELLS));
+}
+
+/**
+ * Best position of `template` inside `image` (thumbnails at the same cell size) by mean absolute
+ * difference. Positions that cannot beat the best one so far are abandoned row by row.
+ * @returns {{ x: number, y: number, score: number }|null} Position in cells; score 1 = identical,
+ *   0 = opposite. null when the template does not fit in the image.
+ */
+function matchTemplate(image, template) {
+    if (template.width > image.width || template.height > image.height) return null;
+
+    const cells = template.width * template.height;
+    let best = { x: 0, y: 0, diff: Infinity };
+
+    for (let y = 0; y <= image.height - template.height; y++) {
+        for (let x = 0; x <= image.width - template.width; x++) {
+            let diff = 0;
+            for (let ty = 0; ty < template.height && diff < best.diff; ty++) {
+                const imageRow = (y + ty) * image.width + x;
+                const templateRow = ty * template.width;
+                for (let tx = 0; tx < template.width; tx++) {
+                    diff += Math.abs(image.data[imageRow + tx] - template.data[templateRow + tx]);
+                }
+            }
+            if (diff < best.diff) best = { x, y, diff };
+        }
+    }
+    return { x: best.x, y: best.y, score: 1 - best.diff / (cells * 255) };
+}
+
+module.exports = { CELL_SIZE, toThumbnail, countChangedCells, patternCellSize, matchTemplate };
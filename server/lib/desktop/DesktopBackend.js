@@ -0,0 +1,206 @@
+/**
+ * DesktopBackend - Interface between the server core and the host desktop
+ * Screen capture, mouse/keyboard input and window management go through a backend,
+ * so the core never talks to robotjs, screenshot-desktop or PowerShell directly.
+ * Backends extend this class and override every method.
+ *
+ * Coordinates:
+ * - capture(), captureRaw() and getPhysicalScreenSize() use physical pixels.
+ * - getScreenSize(), moveMouse() and window bounds use logical (DPI-independent) pixels.
+ * - getMonitors() relates both, per monitor (see lib/monitors.js).
+ */
+const { Jimp } = require('jimp');
+const { createMonitor } = require('../monitors');
+
+class DesktopBackend {
+    constructor(name) {
+        this.name = name;
+        this.physicalScreenSize = null; // Cached by getPhysicalScreenSize()
+        this.monitors = null; // Promise cached by getMonitors()
+    }
+
+    notImplemented(method) {
+        return new Error(`Desktop backend "${this.name}" does not implement ${method}()`);
+    }
+
+    // --- Capture ---
+
+    /**
+     * Captures the whole screen.
+     * @returns {Promise<Buffer>} Encoded image (PNG/JPEG) readable by Jimp
+     */
+    async capture() {
+        throw this.notImplemented('capture');
+    }
+
+    /**
+     * Captures the whole screen as a Jimp image. Backends that grab raw pixels override this
+     * to skip the encode/decode round trip.
+     * @returns {Promise<Jimp>}
+     */
+    async captureImage() {
+        return Jimp.read(await this.capture());
+    }
+
+    /**
+     * Captures the screen without decoding it, for the image workers to decode off the main
+     * thread (see lib/ImagePool.js). Backends that grab raw pixels return them as they come.
+     * Backends that can capture a region override this and grab only `rect`; the rest return
+     * the whole screen (or the monitor showing `rect`), encoded. Either way x/y tell where the
+     * returned pixels start (0, 0 when left out).
+     * @param {{ x, y, width, height }} [rect] - Physical pixels, within one monitor
+     * @returns {Promise<{ encoded: Buffer, x?, y? }|{ x, y, width, height, format: 'rgba'|'bgrx', data: Uint8Array }>}
+     */
+    async captureRaw(rect) {
+        return { encoded: await this.capture() };
+    }
+
+    /**
+     * Size of the captured screen in physical pixels. Cached: the default takes one screenshot
+     * the first time, and StreamEngine refreshes it from every full-screen capture
+     * (updatePhysicalScreenSize), so input events never need a screenshot of their own.
+     * @returns {Promise<{ width: number, height: number }>}
+     */
+    async getPhysicalScreenSize() {
+        if (!this.physicalScreenSize) {
+            const image = await this.captureImage();
+            this.updatePhysicalScreenSize(image.width, image.height);
+        }
+        return this.physicalScreenSize;
+    }
+
+    updatePhysicalScreenSize(width, height) {
+        const previous = this.physicalScreenSize;
+        if (previous && previous.width === width && previous.height === height) return;
+        this.physicalScreenSize = { width, height };
+        this.monitors = null; // The default monitor is the whole screen
+    }
+
+    // --- Monitors ---
+
+    /**
+     * Enumerates the displays with their logical and physical bounds. Backends that see several
+     * monitors override this; the default is one monitor covering the whole screen.
+     * @returns {Promise<Array<{ id, name, primary, bounds, physical, scale }>>}
+     */
+    async listMonitors() {
+        const physical = await this.getPhysicalScreenSize();
+        const logical = this.getScreenSize();
+        return [createMonitor({
+            id: 0,
+            name: 'Screen',
+            primary: true,
+            bounds: { x: 0, y: 0, width: logical.width, height: logical.height },
+            physical: { x: 0, y: 0, width: physical.width, height: physical.height }
+        })];
+    }
+
+    /**
+     * Cached listMonitors(): every frame and input event converts coordinates through it.
+     * @param {{ refresh?: boolean }} [options] - refresh enumerates the displays again
+     */
+    getMonitors({ refresh = false } = {}) {
+        if (!this.monitors || refresh) {
+            const monitors = this.listMonitors();
+            // Let the next call retry instead of caching the failure
+            monitors.catch(() => {
+                if (this.monitors === monitors) this.monitors = null;
+            });
+            this.monitors = monitors;
+        }
+        return this.monitors;
+    }
+
+    /**
+     * Logical screen size, used to convert between captured pixels and input coordinates.
+     * @returns {{ width: number, height: number }}
+     */
+    getScreenSize() {
+        throw this.notImplemented('getScreenSize');
+    }
+
+    // --- Input ---
+
+    async moveMouse(x, y) {
+        throw this.notImplemented('moveMouse');
+    }
+
+    /**
+     * @param {'left'|'right'|'middle'} [button='left']
+     */
+    async click(button = 'left') {
+        throw this.notImplemented('click');
+    }
+
+    async typeString(text) {
+        throw this.notImplemented('typeString');
+    }
+
+    /**
+     * @param {string} key - Key name in robotjs notation ('enter', 'backspace', 'a'...)
+     */
+    async keyTap(key) {
+        throw this.notImplemented('keyTap');
+    }
+
+    /**
+     * Scrolls the mouse wheel at the current pointer position.
+     * @param {number} ticks - Wheel notches; positive scrolls up
+     */
+    async scroll(ticks) {
+        throw this.notImplemented('scroll');
+    }
+
+    // --- Windows ---
+
+    /**
+     * Lists visible top-level windows.
+     * @returns {Promise<Array<{ title: string, handle: number|string, process: number|string }>>}
+     */
+    async listWindows() {
+        throw this.notImplemented('listWindows');
+    }
+
+    /**
+     * Brings the first window whose title matches the pattern to the front (and maximizes it).
+     * @param {string} titlePattern - Regex string (e.g. "Cursor|Antigravity")
+     * @returns {Promise<string>} "ALREADY_ACTIVE", "ACTIVATED", "FAILED", "NOT_FOUND" or "ERROR"
+     */
+    async activateWindow(titlePattern) {
+        throw this.notImplemented('activateWindow');
+    }
+
+    /**
+     * @param {number|string} handle - Handle from listWindows()
+     * @returns {Promise<string>} Same results as activateWindow()
+     */
+    async activateWindowByHandle(handle) {
+        throw this.notImplemented('activateWindowByHandle');
+    }
+
+    /**
+     * @param {string} titlePattern - Regex string
+     * @returns {Promise<{x: number, y: number, width: number, height: number} | null>}
+     */
+    async findWindowBounds(titlePattern) {
+        throw this.notImplemented('findWindowBounds');
+    }
+
+    /**
+     * @param {number|string} handle
+     * @returns {Promise<{x: number, y: number, width: number, height: number} | null>}
+     */
+    async findWindowBoundsByHandle(handle) {
+        throw this.notImplemented('findWindowBoundsByHandle');
+    }
+
+    /**
+     * Bounds and name of the UI element that has keyboard focus.
+     * @returns {Promise<{ found: boolean, x?: number, y?: number, width?: number, height?: number, name?: string }>}
+     */
+    async getFocusedElement() {
+        throw this.notImplemented('getFocusedElement');
+    }
+}
+
+module.exports = DesktopBackend;
@@ -0,0 +1,347 @@
+/**
+ * MockBackend - Headless desktop for automated tests
+ * Renders a synthetic VS Code-like screen (activity bar, sidebar, editor, chat pane,
+ * terminal panel, status bar) and records every injected input instead of performing it.
+ * Select it with DESKTOP_BACKEND=mock; tests reach the instance through require('./lib/desktop').
+ */
+const { Jimp } = require('jimp');
+const DesktopBackend = require('./DesktopBackend');
+const { extractTile } = require('../tiles');
+const { clipRect } = require('../rects');
+const { createMonitor } = require('../monitors');
+
+const THEMES = {
+    dark: {
+        desktop: 0x1b3a57,
+        taskbar: 0x101010,
+        activityBar: 0x333333,
+        sideBar: 0x252526,
+        editor: 0x1e1e1e,
+        chat: 0x252526,
+        chatInput: 0x3c3c3c,
+        panel: 0x141414,
+        statusBar: 0x007acc,
+        separator: 0x454545,
+        text: [0x9cdcfe, 0xce9178, 0x6a9955, 0xdcdcaa, 0xd4d4d4]
+    },
+    light: {
+        desktop: 0x5b8fbf,
+        taskbar: 0xe0e0e0,
+        activityBar: 0x2c2c2c,
+        sideBar: 0xf3f3f3,
+        editor: 0xffffff,
+        chat: 0xf3f3f3,
+        chatInput: 0xffffff,
+        panel: 0xe8e8e8,
+        statusBar: 0x007acc,
+        separator: 0xc8c8c8,
+        text: [0x0000ff, 0xa31515, 0x008000, 0x795e26, 0x333333]
+    }
+};
+
+// All sizes in logical pixels; the IDE layout is relative to the IDE window
+const DEFAULT_OPTIONS = {
+    width: 1280,
+    height: 800,
+    scale: 1,              // Physical pixels per logical pixel (DPI scaling)
+    taskbarHeight: 40,
+    theme: 'dark',
+    activityBarWidth: 48,
+    sideBarWidth: 220,     // Including the activity bar
+    chatWidth: 360,
+    terminalHeight: 260,
+    statusBarHeight: 24,
+    separatorWidth: 1,     // 0 = panes are told apart by background only
+    separatorColor: null,  // null = theme default
+    monitors: null,        // null = one monitor covering the screen; else [{ x, y, width, height, name? }], all at `scale`
+    windows: null          // null = an IDE window filling the work area plus a small terminal window
+};
+
+const TEXT_BAR_HEIGHT = 6;
+
+class MockBackend extends DesktopBackend {
+    constructor(options = {}) {
+        super('mock');
+        this.configure(options);
+    }
+
+    /**
+     * Replaces the screen layout and resets windows, focus and recorded input.
+     * @param {Object} options - See DEFAULT_OPTIONS
+     */
+    configure(options = {}) {
+        const merged = { ...DEFAULT_OPTIONS, ...options };
+        if (!THEMES[merged.theme]) {
+            throw new Error(`Unknown mock theme "${merged.theme}". Available: ${Object.keys(THEMES).join(', ')}`);
+        }
+        this.options = merged;
+        this.windows = (merged.windows || this.defaultWindows()).map(w => ({ ...w }));
+        this.activeHandle = this.windows.length > 0 ? this.windows[0].handle : null;
+        this.focusedElement = null;
+        this.screen = null; // Rendered lazily
+        this.monitors = null;
+        this.reset();
+    }
+
+    /**
+     * Clears recorded input and puts the pointer back at the origin.
+     */
+    reset() {
+        this.events = [];
+        this.pointer = { x: 0, y: 0 };
+    }
+
+    defaultWindows() {
+        const { width, height, taskbarHeight } = this.options;
+        return [
+            { handle: 1001, title: 'index.js - project - Cursor', process: 'Cursor', bounds: { x: 0, y: 0, width, height: height - taskbarHeight } },
+            { handle: 1002, title: 'Terminal', process: 'gnome-terminal', bounds: { x: 120, y: 90, width: 640, height: 400 } }
+        ];
+    }
+
+    /**
+     * Where each pane of the IDE window is, in logical screen pixels. Tests compare detection results against this.
+     * @returns {{ window: Object, sideBar: Object, editor: Object, chat: Object, chatInput: Object, terminal: Object, statusBar: Object }}
+     */
+    getLayout() {
+        const o = this.options;
+        const win = this.windows.length > 0 ? this.windows[0].bounds : { x: 0, y: 0, width: o.width, height: o.height - o.taskbarHeight };
+
+        const chatX = win.x + win.width - o.chatWidth;
+        const statusY = win.y + win.height - o.statusBarHeight;
+        const terminalY = statusY - o.terminalHeight;
+        const editorX = win.x + o.sideBarWidth;
+
+        return {
+            window: { ...win },
+            sideBar: { x: win.x, y: win.y, width: o.sideBarWidth, height: statusY - win.y },
+            editor: { x: editorX, y: win.y, width: chatX - editorX, height: terminalY - win.y },
+            chat: { x: chatX, y: win.y, width: o.chatWidth, height: statusY - win.y },
+            chatInput: { x: chatX + 12, y: statusY - 72, width: o.chatWidth - 24, height: 56 },
+            terminal: { x: editorX, y: terminalY, width: chatX - editorX, height: o.terminalHeight },
+            statusBar: { x: win.x, y: statusY, width: win.width, height: o.statusBarHeight }
+        };
+    }
+
+    // --- Rendering ---
+
+    render() {
+        const o = this.options;
+        const theme = THEMES[o.theme];
+        const image = new Jimp({
+            width: Math.round(o.width * o.scale),
+            height: Math.round(o.height * o.scale),
+            color: rgbToInt(theme.desktop)
+        });
+        const layout = this.getLayout();
+        const fill = (rect, color) => fillRect(image, rect, color, o.scale);
+
+        fill({ x: 0, y: o.height - o.taskbarHeight, width: o.width, height: o.taskbarHeight }, theme.taskbar);
+
+        // Secondary windows first so the IDE window stays on top
+        for (const w of this.windows.slice(1)) {
+            fill(w.bounds, theme.panel);
+            drawText(fill, { x: w.bounds.x + 8, y: w.bounds.y + 8, width: w.bounds.width - 16, height: w.bounds.height - 16 }, theme.text, 3, 18);
+        }
+        if (this.windows.length === 0) return image;
+
+        fill(layout.sideBar, theme.sideBar);
+        fill({ ...layout.sideBar, width: o.activityBarWidth }, theme.activityBar);
+        fill(layout.editor, theme.editor);
+        fill(layout.chat, theme.chat);
+        fill(layout.chatInput, theme.chatInput);
+        fill(layout.terminal, theme.panel);
+        fill(layout.statusBar, theme.statusBar);
+
+        drawText(fill, { ...layout.sideBar, x: layout.sideBar.x + o.activityBarWidth + 12, width: layout.sideBar.width - o.activityBarWidth - 24 }, theme.text, 1, 22);
+        drawText(fill, { ...layout.editor, x: layout.editor.x + 16, width: layout.editor.width - 32 }, theme.text, 2, 19);
+        drawText(fill, { ...layout.chat, x: layout.chat.x + 16, width: layout.chat.width - 32, height: layout.chatInput.y - layout.chat.y }, theme.text, 5, 26);
+        drawText(fill, { ...layout.terminal, x: layout.terminal.x + 12, y: layout.terminal.y + 12, width: layout.terminal.width - 24, height: layout.terminal.height - 12 }, theme.text, 4, 17);
+
+        if (o.separatorWidth > 0) {
+            const color = o.separatorColor !== null ? o.separatorColor : theme.separator;
+            const sw = o.separatorWidth;
+            fill({ x: layout.editor.x - sw, y: layout.sideBar.y, width: sw, height: layout.sideBar.height }, color);
+            fill({ x: layout.chat.x, y: layout.chat.y, width: sw, height: layout.chat.height }, color);
+            fill({ x: layout.terminal.x, y: layout.terminal.y, width: layout.terminal.width, height: sw }, color);
+        }
+
+        return image;
+    }
+
+    getScreen() {
+        if (!this.screen) this.screen = this.render();
+        return this.screen;
+    }
+
+    // --- Capture ---
+
+    async capture() {
+        return this.getScreen().getBuffer('image/png');
+    }
+
+    async captureImage() {
+        return this.getScreen().clone();
+    }
+
+    async captureRaw(rect) {
+        const screen = this.getScreen();
+        const region = rect ? clipRect(rect, screen.width, screen.height) : null;
+        if (!region) {
+            return { x: 0, y: 0, width: screen.width, height: screen.height, format: 'rgba', data: Buffer.from(screen.bitmap.data) };
+        }
+        return { ...region, format: 'rgba', data: extractTile(screen, region).bitmap.data };
+    }
+
+    async getPhysicalScreenSize() {
+        const screen = this.getScreen();
+        return { width: screen.width, height: screen.height };
+    }
+
+    getScreenSize() {
+        return { width: this.options.width, height: this.options.height };
+    }
+
+    async listMonitors() {
+        const { monitors, scale } = this.options;
+        if (!monitors) return super.listMonitors();
+
+        return monitors.map(({ name, ...bounds }, index) => createMonitor({
+            id: index,
+            name: name || `Monitor ${index + 1}`,
+            primary: index === 0,
+            bounds,
+            physical: {
+                x: Math.round(bounds.x * scale),
+                y: Math.round(bounds.y * scale),
+                width: Math.round(bounds.width * scale),
+                height: Math.round(bounds.height * scale)
+            }
+        }));
+    }
+
+    // --- Input ---
+
+    record(event) {
+        this.events.push({ ...event, time: Date.now() });
+    }
+
+    async moveMouse(x, y) {
+        this.pointer = { x, y };
+        this.record({ type: 'move', x, y });
+    }
+
+    async click(button = 'left') {
+        this.record({ type: 'click', button, ...this.pointer });
+    }
+
+    async typeString(text) {
+        this.record({ type: 'type', text });
+    }
+
+    async keyTap(key) {
+        this.record({ type: 'keyTap', key });
+    }
+
+    async scroll(ticks) {
+        this.record({ type: 'scroll', ticks, ...this.pointer });
+    }
+
+    // --- Windows ---
+
+    findWindow(titlePattern) {
+        const regex = new RegExp(titlePattern, 'i');
+        return this.windows.find(w => regex.test(w.title)) || null;
+    }
+
+    activate(win) {
+        if (!win) return 'NOT_FOUND';
+        if (win.handle === this.activeHandle) return 'ALREADY_ACTIVE';
+        this.activeHandle = win.handle;
+        this.record({ type: 'activate', handle: win.handle, title: win.title });
+        return 'ACTIVATED';
+    }
+
+    async listWindows() {
+        return this.windows.map(w => ({ title: w.title, handle: w.handle, process: w.process }));
+    }
+
+    async activateWindow(titlePattern) {
+        return this.activate(this.findWindow(titlePattern));
+    }
+
+    async activateWindowByHandle(handle) {
+        return this.activate(this.windows.find(w => String(w.handle) === String(handle)));
+    }
+
+    async findWindowBounds(titlePattern) {
+        const win = this.findWindow(titlePattern);
+        return win ? { ...win.bounds } : null;
+    }
+
+    async findWindowBoundsByHandle(handle) {
+        const win = this.windows.find(w => String(w.handle) === String(handle));
+        return win ? { ...win.bounds } : null;
+    }
+
+    /**
+     * Tests set this.focusedElement to simulate focus; by default the chat input has it.
+     */
+    async getFocusedElement() {
+        if (this.focusedElement) return this.focusedElement;
+        if (this.windows.length === 0) return { found: false };
+        const input = this.getLayout().chatInput;
+        return { found: true, ...input, name: 'Chat input' };
+    }
+}
+
+// --- Helpers ---
+
+function rgbToInt(rgb) {
+    return ((rgb << 8) | 0xff) >>> 0;
+}
+
+function fillRect(image, rect, rgb, scale) {
+    const x0 = Math.max(0, Math.round(rect.x * scale));
+    const y0 = Math.max(0, Math.round(rect.y * scale));
+    const x1 = Math.min(image.width, Math.round((rect.x + rect.width) * scale));
+    const y1 = Math.min(image.height, Math.round((rect.y + rect.height) * scale));
+    const data = image.bitmap.data;
+    const r = (rgb >> 16) & 0xff, g = (rgb >> 8) & 0xff, b = rgb & 0xff;
+
+    for (let y = y0; y < y1; y++) {
+        let idx = (y * image.width + x0) * 4;
+        for (let x = x0; x < x1; x++, idx += 4) {
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+            data[idx + 3] = 0xff;
+        }
+    }
+}
+
+/**
+ * Fills a region with short bars standing in for lines of text. Bars are thin and vary in
+ * indent, and each pane uses its own line pitch, so rows never line up across panes into
+ * something the pane detector would take for a separator.
+ */
+function drawText(fill, rect, colors, seed, lineHeight) {
+    let state = seed * 2654435761 >>> 0;
+    const next = () => {
+        state = (state * 1103515245 + 12345) >>> 0;
+        return state / 0x100000000;
+    };
+
+    for (let y = rect.y + 8; y + TEXT_BAR_HEIGHT < rect.y + rect.height; y += lineHeight) {
+        if (next() < 0.15) continue; // Blank line
+        let x = rect.x + Math.floor(next() * 4) * 16;
+        const end = rect.x + rect.width * (0.3 + next() * 0.5);
+        while (x < end) {
+            const word = 16 + Math.floor(next() * 60);
+            fill({ x, y, width: Math.min(word, end - x), height: TEXT_BAR_HEIGHT }, colors[Math.floor(next() * colors.length)]);
+            x += word + 8;
+        }
+    }
+}
+
+module.exports = MockBackend;
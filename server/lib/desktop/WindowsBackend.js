@@ -0,0 +1,118 @@
+/**
+ * WindowsBackend - Desktop backend for Windows
+ * Capture via screenshot-desktop, input via robotjs, and window management through
+ * UI Automation in PowerShell (see ./windows).
+ */
+const screenshot = require('screenshot-desktop');
+const robot = require('robotjs');
+const DesktopBackend = require('./DesktopBackend');
+const { createMonitor, monitorForRect, primaryMonitor } = require('../monitors');
+const scrollWorker = require('./windows/scroll-worker');
+const {
+    findWindowBounds,
+    getActiveFocus,
+    ensureWindowActive,
+    getOpenWindows,
+    ensureWindowActiveByHandle,
+    findWindowBoundsByHandle
+} = require('./windows/window-detector');
+
+const WHEEL_DELTA = 120; // Native units per wheel notch
+
+class WindowsBackend extends DesktopBackend {
+    constructor() {
+        super('windows');
+    }
+
+    capture() {
+        return screenshot();
+    }
+
+    /**
+     * screenshot-desktop grabs one display at a time: the one showing `rect`, or the primary.
+     */
+    async captureRaw(rect) {
+        const monitors = await this.getMonitors();
+        const monitor = rect ? monitorForRect(monitors, rect, 'physical') : primaryMonitor(monitors);
+        if (!monitor || monitors.length === 1) return { encoded: await this.capture() };
+
+        const encoded = await screenshot({ screen: monitor.id });
+        return { encoded, x: monitor.physical.x, y: monitor.physical.y };
+    }
+
+    getScreenSize() {
+        return robot.getScreenSize();
+    }
+
+    /**
+     * Displays with their physical bounds and DPI scale. Logical bounds are the physical ones
+     * divided by the display's own scale, as robotjs and UI Automation see them.
+     */
+    async listMonitors() {
+        let displays;
+        try {
+            displays = await screenshot.listDisplays();
+        } catch (err) {
+            console.error('Could not list displays:', err.message);
+        }
+        if (!displays || displays.length === 0) return super.listMonitors();
+
+        return displays.map((d, index) => {
+            const scale = d.dpiScale > 0 ? d.dpiScale : 1;
+            return createMonitor({
+                id: d.id,
+                name: `Monitor ${index + 1}`,
+                primary: d.left === 0 && d.top === 0,
+                bounds: { x: d.left / scale, y: d.top / scale, width: d.width / scale, height: d.height / scale },
+                physical: { x: d.left, y: d.top, width: d.width, height: d.height }
+            });
+        });
+    }
+
+    async moveMouse(x, y) {
+        robot.moveMouse(x, y);
+    }
+
+    async click(button = 'left') {
+        robot.mouseClick(button);
+    }
+
+    async typeString(text) {
+        robot.typeString(text);
+    }
+
+    async keyTap(key) {
+        robot.keyTap(key);
+    }
+
+    async scroll(ticks) {
+        // Sent through the persistent PowerShell worker (user32 mouse_event)
+        scrollWorker.scroll(ticks * WHEEL_DELTA);
+    }
+
+    listWindows() {
+        return getOpenWindows();
+    }
+
+    activateWindow(titlePattern) {
+        return ensureWindowActive(titlePattern);
+    }
+
+    activateWindowByHandle(handle) {
+        return ensureWindowActiveByHandle(handle);
+    }
+
+    findWindowBounds(titlePattern) {
+        return findWindowBounds(titlePattern);
+    }
+
+    findWindowBoundsByHandle(handle) {
+        return findWindowBoundsByHandle(handle);
+    }
+
+    getFocusedElement() {
+        return getActiveFocus();
+    }
+}
+
+module.exports = WindowsBackend;
@@ -0,0 +1,440 @@
+/**
+ * X11Backend - Desktop backend for Linux (X11)
+ * Speaks the X protocol directly through the `x11` package (no native modules):
+ * capture with GetImage, input with XTEST and window management through EWMH.
+ * Capture and input work on a bare Xvfb; activation and maximize need an EWMH window manager.
+ */
+const x11 = require('x11');
+const { Jimp } = require('jimp');
+const DesktopBackend = require('./DesktopBackend');
+const { bgrxToRgba } = require('./pixels');
+const { clipRect } = require('../rects');
+const { createMonitor } = require('../monitors');
+const { XK_SHIFT_L, charToKeysym, keyNameToKeysym } = require('./x11/keysyms');
+
+const Z_PIXMAP = 2;
+const ALL_PLANES = 0xffffffff;
+const ANY_PROPERTY_TYPE = 0;
+const MAX_PROPERTY_LENGTH = 1 << 20; // In 4-byte units
+
+const BUTTONS = { left: 1, middle: 2, right: 3 };
+const WHEEL_UP = 4;
+const WHEEL_DOWN = 5;
+
+const NET_WM_STATE_ADD = 1;
+const MAPPING_POINTER = 2; // MappingNotify for the pointer buttons; the others change the keymap
+const SOURCE_PAGER = 2; // EWMH source indication for requests that don't come from the app itself
+
+const ACTIVATION_CHECK_DELAY = 50; // ms before verifying activation, as on Windows
+const KEYMAP_SETTLE_DELAY = 20; // ms for clients to process MappingNotify after a remap
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Promisified X request: request(X, 'GetGeometry', wid)
+function request(X, method, ...args) {
+    return new Promise((resolve, reject) => {
+        X[method](...args, (err, result) => {
+            if (err) {
+                reject(err);
+                return true; // Handled: keeps the client from also emitting 'error'
+            }
+            resolve(result);
+        });
+    });
+}
+
+// CARDINAL/WINDOW/ATOM property values are arrays of 32-bit integers
+function readCardinals(buffer) {
+    const values = [];
+    for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        values.push(buffer.readUInt32LE(offset));
+    }
+    return values;
+}
+
+class X11Backend extends DesktopBackend {
+    constructor() {
+        super('x11');
+        this.connection = null; // Promise<{ X, display, screen, root, xtest }>
+        this.screen = null;
+        this.keymap = null; // keysym -> { keycode, shifted }; dropped on MappingNotify
+        this.keymapVersion = 0; // Bumped on MappingNotify, so a keymap read meanwhile is not cached
+        this.keysymsPerKeycode = 0;
+        this.spareKeycode = null;
+        this.spareKeysym = null; // What tapKeysym has bound to the spare keycode for a tap in progress
+    }
+
+    /**
+     * Connects to $DISPLAY on first use; a dropped connection is re-opened on the next call.
+     */
+    connect() {
+        if (this.connection) return this.connection;
+
+        this.connection = new Promise((resolve, reject) => {
+            if (!process.env.DISPLAY) {
+                reject(new Error('DISPLAY is not set'));
+                return;
+            }
+
+            const client = x11.createClient((err, display) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                const X = display.client;
+                X.require('xtest', (xtestErr, xtest) => {
+                    if (xtestErr) {
+                        reject(new Error(`XTEST extension not available: ${xtestErr.message}`));
+                        return;
+                    }
+                    // Sent to every client when the layout changes (setxkbmap, a spare keycode bound below)
+                    X.on('event', (ev) => {
+                        if (ev.name !== 'MappingNotify' || ev.request === MAPPING_POINTER) return;
+                        this.keymap = null;
+                        this.keymapVersion++;
+                    });
+                    this.screen = display.screen[0];
+                    console.log(`Connected to X display ${process.env.DISPLAY} (${this.screen.pixel_width}x${this.screen.pixel_height})`);
+                    resolve({ X, display, screen: this.screen, root: this.screen.root, xtest });
+                });
+            });
+
+            const reset = () => {
+                this.connection = null;
+                this.keymap = null;
+            };
+            client.on('error', (err) => {
+                // Protocol errors from reply-less requests (e.g. a window that just closed) keep the connection usable
+                if (err.majorOpcode !== undefined) {
+                    console.error('X11 request error:', err.message);
+                    return;
+                }
+                console.error('X11 connection error:', err.message);
+                reset();
+                reject(err);
+            });
+            client.on('end', reset);
+        });
+
+        // Let the next call retry instead of caching the failure
+        this.connection.catch(() => {
+            this.connection = null;
+        });
+
+        return this.connection;
+    }
+
+    // --- Capture ---
+
+    // GetImage reads any rectangle of the root window, so only the region asked for is transferred
+    async captureRaw(rect) {
+        const { X, screen, root } = await this.connect();
+        const region = (rect && clipRect(rect, screen.pixel_width, screen.pixel_height)) ||
+            { x: 0, y: 0, width: screen.pixel_width, height: screen.pixel_height };
+
+        const image = await request(X, 'GetImage', Z_PIXMAP, root, region.x, region.y, region.width, region.height, ALL_PLANES);
+        if (image.depth !== 24 && image.depth !== 32) {
+            throw new Error(`Unsupported X display depth: ${image.depth}`);
+        }
+
+        // 24/32-bit TrueColor ZPixmap is B, G, R, X per pixel
+        return { ...region, format: 'bgrx', data: image.data };
+    }
+
+    async captureImage() {
+        const { width, height, data } = await this.captureRaw();
+        return new Jimp({ width, height, data: bgrxToRgba(data, Buffer.allocUnsafe(width * height * 4)) });
+    }
+
+    async capture() {
+        const image = await this.captureImage();
+        return image.getBuffer('image/png');
+    }
+
+    getScreenSize() {
+        if (!this.screen) throw new Error('X display not connected yet');
+        // X11 has no per-monitor DPI scaling: logical and captured pixels match
+        return { width: this.screen.pixel_width, height: this.screen.pixel_height };
+    }
+
+    async getPhysicalScreenSize() {
+        await this.connect();
+        return this.getScreenSize();
+    }
+
+    /**
+     * Monitors from Xinerama (RandR outputs show up there too). All of them are parts of the
+     * root window at scale 1; without Xinerama the root window is a single monitor.
+     */
+    async listMonitors() {
+        const { X } = await this.connect();
+        let screens = [];
+        try {
+            const xinerama = await new Promise((resolve, reject) => {
+                X.require('xinerama', (err, ext) => (err ? reject(err) : resolve(ext)));
+            });
+            if (await request(xinerama, 'IsActive')) screens = await request(xinerama, 'QueryScreens');
+        } catch (err) {
+            console.error('Xinerama not available:', err.message);
+        }
+        if (screens.length === 0) return super.listMonitors();
+
+        return screens.map((rect, index) => createMonitor({
+            id: index,
+            name: `Monitor ${index + 1}`,
+            primary: index === 0,
+            bounds: rect,
+            physical: rect
+        }));
+    }
+
+    // --- Input (XTEST) ---
+
+    async moveMouse(x, y) {
+        const { xtest, root } = await this.connect();
+        xtest.FakeInput(xtest.MotionNotify, 0, 0, root, Math.round(x), Math.round(y));
+    }
+
+    async click(button = 'left') {
+        const { xtest } = await this.connect();
+        this.pressButton(xtest, BUTTONS[button] || BUTTONS.left);
+    }
+
+    async scroll(ticks) {
+        const { xtest } = await this.connect();
+        const button = ticks > 0 ? WHEEL_UP : WHEEL_DOWN;
+        for (let i = 0; i < Math.abs(Math.round(ticks)); i++) {
+            this.pressButton(xtest, button);
+        }
+    }
+
+    async typeString(text) {
+        const conn = await this.connect();
+        for (const char of text) {
+            await this.tapKeysym(conn, charToKeysym(char));
+        }
+    }
+
+    async keyTap(key) {
+        const keysym = keyNameToKeysym(key);
+        if (keysym === null) throw new Error(`Unknown key "${key}"`);
+        await this.tapKeysym(await this.connect(), keysym);
+    }
+
+    pressButton(xtest, button) {
+        xtest.FakeInput(xtest.ButtonPress, button, 0, 0, 0, 0);
+        xtest.FakeInput(xtest.ButtonRelease, button, 0, 0, 0, 0);
+    }
+
+    /**
+     * @returns {Promise<Map>} keysym -> { keycode, shifted }
+     */
+    async loadKeymap({ X, display }) {
+        const version = this.keymapVersion;
+        const firstKeycode = display.min_keycode;
+        const rows = await request(X, 'GetKeyboardMapping', firstKeycode, display.max_keycode - firstKeycode + 1);
+
+        const keymap = new Map();
+        let spareKeycode = null;
+        rows.forEach((keysyms, index) => {
+            const keycode = firstKeycode + index;
+            // Only the unshifted/shifted pair of the first group is used
+            keysyms.slice(0, 2).forEach((keysym, level) => {
+                if (keysym && !keymap.has(keysym)) keymap.set(keysym, { keycode, shifted: level === 1 });
+            });
+            // The keycode bound for a tap in progress stays ours unless the new layout uses it
+            const ours = keycode === this.spareKeycode && keysyms.every(keysym => keysym === this.spareKeysym);
+            if (ours || keysyms.every(keysym => keysym === 0)) spareKeycode = keycode;
+        });
+
+        if (version === this.keymapVersion) this.keymap = keymap;
+        this.keysymsPerKeycode = rows[0] ? rows[0].length : 0;
+        if (spareKeycode !== this.spareKeycode) this.spareKeysym = null;
+        this.spareKeycode = spareKeycode;
+        return keymap;
+    }
+
+    async tapKeysym(conn, keysym) {
+        const keymap = this.keymap || await this.loadKeymap(conn);
+        const { X, xtest } = conn;
+
+        const key = keymap.get(keysym);
+        if (key) {
+            const shift = key.shifted ? keymap.get(XK_SHIFT_L) : null;
+            if (shift) xtest.FakeInput(xtest.KeyPress, shift.keycode, 0, 0, 0, 0);
+            this.pressKey(xtest, key.keycode);
+            if (shift) xtest.FakeInput(xtest.KeyRelease, shift.keycode, 0, 0, 0, 0);
+            return;
+        }
+
+        // Not in the current layout (e.g. 'ñ' on a US keymap): bind it to an unused keycode for the
+        // tap and unbind it afterwards, as xdotool does, so the layout is left as it was
+        const keycode = this.spareKeycode;
+        if (keycode === null) throw new Error(`No keycode for keysym 0x${keysym.toString(16)}`);
+        const perKeycode = this.keysymsPerKeycode;
+        X.ChangeKeyboardMapping(keycode, perKeycode, new Array(perKeycode).fill(keysym));
+        this.spareKeysym = keysym;
+        await sleep(KEYMAP_SETTLE_DELAY);
+        this.pressKey(xtest, keycode);
+        // The focused client maps the key to a keysym when it reads the event, so wait for it
+        await sleep(KEYMAP_SETTLE_DELAY);
+        X.ChangeKeyboardMapping(keycode, perKeycode, new Array(perKeycode).fill(0));
+        if (this.spareKeysym === keysym) this.spareKeysym = null;
+    }
+
+    pressKey(xtest, keycode) {
+        xtest.FakeInput(xtest.KeyPress, keycode, 0, 0, 0, 0);
+        xtest.FakeInput(xtest.KeyRelease, keycode, 0, 0, 0, 0);
+    }
+
+    // --- Windows (EWMH) ---
+
+    async atom({ X }, name) {
+        return request(X, 'InternAtom', false, name);
+    }
+
+    async getProperty(conn, wid, name) {
+        const property = await request(conn.X, 'GetProperty', 0, wid, await this.atom(conn, name), ANY_PROPERTY_TYPE, 0, MAX_PROPERTY_LENGTH);
+        return property.data;
+    }
+
+    async getWindowTitle(conn, wid) {
+        const utf8Title = await this.getProperty(conn, wid, '_NET_WM_NAME');
+        if (utf8Title.length) return utf8Title.toString('utf8');
+        return (await this.getProperty(conn, wid, 'WM_NAME')).toString('latin1');
+    }
+
+    async getActiveWindow(conn) {
+        return readCardinals(await this.getProperty(conn, conn.root, '_NET_ACTIVE_WINDOW'))[0] || 0;
+    }
+
+    // Managed top-level windows with a title
+    async getClientWindows(conn) {
+        const ids = readCardinals(await this.getProperty(conn, conn.root, '_NET_CLIENT_LIST'));
+        const windows = [];
+        for (const id of ids) {
+            try {
+                const title = await this.getWindowTitle(conn, id);
+                if (!title.trim()) continue;
+                const [pid] = readCardinals(await this.getProperty(conn, id, '_NET_WM_PID'));
+                windows.push({ title, handle: id, process: pid || 0 });
+            } catch (e) {
+                // Window closed while listing
+            }
+        }
+        return windows;
+    }
+
+    // Matches like PowerShell's -match on Windows: regex, case-insensitive
+    async findWindowByTitle(conn, titlePattern) {
+        if (!titlePattern || typeof titlePattern !== 'string') return null;
+        const regex = new RegExp(titlePattern, 'i');
+        const windows = await this.getClientWindows(conn);
+        return windows.find(w => regex.test(w.title)) || null;
+    }
+
+    async getWindowBounds(conn, wid) {
+        const geometry = await request(conn.X, 'GetGeometry', wid);
+        if (geometry.width <= 0 || geometry.height <= 0) return null;
+        const origin = await request(conn.X, 'TranslateCoordinates', wid, conn.root, 0, 0);
+
+        // Include the window manager frame, like UI Automation's BoundingRectangle on Windows
+        const [left = 0, right = 0, top = 0, bottom = 0] = readCardinals(await this.getProperty(conn, wid, '_NET_FRAME_EXTENTS'));
+        return {
+            x: origin.destX - left,
+            y: origin.destY - top,
+            width: geometry.width + left + right,
+            height: geometry.height + top + bottom
+        };
+    }
+
+    async activate(conn, wid, maximize) {
+        const [stateAtom, maxVert, maxHorz, activeAtom] = await Promise.all([
+            this.atom(conn, '_NET_WM_STATE'),
+            this.atom(conn, '_NET_WM_STATE_MAXIMIZED_VERT'),
+            this.atom(conn, '_NET_WM_STATE_MAXIMIZED_HORZ'),
+            this.atom(conn, '_NET_ACTIVE_WINDOW')
+        ]);
+        const state = readCardinals(await this.getProperty(conn, wid, '_NET_WM_STATE'));
+        const isMaximized = state.includes(maxVert) && state.includes(maxHorz);
+
+        if (await this.getActiveWindow(conn) === wid && (isMaximized || !maximize)) {
+            return 'ALREADY_ACTIVE';
+        }
+
+        // The window manager also restores the window if it is minimized
+        conn.X.SendClientMessage(conn.root, wid, activeAtom, 32, [SOURCE_PAGER, 0, 0]);
+        if (maximize && !isMaximized) {
+            conn.X.SendClientMessage(conn.root, wid, stateAtom, 32, [NET_WM_STATE_ADD, maxVert, maxHorz, SOURCE_PAGER]);
+        }
+
+        await sleep(ACTIVATION_CHECK_DELAY);
+        return (await this.getActiveWindow(conn)) === wid ? 'ACTIVATED' : 'FAILED';
+    }
+
+    async listWindows() {
+        try {
+            return await this.getClientWindows(await this.connect());
+        } catch (e) {
+            console.error('Error listing X11 windows:', e.message);
+            return [];
+        }
+    }
+
+    async activateWindow(titlePattern) {
+        try {
+            const conn = await this.connect();
+            const win = await this.findWindowByTitle(conn, titlePattern);
+            if (!win) return 'NOT_FOUND';
+            return await this.activate(conn, win.handle, true);
+        } catch (e) {
+            console.error('X11 activateWindow error:', e.message);
+            return 'ERROR';
+        }
+    }
+
+    async activateWindowByHandle(handle) {
+        try {
+            return await this.activate(await this.connect(), Number(handle), false);
+        } catch (e) {
+            console.error('X11 activateWindowByHandle error:', e.message);
+            return 'ERROR';
+        }
+    }
+
+    async findWindowBounds(titlePattern) {
+        try {
+            const conn = await this.connect();
+            const win = await this.findWindowByTitle(conn, titlePattern);
+            return win ? await this.getWindowBounds(conn, win.handle) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async findWindowBoundsByHandle(handle) {
+        try {
+            return await this.getWindowBounds(await this.connect(), Number(handle));
+        } catch (e) {
+            // Invalid handle or closed window
+            return null;
+        }
+    }
+
+    /**
+     * X11 exposes no focused-element bounds without AT-SPI, so only the active window's
+     * name is reported; input:checkFocus then relies on the last click position.
+     */
+    async getFocusedElement() {
+        try {
+            const conn = await this.connect();
+            const active = await this.getActiveWindow(conn);
+            if (!active) return { found: false };
+            return { found: false, name: await this.getWindowTitle(conn, active) };
+        } catch (e) {
+            return { found: false };
+        }
+    }
+}
+
+module.exports = X11Backend;
@@ -0,0 +1,33 @@
+/**
+ * Desktop backend selection
+ * The backend is chosen from the DESKTOP_BACKEND environment variable, or from the
+ * platform when unset. To add a backend, extend DesktopBackend and register it below.
+ */
+
+// Lazy so that only the selected backend's native modules and helper processes are loaded
+const BACKENDS = {
+    windows: () => require('./WindowsBackend'),
+    x11: () => require('./X11Backend'),
+    mock: () => require('./MockBackend')
+};
+
+const PLATFORM_DEFAULTS = {
+    win32: 'windows',
+    linux: 'x11'
+};
+
+function createBackend() {
+    const name = process.env.DESKTOP_BACKEND || PLATFORM_DEFAULTS[process.platform];
+    if (!name) {
+        throw new Error(`No desktop backend for platform "${process.platform}". Set DESKTOP_BACKEND to one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown desktop backend "${name}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const Backend = BACKENDS[name]();
+    console.log(`Desktop backend: ${name}`);
+    return new Backend();
+}
+
+module.exports = createBackend();
@@ -0,0 +1,21 @@
+/**
+ * Pixel format conversion shared by the backends and the image workers.
+ */
+
+/**
+ * Converts B, G, R, X pixels (24/32-bit TrueColor ZPixmap, Windows DIBs) to opaque RGBA.
+ * @param {Uint8Array} source
+ * @param {Uint8Array} [target] - Where to write, e.g. a view over a SharedArrayBuffer
+ * @returns {Uint8Array} target
+ */
+function bgrxToRgba(source, target = Buffer.allocUnsafe(source.length)) {
+    for (let i = 0; i < target.length; i += 4) {
+        target[i] = source[i + 2];
+        target[i + 1] = source[i + 1];
+        target[i + 2] = source[i];
+        target[i + 3] = 255;
+    }
+    return target;
+}
+
+module.exports = { bgrxToRgba };
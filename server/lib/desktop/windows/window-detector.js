@@ -1,6 +1,6 @@
 const { spawn } = require('child_process');
-const windowDetectorWorker = require('./lib/WindowDetectorWorker');
-const configManager = require('./configManager');
+const windowDetectorWorker = require('./WindowDetectorWorker');
+const configManager = require('../../../configManager');
 
 /**
  * Finds a window matching the given title pattern and returns its bounds.
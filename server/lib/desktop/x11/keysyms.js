@@ -0,0 +1,63 @@
+/**
+ * Keysym helpers for the X11 backend.
+ * Translates robotjs key names (what clients send with input:keyTap) and characters to X keysyms.
+ */
+const { keySyms } = require('x11');
+
+// robotjs key name -> X keysym name
+const KEY_NAMES = {
+    enter: 'XK_Return',
+    backspace: 'XK_BackSpace',
+    tab: 'XK_Tab',
+    escape: 'XK_Escape',
+    delete: 'XK_Delete',
+    insert: 'XK_Insert',
+    space: 'XK_space',
+    up: 'XK_Up',
+    down: 'XK_Down',
+    left: 'XK_Left',
+    right: 'XK_Right',
+    home: 'XK_Home',
+    end: 'XK_End',
+    pageup: 'XK_Page_Up',
+    pagedown: 'XK_Page_Down',
+    shift: 'XK_Shift_L',
+    control: 'XK_Control_L',
+    alt: 'XK_Alt_L',
+    command: 'XK_Super_L',
+    printscreen: 'XK_Print'
+};
+
+const XK_SHIFT_L = keySyms.XK_Shift_L.code;
+
+/**
+ * Keysym for a single character: Latin-1 maps directly, the rest use the Unicode keysym range.
+ * @param {string} char
+ * @returns {number}
+ */
+function charToKeysym(char) {
+    const codePoint = char.codePointAt(0);
+    if (char === '\n') return keySyms.XK_Return.code;
+    if (char === '\t') return keySyms.XK_Tab.code;
+    if ((codePoint >= 0x20 && codePoint <= 0x7e) || (codePoint >= 0xa0 && codePoint <= 0xff)) {
+        return codePoint;
+    }
+    return 0x01000000 | codePoint;
+}
+
+/**
+ * @param {string} key - robotjs key name ('enter', 'f5', 'a'...)
+ * @returns {number | null}
+ */
+function keyNameToKeysym(key) {
+    const lower = key.toLowerCase();
+    if (KEY_NAMES[lower]) return keySyms[KEY_NAMES[lower]].code;
+
+    const fKey = /^f([1-9]|1[0-9]|2[0-4])$/.exec(lower);
+    if (fKey) return keySyms[`XK_F${fKey[1]}`].code;
+
+    if ([...key].length === 1) return charToKeysym(key);
+    return null;
+}
+
+module.exports = { XK_SHIFT_L, charToKeysym, keyNameToKeysym };
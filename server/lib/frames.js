@@ -0,0 +1,155 @@
+/**
+ * Stream frame transports.
+ * Clients list the transports they support in the Socket.IO handshake (auth.frameTransports);
+ * the server picks the first one it knows. Clients that send nothing get the legacy base64 strings.
+ *
+ * - 'webrtc': a video track over a peer connection (lib/WebRTCManager.js), only offered when
+ *   the optional @roamhq/wrtc dependency is installed. Frames are not sent over the socket at all.
+ * - 'tiles': 'frame:tiles' events with only the tiles that changed since the last frame sent.
+ * - 'binary': 'frame:binary' events carrying one ArrayBuffer = header + encoded image.
+ * - 'base64': 'frame' events carrying the JPEG as a base64 string (kept for older clients).
+ *
+ * Binary header, little-endian (mirrored in client/src/services/frames.js):
+ *   0  u8   version
+ *   1  u8   encoding (ENCODINGS)
+ *   2  u16  header length in bytes (the image starts here; newer versions may append fields)
+ *   4  u32  sequence number, per client
+ *   8  f64  capture timestamp (ms since epoch)
+ *   16 i32  x, 20 i32 y, 24 u32 width, 28 u32 height: captured screen area in physical pixels
+ *
+ * Tile frames extend the header (header length 40):
+ *   32 u8   flags (FLAG_KEYFRAME: tiles cover the whole frame, resize the canvas first)
+ *   33 u8   reserved
+ *   34 u16  tile count
+ *   36 u16  frame width, 38 u16 frame height (canvas size; differs from the rect when downscaled)
+ * followed by a 12-byte entry per tile (u16 x, u16 y, u16 width, u16 height, u32 byte length)
+ * and then the tile images back to back, in table order.
+ */
+const FRAME_VERSION = 1;
+const HEADER_LENGTH = 32;
+const TILE_HEADER_LENGTH = 40;
+const TILE_ENTRY_LENGTH = 12;
+const FLAG_KEYFRAME = 0x01;
+
+const ENCODINGS = {
+    jpeg: 1,
+    png: 2,
+    webp: 3
+};
+
+const TRANSPORTS = ['webrtc', 'tiles', 'binary', 'base64'];
+const DEFAULT_TRANSPORT = 'base64';
+
+/**
+ * @param {string[]} [requested] - Transports the client supports, most preferred first
+ * @param {string[]} [supported] - Transports the server can serve right now
+ * @returns {'webrtc'|'tiles'|'binary'|'base64'}
+ */
+function negotiateTransport(requested, supported = TRANSPORTS) {
+    if (!Array.isArray(requested)) return DEFAULT_TRANSPORT;
+    return requested.find(t => supported.includes(t)) || DEFAULT_TRANSPORT;
+}
+
+/**
+ * @param {Buffer} image - Encoded image
+ * @param {{ seq: number, timestamp: number, rect: {x, y, width, height}, encoding?: string }} meta
+ * @returns {Buffer}
+ */
+function encodeFrame(image, { seq, timestamp, rect, encoding = 'jpeg' }) {
+    return Buffer.concat([writeHeader(HEADER_LENGTH, { seq, timestamp, rect, encoding }), image]);
+}
+
+function writeHeader(length, { seq, timestamp, rect, encoding = 'jpeg' }) {
+    const header = Buffer.alloc(length);
+    header.writeUInt8(FRAME_VERSION, 0);
+    header.writeUInt8(ENCODINGS[encoding], 1);
+    header.writeUInt16LE(length, 2);
+    header.writeUInt32LE(seq >>> 0, 4);
+    header.writeDoubleLE(timestamp, 8);
+    header.writeInt32LE(Math.round(rect.x), 16);
+    header.writeInt32LE(Math.round(rect.y), 20);
+    header.writeUInt32LE(Math.max(0, Math.round(rect.width)), 24);
+    header.writeUInt32LE(Math.max(0, Math.round(rect.height)), 28);
+    return header;
+}
+
+/**
+ * @param {Array<{ x, y, width, height, image: Buffer }>} tiles - Encoded tiles
+ * @param {{ seq, timestamp, rect, keyframe: boolean, width: number, height: number, encoding?: string }} meta
+ * @returns {Buffer}
+ */
+function encodeTileFrame(tiles, { seq, timestamp, rect, keyframe, width, height, encoding = 'jpeg' }) {
+    const header = writeHeader(TILE_HEADER_LENGTH, { seq, timestamp, rect, encoding });
+    header.writeUInt8(keyframe ? FLAG_KEYFRAME : 0, 32);
+    header.writeUInt16LE(tiles.length, 34);
+    header.writeUInt16LE(width, 36);
+    header.writeUInt16LE(height, 38);
+
+    const table = Buffer.alloc(tiles.length * TILE_ENTRY_LENGTH);
+    tiles.forEach((tile, i) => {
+        const offset = i * TILE_ENTRY_LENGTH;
+        table.writeUInt16LE(tile.x, offset);
+        table.writeUInt16LE(tile.y, offset + 2);
+        table.writeUInt16LE(tile.width, offset + 4);
+        table.writeUInt16LE(tile.height, offset + 6);
+        table.writeUInt32LE(tile.image.length, offset + 8);
+    });
+
+    return Buffer.concat([header, table, ...tiles.map(t => t.image)]);
+}
+
+/**
+ * Inverse of encodeFrame (used by tests and tools).
+ * @param {Buffer} frame
+ * @returns {{ version, encoding, seq, timestamp, rect, image: Buffer }}
+ */
+function decodeFrame(frame) {
+    const headerLength = frame.readUInt16LE(2);
+    const encodingId = frame.readUInt8(1);
+    return {
+        version: frame.readUInt8(0),
+        encoding: Object.keys(ENCODINGS).find(name => ENCODINGS[name] === encodingId) || null,
+        seq: frame.readUInt32LE(4),
+        timestamp: frame.readDoubleLE(8),
+        rect: {
+            x: frame.readInt32LE(16),
+            y: frame.readInt32LE(20),
+            width: frame.readUInt32LE(24),
+            height: frame.readUInt32LE(28)
+        },
+        image: frame.subarray(headerLength)
+    };
+}
+
+/**
+ * Inverse of encodeTileFrame (used by tests and tools).
+ */
+function decodeTileFrame(frame) {
+    const { image: body, ...header } = decodeFrame(frame);
+    const tileCount = frame.readUInt16LE(34);
+    const tiles = [];
+    let dataOffset = tileCount * TILE_ENTRY_LENGTH;
+
+    for (let i = 0; i < tileCount; i++) {
+        const offset = i * TILE_ENTRY_LENGTH;
+        const length = body.readUInt32LE(offset + 8);
+        tiles.push({
+            x: body.readUInt16LE(offset),
+            y: body.readUInt16LE(offset + 2),
+            width: body.readUInt16LE(offset + 4),
+            height: body.readUInt16LE(offset + 6),
+            image: body.subarray(dataOffset, dataOffset + length)
+        });
+        dataOffset += length;
+    }
+
+    return {
+        ...header,
+        keyframe: (frame.readUInt8(32) & FLAG_KEYFRAME) !== 0,
+        width: frame.readUInt16LE(36),
+        height: frame.readUInt16LE(38),
+        tiles
+    };
+}
+
+module.exports = { TRANSPORTS, ENCODINGS, negotiateTransport, encodeFrame, decodeFrame, encodeTileFrame, decodeTileFrame };
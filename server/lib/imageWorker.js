@@ -0,0 +1,214 @@
+/**
+ * Image worker (run by lib/ImagePool.js)
+ * Does the CPU-heavy part of streaming off the main event loop: decoding screenshots, cropping,
+ * pane detection, scaling, JPEG/tile encoding and the pane watcher's comparisons. A decoded screenshot lives in a
+ * SharedArrayBuffer, so every worker reads the same pixels without a copy per client.
+ * Every task replies with its result and the milliseconds spent per stage.
+ */
+const { parentPort } = require('worker_threads');
+const { performance } = require('perf_hooks');
+const { Jimp } = require('jimp');
+const { findChatPaneStructural, findTerminalPane, findVerticalEdges, findHorizontalEdges, drawDebugMarkers } = require('../pane-detector');
+const { findChangedTiles, extractTile, changedArea } = require('./tiles');
+const { bgrxToRgba } = require('./desktop/pixels');
+const { toThumbnail, matchTemplate } = require('./changeDetection');
+
+// Above this share of changed pixels a single full image is cheaper than many tiles
+const KEYFRAME_CHANGE_RATIO = 0.5;
+
+// Buffer view over pixels that arrived through postMessage (a Uint8Array after cloning)
+const asBuffer = (data) => Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+/**
+ * Stopwatch for one task: time(stage, fn) runs fn and adds its duration to timings[stage].
+ */
+function createTimer() {
+    const timings = {};
+    const time = async (stage, fn) => {
+        const start = performance.now();
+        try {
+            return await fn();
+        } finally {
+            timings[stage] = (timings[stage] || 0) + performance.now() - start;
+        }
+    };
+    return { timings, time };
+}
+
+/**
+ * Copies a rectangle of a decoded screenshot into a new Jimp image.
+ * @param {{ width: number, height: number, data: SharedArrayBuffer }} screen
+ * @param {{ x, y, width, height }} region - Relative to the captured pixels and inside them
+ */
+function regionImage(screen, region) {
+    const src = Buffer.from(screen.data);
+    const data = Buffer.alloc(region.width * region.height * 4);
+    const rowBytes = region.width * 4;
+    for (let row = 0; row < region.height; row++) {
+        const from = ((region.y + row) * screen.width + region.x) * 4;
+        src.copy(data, row * rowBytes, from, from + rowBytes);
+    }
+    return new Jimp({ width: region.width, height: region.height, data });
+}
+
+/**
+ * Raw capture (DesktopBackend.captureRaw) -> RGBA pixels in a SharedArrayBuffer, with the
+ * position of the captured region on the screen (0, 0 unless the backend says otherwise).
+ */
+async function decode(raw, { time }) {
+    return time('decode', async () => {
+        if (raw.encoded) {
+            const image = await Jimp.read(asBuffer(raw.encoded));
+            const data = new SharedArrayBuffer(image.bitmap.data.length);
+            image.bitmap.data.copy(Buffer.from(data));
+            return { x: raw.x || 0, y: raw.y || 0, width: image.width, height: image.height, data };
+        }
+
+        const data = new SharedArrayBuffer(raw.width * raw.height * 4);
+        if (raw.format === 'bgrx') {
+            bgrxToRgba(raw.data, new Uint8Array(data));
+        } else {
+            new Uint8Array(data).set(raw.data.subarray(0, data.byteLength));
+        }
+        return { x: raw.x || 0, y: raw.y || 0, width: raw.width, height: raw.height, data };
+    });
+}
+
+/**
+ * Finds the chat or terminal pane inside a region of the screenshot.
+ * With debug set, also returns the candidate edges for drawing debug markers on the frame.
+ */
+async function detect({ screen, region, mode, quiet, debug, lowResourceMode }, { time }) {
+    const image = await time('crop', () => regionImage(screen, region));
+    return time('detect', async () => {
+        const options = { quiet, lowResourceMode };
+        const edgeOptions = { minEdgeScore: 0.50, edgeThreshold: 20, sampleStep: 8 };
+
+        if (mode === 'chat') {
+            const bounds = await findChatPaneStructural(image, options);
+            const edges = bounds && debug ? { vertical: findVerticalEdges(image, edgeOptions) } : null;
+            return { bounds, edges };
+        }
+
+        const bounds = await findTerminalPane(image, options);
+        const edges = bounds && debug ? {
+            horizontal: findHorizontalEdges(image, edgeOptions),
+            vertical: findVerticalEdges(image, { ...edgeOptions, minEdgeScore: 0.40, fullWidth: true })
+        } : null;
+        return { bounds, edges };
+    });
+}
+
+/**
+ * Tiles transport: the tiles that changed since `previous`, or a keyframe.
+ */
+async function encodeTiles(image, { quality, previous }, { time }) {
+    const { width, height } = image;
+    const current = image.bitmap.data;
+
+    let keyframe = !previous || previous.width !== width || previous.height !== height;
+    let rects = [{ x: 0, y: 0, width, height }];
+
+    if (!keyframe) {
+        rects = await time('diff', () => findChangedTiles(asBuffer(previous.data), current, width, height));
+        if (rects.length === 0) return { keyframe, tiles: [], width, height };
+        if (changedArea(rects, width, height) > KEYFRAME_CHANGE_RATIO) {
+            keyframe = true;
+            rects = [{ x: 0, y: 0, width, height }];
+        }
+    }
+
+    const tiles = [];
+    await time('encode', async () => {
+        for (const r of rects) {
+            const tileImage = keyframe ? image : extractTile(image, r);
+            tiles.push({ ...r, image: await tileImage.getBuffer('image/jpeg', { quality }) });
+        }
+    });
+    return { keyframe, tiles, width, height, data: new Uint8Array(current) };
+}
+
+/**
+ * One client's frame: region of the screenshot, debug markers, crops (applied in order,
+ * each relative to the previous result), downscale, then the output the transport needs:
+ *   - jpeg, png: { image, width, height }
+ *   - rgba: { data, width, height } with even dimensions (for the WebRTC video source)
+ *   - tiles: see encodeTiles
+ */
+async function render({ screen, region, markers = [], crops = [], downscale = 1, output }, { time }) {
+    const image = await time('crop', () => {
+        const image = regionImage(screen, region);
+        for (const { edges, selected, horizontal } of markers) {
+            drawDebugMarkers(image, edges, selected, horizontal);
+        }
+        for (const c of crops) {
+            image.crop({ x: c.x, y: c.y, w: c.width, h: c.height });
+        }
+        return image;
+    });
+
+    if (downscale < 1) {
+        await time('scale', () => image.scale(downscale));
+    }
+
+    if (output.type === 'tiles') {
+        return encodeTiles(image, output, { time });
+    }
+
+    if (output.type === 'rgba') {
+        const width = image.width & ~1;
+        const height = image.height & ~1;
+        const even = (width === image.width && height === image.height)
+            ? image
+            : extractTile(image, { x: 0, y: 0, width, height });
+        // Own ArrayBuffer: wrtc checks the size of the whole buffer
+        return { width, height, data: new Uint8ClampedArray(even.bitmap.data) };
+    }
+
+    const buffer = await time('encode', () => output.type === 'png'
+        ? image.getBuffer('image/png')
+        : image.getBuffer('image/jpeg', { quality: output.quality }));
+    return { image: buffer, width: image.width, height: image.height };
+}
+
+/**
+ * Pane watcher (lib/PaneWatcher.js): change-detection thumbnail of a region and the best match of
+ * each pattern in it.
+ * @param {{ screen, region, patterns: Array<{ id, cellSize, thumbnail }> }} payload
+ * @returns {{ thumbnail, matches: Array<{ id, x, y, score }> }} Match positions in region pixels
+ */
+async function watch({ screen, region, patterns = [] }, { time }) {
+    return time('watch', () => {
+        const thumbnails = new Map(); // cellSize -> thumbnail of the region
+        const thumbnailAt = (cellSize) => {
+            if (!thumbnails.has(cellSize)) thumbnails.set(cellSize, toThumbnail(screen, region, cellSize));
+            return thumbnails.get(cellSize);
+        };
+
+        const matches = patterns.map(({ id, cellSize, thumbnail }) => {
+            const match = matchTemplate(thumbnailAt(cellSize), thumbnail);
+            return match
+                ? { id, x: match.x * cellSize, y: match.y * cellSize, score: match.score }
+                : { id, x: null, y: null, score: 0 };
+        });
+        return { thumbnail: toThumbnail(screen, region), matches };
+    });
+}
+
+const TASKS = { decode, detect, render, watch };
+
+if (parentPort) {
+    parentPort.on('message', async ({ id, type, payload, postedAt }) => {
+        const timer = createTimer();
+        timer.timings.queue = Math.max(0, Date.now() - postedAt);
+        try {
+            if (!TASKS[type]) throw new Error(`Unknown image task "${type}"`);
+            const result = await TASKS[type](payload, timer);
+            parentPort.postMessage({ id, result, timings: timer.timings });
+        } catch (err) {
+            parentPort.postMessage({ id, error: err.message, timings: timer.timings });
+        }
+    });
+}
+
+module.exports = { TASKS, createTimer };
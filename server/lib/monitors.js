@@ -0,0 +1,93 @@
+/**
+ * Monitor geometry for multi-monitor desktops.
+ * A monitor is { id, name, primary, bounds, physical, scale }:
+ *   - bounds: logical pixels, the space of window bounds and input (moveMouse)
+ *   - physical: captured pixels (captureRaw rects)
+ *   - scale: physical pixels per logical pixel on that monitor; monitors can differ
+ * Converting with the monitor a rect or point is on keeps mixed-DPI setups right.
+ */
+
+/**
+ * Builds a monitor from its logical and physical rectangles.
+ */
+function createMonitor({ id, name, primary = false, bounds, physical }) {
+    return {
+        id,
+        name: name || String(id),
+        primary,
+        bounds: { ...bounds },
+        physical: { ...physical },
+        scale: {
+            x: physical.width / bounds.width,
+            y: physical.height / bounds.height
+        }
+    };
+}
+
+function overlap(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+function containsPoint(rect, point) {
+    return point.x >= rect.x && point.x < rect.x + rect.width &&
+        point.y >= rect.y && point.y < rect.y + rect.height;
+}
+
+function primaryMonitor(monitors) {
+    return monitors.find(m => m.primary) || monitors[0] || null;
+}
+
+function findMonitor(monitors, id) {
+    return monitors.find(m => String(m.id) === String(id)) || null;
+}
+
+/**
+ * The monitor showing most of a rect, in logical ('bounds') or 'physical' coordinates.
+ * Rects off every monitor belong to the primary one.
+ */
+function monitorForRect(monitors, rect, space = 'bounds') {
+    let best = null;
+    let bestArea = 0;
+    for (const monitor of monitors) {
+        const area = overlap(monitor[space], rect);
+        if (area > bestArea) {
+            best = monitor;
+            bestArea = area;
+        }
+    }
+    return best || primaryMonitor(monitors);
+}
+
+/**
+ * Logical rect (a window, the configured screen area) -> captured pixels, through the scale of
+ * the monitor showing most of it and clipped to that monitor.
+ * @returns {{ x, y, width, height }|null} null when nothing of it is on the monitor
+ */
+function toPhysicalRect(monitors, rect) {
+    const monitor = monitorForRect(monitors, rect);
+    if (!monitor) return null;
+    const { bounds, physical, scale } = monitor;
+
+    const left = Math.max(physical.x, Math.round(physical.x + (rect.x - bounds.x) * scale.x));
+    const top = Math.max(physical.y, Math.round(physical.y + (rect.y - bounds.y) * scale.y));
+    const right = Math.min(physical.x + physical.width, Math.round(physical.x + (rect.x + rect.width - bounds.x) * scale.x));
+    const bottom = Math.min(physical.y + physical.height, Math.round(physical.y + (rect.y + rect.height - bounds.y) * scale.y));
+    if (right <= left || bottom <= top) return null;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Captured pixel -> logical input coordinates, through the monitor the pixel is on.
+ */
+function toLogicalPoint(monitors, point) {
+    const monitor = monitors.find(m => containsPoint(m.physical, point)) || primaryMonitor(monitors);
+    const { bounds, physical, scale } = monitor;
+    return {
+        x: Math.round(bounds.x + (point.x - physical.x) / scale.x),
+        y: Math.round(bounds.y + (point.y - physical.y) / scale.y)
+    };
+}
+
+module.exports = { createMonitor, primaryMonitor, findMonitor, monitorForRect, toPhysicalRect, toLogicalPoint };
@@ -0,0 +1,168 @@
+/**
+ * Pane detection fixtures
+ * A fixture is a screenshot of an IDE window (<name>.png) plus its ground truth (<name>.json):
+ *   { "theme": "dark", "description": "...", "chat": {x,y,width,height} | null, "terminal": {...} | null,
+ *     "tolerance": 8, "todo": "reason (optional, marks a known failure)" }
+ * Rectangles are in image pixels. null means the pane is not on screen and nothing should be detected.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { Jimp } = require('jimp');
+const { findChatPaneStructural, findTerminalPane } = require('../pane-detector');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'panes');
+const DEFAULT_TOLERANCE = 8; // px; separators are detected a few pixels off their exact position
+
+// Only the fields StreamEngine actually crops with are compared (the chat pane is cropped by X alone)
+const PANE_FIELDS = {
+    chat: ['x'],
+    terminal: ['x', 'y', 'width', 'height']
+};
+
+const DETECTORS = {
+    chat: findChatPaneStructural,
+    terminal: findTerminalPane
+};
+
+/**
+ * @param {string} [dir]
+ * @returns {Promise<Array<Object>>} Fixtures sorted by name
+ */
+async function loadFixtures(dir = FIXTURES_DIR) {
+    const files = await fs.readdir(dir);
+    const fixtures = [];
+
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        const name = path.basename(file, '.json');
+        const truth = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        fixtures.push({
+            name,
+            imagePath: path.join(dir, `${name}.png`),
+            theme: truth.theme || 'unknown',
+            description: truth.description || '',
+            chat: truth.chat === undefined ? null : truth.chat,
+            terminal: truth.terminal === undefined ? null : truth.terminal,
+            tolerance: truth.tolerance || DEFAULT_TOLERANCE,
+            todo: truth.todo || null
+        });
+    }
+    return fixtures;
+}
+
+/**
+ * Largest difference between the compared fields of two rectangles.
+ */
+function paneError(pane, expected, detected) {
+    return Math.max(...PANE_FIELDS[pane].map(field => Math.abs(expected[field] - detected[field])));
+}
+
+/**
+ * Runs both detectors on a fixture image and compares them with the ground truth.
+ * @returns {Promise<{ fixture: Object, panes: Object, pass: boolean }>}
+ */
+async function evaluateFixture(fixture) {
+    const image = await Jimp.read(fixture.imagePath);
+    const panes = {};
+
+    for (const pane of Object.keys(DETECTORS)) {
+        const expected = fixture[pane];
+        const detected = await DETECTORS[pane](image.clone(), { quiet: true });
+
+        let error = null;
+        let pass;
+        if (!expected || !detected) {
+            pass = !expected && !detected;
+        } else {
+            error = paneError(pane, expected, detected);
+            pass = error <= fixture.tolerance;
+        }
+        panes[pane] = { expected, detected, error, pass };
+    }
+
+    return { fixture, panes, pass: Object.values(panes).every(p => p.pass) };
+}
+
+/**
+ * Detection accuracy per theme, counting each pane of each fixture once.
+ * @returns {Object<string, { passed: number, total: number }>}
+ */
+function summarizeByTheme(results) {
+    const themes = {};
+    for (const result of results) {
+        const entry = themes[result.fixture.theme] || (themes[result.fixture.theme] = { passed: 0, total: 0 });
+        for (const pane of Object.values(result.panes)) {
+            entry.total++;
+            if (pane.pass) entry.passed++;
+        }
+    }
+    return themes;
+}
+
+function formatRect(rect) {
+    return rect ? `${rect.x},${rect.y} ${rect.width}x${rect.height}` : 'none';
+}
+
+function formatPane(pane) {
+    const status = pane.pass ? 'ok  ' : 'FAIL';
+    const error = pane.error !== null ? ` (off by ${pane.error}px)` : '';
+    return `${status} expected ${formatRect(pane.expected)}, detected ${formatRect(pane.detected)}${error}`;
+}
+
+/**
+ * Human readable accuracy report, per fixture and per theme.
+ * @returns {string}
+ */
+function formatReport(results) {
+    const lines = [];
+    for (const result of results) {
+        const todo = result.fixture.todo ? ` [todo: ${result.fixture.todo}]` : '';
+        lines.push(`${result.fixture.name} (${result.fixture.theme})${todo}`);
+        for (const [pane, outcome] of Object.entries(result.panes)) {
+            lines.push(`  ${pane.padEnd(9)} ${formatPane(outcome)}`);
+        }
+    }
+
+    lines.push('');
+    const themes = summarizeByTheme(results);
+    let passed = 0;
+    let total = 0;
+    for (const [theme, entry] of Object.entries(themes)) {
+        lines.push(`${theme.padEnd(12)} ${entry.passed}/${entry.total} panes (${Math.round(100 * entry.passed / entry.total)}%)`);
+        passed += entry.passed;
+        total += entry.total;
+    }
+    if (total > 0) {
+        lines.push(`${'total'.padEnd(12)} ${passed}/${total} panes (${Math.round(100 * passed / total)}%)`);
+    }
+    return lines.join('\n');
+}
+
+function validateFixtureName(name) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+        throw new Error(`Invalid fixture name "${name}" (use letters, digits, "-" and "_")`);
+    }
+}
+
+/**
+ * Writes <name>.png and <name>.json into the fixtures directory.
+ * @param {string} name - File-system safe fixture name
+ * @param {Jimp} image - IDE window screenshot
+ * @param {Object} truth - Ground truth in the fixture JSON format
+ */
+async function saveFixture(name, image, truth, dir = FIXTURES_DIR) {
+    validateFixtureName(name);
+    await fs.mkdir(dir, { recursive: true });
+    await image.write(path.join(dir, `${name}.png`));
+    await fs.writeFile(path.join(dir, `${name}.json`), JSON.stringify(truth, null, 2) + '\n');
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    DEFAULT_TOLERANCE,
+    loadFixtures,
+    evaluateFixture,
+    summarizeByTheme,
+    formatReport,
+    validateFixtureName,
+    saveFixture
+};
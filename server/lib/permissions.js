@@ -0,0 +1,70 @@
+/**
+ * Role-based permissions for paired devices.
+ * Roles are ordered: each role includes everything the previous one allows.
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Minimum role per socket event. Events not listed only need a paired device (viewer).
+const EVENT_ROLES = {
+    // Input
+    'input:click': 'operator',
+    'input:type': 'operator',
+    'input:keyTap': 'operator',
+    'input:scroll': 'operator',
+    'input:threeFingerScrollStart': 'operator',
+    'input:checkFocus': 'operator',
+
+    // Windows
+    'apps:activate': 'operator',
+
+    // Terminals
+    'term:create': 'operator',
+    'term:reopen': 'operator',
+    'term:list': 'operator',
+    'term:profiles': 'operator',
+    'term:rename': 'operator',
+    'term:setLogging': 'operator',
+    'term:getWatchers': 'operator',
+    'term:setWatchers': 'operator',
+    'term:attach': 'operator',
+    'term:detach': 'operator',
+    'term:input': 'operator',
+    'term:resize': 'operator',
+    'term:takeControl': 'operator',
+    'term:setResizePolicy': 'operator',
+    'term:kill': 'admin',
+    'term:forget': 'admin',
+    'client:vscode:action': 'operator',
+
+    // Web Push subscriptions (the server sends requests to the endpoint)
+    'watch:subscribePush': 'operator',
+
+    // Session recording (writes to the server's disk)
+    'record:start': 'operator',
+    'record:stop': 'operator',
+
+    // Detection
+    'calibration:reset': 'operator',
+    'calibration:resetFixed': 'operator',
+
+    // Global configuration and device management
+    'config:update': 'admin',
+    'auth:devices': 'admin',
+    'auth:revoke': 'admin',
+    'auth:setRole': 'admin'
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(role, requiredRole) {
+    if (!isValidRole(role)) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function requiredRoleFor(event) {
+    return EVENT_ROLES[event] || 'viewer';
+}
+
+module.exports = { ROLES, isValidRole, hasRole, requiredRoleFor };
@@ -0,0 +1,127 @@
+/**
+ * Session recording file format (.rec), written by lib/SessionRecorder.js and read by the
+ * client's playback view (mirrored in client/src/services/recordings.js).
+ * Append-only: a recording cut short by a crash is still readable up to its last whole record.
+ *
+ * File header, little-endian:
+ *   0  4 bytes  magic "RREC"
+ *   4  u8   version
+ *   5  u8   reserved
+ *   6  u16  header length in bytes (records start here)
+ *   8  f64  start time (ms since epoch)
+ *
+ * Then records back to back, each a 16-byte header followed by its payload:
+ *   0  u8   type (RECORD_TYPES)
+ *   1  u8   encoding of frame images (ENCODINGS in lib/frames.js), 0 for input
+ *   2  u16  reserved
+ *   4  u32  time since the start (ms)
+ *   8  u16  width, 10 u16 height: frame size in pixels, 0 for input
+ *   12 u32  payload length
+ * Frame payload: the encoded image. Input payload: UTF-8 JSON such as { "type": "click", "x", "y" },
+ * with coordinates in pixels of the frames around it.
+ */
+const { ENCODINGS } = require('./frames');
+
+const MAGIC = 'RREC';
+const RECORDING_VERSION = 1;
+const FILE_HEADER_LENGTH = 16;
+const RECORD_HEADER_LENGTH = 16;
+
+const RECORD_TYPES = {
+    frame: 1,
+    input: 2
+};
+
+/**
+ * @param {number} startedAt - ms since epoch
+ * @returns {Buffer}
+ */
+function encodeFileHeader(startedAt) {
+    const header = Buffer.alloc(FILE_HEADER_LENGTH);
+    header.write(MAGIC, 0, 'latin1');
+    header.writeUInt8(RECORDING_VERSION, 4);
+    header.writeUInt16LE(FILE_HEADER_LENGTH, 6);
+    header.writeDoubleLE(startedAt, 8);
+    return header;
+}
+
+function encodeRecord(type, { time, width = 0, height = 0, encoding = null }, payload) {
+    const header = Buffer.alloc(RECORD_HEADER_LENGTH);
+    header.writeUInt8(RECORD_TYPES[type], 0);
+    header.writeUInt8(encoding ? ENCODINGS[encoding] : 0, 1);
+    header.writeUInt32LE(Math.max(0, Math.round(time)), 4);
+    header.writeUInt16LE(width, 8);
+    header.writeUInt16LE(height, 10);
+    header.writeUInt32LE(payload.length, 12);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * @param {Buffer} image - Encoded image
+ * @param {{ time: number, width: number, height: number, encoding?: string }} meta - time in ms since the start
+ */
+function encodeFrameRecord(image, { time, width, height, encoding = 'jpeg' }) {
+    return encodeRecord('frame', { time, width, height, encoding }, image);
+}
+
+/**
+ * @param {Object} event - Input event ({ type: 'click', x, y }, { type: 'type', text }...)
+ * @param {{ time: number }} meta
+ */
+function encodeInputRecord(event, { time }) {
+    return encodeRecord('input', { time }, Buffer.from(JSON.stringify(event), 'utf8'));
+}
+
+/**
+ * Inverse of the encoders (used by tests and tools). Stops at a truncated last record.
+ * @param {Buffer} file
+ * @returns {{ version, startedAt, durationMs, frames: Array<{ time, width, height, encoding, image }>, inputs: Array<{ time, event }> }}
+ */
+function parseRecording(file) {
+    if (file.length < FILE_HEADER_LENGTH || file.toString('latin1', 0, 4) !== MAGIC) {
+        throw new Error('Not a session recording');
+    }
+    const recording = {
+        version: file.readUInt8(4),
+        startedAt: file.readDoubleLE(8),
+        durationMs: 0,
+        frames: [],
+        inputs: []
+    };
+
+    let offset = file.readUInt16LE(6);
+    while (offset + RECORD_HEADER_LENGTH <= file.length) {
+        const type = file.readUInt8(offset);
+        const time = file.readUInt32LE(offset + 4);
+        const length = file.readUInt32LE(offset + 12);
+        const start = offset + RECORD_HEADER_LENGTH;
+        if (start + length > file.length) break;
+        const payload = file.subarray(start, start + length);
+
+        if (type === RECORD_TYPES.frame) {
+            const encodingId = file.readUInt8(offset + 1);
+            recording.frames.push({
+                time,
+                width: file.readUInt16LE(offset + 8),
+                height: file.readUInt16LE(offset + 10),
+                encoding: Object.keys(ENCODINGS).find(name => ENCODINGS[name] === encodingId) || null,
+                image: payload
+            });
+        } else if (type === RECORD_TYPES.input) {
+            recording.inputs.push({ time, event: JSON.parse(payload.toString('utf8')) });
+        }
+        recording.durationMs = Math.max(recording.durationMs, time);
+        offset = start + length;
+    }
+    return recording;
+}
+
+module.exports = {
+    RECORD_TYPES,
+    FILE_HEADER_LENGTH,
+    RECORD_HEADER_LENGTH,
+    encodeFileHeader,
+    encodeFrameRecord,
+    encodeInputRecord,
+    parseRecording
+};
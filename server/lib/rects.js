@@ -0,0 +1,41 @@
+/**
+ * Rectangle helpers for region capture. Rects are { x, y, width, height } in physical pixels.
+ */
+
+/**
+ * The part of rect inside a width x height screen (null if nothing is left).
+ */
+function clipRect(rect, width, height) {
+    const x = Math.max(0, Math.round(rect.x));
+    const y = Math.max(0, Math.round(rect.y));
+    const right = Math.min(width, Math.round(rect.x + rect.width));
+    const bottom = Math.min(height, Math.round(rect.y + rect.height));
+    if (right <= x || bottom <= y) return null;
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Smallest rect containing all of them.
+ */
+function unionRects(rects) {
+    const x = Math.min(...rects.map(r => r.x));
+    const y = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+function containsRect(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y &&
+        inner.x + inner.width <= outer.x + outer.width &&
+        inner.y + inner.height <= outer.y + outer.height;
+}
+
+/**
+ * rect moved into the coordinates of a captured region (whose pixels start at origin.x/y).
+ */
+function relativeTo(origin, rect) {
+    return { ...rect, x: rect.x - origin.x, y: rect.y - origin.y };
+}
+
+module.exports = { clipRect, unionRects, containsRect, relativeTo };
@@ -0,0 +1,51 @@
+/**
+ * Per-stage latency of the streaming pipeline
+ * Keeps the last SAMPLES durations of each stage (capture, queue, decode, crop, detect, scale,
+ * encode, frame for capture-to-emit, and ocr in reader mode) and summarizes them for 'stream:metrics'.
+ */
+
+const SAMPLES = 200;
+
+function createStageMetrics() {
+    return { stages: new Map() }; // stage -> { count, samples: number[] }
+}
+
+/**
+ * @param {Object} metrics - From createStageMetrics
+ * @param {Object<string, number>} timings - Milliseconds per stage
+ */
+function recordStages(metrics, timings) {
+    for (const [stage, ms] of Object.entries(timings)) {
+        if (!Number.isFinite(ms)) continue;
+        let entry = metrics.stages.get(stage);
+        if (!entry) {
+            entry = { count: 0, samples: [] };
+            metrics.stages.set(stage, entry);
+        }
+        entry.count++;
+        entry.samples.push(ms);
+        if (entry.samples.length > SAMPLES) entry.samples.shift();
+    }
+}
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+/**
+ * @returns {Object<string, { count: number, avgMs: number, p95Ms: number, maxMs: number }>}
+ *   count is since startup; the times cover the last SAMPLES frames
+ */
+function summarizeStages(metrics) {
+    const summary = {};
+    for (const [stage, { count, samples }] of metrics.stages) {
+        const sorted = [...samples].sort((a, b) => a - b);
+        summary[stage] = {
+            count,
+            avgMs: round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+            p95Ms: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]),
+            maxMs: round(sorted[sorted.length - 1])
+        };
+    }
+    return summary;
+}
+
+module.exports = { createStageMetrics, recordStages, summarizeStages, SAMPLES };
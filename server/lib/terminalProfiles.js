@@ -0,0 +1,61 @@
+/**
+ * Terminal profiles: what a new system terminal runs (config terminal.profiles).
+ * Missing fields fall back to the platform shell in the server's working directory and env.
+ */
+const os = require('os');
+const path = require('path');
+
+function defaultShell() {
+    return os.platform() === 'win32' ? 'powershell.exe' : 'bash';
+}
+
+/**
+ * Fills in a configured profile. `env` values override the server's environment; null unsets one.
+ * @param {Object} profile - { id, name, shell, args, cwd, env, startupCommand }
+ */
+function normalizeProfile(profile = {}) {
+    const id = String(profile.id || 'shell');
+    return {
+        id,
+        name: String(profile.name || id),
+        shell: profile.shell || defaultShell(),
+        args: Array.isArray(profile.args) ? profile.args.map(String) : [],
+        cwd: profile.cwd ? path.resolve(profile.cwd.replace(/^~(?=$|[\\/])/, os.homedir())) : process.cwd(),
+        env: profile.env && typeof profile.env === 'object' ? profile.env : {},
+        startupCommand: profile.startupCommand || null
+    };
+}
+
+/**
+ * @param {Object[]} profiles - From config; an empty list means the default shell
+ * @param {string} [id] - Unknown or missing ids get the first profile
+ */
+function findProfile(profiles, id) {
+    const list = Array.isArray(profiles) && profiles.length > 0 ? profiles : [{}];
+    return normalizeProfile(list.find(p => p && p.id === id) || list[0]);
+}
+
+/**
+ * The environment a profile's shell starts with.
+ */
+function profileEnv(profile, baseEnv = process.env) {
+    const env = { ...baseEnv };
+    for (const [key, value] of Object.entries(profile.env)) {
+        if (value === null) delete env[key];
+        else env[key] = String(value);
+    }
+    return env;
+}
+
+/**
+ * What clients see of the profiles (the picker): no commands or environment.
+ */
+function listProfiles(profiles) {
+    const list = Array.isArray(profiles) && profiles.length > 0 ? profiles : [{}];
+    return list.map(p => {
+        const { id, name } = normalizeProfile(p);
+        return { id, name };
+    });
+}
+
+module.exports = { normalizeProfile, findProfile, profileEnv, listProfiles };
@@ -0,0 +1,76 @@
+/**
+ * Tile diffing for delta streaming.
+ * Frames are compared as raw RGBA pixels (before JPEG encoding), so an idle pane produces no
+ * changed tiles at all. Changed tiles on the same row are merged into one rectangle to save
+ * per-image overhead.
+ */
+const { Jimp } = require('jimp');
+
+const TILE_SIZE = 64; // Multiple of the 8px JPEG block so tile seams line up with block edges
+
+/**
+ * Rectangles covering every tile that differs between two RGBA bitmaps of the same size.
+ * @param {Buffer} previous
+ * @param {Buffer} current
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{ x: number, y: number, width: number, height: number }>}
+ */
+function findChangedTiles(previous, current, width, height, tileSize = TILE_SIZE) {
+    const rects = [];
+    const stride = width * 4;
+
+    for (let ty = 0; ty < height; ty += tileSize) {
+        const th = Math.min(tileSize, height - ty);
+        let run = null; // Current horizontal run of changed tiles
+
+        for (let tx = 0; tx < width; tx += tileSize) {
+            const tw = Math.min(tileSize, width - tx);
+            let changed = false;
+            for (let y = ty; y < ty + th && !changed; y++) {
+                const start = y * stride + tx * 4;
+                const end = start + tw * 4;
+                changed = previous.compare(current, start, end, start, end) !== 0;
+            }
+
+            if (changed) {
+                if (run) {
+                    run.width += tw;
+                } else {
+                    run = { x: tx, y: ty, width: tw, height: th };
+                    rects.push(run);
+                }
+            } else {
+                run = null;
+            }
+        }
+    }
+    return rects;
+}
+
+/**
+ * Copies a rectangle out of a Jimp image into a new image (cheaper than clone + crop).
+ * @param {Jimp} image
+ * @param {{ x, y, width, height }} rect
+ * @returns {Jimp}
+ */
+function extractTile(image, rect) {
+    const data = Buffer.alloc(rect.width * rect.height * 4);
+    const src = image.bitmap.data;
+    const rowBytes = rect.width * 4;
+    for (let row = 0; row < rect.height; row++) {
+        const from = ((rect.y + row) * image.width + rect.x) * 4;
+        src.copy(data, row * rowBytes, from, from + rowBytes);
+    }
+    return new Jimp({ width: rect.width, height: rect.height, data });
+}
+
+/**
+ * Share of the frame covered by the rectangles (0..1).
+ */
+function changedArea(rects, width, height) {
+    const area = rects.reduce((sum, r) => sum + r.width * r.height, 0);
+    return area / (width * height);
+}
+
+module.exports = { TILE_SIZE, findChangedTiles, extractTile, changedArea };
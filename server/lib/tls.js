@@ -0,0 +1,96 @@
+/**
+ * TLS credentials for HTTPS/WSS mode.
+ * Uses the certificate/key configured in config.json (tls.certPath / tls.keyPath);
+ * otherwise generates a self-signed certificate on first run and reuses it afterwards.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const CERTS_DIR = path.join(process.env.SERVER_DATA_DIR || path.join(__dirname, '..'), 'certs');
+const SELF_SIGNED_CERT = path.join(CERTS_DIR, 'server.crt');
+const SELF_SIGNED_KEY = path.join(CERTS_DIR, 'server.key');
+const SELF_SIGNED_DAYS = 3650;
+
+// Every local IPv4 address, so devices on the LAN can reach the server by IP
+function getLocalAddresses() {
+    const addresses = ['127.0.0.1'];
+    for (const iface of Object.values(os.networkInterfaces())) {
+        for (const addr of iface || []) {
+            if (addr.family === 'IPv4' && !addr.internal) addresses.push(addr.address);
+        }
+    }
+    return addresses;
+}
+
+async function generateSelfSigned() {
+    const hostname = os.hostname();
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate.getTime() + SELF_SIGNED_DAYS * 24 * 60 * 60 * 1000);
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: hostname }], {
+        keySize: 2048,
+        algorithm: 'sha256',
+        notBeforeDate,
+        notAfterDate,
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            {
+                name: 'subjectAltName',
+                altNames: [
+                    { type: 2, value: 'localhost' },
+                    { type: 2, value: hostname },
+                    ...getLocalAddresses().map(ip => ({ type: 7, ip }))
+                ]
+            }
+        ]
+    });
+
+    await fs.mkdir(CERTS_DIR, { recursive: true });
+    await fs.writeFile(SELF_SIGNED_KEY, pems.private, { mode: 0o600 });
+    await fs.writeFile(SELF_SIGNED_CERT, pems.cert);
+    console.log(`Generated self-signed certificate in ${CERTS_DIR}`);
+
+    return { key: pems.private, cert: pems.cert };
+}
+
+async function readPair(certPath, keyPath) {
+    const [cert, key] = await Promise.all([
+        fs.readFile(certPath, 'utf8'),
+        fs.readFile(keyPath, 'utf8')
+    ]);
+    return { cert, key };
+}
+
+/**
+ * Loads the credentials for https.createServer.
+ * @param {{ certPath?: string, keyPath?: string }} tlsConfig - The global `tls` config
+ * @returns {Promise<{ key: string, cert: string, fingerprint: string, selfSigned: boolean }>}
+ */
+async function loadTlsCredentials(tlsConfig = {}) {
+    let pair;
+    let selfSigned = false;
+
+    if (tlsConfig.certPath && tlsConfig.keyPath) {
+        const serverDir = path.join(__dirname, '..');
+        pair = await readPair(path.resolve(serverDir, tlsConfig.certPath), path.resolve(serverDir, tlsConfig.keyPath));
+    } else {
+        selfSigned = true;
+        try {
+            pair = await readPair(SELF_SIGNED_CERT, SELF_SIGNED_KEY);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            pair = await generateSelfSigned();
+        }
+    }
+
+    // SHA-256 fingerprint (AA:BB:...) that clients compare against the one printed on the console
+    const fingerprint = new crypto.X509Certificate(pair.cert).fingerprint256;
+    return { ...pair, fingerprint, selfSigned };
+}
+
+module.exports = { loadTlsCredentials };
@@ -1,9 +1,9 @@
 const { Jimp } = require('jimp');
-const configManager = require('./configManager');
 
-// Helper to get sample step based on low-resource mode
-function getLowResourceSampleStep(defaultStep) {
-    return configManager.isLowResourceMode() ? Math.max(15, defaultStep * 2) : defaultStep;
+// Helper to get sample step based on low-resource mode.
+// Image workers pass the mode in (options.lowResourceMode) instead of loading config.json themselves.
+function getLowResourceSampleStep(defaultStep, lowResourceMode = require('./configManager').isLowResourceMode()) {
+    return lowResourceMode ? Math.max(15, defaultStep * 2) : defaultStep;
 }
 
 /**
@@ -19,7 +19,7 @@ function findVerticalEdges(image, options = {}) {
     const {
         minEdgeScore = 0.60,      // Minimum 60% of sampled points must show an edge
         edgeThreshold = 25,       // Minimum color difference to count as edge
-        sampleStep = getLowResourceSampleStep(5),  // Adaptive based on mode
+        sampleStep = getLowResourceSampleStep(5, options.lowResourceMode),  // Adaptive based on mode
         marginX = 30,             // Skip pixels near edges
         marginY = 30              // Skip pixels near top/bottom
     } = options;
@@ -103,7 +103,7 @@ async function findChatPaneStructural(image, options = {}) {
     const edgeOptions = {
         minEdgeScore: 0.50,      // At least 50% of height shows edge
         edgeThreshold: 20,       // Color difference threshold
-        sampleStep: getLowResourceSampleStep(8)  // Adaptive based on mode
+        sampleStep: getLowResourceSampleStep(8, options.lowResourceMode)  // Adaptive based on mode
     };
 
     if (options.scanRegion) {
@@ -192,7 +192,7 @@ function findHorizontalEdges(image, options = {}) {
     const {
         minEdgeScore = 0.60,      // Minimum 60% of sampled points must show an edge
         edgeThreshold = 25,       // Minimum color difference to count as edge
-        sampleStep = getLowResourceSampleStep(5),  // Adaptive based on mode
+        sampleStep = getLowResourceSampleStep(5, options.lowResourceMode),  // Adaptive based on mode
         marginX = 30,             // Skip pixels near sides
         marginY = 30              // Skip pixels near top/bottom
     } = options;
@@ -262,7 +262,7 @@ async function findTerminalPane(image, options = {}) {
     const edgeOptions = {
         minEdgeScore: 0.50,
         edgeThreshold: 20,
-        sampleStep: getLowResourceSampleStep(8)  // Adaptive based on mode
+        sampleStep: getLowResourceSampleStep(8, options.lowResourceMode)  // Adaptive based on mode
     };
 
     if (options.scanRegion) {
@@ -1,68 +1,444 @@
-const os = require('os');
+/**
+ * TerminalManager - System terminals (pty) owned by the server
+ * Terminals outlive the sockets that use them: output goes to the listener set by index.js
+ * (delivered to the sockets attached to each terminal) and into a bounded scrollback, replayed to
+ * whoever attaches later, e.g. a phone reconnecting after sleep. Several devices can share a
+ * terminal; its TerminalSession decides who types and the pty size.
+ * Each terminal is started from a profile (config terminal.profiles). Names and profiles persist in
+ * terminals.json (SERVER_DATA_DIR). After a restart the terminals that were open are listed as
+ * closed, and only start again (startup command included) when a client reopens one: nothing
+ * runs on boot by itself.
+ * Logging (optional per terminal) writes the output to terminal-logs/ (lib/TerminalLog.js), up to
+ * terminal.logMaxMB per terminal; each log has an id of its own (its start time and terminal id) and
+ * is served by it also after the terminal exits, until terminal.logRetentionDays pass. Watchers
+ * (lib/TerminalWatchers.js) raise alerts on matching output or when the shell exits.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const pty = require('node-pty');
 
 const cp = require('child_process');
+const configManager = require('./configManager');
+const ScrollbackBuffer = require('./lib/ScrollbackBuffer');
+const TerminalSession = require('./lib/TerminalSession');
+const TerminalLog = require('./lib/TerminalLog');
+const TerminalWatchers = require('./lib/TerminalWatchers');
+const { findProfile, profileEnv, listProfiles } = require('./lib/terminalProfiles');
+
+const INITIAL_COLS = 80;
+const INITIAL_ROWS = 24;
+const MAX_NAME_LENGTH = 50;
+const LOG_ID_PATTERN = /^[0-9TZ-]+-(\d+)$/; // <start time>-<terminal id>, see createTerminal
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function cleanName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
 
 class TerminalManager {
     constructor() {
         this.terminals = {};
+        this.closed = []; // { id, profile, name, logging, watchers, createdAt }, open when the server last stopped
+        this.listeners = {
+            onData: () => {}, onExit: () => {}, onSession: () => {}, onWatchers: () => {}, onAlert: () => {}, onLogError: () => {}
+        };
+        const dataDir = process.env.SERVER_DATA_DIR || __dirname;
+        this.statePath = path.join(dataDir, 'terminals.json');
+        this.logDir = path.join(dataDir, 'terminal-logs');
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Loads the terminals saved in terminals.json as closed ones, without starting them: their
+     * shells and startup commands only run again when a client reopens them (reopen).
+     */
+    async restore() {
+        let saved = {};
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading terminals:', error);
+        }
+        this.closed = [...(saved.terminals || []), ...(saved.closed || [])]
+            .map(({ profile, name, logging, watchers, createdAt }) => ({
+                id: crypto.randomBytes(4).toString('hex'),
+                profile,
+                name: cleanName(name),
+                logging: !!logging,
+                watchers: Array.isArray(watchers) ? watchers : [],
+                createdAt
+            }));
+        if (this.closed.length > 0) console.log(`${this.closed.length} terminals from the last run can be reopened`);
+        await this.pruneLogs();
+        return this.save();
     }
 
-    createTerminal(socket) {
-        const shell = os.platform() === 'win32' ? 'powershell.exe' : 'bash';
+    // Writes are chained so an older list never overwrites a newer one, and go through a temporary
+    // file so a restart never reads half a list
+    save() {
+        const terminals = Object.values(this.terminals).map(t => ({
+            profile: t.profile.id,
+            name: t.name,
+            logging: t.logWanted,
+            watchers: t.watchers.list(),
+            createdAt: t.createdAt
+        }));
+        const closed = this.closed.map(({ id, ...terminal }) => terminal);
+        this.saving = this.saving.then(async () => {
+            try {
+                await fs.promises.writeFile(`${this.statePath}.tmp`, JSON.stringify({ terminals, closed }, null, 2));
+                await fs.promises.rename(`${this.statePath}.tmp`, this.statePath);
+            } catch (error) {
+                console.error('Error saving terminals:', error);
+            }
+        });
+        return this.saving;
+    }
 
-        // Create the pty process
-        const ptyProcess = pty.spawn(shell, [], {
+    /**
+     * Profiles offered by the "new terminal" picker.
+     * @returns {{ id: string, name: string }[]}
+     */
+    getProfiles() {
+        return listProfiles(configManager.getTerminalConfig().profiles);
+    }
+
+    /**
+     * onSession is called when the viewers, the driver, the size or the resize policy change,
+     * onWatchers when a terminal's watchers change, onAlert when one of them fires and onLogError
+     * when its log can't be started or written (logging is then off).
+     * @param {{
+     *   onData: (id: string, data: string) => void,
+     *   onExit: (id: string, exit: { exitCode: number, signal?: number }) => void,
+     *   onSession: (id: string) => void,
+     *   onWatchers: (id: string) => void,
+     *   onAlert: (id: string, alert: Object) => void,
+     *   onLogError: (id: string, message: string) => void
+     * }} listeners
+     */
+    setListeners(listeners) {
+        this.listeners = { ...this.listeners, ...listeners };
+    }
+
+    /**
+     * @param {{ profile?: string, name?: string, logging?: boolean, watchers?: Object[] }} [options] -
+     *   Unknown profiles get the first one; logging defaults to terminal.logging
+     * @returns {string} Terminal id
+     */
+    createTerminal({ profile: profileId, name, logging, watchers } = {}) {
+        const terminalConfig = configManager.getTerminalConfig();
+        const profile = findProfile(terminalConfig.profiles, profileId);
+        if (!fs.existsSync(profile.cwd)) {
+            throw new Error(`Working directory of profile "${profile.name}" not found: ${profile.cwd}`);
+        }
+
+        const ptyProcess = pty.spawn(profile.shell, profile.args, {
             name: 'xterm-color',
-            cols: 80,
-            rows: 24,
-            cwd: process.cwd(), // Default to current server directory (project root)
-            env: process.env
+            cols: INITIAL_COLS,
+            rows: INITIAL_ROWS,
+            cwd: profile.cwd,
+            env: profileEnv(profile)
         });
 
         const termId = ptyProcess.pid.toString();
 
-        this.terminals[termId] = {
+        const terminal = {
             process: ptyProcess,
-            history: '' // Buffer to store recent output for reconnection (optional, kept simple for now)
+            profile: { id: profile.id, name: profile.name },
+            name: cleanName(name) || profile.name,
+            scrollback: new ScrollbackBuffer(terminalConfig.scrollback),
+            session: new TerminalSession({ resizePolicy: terminalConfig.resizePolicy, cols: INITIAL_COLS, rows: INITIAL_ROWS }),
+            createdAt: Date.now(),
+            log: null,
+            logWanted: false, // Logging is on (the log may still be opening)
+            logBytes: 0, // Raw output logged so far, across turning logging off and on
+            hasLog: false,
+            watchers: new TerminalWatchers(terminalConfig.alertCooldown)
         };
+        if (watchers) {
+            try {
+                terminal.watchers.set(watchers);
+            } catch (error) {
+                console.error(`Ignoring saved watchers of terminal "${terminal.name}":`, error.message);
+            }
+        }
+        // Ids are pids, which get reused: the start time keeps log files apart
+        terminal.logId = `${new Date(terminal.createdAt).toISOString().replace(/[:.]/g, '-')}-${termId}`;
+        terminal.logBase = path.join(this.logDir, terminal.logId);
+        this.terminals[termId] = terminal;
+        if (logging === undefined ? terminalConfig.logging : logging) this.startLog(termId, terminal);
 
-        // Data handler
         ptyProcess.onData((data) => {
-            // Send data to the specific socket that requested it? 
-            // OR broadcast to all if we want shared sessions? 
-            // For now, let's assume one-to-one or shared. 
-            // Typically in this app, there's one main user. Broadcasting is fine or using the specific socket.
-            // But if we want persistent terminals that survive page refreshes, we need to handle that.
-            // For now, we'll emit to the socket.
-
-            // We should really emit to the room or global namespace if we want persistence across reloads.
-            // Let's assume the socket passed in is the one that created it, but we might want to attach others.
-            // For simplicity: emit to the socket that created it, but also allow re-attaching.
-
-            socket.emit('term:data', { id: termId, data });
+            terminal.scrollback.append(data);
+            if (terminal.log) terminal.log.write(data);
+            this.listeners.onData(termId, data);
+
+            const fired = terminal.watchers.feed(data);
+            for (const { watcher, line } of fired) {
+                this.listeners.onAlert(termId, { reason: 'pattern', terminal: terminal.name, pattern: watcher.pattern, line });
+            }
+            if (fired.some(f => f.watcher.once)) {
+                this.save();
+                this.listeners.onWatchers(termId);
+            }
         });
 
-        ptyProcess.onExit(() => {
-            delete this.terminals[termId];
-            socket.emit('term:exit', { id: termId });
+        ptyProcess.onExit(({ exitCode, signal }) => {
+            this.stopLog(terminal);
+            // Already gone when killed: no alerts for a terminal closed on purpose
+            if (this.terminals[termId] === terminal) {
+                delete this.terminals[termId];
+                this.save();
+                for (const { watcher } of terminal.watchers.exit({ exitCode, signal })) {
+                    this.listeners.onAlert(termId, { reason: 'exit', terminal: terminal.name, exitCode, signal: signal || null, onlyFailure: watcher.onlyFailure });
+                }
+            }
+            this.listeners.onExit(termId, { exitCode, signal: signal || null });
         });
 
+        // Typed like the user would, so it shows in the terminal and its history
+        if (profile.startupCommand) ptyProcess.write(`${profile.startupCommand}\r`);
+
+        this.save();
         return termId;
     }
 
-    resize(id, cols, rows) {
+    /**
+     * @param {string} name - Empty goes back to the profile's name
+     * @returns {boolean} false for an unknown terminal
+     */
+    rename(id, name) {
         const term = this.terminals[id];
-        if (term) {
-            term.process.resize(cols, rows);
-        }
+        if (!term) return false;
+        term.name = cleanName(name) || term.profile.name;
+        this.save();
+        return true;
     }
 
-    write(id, data) {
+    /**
+     * @returns {Object[]|null} null for an unknown terminal
+     */
+    getWatchers(id) {
         const term = this.terminals[id];
-        if (term) {
-            term.process.write(data);
+        return term ? term.watchers.list() : null;
+    }
+
+    /**
+     * Replaces a terminal's watchers.
+     * @returns {boolean} false for an unknown terminal
+     * @throws {Error} For invalid watchers (e.g. a bad regex), with a message for the client
+     */
+    setWatchers(id, watchers) {
+        const term = this.terminals[id];
+        if (!term) return false;
+        term.watchers.set(watchers);
+        this.save();
+        this.listeners.onWatchers(id);
+        return true;
+    }
+
+    /**
+     * Resolves once the log is open (or failed to, reported through onLogError).
+     * @returns {Promise<boolean>} false for an unknown terminal
+     */
+    async setLogging(id, enabled) {
+        const term = this.terminals[id];
+        if (!term) return false;
+        if (enabled) {
+            await this.startLog(id, term);
+        } else {
+            this.stopLog(term);
         }
+        this.save();
+        return true;
+    }
+
+    async startLog(id, term) {
+        if (term.logWanted) return;
+        term.logWanted = true;
+        try {
+            await fs.promises.mkdir(this.logDir, { recursive: true });
+            await this.pruneLogs();
+        } catch (error) {
+            term.logWanted = false;
+            this.listeners.onLogError(id, `Could not start the log: ${error.message}`);
+            return;
+        }
+        // Turned off or closed while the directory was being created
+        if (!term.logWanted || this.terminals[id] !== term) return;
+
+        const terminalConfig = configManager.getTerminalConfig();
+        term.log = new TerminalLog(term.logBase, {
+            maxBytes: terminalConfig.logMaxMB * 1024 * 1024,
+            bytes: term.logBytes,
+            onError: (error) => {
+                this.stopLog(term);
+                this.save();
+                this.listeners.onLogError(id, `Log stopped: ${error.message}`);
+            }
+        });
+        term.hasLog = true;
+    }
+
+    stopLog(term) {
+        term.logWanted = false;
+        if (!term.log) return;
+        term.logBytes = term.log.bytes;
+        term.log.close();
+        term.log = null;
+    }
+
+    /**
+     * Log files, of running terminals or not, newest first.
+     * @returns {Promise<{ id: string, terminalId: string, running: boolean, size: number, modifiedAt: number }[]>}
+     */
+    async listLogs() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.logDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const running = new Set(Object.values(this.terminals).map(t => t.logId));
+        const logs = [];
+        for (const file of files) {
+            const match = file.endsWith('.log') && LOG_ID_PATTERN.exec(file.slice(0, -4));
+            if (!match) continue;
+            try {
+                const { size, mtimeMs } = await fs.promises.stat(path.join(this.logDir, file));
+                const id = file.slice(0, -4);
+                logs.push({ id, terminalId: match[1], running: running.has(id), size, modifiedAt: Math.round(mtimeMs) });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error; // Pruned meanwhile
+            }
+        }
+        return logs.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    /**
+     * A log file by its id (listTerminals' logId, listLogs' id).
+     * @param {'text'|'raw'} format - ANSI-stripped .txt or raw .log
+     * @returns {Promise<string|null>} null for unknown ids
+     */
+    async getLogFile(logId, format = 'text') {
+        if (typeof logId !== 'string' || !LOG_ID_PATTERN.test(logId)) return null;
+        const file = path.join(this.logDir, `${logId}${format === 'raw' ? '.log' : '.txt'}`);
+        try {
+            await fs.promises.access(file);
+            return file;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Deletes the logs not written to in terminal.logRetentionDays, except those of running terminals.
+     */
+    async pruneLogs(now = Date.now()) {
+        const { logRetentionDays } = configManager.getTerminalConfig();
+        if (!logRetentionDays) return;
+        for (const log of await this.listLogs()) {
+            if (log.running || now - log.modifiedAt < logRetentionDays * DAY_MS) continue;
+            await Promise.all(['.log', '.txt'].map(ext => fs.promises.rm(path.join(this.logDir, `${log.id}${ext}`), { force: true })));
+            console.log(`Deleted terminal log ${log.id} (older than ${logRetentionDays} days)`);
+        }
+    }
+
+    /**
+     * Output kept for replay when a client attaches. Attaching right after reading it (same tick)
+     * neither loses nor repeats output: pty data is only delivered between ticks.
+     * @returns {string|null} null for an unknown terminal
+     */
+    getScrollback(id) {
+        const term = this.terminals[id];
+        return term ? term.scrollback.toString() : null;
+    }
+
+    /**
+     * Adds a viewer (socket) to a terminal. The first device to join one nobody drives drives it.
+     * @param {{ id: string, name: string }} device
+     * @returns {boolean} false for an unknown terminal
+     */
+    join(id, socketId, device) {
+        const term = this.terminals[id];
+        if (!term) return false;
+        term.session.join(socketId, device);
+        this.listeners.onSession(id);
+        return true;
+    }
+
+    leave(id, socketId) {
+        const term = this.terminals[id];
+        if (!term || !term.session.leave(socketId)) return;
+        this.applySize(id, term);
+        this.listeners.onSession(id);
+    }
+
+    // A disconnected socket leaves every terminal it was watching
+    leaveAll(socketId) {
+        for (const id of Object.keys(this.terminals)) this.leave(id, socketId);
+    }
+
+    /**
+     * @returns {Object|null} TerminalSession.describe() for that device, null for an unknown terminal
+     */
+    getSession(id, deviceId) {
+        const term = this.terminals[id];
+        return term ? { id, ...term.session.describe(deviceId) } : null;
+    }
+
+    /**
+     * Socket ids attached to a terminal (each one gets its own 'term:session').
+     */
+    getViewers(id) {
+        const term = this.terminals[id];
+        return term ? term.session.socketIds() : [];
+    }
+
+    takeControl(id, device) {
+        const term = this.terminals[id];
+        if (!term) return false;
+        term.session.takeControl(device);
+        this.applySize(id, term);
+        this.listeners.onSession(id);
+        return true;
+    }
+
+    setResizePolicy(id, policy) {
+        const term = this.terminals[id];
+        if (!term || !term.session.setResizePolicy(policy)) return false;
+        this.applySize(id, term);
+        this.listeners.onSession(id);
+        return true;
+    }
+
+    /**
+     * Records the size of one viewer's xterm; the pty follows the terminal's resize policy.
+     */
+    resize(id, socketId, cols, rows) {
+        const term = this.terminals[id];
+        if (!term || !Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) return;
+        term.session.setViewerSize(socketId, cols, rows);
+        if (this.applySize(id, term)) this.listeners.onSession(id);
+    }
+
+    applySize(id, term) {
+        if (!term.session.updateSize()) return false;
+        term.process.resize(term.session.cols, term.session.rows);
+        return true;
+    }
+
+    /**
+     * @returns {boolean} false when the device does not drive the terminal (the input is dropped)
+     */
+    write(id, deviceId, data) {
+        const term = this.terminals[id];
+        if (!term) return false;
+        if (!term.session.canDrive(deviceId)) return false;
+        term.process.write(data);
+        return true;
     }
 
     kill(id) {
@@ -87,16 +463,58 @@ class TerminalManager {
             // Standard kill as backup / cleanup
             term.process.kill();
             delete this.terminals[id];
+            this.save();
             console.log(`[INFO] Terminal ${id} removed from manager.`);
         } else {
             console.log(`[WARN] Attempted to kill non-existent terminal ${id}`);
         }
     }
 
+    /**
+     * Terminals that were open when the server last stopped.
+     * @returns {{ id: string, name: string, profile: string, createdAt: number }[]}
+     */
+    listClosed() {
+        return this.closed.map(({ id, name, profile, createdAt }) => ({ id, name, profile, createdAt }));
+    }
+
+    /**
+     * Starts a closed terminal again: its profile (startup command included), name, logging and
+     * watchers.
+     * @returns {string|null} The new terminal's id, null for an unknown closed terminal
+     * @throws {Error} When the terminal can't start (see createTerminal)
+     */
+    reopen(closedId) {
+        const index = this.closed.findIndex(t => t.id === closedId);
+        if (index === -1) return null;
+        const { profile, name, logging, watchers } = this.closed[index];
+        const id = this.createTerminal({ profile, name, logging, watchers });
+        this.closed.splice(index, 1);
+        this.save();
+        return id;
+    }
+
+    /**
+     * Drops a closed terminal from the list.
+     * @returns {boolean} false for an unknown closed terminal
+     */
+    forget(closedId) {
+        const index = this.closed.findIndex(t => t.id === closedId);
+        if (index === -1) return false;
+        this.closed.splice(index, 1);
+        this.save();
+        return true;
+    }
+
     listTerminals() {
         return Object.keys(this.terminals).map(id => ({
             id,
-            name: this.terminals[id].process.process
+            name: this.terminals[id].name,
+            profile: this.terminals[id].profile.id,
+            logging: this.terminals[id].logWanted,
+            logId: this.terminals[id].hasLog ? this.terminals[id].logId : null,
+            process: this.terminals[id].process.process, // Program in the foreground
+            createdAt: this.terminals[id].createdAt
         }));
     }
 }
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAdaptiveState, currentSettings, applyReport, parseReport, MIN_DOWNSCALE } = require('../lib/adaptive');
+
+const LIMITS = { fps: 30, quality: 70, fpsMin: 10, qualityMin: 30 };
+const HEALTHY = { fps: 30, decodeMs: 5, rtt: 20 };
+const LAGGY = { fps: 30, decodeMs: 5, rtt: 800 };
+
+// One report per second, with the server having sent `sent` frames in between
+function report(adaptive, stats, { sent = 30, skipped = 0, limits = LIMITS } = {}) {
+    adaptive.sentFrames = sent;
+    adaptive.skippedFrames = skipped;
+    const now = adaptive.windowStart + 1000;
+    return applyReport(adaptive, stats, limits, now);
+}
+
+test('starts at the configured values', () => {
+    assert.deepStrictEqual(currentSettings(createAdaptiveState(), LIMITS), { fps: 30, quality: 70, downscale: 1 });
+});
+
+test('congestion lowers quality, then fps, then resolution, never below the minimums', () => {
+    const adaptive = createAdaptiveState();
+
+    assert.deepStrictEqual(report(adaptive, LAGGY), { fps: 30, quality: 60, downscale: 1 });
+    assert.strictEqual(adaptive.reason, 'network');
+
+    for (let i = 0; i < 3; i++) report(adaptive, LAGGY);
+    assert.deepStrictEqual(currentSettings(adaptive, LIMITS), { fps: 30, quality: 30, downscale: 1 });
+
+    assert.strictEqual(report(adaptive, LAGGY).fps, 23);
+    for (let i = 0; i < 5; i++) report(adaptive, LAGGY);
+    const settings = currentSettings(adaptive, LIMITS);
+    assert.strictEqual(settings.fps, 10);
+    assert.strictEqual(settings.downscale, MIN_DOWNSCALE);
+    assert.strictEqual(settings.quality, 30);
+});
+
+test('treats lost frames and an unwritable socket as congestion', () => {
+    const lossy = createAdaptiveState();
+    report(lossy, { ...HEALTHY, fps: 12 }, { sent: 30 });
+    assert.strictEqual(lossy.reason, 'network');
+    assert.deepStrictEqual(lossy.stats, { ...HEALTHY, fps: 12, sentFps: 30, skipped: 0 });
+
+    const blocked = createAdaptiveState();
+    report(blocked, HEALTHY, { skipped: 3 });
+    assert.strictEqual(blocked.quality, 60);
+
+    // Idle tiles panes send nothing; receiving nothing is not a loss
+    const idle = createAdaptiveState();
+    report(idle, { ...HEALTHY, fps: 0 }, { sent: 0 });
+    assert.strictEqual(idle.reason, null);
+});
+
+test('a slow client keeps the quality and lowers the frame rate', () => {
+    const adaptive = createAdaptiveState();
+    const settings = report(adaptive, { ...HEALTHY, decodeMs: 40 });
+    assert.deepStrictEqual(settings, { fps: 23, quality: 70, downscale: 1 });
+    assert.strictEqual(adaptive.reason, 'client');
+});
+
+test('recovers step by step after consecutive healthy reports', () => {
+    const adaptive = createAdaptiveState();
+    Object.assign(adaptive, { fps: 10, quality: 30, downscale: 0.5 });
+
+    report(adaptive, HEALTHY);
+    assert.strictEqual(adaptive.downscale, 0.5, 'one good report is not enough');
+    report(adaptive, HEALTHY);
+    assert.strictEqual(adaptive.downscale, 0.75);
+
+    for (let i = 0; i < 2; i++) report(adaptive, HEALTHY);
+    assert.strictEqual(adaptive.downscale, 1);
+    for (let i = 0; i < 2; i++) report(adaptive, HEALTHY);
+    assert.deepStrictEqual(currentSettings(adaptive, LIMITS), { fps: 15, quality: 30, downscale: 1 });
+
+    for (let i = 0; i < 40; i++) report(adaptive, HEALTHY);
+    assert.deepStrictEqual(currentSettings(adaptive, LIMITS), { fps: 30, quality: 70, downscale: 1 });
+});
+
+test('follows the configured values when they are lowered', () => {
+    const adaptive = createAdaptiveState();
+    report(adaptive, HEALTHY);
+    const limits = { ...LIMITS, fps: 15, quality: 40 };
+    assert.deepStrictEqual(currentSettings(adaptive, limits), { fps: 15, quality: 40, downscale: 1 });
+});
+
+test('rejects malformed reports', () => {
+    assert.deepStrictEqual(parseReport({ fps: 10, decodeMs: 2.5, rtt: 30, extra: true }), { fps: 10, decodeMs: 2.5, rtt: 30 });
+    assert.strictEqual(parseReport(null), null);
+    assert.strictEqual(parseReport({ fps: 10, decodeMs: 2 }), null);
+    assert.strictEqual(parseReport({ fps: -1, decodeMs: 2, rtt: 5 }), null);
+    assert.strictEqual(parseReport({ fps: '10', decodeMs: 2, rtt: 5 }), null);
+});
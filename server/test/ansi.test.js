@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAnsiStripper } = require('../lib/ansi');
+
+test('drops colors, titles and cursor moves', () => {
+    const strip = createAnsiStripper();
+    const text = strip('\x1b]0;user@host: ~\x07\x1b[1;32m$\x1b[0m ls\r\n\x1b[2K\x1b[1Gsrc\ttest\x1b(B\r\n');
+    assert.strictEqual(text, '$ ls\nsrc\ttest\n');
+});
+
+test('keeps sequences split across chunks out of the text', () => {
+    const strip = createAnsiStripper();
+    const chunks = ['build \x1b', '[3', '3mwarn', '\x1b[0m done\r', '\n'];
+    assert.strictEqual(chunks.map(strip).join(''), 'build warn done\n');
+});
+
+test('keeps each redraw of a progress line', () => {
+    const strip = createAnsiStripper();
+    assert.strictEqual(strip('10%\r50%\r100%\r\n'), '10%\n50%\n100%\n');
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CELL_SIZE, toThumbnail, countChangedCells, patternCellSize, matchTemplate } = require('../lib/changeDetection');
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// RGBA bitmap of a dark pane with light bars ("text lines")
+function createPane(bars = []) {
+    const data = new Uint8Array(WIDTH * HEIGHT * 4).fill(30);
+    const bitmap = { width: WIDTH, height: HEIGHT, data };
+    for (const bar of bars) fillRect(bitmap, bar, 220);
+    return bitmap;
+}
+
+function fillRect(bitmap, { x, y, width, height }, gray) {
+    for (let row = y; row < y + height; row++) {
+        bitmap.data.fill(gray, (row * bitmap.width + x) * 4, (row * bitmap.width + x + width) * 4);
+    }
+}
+
+function crop(bitmap, rect) {
+    const data = new Uint8Array(rect.width * rect.height * 4);
+    for (let row = 0; row < rect.height; row++) {
+        const start = ((rect.y + row) * bitmap.width + rect.x) * 4;
+        data.set(bitmap.data.subarray(start, start + rect.width * 4), row * rect.width * 4);
+    }
+    return { width: rect.width, height: rect.height, data };
+}
+
+const FULL = { x: 0, y: 0, width: WIDTH, height: HEIGHT };
+const LINES = [
+    { x: 16, y: 20, width: 200, height: 6 },
+    { x: 16, y: 46, width: 150, height: 6 },
+    { x: 16, y: 72, width: 240, height: 6 }
+];
+
+test('box-averages a region into a grayscale thumbnail', () => {
+    const thumbnail = toThumbnail(createPane([{ x: 8, y: 8, width: 8, height: 8 }]), FULL);
+    assert.deepStrictEqual([thumbnail.width, thumbnail.height], [WIDTH / CELL_SIZE, HEIGHT / CELL_SIZE]);
+    assert.strictEqual(thumbnail.data[0], 30);
+    assert.strictEqual(thumbnail.data[thumbnail.width + 1], 220);
+
+    // Half a cell of light pixels gives the average
+    const half = toThumbnail(createPane([{ x: 0, y: 0, width: 4, height: 8 }]), FULL);
+    assert.strictEqual(half.data[0], 125);
+});
+
+test('tells a blinking cursor apart from new text', () => {
+    const before = toThumbnail(createPane(LINES), FULL);
+    const cursor = toThumbnail(createPane([...LINES, { x: 260, y: 72, width: 2, height: 12 }]), FULL);
+    const newLine = toThumbnail(createPane([...LINES, { x: 16, y: 98, width: 220, height: 6 }]), FULL);
+
+    assert.strictEqual(countChangedCells(before, toThumbnail(createPane(LINES), FULL)), 0);
+    assert.ok(countChangedCells(before, cursor) <= 2, `cursor changed ${countChangedCells(before, cursor)} cells`);
+    assert.ok(countChangedCells(before, newLine) >= 20, `new line changed ${countChangedCells(before, newLine)} cells`);
+
+    // No baseline, or a resized pane, is always a change
+    assert.strictEqual(countChangedCells(null, before), Infinity);
+    assert.strictEqual(countChangedCells(before, toThumbnail(createPane(LINES), { ...FULL, width: 160 })), Infinity);
+});
+
+test('finds a pattern in the pane only while it is shown', () => {
+    // An "Accept" button: a light box with a dark label
+    const button = { x: 200, y: 160, width: 64, height: 24 };
+    const label = { x: 216, y: 169, width: 32, height: 6 };
+    const withButton = createPane(LINES);
+    fillRect(withButton, button, 220);
+    fillRect(withButton, label, 30);
+
+    const pattern = crop(withButton, { x: 196, y: 156, width: 72, height: 32 });
+    const cellSize = patternCellSize(pattern.width, pattern.height);
+    assert.strictEqual(cellSize, 4);
+    const template = toThumbnail(pattern, { x: 0, y: 0, width: pattern.width, height: pattern.height }, cellSize);
+
+    const found = matchTemplate(toThumbnail(withButton, FULL, cellSize), template);
+    assert.deepStrictEqual([found.x * cellSize, found.y * cellSize], [196, 156]);
+    assert.ok(found.score > 0.99, `score ${found.score}`);
+
+    const absent = matchTemplate(toThumbnail(createPane(LINES), FULL, cellSize), template);
+    assert.ok(absent.score < 0.8, `score without the button ${absent.score}`);
+
+    assert.strictEqual(matchTemplate(template, toThumbnail(withButton, FULL, cellSize)), null);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Jimp } = require('jimp');
+const { negotiateTransport, encodeFrame, decodeFrame, encodeTileFrame, decodeTileFrame } = require('../lib/frames');
+const { findChangedTiles, extractTile } = require('../lib/tiles');
+
+test('negotiates the first supported transport and defaults to base64', () => {
+    assert.strictEqual(negotiateTransport(['tiles', 'binary', 'base64']), 'tiles');
+    assert.strictEqual(negotiateTransport(['binary', 'base64']), 'binary');
+    assert.strictEqual(negotiateTransport(['webcodecs', 'base64']), 'base64');
+    assert.strictEqual(negotiateTransport(undefined), 'base64');
+    assert.strictEqual(negotiateTransport('binary'), 'base64');
+});
+
+test('skips transports the server cannot serve', () => {
+    const withoutWebRtc = ['tiles', 'binary', 'base64'];
+    assert.strictEqual(negotiateTransport(['webrtc', 'tiles', 'base64']), 'webrtc');
+    assert.strictEqual(negotiateTransport(['webrtc', 'tiles', 'base64'], withoutWebRtc), 'tiles');
+    assert.strictEqual(negotiateTransport(['webrtc'], withoutWebRtc), 'base64');
+});
+
+test('round-trips the frame header and image bytes', () => {
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const meta = { seq: 42, timestamp: 1760000000123.5, rect: { x: -1920, y: 40, width: 540, height: 1060 } };
+
+    const frame = encodeFrame(image, meta);
+    assert.strictEqual(frame.length, 32 + image.length);
+
+    const decoded = decodeFrame(frame);
+    assert.strictEqual(decoded.version, 1);
+    assert.strictEqual(decoded.encoding, 'jpeg');
+    assert.strictEqual(decoded.seq, 42);
+    assert.strictEqual(decoded.timestamp, meta.timestamp);
+    assert.deepStrictEqual(decoded.rect, meta.rect);
+    assert.deepStrictEqual(decoded.image, image);
+});
+
+test('round-trips tile frames', () => {
+    const tiles = [
+        { x: 0, y: 64, width: 128, height: 64, image: Buffer.from([1, 2, 3]) },
+        { x: 192, y: 128, width: 8, height: 2, image: Buffer.from([4, 5]) }
+    ];
+    const frame = encodeTileFrame(tiles, {
+        seq: 7, timestamp: 1760000000000, rect: { x: 10, y: 20, width: 400, height: 300 },
+        keyframe: false, width: 200, height: 150
+    });
+
+    const decoded = decodeTileFrame(frame);
+    assert.strictEqual(decoded.seq, 7);
+    assert.strictEqual(decoded.keyframe, false);
+    assert.deepStrictEqual([decoded.width, decoded.height], [200, 150]);
+    assert.deepStrictEqual(decoded.rect, { x: 10, y: 20, width: 400, height: 300 });
+    assert.deepStrictEqual(decoded.tiles, tiles);
+});
+
+test('finds changed tiles and merges them along rows', () => {
+    const previous = new Jimp({ width: 200, height: 130, color: 0x112233ff });
+    const current = previous.clone();
+    assert.deepStrictEqual(findChangedTiles(previous.bitmap.data, current.bitmap.data, 200, 130), []);
+
+    current.setPixelColor(0xff0000ff, 70, 10);   // Tile (1, 0)
+    current.setPixelColor(0xff0000ff, 130, 20);  // Tile (2, 0), merged with the previous one
+    current.setPixelColor(0xff0000ff, 199, 129); // Partial tile in the bottom-right corner
+
+    const rects = findChangedTiles(previous.bitmap.data, current.bitmap.data, 200, 130);
+    assert.deepStrictEqual(rects, [
+        { x: 64, y: 0, width: 128, height: 64 },
+        { x: 192, y: 128, width: 8, height: 2 }
+    ]);
+
+    const tile = extractTile(current, rects[0]);
+    assert.deepStrictEqual([tile.width, tile.height], [128, 64]);
+    assert.strictEqual(tile.getPixelColor(6, 10), 0xff0000ff);
+    assert.strictEqual(tile.getPixelColor(0, 0), 0x112233ff);
+});
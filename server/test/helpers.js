@@ -0,0 +1,55 @@
+/**
+ * Shared test helpers. Require this before any server module: it points SERVER_DATA_DIR
+ * at a temporary directory so config.json and devices.json never touch the source tree.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates a temporary data directory with a config.json holding the given global settings.
+ * @param {Object} [globalConfig]
+ * @returns {{ dir: string, cleanup: () => void }}
+ */
+function useTempDataDir(globalConfig = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-control-test-'));
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ global: globalConfig }, null, 2));
+    process.env.SERVER_DATA_DIR = dir;
+    return {
+        dir,
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Polls until the predicate returns a truthy value.
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(predicate, { timeout = 5000, interval = 25, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = predicate();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+/**
+ * Resolves with the payload of the next `event` emitted on a socket.
+ */
+function nextEvent(socket, event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, onEvent);
+            reject(new Error(`Timed out waiting for "${event}"`));
+        }, timeout);
+        const onEvent = (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        };
+        socket.once(event, onEvent);
+    });
+}
+
+module.exports = { useTempDataDir, waitFor, nextEvent };
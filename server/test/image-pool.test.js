@@ -0,0 +1,118 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { Jimp } = require('jimp');
+const MockBackend = require('../lib/desktop/MockBackend');
+const imagePool = require('../lib/ImagePool');
+const { createStageMetrics, recordStages, summarizeStages, SAMPLES } = require('../lib/stageMetrics');
+
+after(() => imagePool.close());
+
+const SCALE = 1.5;
+
+async function decodeScreen(desktop) {
+    const { result, timings } = await imagePool.run('decode', await desktop.captureRaw());
+    assert.ok(timings.decode >= 0 && timings.queue >= 0);
+    return result;
+}
+
+function ideRegion(desktop) {
+    const { window: win } = desktop.getLayout();
+    return {
+        x: Math.round(win.x * SCALE),
+        y: Math.round(win.y * SCALE),
+        width: Math.round(win.width * SCALE),
+        height: Math.round(win.height * SCALE)
+    };
+}
+
+test('decodes raw RGBA, BGRX and encoded captures into a shared RGBA screenshot', async () => {
+    const rgba = await imagePool.run('decode', { width: 1, height: 1, format: 'rgba', data: Buffer.from([1, 2, 3, 4]) });
+    assert.ok(rgba.result.data instanceof SharedArrayBuffer);
+    assert.deepStrictEqual([...new Uint8Array(rgba.result.data)], [1, 2, 3, 4]);
+
+    const bgrx = await imagePool.run('decode', { x: 5, y: 6, width: 1, height: 1, format: 'bgrx', data: Buffer.from([1, 2, 3, 0]) });
+    assert.deepStrictEqual([...new Uint8Array(bgrx.result.data)], [3, 2, 1, 255]);
+    assert.deepStrictEqual([bgrx.result.x, bgrx.result.y], [5, 6]);
+
+    const png = await new Jimp({ width: 2, height: 1, color: 0xff0000ff }).getBuffer('image/png');
+    const encoded = await imagePool.run('decode', { encoded: png });
+    assert.deepStrictEqual([encoded.result.x, encoded.result.y, encoded.result.width, encoded.result.height], [0, 0, 2, 1]);
+    assert.deepStrictEqual([...new Uint8Array(encoded.result.data)], [255, 0, 0, 255, 255, 0, 0, 255]);
+});
+
+test('renders a cropped, downscaled JPEG, a PNG and even-sized RGBA for video', async () => {
+    const desktop = new MockBackend({ scale: SCALE });
+    const screen = await decodeScreen(desktop);
+    const region = { x: 10, y: 20, width: 401, height: 301 };
+    const crops = [{ x: 0, y: 50, width: 401, height: 251 }, { x: 1, y: 0, width: 400, height: 200 }];
+
+    const jpeg = await imagePool.run('render', { screen, region, crops, downscale: 0.5, output: { type: 'jpeg', quality: 60 } });
+    const image = await Jimp.read(Buffer.from(jpeg.result.image));
+    assert.deepStrictEqual([image.width, image.height], [200, 100]);
+    assert.deepStrictEqual([jpeg.result.width, jpeg.result.height], [200, 100]);
+    for (const stage of ['queue', 'crop', 'scale', 'encode']) {
+        assert.ok(jpeg.timings[stage] >= 0, `${stage} timing`);
+    }
+
+    const { result: png } = await imagePool.run('render', { screen, region, crops, output: { type: 'png' } });
+    const still = await Jimp.read(Buffer.from(png.image));
+    assert.strictEqual(still.mime, 'image/png');
+    assert.deepStrictEqual([still.width, still.height, png.width, png.height], [400, 200, 400, 200]);
+
+    const { result: video } = await imagePool.run('render', { screen, region, output: { type: 'rgba' } });
+    assert.deepStrictEqual([video.width, video.height], [400, 300]);
+    assert.ok(video.data instanceof Uint8ClampedArray);
+    assert.strictEqual(video.data.buffer.byteLength, 400 * 300 * 4);
+});
+
+test('renders only the changed tiles against the previous frame', async () => {
+    const desktop = new MockBackend({ scale: SCALE });
+    const region = { x: 0, y: 0, width: 256, height: 128 };
+    const tiles = (screen, previous) => imagePool.run('render', { screen, region, output: { type: 'tiles', quality: 60, previous } })
+        .then(({ result }) => result);
+
+    const keyframe = await tiles(await decodeScreen(desktop));
+    assert.strictEqual(keyframe.keyframe, true);
+    assert.deepStrictEqual(keyframe.tiles.map(t => [t.x, t.y, t.width, t.height]), [[0, 0, 256, 128]]);
+
+    const idle = await tiles(await decodeScreen(desktop), keyframe);
+    assert.deepStrictEqual(idle.tiles, []);
+
+    desktop.getScreen().setPixelColor(0xff0000ff, 130, 70);
+    const delta = await tiles(await decodeScreen(desktop), keyframe);
+    assert.strictEqual(delta.keyframe, false);
+    assert.deepStrictEqual(delta.tiles.map(t => [t.x, t.y, t.width, t.height]), [[128, 64, 64, 64]]);
+});
+
+test('detects the chat pane of the mock IDE in a worker', async () => {
+    const desktop = new MockBackend({ scale: SCALE });
+    const screen = await decodeScreen(desktop);
+    const region = ideRegion(desktop);
+    const { chat, window: win } = desktop.getLayout();
+
+    const { result, timings } = await imagePool.run('detect', { screen, region, mode: 'chat', quiet: true, debug: true, lowResourceMode: false });
+    assert.ok(Math.abs(result.bounds.x - (chat.x - win.x) * SCALE) <= 6, `chat pane at ${result.bounds.x}`);
+    assert.ok(result.edges.vertical.length > 0, 'debug edges');
+    assert.ok(timings.detect > 0);
+});
+
+test('fails unknown tasks without losing the worker', async () => {
+    await assert.rejects(imagePool.run('teleport', {}), /Unknown image task "teleport"/);
+    const { result } = await imagePool.run('decode', { width: 1, height: 1, format: 'rgba', data: Buffer.alloc(4) });
+    assert.strictEqual(result.width, 1);
+    assert.strictEqual(imagePool.getStatus().busy, 0);
+});
+
+test('summarizes stage latencies over the last samples', () => {
+    const metrics = createStageMetrics();
+    for (let ms = 1; ms <= 100; ms++) recordStages(metrics, { encode: ms, skipped: NaN });
+    recordStages(metrics, { capture: 5 });
+
+    const summary = summarizeStages(metrics);
+    assert.deepStrictEqual(summary.encode, { count: 100, avgMs: 50.5, p95Ms: 96, maxMs: 100 });
+    assert.deepStrictEqual(summary.capture, { count: 1, avgMs: 5, p95Ms: 5, maxMs: 5 });
+    assert.strictEqual(summary.skipped, undefined);
+
+    for (let i = 0; i < SAMPLES; i++) recordStages(metrics, { encode: 1 });
+    assert.deepStrictEqual(summarizeStages(metrics).encode, { count: 100 + SAMPLES, avgMs: 1, p95Ms: 1, maxMs: 1 });
+});
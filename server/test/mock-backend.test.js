@@ -0,0 +1,179 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+const { Jimp } = require('jimp');
+const DesktopBackend = require('../lib/desktop/DesktopBackend');
+const MockBackend = require('../lib/desktop/MockBackend');
+const { findChatPaneStructural, findTerminalPane } = require('../pane-detector');
+
+after(() => dataDir.cleanup());
+
+// Separators are found a few pixels off their exact position (the detector compares pixels 3px apart),
+// and thick separators may be counted on either side
+function assertNear(actual, expected, label, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ~${expected}, got ${actual}`);
+}
+
+async function captureIdeWindow(desktop) {
+    const { window: win } = desktop.getLayout();
+    const scale = desktop.options.scale;
+    const image = await desktop.captureImage();
+    return image.crop({
+        x: Math.round(win.x * scale),
+        y: Math.round(win.y * scale),
+        w: Math.round(win.width * scale),
+        h: Math.round(win.height * scale)
+    });
+}
+
+test('renders the screen at physical resolution and reports the logical size', async () => {
+    const desktop = new MockBackend({ width: 1000, height: 700, scale: 1.5 });
+    const image = await desktop.captureImage();
+    assert.strictEqual(image.width, 1500);
+    assert.strictEqual(image.height, 1050);
+    assert.deepStrictEqual(desktop.getScreenSize(), { width: 1000, height: 700 });
+
+    const png = await desktop.capture();
+    assert.strictEqual(png.subarray(1, 4).toString(), 'PNG');
+});
+
+test('captures a region of the screen as raw pixels', async () => {
+    const desktop = new MockBackend({ width: 1000, height: 700, scale: 1.5 });
+    desktop.getScreen().setPixelColor(0xff0000ff, 901, 52);
+
+    const full = await desktop.captureRaw();
+    assert.deepStrictEqual([full.x, full.y, full.width, full.height], [0, 0, 1500, 1050]);
+
+    const region = await desktop.captureRaw({ x: 900, y: 50, width: 200, height: 2000 });
+    assert.deepStrictEqual([region.x, region.y, region.width, region.height], [900, 50, 200, 1000]);
+    assert.strictEqual(region.data.length, 200 * 1000 * 4);
+    assert.deepStrictEqual([...region.data.subarray((2 * 200 + 1) * 4, (2 * 200 + 2) * 4)], [255, 0, 0, 255]);
+
+    const [monitor] = await desktop.getMonitors();
+    assert.deepStrictEqual(monitor.scale, { x: 1.5, y: 1.5 });
+});
+
+test('backends without monitor information take one screenshot for the DPI scale', async () => {
+    class FakeBackend extends DesktopBackend {
+        constructor() {
+            super('fake');
+            this.captures = 0;
+        }
+        async capture() {
+            this.captures++;
+            return new Jimp({ width: 200, height: 100 }).getBuffer('image/png');
+        }
+        getScreenSize() {
+            return { width: 100, height: 50 };
+        }
+    }
+
+    const scale = async () => (await desktop.getMonitors())[0].scale;
+    const desktop = new FakeBackend();
+    assert.deepStrictEqual(await scale(), { x: 2, y: 2 });
+    assert.deepStrictEqual(await scale(), { x: 2, y: 2 });
+    assert.strictEqual(desktop.captures, 1);
+
+    // Full-screen captures keep it up to date (e.g. after a resolution change)
+    desktop.updatePhysicalScreenSize(300, 150);
+    assert.deepStrictEqual(await scale(), { x: 3, y: 3 });
+    assert.strictEqual(desktop.captures, 1);
+});
+
+const LAYOUTS = [
+    { name: 'dark theme', options: {} },
+    { name: 'light theme', options: { theme: 'light' } },
+    { name: 'no separators', options: { separatorWidth: 0 } },
+    { name: 'thick custom separators', options: { separatorWidth: 4, separatorColor: 0x0078d4 } },
+    { name: 'HiDPI', options: { scale: 1.5 } },
+    { name: 'wide chat, short terminal', options: { chatWidth: 480, terminalHeight: 200 } }
+];
+
+for (const { name, options } of LAYOUTS) {
+    test(`pane detector finds the chat pane and terminal panel (${name})`, async () => {
+        const desktop = new MockBackend(options);
+        const layout = desktop.getLayout();
+        const scale = desktop.options.scale;
+        const tolerance = 6 + 2 * desktop.options.separatorWidth * scale;
+        const image = await captureIdeWindow(desktop);
+
+        const chat = await findChatPaneStructural(image.clone(), { quiet: true });
+        assert.ok(chat, 'chat pane not found');
+        assertNear(chat.x, (layout.chat.x - layout.window.x) * scale, 'chat x', tolerance);
+
+        const terminal = await findTerminalPane(image.clone(), { quiet: true });
+        assert.ok(terminal, 'terminal panel not found');
+        assertNear(terminal.x, (layout.terminal.x - layout.window.x) * scale, 'terminal x', tolerance);
+        assertNear(terminal.y, (layout.terminal.y - layout.window.y) * scale, 'terminal y', tolerance);
+        assertNear(terminal.width, layout.terminal.width * scale, 'terminal width', tolerance);
+        assertNear(terminal.height, layout.terminal.height * scale, 'terminal height', tolerance);
+    });
+}
+
+test('lists the configured monitors at the screen scale', async () => {
+    const desktop = new MockBackend({
+        width: 2304,
+        scale: 2,
+        monitors: [{ x: 0, y: 0, width: 1280, height: 800 }, { x: 1280, y: 0, width: 1024, height: 768, name: 'Side' }]
+    });
+    const monitors = await desktop.getMonitors();
+    assert.deepStrictEqual(monitors.map(m => [m.id, m.name, m.primary]), [[0, 'Monitor 1', true], [1, 'Side', false]]);
+    assert.deepStrictEqual(monitors[1].physical, { x: 2560, y: 0, width: 2048, height: 1536 });
+    assert.strictEqual(await desktop.getMonitors(), monitors, 'cached');
+});
+
+test('records input at the current pointer position', async () => {
+    const desktop = new MockBackend();
+    await desktop.moveMouse(100, 200);
+    await desktop.click();
+    await desktop.click('right');
+    await desktop.scroll(-3);
+    await desktop.typeString('hola');
+    await desktop.keyTap('enter');
+
+    const events = desktop.events.map(({ time, ...e }) => e);
+    assert.deepStrictEqual(events, [
+        { type: 'move', x: 100, y: 200 },
+        { type: 'click', button: 'left', x: 100, y: 200 },
+        { type: 'click', button: 'right', x: 100, y: 200 },
+        { type: 'scroll', ticks: -3, x: 100, y: 200 },
+        { type: 'type', text: 'hola' },
+        { type: 'keyTap', key: 'enter' }
+    ]);
+
+    desktop.reset();
+    assert.deepStrictEqual(desktop.events, []);
+    assert.deepStrictEqual(desktop.pointer, { x: 0, y: 0 });
+});
+
+test('finds and activates fake windows by title and handle', async () => {
+    const desktop = new MockBackend();
+    const windows = await desktop.listWindows();
+    assert.deepStrictEqual(windows.map(w => w.handle), [1001, 1002]);
+
+    assert.strictEqual(await desktop.activateWindow('Cursor|Antigravity'), 'ALREADY_ACTIVE');
+    assert.strictEqual(await desktop.activateWindow('notepad'), 'NOT_FOUND');
+    assert.strictEqual(await desktop.activateWindowByHandle('1002'), 'ACTIVATED');
+    assert.strictEqual(desktop.activeHandle, 1002);
+    assert.deepStrictEqual(desktop.events.map(e => e.type), ['activate']);
+
+    assert.deepStrictEqual(await desktop.findWindowBounds('terminal'), { x: 120, y: 90, width: 640, height: 400 });
+    assert.deepStrictEqual(await desktop.findWindowBoundsByHandle(1001), { x: 0, y: 0, width: 1280, height: 760 });
+    assert.strictEqual(await desktop.findWindowBoundsByHandle(42), null);
+});
+
+test('reports the chat input as focused unless a test overrides it', async () => {
+    const desktop = new MockBackend();
+    const focus = await desktop.getFocusedElement();
+    assert.strictEqual(focus.found, true);
+    assert.deepStrictEqual({ x: focus.x, y: focus.y }, { x: desktop.getLayout().chatInput.x, y: desktop.getLayout().chatInput.y });
+
+    desktop.focusedElement = { found: false };
+    assert.deepStrictEqual(await desktop.getFocusedElement(), { found: false });
+});
+
+test('rejects unknown themes', () => {
+    assert.throws(() => new MockBackend({ theme: 'solarized' }), /Unknown mock theme "solarized"/);
+});
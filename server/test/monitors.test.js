@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMonitor, findMonitor, monitorForRect, toPhysicalRect, toLogicalPoint } = require('../lib/monitors');
+
+// A 4K laptop panel at 200% with a 1080p monitor at 100% on its right
+const MONITORS = [
+    createMonitor({
+        id: 'laptop',
+        primary: true,
+        bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+        physical: { x: 0, y: 0, width: 3840, height: 2160 }
+    }),
+    createMonitor({
+        id: 'external',
+        name: 'External',
+        bounds: { x: 1920, y: 0, width: 1920, height: 1080 },
+        physical: { x: 3840, y: 0, width: 1920, height: 1080 }
+    })
+];
+
+test('derives the scale of each monitor', () => {
+    assert.deepStrictEqual(MONITORS[0].scale, { x: 2, y: 2 });
+    assert.deepStrictEqual(MONITORS[1].scale, { x: 1, y: 1 });
+    assert.strictEqual(MONITORS[0].name, 'laptop');
+    assert.strictEqual(findMonitor(MONITORS, 'external'), MONITORS[1]);
+    assert.strictEqual(findMonitor(MONITORS, 'projector'), null);
+});
+
+test('converts windows through the monitor showing most of them', () => {
+    assert.deepStrictEqual(toPhysicalRect(MONITORS, { x: 100, y: 50, width: 800, height: 600 }), { x: 200, y: 100, width: 1600, height: 1200 });
+    assert.deepStrictEqual(toPhysicalRect(MONITORS, { x: 2020, y: 50, width: 800, height: 600 }), { x: 3940, y: 50, width: 800, height: 600 });
+
+    // Mostly on the external monitor: the part on the laptop is left out
+    const straddling = { x: 1820, y: 0, width: 1000, height: 500 };
+    assert.strictEqual(monitorForRect(MONITORS, straddling), MONITORS[1]);
+    assert.deepStrictEqual(toPhysicalRect(MONITORS, straddling), { x: 3840, y: 0, width: 900, height: 500 });
+
+    // Off every monitor
+    assert.strictEqual(toPhysicalRect(MONITORS, { x: 0, y: 2000, width: 100, height: 100 }), null);
+});
+
+test('maps captured pixels to input coordinates with the DPI of their monitor', () => {
+    assert.deepStrictEqual(toLogicalPoint(MONITORS, { x: 1000, y: 500 }), { x: 500, y: 250 });
+    assert.deepStrictEqual(toLogicalPoint(MONITORS, { x: 4000, y: 500 }), { x: 2080, y: 500 });
+});
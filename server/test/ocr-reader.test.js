@@ -0,0 +1,43 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { Jimp, loadFont } = require('jimp');
+const { SANS_16_WHITE } = require('jimp/fonts');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const ocrReader = require('../lib/OcrReader');
+
+after(async () => {
+    await ocrReader.terminate();
+    dataDir.cleanup();
+});
+
+// Light text on a dark background, like a dark-themed chat pane
+async function renderText(lines) {
+    const font = await loadFont(SANS_16_WHITE);
+    const image = new Jimp({ width: 360, height: 30 * lines.length + 20, color: 0x1e1e1eff });
+    lines.forEach((text, i) => image.print({ font, x: 10, y: 10 + 30 * i, text }));
+    return image.getBuffer('image/png');
+}
+
+test('recognizes the text of a dark pane line by line', async (t) => {
+    if (!ocrReader.isAvailable()) {
+        t.skip('optional dependency tesseract.js is not installed');
+        return;
+    }
+
+    const image = await renderText(['Hello from the chat pane', 'npm test passes: 42 tests']);
+    const result = await ocrReader.recognize(image);
+    assert.strictEqual(result.text, 'Hello from the chat pane\nnpm test passes: 42 tests');
+    assert.deepStrictEqual(result.lines.map(l => l.text), ['Hello from the chat pane', 'npm test passes: 42 tests']);
+
+    const [first, second] = result.lines;
+    assert.ok(first.bbox.y < second.bbox.y);
+    assert.ok(first.bbox.x >= 5 && first.bbox.x <= 20, `line x ${first.bbox.x}`);
+    assert.ok(first.bbox.width > 100 && first.bbox.height > 5);
+    assert.ok(first.confidence > 50);
+
+    // The same image (another reader, an idle pane) is not recognized again
+    assert.strictEqual(ocrReader.recognize(Buffer.from(image)), ocrReader.recognize(image));
+});
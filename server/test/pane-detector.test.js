@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+const { loadFixtures, evaluateFixture, formatReport } = require('../lib/pane-fixtures');
+
+// Fixture corpus in test/fixtures/panes; add screenshots with `npm run pane-fixtures -- add <name>`
+test('pane detector matches the ground truth of every fixture', async (t) => {
+    t.after(() => dataDir.cleanup());
+
+    const fixtures = await loadFixtures();
+    assert.ok(fixtures.length > 0, 'no fixtures found');
+
+    const results = [];
+    for (const fixture of fixtures) {
+        await t.test(fixture.name, { todo: fixture.todo || false }, async () => {
+            const result = await evaluateFixture(fixture);
+            results.push(result);
+            for (const [pane, outcome] of Object.entries(result.panes)) {
+                assert.ok(outcome.pass, `${pane}: expected ${JSON.stringify(outcome.expected)}, detected ${JSON.stringify(outcome.detected)}`);
+            }
+        });
+    }
+
+    for (const line of formatReport(results).split('\n')) {
+        t.diagnostic(line);
+    }
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ScrollbackBuffer = require('../lib/ScrollbackBuffer');
+
+test('keeps everything while under the limit', () => {
+    const buffer = new ScrollbackBuffer(100);
+    buffer.append('$ ls\r\n');
+    buffer.append('');
+    buffer.append('a.txt  b.txt\r\n');
+    assert.strictEqual(buffer.toString(), '$ ls\r\na.txt  b.txt\r\n');
+});
+
+test('drops the oldest output and starts the replay at a line', () => {
+    const buffer = new ScrollbackBuffer(20);
+    for (let i = 0; i < 10; i++) buffer.append(`line ${i}\r\n`);
+    const kept = buffer.toString();
+    assert.ok(kept.length <= 20, `kept ${kept.length} characters`);
+    assert.ok(kept.startsWith('line '), kept);
+    assert.ok(kept.endsWith('line 9\r\n'), kept);
+    assert.strictEqual(buffer.length, kept.length);
+});
+
+test('keeps the tail of a line longer than the limit', () => {
+    const buffer = new ScrollbackBuffer(10);
+    buffer.append('0123456789abcdefghij');
+    assert.strictEqual(buffer.toString(), 'abcdefghij');
+
+    buffer.clear();
+    assert.strictEqual(buffer.toString(), '');
+});
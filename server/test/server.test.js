@@ -0,0 +1,1124 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { useTempDataDir, waitFor, nextEvent } = require('./helpers');
+
+const dataDir = useTempDataDir({
+    fps: 10,
+    detectionInterval: 500,
+    autoActivateWindow: false,
+    watch: { interval: 250 },
+    terminal: {
+        profiles: [
+            { id: 'shell', name: 'Shell' },
+            { id: 'tmp', name: 'Temp', cwd: os.tmpdir(), env: { GREETING: 'hola' }, startupCommand: 'echo "$GREETING from $PWD"' }
+        ]
+    }
+});
+process.env.DESKTOP_BACKEND = 'mock';
+
+const { io: connect } = require('socket.io-client');
+const { io, streamEngine, startServer } = require('../index');
+const desktop = require('../lib/desktop');
+const authManager = require('../lib/AuthManager');
+const clientManager = require('../lib/ClientManager');
+const configManager = require('../configManager');
+const sessionRecorder = require('../lib/SessionRecorder');
+const { parseRecording } = require('../lib/recordingFormat');
+const ocrReader = require('../lib/OcrReader');
+const paneWatcher = require('../lib/PaneWatcher');
+const terminalManager = require('../terminalManager');
+const { decodeFrame, decodeTileFrame } = require('../lib/frames');
+
+const SCALE = 1.5; // Exercise the physical <-> logical conversion
+const DETECTION_TIMEOUT = 20000;
+
+let url;
+const sockets = [];
+
+function open(token, auth = {}) {
+    const socket = connect(url, { auth: token ? { token, ...auth } : auth, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    return socket;
+}
+
+async function pairDevice(name, auth) {
+    const socket = open();
+    await nextEvent(socket, 'connect');
+    socket.emit('auth:pair', { code: authManager.pairingCode, name });
+    const { token } = await nextEvent(socket, 'auth:paired');
+    socket.disconnect();
+
+    const paired = open(token, auth);
+    await nextEvent(paired, 'auth:status');
+    return paired;
+}
+
+async function decodeBase64Frame(base64) {
+    return Jimp.read(Buffer.from(base64, 'base64'));
+}
+
+let admin;
+
+before(async () => {
+    desktop.configure({ scale: SCALE });
+    const server = await startServer(0);
+    url = `http://127.0.0.1:${server.address().port}`;
+    admin = await pairDevice('admin phone');
+});
+
+// Streaming clients left over from earlier tests would compete for the CPU
+afterEach(() => {
+    for (const socket of sockets.splice(0)) {
+        if (socket === admin) sockets.push(socket);
+        else socket.disconnect();
+    }
+});
+
+after(async () => {
+    for (const socket of sockets) socket.disconnect();
+    streamEngine.stop();
+    await io.close();
+    dataDir.cleanup();
+    // Once a peer connection has existed, libwebrtc's threads crash node's environment teardown
+    // (SIGSEGV). Exiting explicitly when the event loop drains skips it; the server never drains.
+    process.once('beforeExit', () => process.exit());
+});
+
+test('unpaired sockets cannot inject input', async () => {
+    const socket = open();
+    await nextEvent(socket, 'connect');
+    desktop.reset();
+
+    socket.emit('input:type', 'rm -rf /');
+    const { event } = await nextEvent(socket, 'auth:required');
+    assert.strictEqual(event, 'input:type');
+    assert.deepStrictEqual(desktop.events, []);
+    socket.disconnect();
+});
+
+test('streams the chat pane once it has been detected', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+
+    const { chat } = desktop.getLayout();
+    const { cropTop, cropBottom } = clientManager.getEffectiveConfig(admin.id);
+
+    // The first frame after locking may still be the uncropped one
+    await nextEvent(admin, 'frame');
+    const frame = await decodeBase64Frame(await nextEvent(admin, 'frame'));
+    assert.ok(Math.abs(frame.width - chat.width * SCALE) <= 6, `frame width ${frame.width}`);
+    assert.strictEqual(frame.height, Math.round(desktop.getLayout().window.height * SCALE) - cropTop - cropBottom);
+});
+
+test('maps clicks from frame coordinates to logical screen coordinates', async () => {
+    const state = clientManager.getClientState(admin.id);
+    const area = await waitFor(() => state.lastCaptureArea, { message: 'capture area' });
+    const { cropTop, cropLeft } = clientManager.getEffectiveConfig(admin.id);
+    desktop.reset();
+
+    admin.emit('input:click', { x: 30, y: 60 });
+    const click = await waitFor(() => desktop.events.find(e => e.type === 'click'), { message: 'click' });
+
+    assert.deepStrictEqual(
+        { x: click.x, y: click.y, button: click.button },
+        {
+            x: Math.round((area.x + 30 + cropLeft) / SCALE),
+            y: Math.round((area.y + 60 + cropTop) / SCALE),
+            button: 'left'
+        }
+    );
+
+    // The click lands inside the chat pane of the mock IDE
+    const { chat } = desktop.getLayout();
+    assert.ok(click.x >= chat.x && click.x < chat.x + chat.width);
+});
+
+test('captures only the streamed pane and converts input without a screenshot', async () => {
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+    const originalCapture = desktop.captureRaw;
+    const originalImage = desktop.captureImage;
+    const rects = [];
+    let screenshots = 0;
+    desktop.captureRaw = function (rect) {
+        rects.push(rect);
+        return originalCapture.call(this, rect);
+    };
+    desktop.captureImage = function () {
+        screenshots++;
+        return originalImage.call(this);
+    };
+
+    try {
+        await waitFor(() => rects.length >= 3, { message: 'captures' });
+        desktop.reset();
+        admin.emit('input:click', { x: 10, y: 10 });
+        admin.emit('input:scroll', { deltaY: 2, x: 10, y: 10 });
+        await waitFor(() => desktop.events.some(e => e.type === 'scroll'), { message: 'scroll' });
+    } finally {
+        desktop.captureRaw = originalCapture;
+        desktop.captureImage = originalImage;
+    }
+
+    const { chat } = desktop.getLayout();
+    const paneCaptures = rects.filter(r => r.x === state.lastCaptureArea.x + clientManager.getEffectiveConfig(admin.id).cropLeft);
+    assert.ok(paneCaptures.length > 0, `captured ${JSON.stringify(rects)}`);
+    for (const rect of paneCaptures) {
+        assert.ok(Math.abs(rect.width - chat.width * SCALE) <= 6, `pane capture ${JSON.stringify(rect)}`);
+    }
+    assert.strictEqual(screenshots, 0);
+});
+
+test('forwards typing, key taps and scrolling', async () => {
+    desktop.reset();
+    admin.emit('input:type', 'hola');
+    admin.emit('input:keyTap', 'enter');
+    admin.emit('input:scroll', { deltaY: -3 });
+
+    await waitFor(() => desktop.events.length >= 3, { message: 'input events' });
+    assert.deepStrictEqual(desktop.events.map(({ time, x, y, ...e }) => e), [
+        { type: 'type', text: 'hola' },
+        { type: 'keyTap', key: 'enter' },
+        { type: 'scroll', ticks: -3 }
+    ]);
+});
+
+test('checks focus against the streamed pane', async () => {
+    admin.emit('input:checkFocus');
+    const focus = await nextEvent(admin, 'input:focusLocation');
+    assert.strictEqual(focus.isInChat, true);
+});
+
+test('streams the terminal panel once it has been detected', async () => {
+    admin.emit('view:setMode', 'terminal');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneY > 0, { timeout: DETECTION_TIMEOUT, message: 'terminal panel detection' });
+
+    const { terminal } = desktop.getLayout();
+    await nextEvent(admin, 'frame');
+    const frame = await decodeBase64Frame(await nextEvent(admin, 'frame'));
+    const { cropLeft, cropRight } = clientManager.getEffectiveConfig(admin.id);
+    assert.ok(Math.abs(frame.width - (terminal.width * SCALE - cropLeft - cropRight)) <= 8, `frame width ${frame.width}`);
+});
+
+test('lists and activates windows', async () => {
+    admin.emit('apps:list');
+    const windows = await nextEvent(admin, 'apps:list');
+    assert.deepStrictEqual(windows.map(w => w.title), ['index.js - project - Cursor', 'Terminal']);
+
+    desktop.reset();
+    admin.emit('apps:activate', { handle: 1002 });
+    const activation = await waitFor(() => desktop.events.find(e => e.type === 'activate'), { message: 'activation' });
+    assert.strictEqual(activation.title, 'Terminal');
+});
+
+test('reports a failing handler to the client and keeps serving', async () => {
+    admin.emit('apps:activate'); // No payload: the handler throws
+    const { event, message } = await nextEvent(admin, 'server:error');
+    assert.strictEqual(event, 'apps:activate');
+    assert.ok(message);
+
+    const original = desktop.listWindows;
+    desktop.listWindows = async () => { throw new Error('backend gone'); };
+    try {
+        admin.emit('apps:list');
+        assert.deepStrictEqual(await nextEvent(admin, 'server:error'), { event: 'apps:list', message: 'backend gone' });
+    } finally {
+        desktop.listWindows = original;
+    }
+    admin.emit('apps:list');
+    await nextEvent(admin, 'apps:list');
+});
+
+test('survives malformed payloads from unpaired sockets', async () => {
+    const socket = open();
+    await nextEvent(socket, 'connect');
+    socket.emit('agent:identify');
+    socket.emit('agent:update', null);
+    socket.emit('auth:pair', null);
+    assert.strictEqual((await nextEvent(socket, 'auth:error')).message, 'Invalid pairing code');
+    socket.disconnect();
+});
+
+test('locks an address out of pairing after repeated wrong codes, longer each time', async () => {
+    const address = '192.0.2.7';
+    for (let i = 0; i < 5; i++) assert.strictEqual(await authManager.pair('not-the-code', 'guesser', address), null);
+    const lockout = authManager.pairingLockout(address);
+    assert.ok(lockout > 55000 && lockout <= 60000, String(lockout));
+    // Not even the right code gets through meanwhile, while other addresses still pair
+    assert.strictEqual(await authManager.pair(authManager.pairingCode, 'guesser', address), null);
+    assert.strictEqual(authManager.pairingLockout('192.0.2.8'), 0);
+
+    const later = Date.now() + 61000;
+    assert.strictEqual(authManager.pairingLockout(address, later), 0);
+    for (let i = 0; i < 5; i++) authManager.recordPairingFailure(address, later);
+    assert.strictEqual(authManager.pairingLockout(address, later), 120000);
+
+    // Over the socket, with the reason
+    const socket = open();
+    await nextEvent(socket, 'connect');
+    const { address: socketAddress } = [...io.sockets.sockets.values()].find(s => s.id === socket.id).handshake;
+    authManager.addressAttempts.set(socketAddress, { failures: 0, lockouts: 1, lockedUntil: Date.now() + 30000, lastFailure: Date.now() });
+    try {
+        socket.emit('auth:pair', { code: authManager.pairingCode, name: 'locked out' });
+        const error = await nextEvent(socket, 'auth:error');
+        assert.match(error.message, /Too many wrong pairing codes/);
+        assert.ok(error.retryAfter > 0);
+    } finally {
+        authManager.addressAttempts.clear();
+        socket.disconnect();
+    }
+});
+
+test('accepts push subscriptions from operators on known push services only', async () => {
+    const device = await pairDevice('push phone');
+    const { id } = authManager.authenticate(device.auth.token);
+    const keys = { p256dh: 'key', auth: 'secret' };
+    const subscribe = (endpoint) => device.emit('watch:subscribePush', { subscription: { endpoint, keys } });
+
+    subscribe('https://fcm.googleapis.com/fcm/send/abc');
+    assert.strictEqual((await nextEvent(device, 'auth:forbidden')).event, 'watch:subscribePush');
+
+    admin.emit('auth:setRole', { id, role: 'operator' });
+    await nextEvent(device, 'auth:status');
+    for (const endpoint of ['https://127.0.0.1/push', 'https://169.254.169.254/latest', 'https://fcm.googleapis.com.evil.example/x', 'https://user@fcm.googleapis.com/x']) {
+        subscribe(endpoint);
+        assert.ok((await nextEvent(device, 'watch:config')).error, endpoint);
+    }
+    subscribe('https://updates.push.services.mozilla.com/wpush/v2/abc');
+    const subscribed = await nextEvent(device, 'watch:config');
+    assert.strictEqual(subscribed.error, undefined);
+    assert.strictEqual(subscribed.push, true);
+
+    // Back to viewer: the subscription goes
+    admin.emit('auth:setRole', { id, role: 'viewer' });
+    await nextEvent(device, 'auth:status');
+    assert.strictEqual(paneWatcher.getWatcher(id).push, null);
+    device.disconnect();
+});
+
+test('keeps the last admin: it cannot be demoted or revoked', async () => {
+    const { id: adminId } = authManager.authenticate(admin.auth.token);
+    admin.emit('auth:revoke', { id: adminId });
+    assert.strictEqual((await nextEvent(admin, 'auth:error')).message, 'Revoke not allowed');
+    admin.emit('auth:setRole', { id: adminId, role: 'viewer' });
+    assert.strictEqual((await nextEvent(admin, 'auth:error')).message, 'Role change not allowed');
+    assert.ok(authManager.listDevices().some(d => d.id === adminId && d.role === 'admin'));
+
+    // With a second admin either of them can go
+    const device = await pairDevice('second admin');
+    const { id } = authManager.authenticate(device.auth.token);
+    admin.emit('auth:setRole', { id, role: 'admin' });
+    await nextEvent(device, 'auth:status');
+    const revoked = nextEvent(device, 'auth:revoked');
+    admin.emit('auth:revoke', { id });
+    await revoked;
+    assert.ok(!authManager.listDevices().some(d => d.id === id));
+});
+
+test('generates a single VAPID key pair for concurrent first uses', async () => {
+    await fs.promises.rm(paneWatcher.vapidPath, { force: true });
+    paneWatcher.vapidKeys = null;
+    const [first, second] = await Promise.all([paneWatcher.getVapidKeys(), paneWatcher.getVapidKeys()]);
+    assert.strictEqual(first.publicKey, second.publicKey);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(paneWatcher.vapidPath, 'utf8')), first);
+});
+
+test('viewers can watch but not inject input', async () => {
+    const viewer = await pairDevice('viewer tablet');
+    desktop.reset();
+
+    viewer.emit('input:keyTap', 'enter');
+    const { event, role } = await nextEvent(viewer, 'auth:forbidden');
+    assert.strictEqual(event, 'input:keyTap');
+    assert.strictEqual(role, 'viewer');
+    assert.deepStrictEqual(desktop.events, []);
+
+    viewer.emit('view:setMode', 'chat');
+    await nextEvent(viewer, 'frame', DETECTION_TIMEOUT);
+});
+
+test('sends binary frames with a header to clients that negotiate them', async () => {
+    const socket = open();
+    const transportEvent = nextEvent(socket, 'stream:transport', 1000).catch(() => null);
+    await nextEvent(socket, 'connect');
+    assert.strictEqual(await transportEvent, null, 'unpaired sockets have no stream');
+    socket.disconnect();
+
+    const viewer = await pairDevice('binary client', { frameTransports: ['binary', 'base64'] });
+    assert.strictEqual(clientManager.getClientState(viewer.id).frameTransport, 'binary');
+
+    let legacyFrames = 0;
+    viewer.on('frame', () => legacyFrames++);
+    viewer.emit('view:setMode', 'chat');
+
+    const first = decodeFrame(Buffer.from(await nextEvent(viewer, 'frame:binary', DETECTION_TIMEOUT)));
+    const second = decodeFrame(Buffer.from(await nextEvent(viewer, 'frame:binary', DETECTION_TIMEOUT)));
+    assert.strictEqual(first.encoding, 'jpeg');
+    assert.ok(second.seq > first.seq);
+    assert.ok(Math.abs(second.timestamp - Date.now()) < 5000);
+
+    const image = await Jimp.read(second.image);
+    assert.deepStrictEqual([image.width, image.height], [second.rect.width, second.rect.height]);
+    assert.strictEqual(legacyFrames, 0);
+});
+
+test('falls back to base64 frames for unknown transports', async () => {
+    const legacy = await pairDevice('legacy client', { frameTransports: ['carrier-pigeon'] });
+    assert.strictEqual(clientManager.getClientState(legacy.id).frameTransport, 'base64');
+    legacy.emit('view:setMode', 'chat');
+    assert.strictEqual(typeof await nextEvent(legacy, 'frame', DETECTION_TIMEOUT), 'string');
+});
+
+test('streams only changed tiles, nothing while idle, and keyframes on request', async () => {
+    const client = await pairDevice('tiles client', { frameTransports: ['tiles', 'binary', 'base64'] });
+    const state = clientManager.getClientState(client.id);
+    assert.strictEqual(state.frameTransport, 'tiles');
+
+    const frames = [];
+    client.on('frame:tiles', (payload) => frames.push(decodeTileFrame(Buffer.from(payload))));
+    client.emit('view:setMode', 'chat');
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+
+    // The crop changes when the pane locks, which forces a keyframe; after that the pane is idle
+    const { cropLeft, cropRight } = clientManager.getEffectiveConfig(client.id);
+    await waitFor(() => {
+        const last = frames[frames.length - 1];
+        return last && last.keyframe && last.width === state.lastCaptureArea.width - cropLeft - cropRight;
+    }, { message: 'keyframe of the locked pane' });
+    const keyframe = frames[frames.length - 1];
+    assert.strictEqual(keyframe.tiles.length, 1);
+    assert.deepStrictEqual([keyframe.tiles[0].width, keyframe.tiles[0].height], [keyframe.width, keyframe.height]);
+
+    const idleCount = frames.length;
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(frames.length, idleCount, 'no frames while the pane is idle');
+
+    // Change a few pixels inside the streamed chat pane
+    const area = state.lastCaptureArea;
+    const { cropTop } = clientManager.getEffectiveConfig(client.id);
+    desktop.getScreen().setPixelColor(0xff0000ff, area.x + 100, area.y + cropTop + 100);
+
+    const delta = await waitFor(() => frames.length > idleCount && frames[frames.length - 1], { message: 'delta frame' });
+    assert.strictEqual(delta.keyframe, false);
+    assert.strictEqual(delta.seq, keyframe.seq + 1);
+    assert.deepStrictEqual(delta.tiles.map(t => [t.x, t.y, t.width, t.height]), [[64, 64, 64, 64]]);
+
+    const tile = await Jimp.read(delta.tiles[0].image);
+    assert.deepStrictEqual([tile.width, tile.height], [64, 64]);
+
+    client.emit('stream:keyframe');
+    const next = await nextEvent(client, 'frame:tiles');
+    assert.strictEqual(decodeTileFrame(Buffer.from(next)).keyframe, true);
+});
+
+// Browser side of the WebRTC signaling, played by the same library the server uses
+async function connectVideo(socket, wrtc) {
+    const pc = new wrtc.RTCPeerConnection();
+    let remoteReady;
+    const ready = new Promise(resolve => { remoteReady = resolve; });
+    socket.on('webrtc:candidate', (candidate) => ready.then(() => pc.addIceCandidate(candidate)));
+    pc.onicecandidate = ({ candidate }) => {
+        if (candidate) {
+            socket.emit('webrtc:candidate', { candidate: candidate.candidate, sdpMid: candidate.sdpMid, sdpMLineIndex: candidate.sdpMLineIndex });
+        }
+    };
+    const firstFrame = new Promise((resolve) => {
+        pc.ontrack = ({ track }) => {
+            const sink = new wrtc.nonstandard.RTCVideoSink(track);
+            sink.onframe = ({ frame }) => {
+                sink.stop();
+                resolve(frame);
+            };
+        };
+    });
+
+    const offer = nextEvent(socket, 'webrtc:offer');
+    socket.emit('webrtc:start');
+    await pc.setRemoteDescription({ type: 'offer', sdp: (await offer).sdp });
+    remoteReady();
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    socket.emit('webrtc:answer', { sdp: answer.sdp });
+    return { pc, firstFrame };
+}
+
+test('streams the pane as a WebRTC video track', async (t) => {
+    let wrtc;
+    try {
+        wrtc = require('@roamhq/wrtc');
+    } catch {
+        t.skip('optional dependency @roamhq/wrtc is not installed');
+        return;
+    }
+
+    const client = await pairDevice('video client', { frameTransports: ['webrtc', 'tiles', 'base64'] });
+    const state = clientManager.getClientState(client.id);
+    assert.strictEqual(state.frameTransport, 'webrtc');
+
+    let frames = 0;
+    client.on('frame:tiles', () => frames++);
+    client.emit('view:setMode', 'chat');
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+
+    const sizeEvent = nextEvent(client, 'webrtc:frameSize', DETECTION_TIMEOUT);
+    const { pc, firstFrame } = await connectVideo(client, wrtc);
+    try {
+        const size = await sizeEvent;
+        const area = state.lastCaptureArea;
+        const { cropLeft, cropRight } = clientManager.getEffectiveConfig(client.id);
+        assert.strictEqual(size.width, (area.width - cropLeft - cropRight) & ~1, 'I420 needs even dimensions');
+
+        const frame = await Promise.race([
+            firstFrame,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('No video frame received')), 10000))
+        ]);
+        assert.ok(frame.width > 0 && frame.height > 0);
+        assert.strictEqual(frames, 0, 'no frames over the socket');
+    } finally {
+        pc.close();
+    }
+});
+
+test('falls back to frames when WebRTC fails on the client', async () => {
+    const client = await pairDevice('video fallback', { frameTransports: ['webrtc', 'tiles', 'base64'] });
+    const state = clientManager.getClientState(client.id);
+    if (state.frameTransport !== 'webrtc') {
+        // Optional dependency missing: the server never offered WebRTC in the first place
+        assert.strictEqual(state.frameTransport, 'tiles');
+        return;
+    }
+
+    client.emit('webrtc:failed');
+    assert.deepStrictEqual(await nextEvent(client, 'stream:transport'), { transport: 'tiles', reason: 'failed on the client' });
+    assert.strictEqual(state.frameTransport, 'tiles');
+
+    client.emit('view:setMode', 'chat');
+    const frame = decodeTileFrame(Buffer.from(await nextEvent(client, 'frame:tiles', DETECTION_TIMEOUT)));
+    assert.strictEqual(frame.keyframe, true);
+});
+
+test('adapts the stream to client feedback and maps clicks on downscaled frames', async () => {
+    const client = await pairDevice('laggy phone', { frameTransports: ['binary', 'base64'] });
+    const state = clientManager.getClientState(client.id);
+    await authManager.setRole(state.deviceId, 'operator');
+    clientManager.setDeviceRole(state.deviceId, 'operator');
+
+    client.emit('view:setMode', 'chat');
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+    const full = decodeFrame(Buffer.from(await nextEvent(client, 'frame:binary')));
+
+    // The RTT probe is acknowledged
+    await client.timeout(2000).emitWithAck('stream:ping');
+
+    // Quality already sits at qualityMin and fps at fpsMin in the test config, so the resolution goes
+    client.emit('stream:stats', { fps: 2, decodeMs: 5, rtt: 900 });
+    const adaptive = await nextEvent(client, 'stream:adaptive');
+    assert.deepStrictEqual(
+        { fps: adaptive.fps, quality: adaptive.quality, downscale: adaptive.downscale, reason: adaptive.reason },
+        { fps: 10, quality: 30, downscale: 0.75, reason: 'network' }
+    );
+    assert.strictEqual(adaptive.stats.rtt, 900);
+
+    // A frame encoded before the report may still be on its way
+    let image;
+    for (let i = 0; i < 3; i++) {
+        const frame = decodeFrame(Buffer.from(await nextEvent(client, 'frame:binary')));
+        assert.deepStrictEqual(frame.rect, full.rect, 'the rect stays in screen pixels');
+        image = await Jimp.read(frame.image);
+        if (image.width < frame.rect.width) break;
+    }
+    assert.strictEqual(image.width, Math.round(full.rect.width * 0.75));
+
+    // Frame coordinates are scaled back up before clicking
+    const area = state.lastCaptureArea;
+    const { cropTop, cropLeft } = clientManager.getEffectiveConfig(client.id);
+    desktop.reset();
+    client.emit('input:click', { x: 30, y: 60 });
+    const click = await waitFor(() => desktop.events.find(e => e.type === 'click'), { message: 'click' });
+    assert.deepStrictEqual([click.x, click.y], [
+        Math.round((area.x + 30 / 0.75 + cropLeft) / SCALE),
+        Math.round((area.y + 60 / 0.75 + cropTop) / SCALE)
+    ]);
+
+    // Malformed reports are ignored
+    client.emit('stream:stats', { fps: 'fast' });
+    await assert.rejects(nextEvent(client, 'stream:adaptive', 500));
+});
+
+test('reports per-stage latency of the image pipeline', async () => {
+    const metrics = await admin.timeout(2000).emitWithAck('stream:metrics');
+    assert.ok(metrics.pool.workers >= 1);
+    for (const stage of ['capture', 'queue', 'decode', 'crop', 'detect', 'encode', 'frame']) {
+        const { count, avgMs, p95Ms, maxMs } = metrics.stages[stage] || {};
+        assert.ok(count > 0, `${stage} recorded`);
+        assert.ok(avgMs <= maxMs && p95Ms <= maxMs, `${stage}: ${JSON.stringify(metrics.stages[stage])}`);
+    }
+});
+
+test('schedules each client at its own rate and shares screenshots between coinciding ticks', async () => {
+    // Encoding is too slow on a test machine to reach 20 fps; count the scheduled frames instead
+    const originalCapture = desktop.captureRaw;
+    const originalEmit = streamEngine.emitClientFrame;
+    let captures = 0;
+    const frames = new Map();
+    desktop.captureRaw = function (...args) {
+        captures++;
+        return originalCapture.apply(this, args);
+    };
+    streamEngine.emitClientFrame = async (state) => {
+        frames.set(state.socketId, (frames.get(state.socketId) || 0) + 1);
+    };
+
+    let slow, fast;
+    try {
+        admin.emit('view:setMode', 'idle');
+        slow = await pairDevice('slow phone');
+        fast = await pairDevice('fast phone');
+        configManager.updateClientConfig(fast.id, { fps: 20 });
+        const states = [slow, fast].map(socket => clientManager.getClientState(socket.id));
+        await waitFor(() => clientManager.getClientState(admin.id).viewMode === 'idle', { message: 'admin idle' });
+
+        // Start both clients on the same tick
+        captures = 0;
+        frames.clear();
+        const start = Date.now() + 50;
+        for (const state of states) state.nextFrameAt = start;
+        streamEngine.reschedule();
+        await new Promise(resolve => setTimeout(resolve, 1040));
+    } finally {
+        desktop.captureRaw = originalCapture;
+        streamEngine.emitClientFrame = originalEmit;
+        if (fast) configManager.removeClientConfig(fast.id);
+    }
+
+    const slowFrames = frames.get(slow.id) || 0;
+    const fastFrames = frames.get(fast.id) || 0;
+    assert.ok(slowFrames >= 8 && slowFrames <= 11, `slow client got ${slowFrames} frames`);
+    assert.ok(fastFrames >= 16 && fastFrames <= 21, `fast client got ${fastFrames} frames`);
+    // Every slow tick shares the fast client's screenshot (a slow capture may even serve two fast ticks)
+    assert.ok(captures <= fastFrames, `${captures} captures for ${slowFrames} + ${fastFrames} frames`);
+});
+
+test('streams and clicks on the monitor chosen for the global view', async () => {
+    const monitors = [
+        { x: 0, y: 0, width: 1280, height: 800 },
+        { x: 1280, y: 0, width: 1024, height: 768, name: 'Side monitor' }
+    ];
+    desktop.configure({ scale: SCALE, width: 2304, monitors });
+    admin.emit('view:setMode', 'idle');
+    const client = await pairDevice('multi-monitor phone');
+    const state = clientManager.getClientState(client.id);
+    await authManager.setRole(state.deviceId, 'operator');
+    clientManager.setDeviceRole(state.deviceId, 'operator');
+
+    try {
+        client.emit('apps:monitors');
+        const listed = await nextEvent(client, 'apps:monitors');
+        assert.deepStrictEqual(listed.map(m => [m.id, m.name, m.primary]), [[0, 'Monitor 1', true], [1, 'Side monitor', false]]);
+        assert.deepStrictEqual(listed[1].bounds, { x: 1280, y: 0, width: 1024, height: 768 });
+
+        client.emit('apps:setSource', { type: 'global', monitor: 1 });
+        client.emit('view:setMode', 'apps');
+        const side = { x: 1280 * SCALE, y: 0, width: 1024 * SCALE, height: 768 * SCALE };
+        await waitFor(() => state.lastCaptureArea && state.lastCaptureArea.x === side.x, { message: 'side monitor area' });
+        assert.deepStrictEqual(state.lastCaptureArea, side);
+
+        const frame = await decodeBase64Frame(await nextEvent(client, 'frame'));
+        const { cropTop, cropLeft, cropRight } = clientManager.getEffectiveConfig(client.id);
+        assert.strictEqual(frame.width, side.width - cropLeft - cropRight);
+
+        // The click lands on the side monitor
+        desktop.reset();
+        client.emit('input:click', { x: 30, y: 60 });
+        const click = await waitFor(() => desktop.events.find(e => e.type === 'click'), { message: 'click' });
+        assert.deepStrictEqual([click.x, click.y], [
+            Math.round(1280 + (30 + cropLeft) / SCALE),
+            Math.round((60 + cropTop) / SCALE)
+        ]);
+    } finally {
+        desktop.configure({ scale: SCALE });
+    }
+});
+
+test('records a view with its input and serves it to its device and admins', async () => {
+    admin.emit('view:setMode', 'chat');
+
+    admin.emit('record:start', { name: 'chat session' });
+    const started = await nextEvent(admin, 'record:status');
+    assert.strictEqual(started.recording, true);
+    assert.strictEqual(started.name, 'chat session');
+    assert.strictEqual(started.device, 'admin phone');
+
+    await waitFor(() => sessionRecorder.getStatus(admin.id).frames > 0, { timeout: DETECTION_TIMEOUT, message: 'recorded frame' });
+    admin.emit('input:click', { x: 30, y: 60 });
+    admin.emit('input:type', 'hunter2');
+    await waitFor(() => sessionRecorder.getStatus(admin.id).inputs > 1, { message: 'recorded click and text' });
+
+    admin.emit('record:stop');
+    assert.deepStrictEqual(await nextEvent(admin, 'record:status'), { recording: false });
+
+    const denied = await fetch(`${url}/api/recordings`);
+    assert.strictEqual(denied.status, 401);
+
+    const headers = { Authorization: `Bearer ${admin.auth.token}` };
+    const list = await (await fetch(`${url}/api/recordings`, { headers })).json();
+    const summary = list.find(r => r.id === started.id);
+    assert.strictEqual(summary.recording, false);
+    assert.ok(summary.frames > 0);
+
+    const download = await fetch(`${url}/api/recordings/${started.id}`, { headers });
+    assert.strictEqual(download.status, 200);
+    const recording = parseRecording(Buffer.from(await download.arrayBuffer()));
+    assert.strictEqual(recording.frames.length, summary.frames);
+    assert.ok(recording.frames[0].width > 0);
+    assert.deepStrictEqual(recording.inputs.map(i => i.event), [{ type: 'click', x: 30, y: 60 }, { type: 'type', length: 7 }]);
+
+    const missing = await fetch(`${url}/api/recordings/nope`, { headers });
+    assert.strictEqual(missing.status, 404);
+
+    // Another device sees neither the recording nor what was typed in it
+    const viewer = await pairDevice('recordings viewer');
+    const viewerHeaders = { Authorization: `Bearer ${viewer.auth.token}` };
+    const viewerList = await (await fetch(`${url}/api/recordings`, { headers: viewerHeaders })).json();
+    assert.ok(!viewerList.some(r => r.id === started.id));
+    assert.strictEqual((await fetch(`${url}/api/recordings/${started.id}`, { headers: viewerHeaders })).status, 403);
+    assert.strictEqual((await fetch(`${url}/api/recordings/${started.id}`, { method: 'DELETE', headers: viewerHeaders })).status, 403);
+
+    assert.strictEqual((await fetch(`${url}/api/recordings/${started.id}`, { method: 'DELETE', headers })).status, 204);
+    assert.strictEqual((await fetch(`${url}/api/recordings/${started.id}`, { headers })).status, 404);
+});
+
+test('keeps recording a client that stays idle past the inactivity timeout', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    admin.emit('record:start', { name: 'away' });
+    await nextEvent(admin, 'record:status');
+    await waitFor(() => sessionRecorder.getStatus(admin.id).frames > 0, { timeout: DETECTION_TIMEOUT, message: 'recorded frame' });
+
+    state.lastActivity = Date.now() - 61000;
+    clientManager.checkInactivity();
+    assert.strictEqual(state.isActive, true);
+    assert.ok(streamEngine.getStreamingClients().includes(state));
+    // Still handed frames (identical ones are not stored, but they are captured)
+    const { lastFrameAt } = sessionRecorder.active.get(admin.id);
+    await waitFor(() => sessionRecorder.active.get(admin.id).lastFrameAt > lastFrameAt, { message: 'frame after the timeout' });
+
+    admin.emit('record:stop');
+    const { id } = sessionRecorder.getStatus(admin.id);
+    await nextEvent(admin, 'record:status');
+    await sessionRecorder.remove(id);
+
+    // Without a recording the same idle client is paused
+    const paused = nextEvent(admin, 'stream:paused');
+    clientManager.checkInactivity();
+    assert.deepStrictEqual(await paused, { paused: true });
+    admin.emit('view:setMode', 'chat');
+    assert.deepStrictEqual(await nextEvent(admin, 'stream:paused'), { paused: false });
+});
+
+test('serves a PNG snapshot of the streamed pane or window', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+    const headers = { Authorization: `Bearer ${admin.auth.token}` };
+
+    // Same region as the stream, manual crop included
+    const response = await fetch(`${url}/api/snapshot?mode=chat`, { headers });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'image/png');
+    const chat = await Jimp.read(Buffer.from(await response.arrayBuffer()));
+    const area = state.lastCaptureArea;
+    const { cropTop, cropBottom, cropLeft, cropRight } = clientManager.getEffectiveConfig(admin.id);
+    assert.deepStrictEqual([chat.width, chat.height], [area.width - cropLeft - cropRight, area.height - cropTop - cropBottom]);
+
+    // Nobody streaming the chat: the window is found and the pane detected for the snapshot
+    admin.emit('view:setMode', 'idle');
+    await waitFor(() => state.viewMode === 'idle', { message: 'idle mode' });
+    const detected = await Jimp.read(Buffer.from(await (await fetch(`${url}/api/snapshot?mode=chat`, { headers })).arrayBuffer()));
+    assert.ok(Math.abs(detected.width - chat.width) <= 6, `detected width ${detected.width}`);
+    assert.strictEqual(detected.height, chat.height);
+
+    // A window by handle, with the crop of non-chat views
+    const terminal = desktop.windows.find(w => w.title === 'Terminal');
+    const png = await Jimp.read(Buffer.from(await (await fetch(`${url}/api/snapshot?mode=window&handle=${terminal.handle}`, { headers })).arrayBuffer()));
+    const crop = configManager.getCropConfig('apps');
+    assert.deepStrictEqual([png.width, png.height], [
+        Math.round(terminal.bounds.width * SCALE) - crop.cropLeft - crop.cropRight,
+        Math.round(terminal.bounds.height * SCALE) - crop.cropTop - crop.cropBottom
+    ]);
+
+    assert.strictEqual((await fetch(`${url}/api/snapshot?mode=window&handle=404`, { headers })).status, 404);
+    assert.strictEqual((await fetch(`${url}/api/snapshot?mode=desktop`, { headers })).status, 400);
+    assert.strictEqual((await fetch(`${url}/api/snapshot?mode=chat`)).status, 401);
+});
+
+test('sends the OCR text of the chat pane to clients in reader mode', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+
+    admin.emit('chat:reader', { enabled: true });
+    const status = await nextEvent(admin, 'chat:reader');
+    if (!ocrReader.isAvailable()) {
+        assert.deepStrictEqual(status, { enabled: false, available: false });
+        return;
+    }
+    assert.deepStrictEqual(status, { enabled: true, available: true });
+
+    // The mock chat draws bars, not letters: this checks the region and the event, not recognition
+    const text = await nextEvent(admin, 'chat:text', DETECTION_TIMEOUT);
+    const { cropTop, cropBottom, cropLeft, cropRight } = clientManager.getEffectiveConfig(admin.id);
+    const area = state.lastCaptureArea;
+    assert.deepStrictEqual([text.width, text.height], [area.width - cropLeft - cropRight, area.height - cropTop - cropBottom]);
+    assert.strictEqual(typeof text.text, 'string');
+    assert.ok(Array.isArray(text.lines));
+
+    admin.emit('chat:reader', { enabled: false });
+    assert.deepStrictEqual(await nextEvent(admin, 'chat:reader'), { enabled: false, available: true });
+    assert.strictEqual(state.readerMode, false);
+});
+
+test('alerts a device when the chat pane settles or shows its pattern', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+
+    admin.emit('watch:update', { enabled: true, settleSeconds: 3 });
+    const config = await nextEvent(admin, 'watch:config');
+    assert.deepStrictEqual({ ...config, vapidPublicKey: undefined }, { enabled: true, settleSeconds: 3, pattern: null, push: false, vapidPublicKey: undefined });
+    assert.ok(config.vapidPublicKey.length > 0);
+
+    // The pane changes (a new theme repaints it) and then stays still
+    await waitFor(() => paneWatcher.lastThumbnail, { message: 'watcher baseline' });
+    const changedAt = Date.now();
+    desktop.configure({ scale: SCALE, theme: 'light' });
+    const settled = await nextEvent(admin, 'watch:alert', 15000);
+    assert.strictEqual(settled.type, 'settled');
+    assert.strictEqual(settled.settleSeconds, 3);
+    assert.deepStrictEqual([settled.title, settled.body, settled.tag], ['El chat ha terminado', 'Sin cambios durante 3 s', 'chat-alert']);
+    assert.ok(Date.now() - changedAt >= 3000);
+
+    // A pattern cropped from a snapshot of the pane is found in it
+    const snapshot = await fetch(`${url}/api/snapshot?mode=chat`, { headers: { Authorization: `Bearer ${admin.auth.token}` } });
+    const chat = await Jimp.read(Buffer.from(await snapshot.arrayBuffer()));
+    const button = chat.clone().crop({ x: 24, y: 36, w: 96, h: 48 });
+    admin.emit('watch:update', { settleSeconds: null, pattern: { name: 'Accept', image: (await button.getBuffer('image/png')).toString('base64') } });
+    assert.deepStrictEqual((await nextEvent(admin, 'watch:config')).pattern, { name: 'Accept', width: 96, height: 48 });
+    const found = await nextEvent(admin, 'watch:alert', 15000);
+    assert.deepStrictEqual([found.type, found.pattern], ['pattern', 'Accept']);
+
+    // Unreadable patterns and malformed push subscriptions are refused
+    admin.emit('watch:update', { pattern: { name: 'Broken', image: 'bm90IGFuIGltYWdl' } });
+    const refused = await nextEvent(admin, 'watch:config');
+    assert.ok(refused.error);
+    assert.strictEqual(refused.pattern.name, 'Accept');
+    admin.emit('watch:subscribePush', { subscription: { endpoint: 'http://example.com' } });
+    assert.ok((await nextEvent(admin, 'watch:config')).error);
+
+    admin.emit('watch:test');
+    const [tested] = await Promise.all([nextEvent(admin, 'watch:alert'), nextEvent(admin, 'watch:config')]);
+    assert.strictEqual(tested.type, 'test');
+
+    admin.emit('watch:update', { enabled: false, pattern: null });
+    assert.strictEqual((await nextEvent(admin, 'watch:config')).enabled, false);
+    assert.strictEqual(paneWatcher.timer, null);
+    desktop.configure({ scale: SCALE });
+});
+
+test('pauses inactive clients and resumes the same view', async () => {
+    admin.emit('view:setMode', 'chat');
+    const state = clientManager.getClientState(admin.id);
+    await waitFor(() => state.stablePaneX > 0, { timeout: DETECTION_TIMEOUT, message: 'chat pane detection' });
+    const { stablePaneX } = state;
+
+    state.lastActivity = Date.now() - 61000;
+    const paused = nextEvent(admin, 'stream:paused');
+    clientManager.checkInactivity();
+    assert.deepStrictEqual(await paused, { paused: true });
+    assert.strictEqual(state.viewMode, 'chat');
+    assert.ok(!streamEngine.getStreamingClients().includes(state));
+
+    // Coming back keeps the calibrated pane and streams right away
+    admin.emit('view:setMode', 'chat');
+    assert.deepStrictEqual(await nextEvent(admin, 'stream:paused'), { paused: false });
+    assert.strictEqual(state.stablePaneX, stablePaneX);
+    await nextEvent(admin, 'frame');
+});
+
+test('keeps system terminals running, replays their output and shares them between devices', async () => {
+    admin.emit('term:create');
+    const { id } = await nextEvent(admin, 'term:created');
+    let output = '';
+    const collect = ({ id: termId, data }) => {
+        if (termId === id) output += data;
+    };
+    admin.on('term:data', collect);
+    admin.emit('term:input', { id, data: 'echo before-$((6*7))\r' });
+    await waitFor(() => output.includes('before-42'), { timeout: 10000, message: 'terminal output' });
+    admin.off('term:data', collect);
+
+    // A second device (or the same phone after reconnecting) gets the scrollback, then live output
+    const other = await pairDevice('second phone');
+    const { deviceId } = clientManager.getClientState(other.id);
+    await authManager.setRole(deviceId, 'operator');
+    clientManager.setDeviceRole(deviceId, 'operator');
+    const joined = nextEvent(other, 'term:session');
+    other.emit('term:attach', { id });
+    const replay = await nextEvent(other, 'term:replay');
+    assert.strictEqual(replay.id, id);
+    assert.ok(replay.data.includes('before-42'), replay.data);
+    const session = await joined;
+    assert.strictEqual(session.driving, false);
+    assert.strictEqual(session.driver, 'admin phone');
+    assert.deepStrictEqual(session.viewers.sort(), ['admin phone', 'second phone']);
+
+    // Only the driving device types; the other one takes control first
+    let live = '';
+    other.on('term:data', ({ data }) => { live += data; });
+    const refused = nextEvent(other, 'term:session');
+    other.emit('term:input', { id, data: 'echo ignored\r' });
+    assert.strictEqual((await refused).driving, false);
+
+    const adminLost = nextEvent(admin, 'term:session');
+    const otherDrives = nextEvent(other, 'term:session');
+    other.emit('term:takeControl', { id });
+    assert.strictEqual((await otherDrives).driving, true);
+    assert.strictEqual((await adminLost).driving, false);
+
+    other.emit('term:input', { id, data: 'echo after-$((6*7))\r' });
+    await waitFor(() => live.includes('after-42'), { timeout: 10000, message: 'live output after attach' });
+    assert.ok(!live.includes('ignored'), live);
+
+    // The smallest viewer sets the pty size, or the driver's with the owner policy
+    let latest = null;
+    admin.on('term:session', (next) => { latest = next; });
+    admin.emit('term:resize', { id, cols: 120, rows: 40 });
+    other.emit('term:resize', { id, cols: 50, rows: 20 });
+    await waitFor(() => latest && latest.cols === 50 && latest.rows === 20, { message: 'smallest size' });
+
+    admin.emit('term:takeControl', { id });
+    admin.emit('term:setResizePolicy', { id, policy: 'owner' });
+    await waitFor(() => latest.cols === 120 && latest.rows === 40, { message: 'driver size' });
+    assert.strictEqual(latest.driving, true);
+    assert.strictEqual(latest.resizePolicy, 'owner');
+    admin.removeAllListeners('term:session');
+
+    const exited = Promise.all([nextEvent(admin, 'term:exit'), nextEvent(other, 'term:exit')]);
+    admin.emit('term:kill', { id });
+    await exited;
+
+    other.emit('term:attach', { id });
+    assert.deepStrictEqual(await nextEvent(other, 'term:exit'), { id });
+});
+
+test('starts terminals from profiles and keeps their names', async () => {
+    admin.emit('term:profiles');
+    assert.deepStrictEqual(await nextEvent(admin, 'term:profiles'), [
+        { id: 'shell', name: 'Shell' },
+        { id: 'tmp', name: 'Temp' }
+    ]);
+
+    let output = '';
+    admin.on('term:data', ({ data }) => { output += data; });
+    admin.emit('term:create', { profile: 'tmp' });
+    const { id } = await nextEvent(admin, 'term:created');
+    // bash reports the physical path when the tmpdir is a symlink
+    const greetings = [os.tmpdir(), fs.realpathSync(os.tmpdir())].map(dir => `hola from ${dir}`);
+    await waitFor(() => greetings.some(greeting => output.includes(greeting)), { timeout: 10000, message: 'startup command output' });
+    admin.removeAllListeners('term:data');
+
+    admin.emit('term:rename', { id, name: '  Builds  ' });
+    const list = await nextEvent(admin, 'term:list');
+    assert.deepStrictEqual(list.map(({ id: termId, name, profile }) => ({ id: termId, name, profile })), [{ id, name: 'Builds', profile: 'tmp' }]);
+
+    const statePath = path.join(dataDir.dir, 'terminals.json');
+    await waitFor(() => fs.existsSync(statePath) && fs.readFileSync(statePath, 'utf8').includes('Builds'), { message: 'terminals.json' });
+    const saved = JSON.parse(fs.readFileSync(statePath, 'utf8')).terminals;
+    assert.deepStrictEqual(saved.map(({ profile, name }) => ({ profile, name })), [{ profile: 'tmp', name: 'Builds' }]);
+
+    const exited = nextEvent(admin, 'term:exit');
+    admin.emit('term:kill', { id });
+    await exited;
+    await waitFor(() => JSON.parse(fs.readFileSync(statePath, 'utf8')).terminals.length === 0, { message: 'terminal removed from terminals.json' });
+});
+
+test('lists the terminals of the last run as closed and starts them only on demand', async () => {
+    const statePath = path.join(dataDir.dir, 'terminals.json');
+    const watchers = [{ type: 'exit', onlyFailure: true }];
+    fs.writeFileSync(statePath, JSON.stringify({
+        terminals: [{ profile: 'tmp', name: 'Builds', logging: false, watchers, createdAt: 1 }],
+        closed: [{ profile: 'shell', name: 'Old', logging: false, watchers: [], createdAt: 0 }]
+    }));
+    await terminalManager.restore();
+    assert.deepStrictEqual(terminalManager.listTerminals(), []);
+
+    admin.emit('term:list');
+    const closed = await nextEvent(admin, 'term:closed');
+    assert.deepStrictEqual(closed.map(({ name, profile }) => ({ name, profile })), [{ name: 'Builds', profile: 'tmp' }, { name: 'Old', profile: 'shell' }]);
+    // Still saved for the next restart
+    assert.strictEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).closed.length, 2);
+
+    const viewer = await pairDevice('closed terminals viewer');
+    viewer.emit('term:reopen', { id: closed[0].id });
+    assert.strictEqual((await nextEvent(viewer, 'auth:forbidden')).event, 'term:reopen');
+    viewer.disconnect();
+
+    // Reopened: its profile runs again, startup command included, with its name and watchers
+    let output = '';
+    admin.on('term:data', ({ data }) => { output += data; });
+    const stillClosed = nextEvent(admin, 'term:closed');
+    admin.emit('term:reopen', { id: closed[0].id });
+    const { id } = await nextEvent(admin, 'term:created');
+    assert.deepStrictEqual((await stillClosed).map(t => t.name), ['Old']);
+    await waitFor(() => output.includes('hola from'), { timeout: 10000, message: 'startup command output' });
+    admin.removeAllListeners('term:data');
+    assert.strictEqual(terminalManager.listTerminals().find(t => t.id === id).name, 'Builds');
+    assert.deepStrictEqual(terminalManager.getWatchers(id).map(w => w.type), ['exit']);
+
+    admin.emit('term:reopen', { id: closed[0].id });
+    assert.match((await nextEvent(admin, 'term:error')).message, /no longer/);
+
+    admin.emit('term:forget', { id: closed[1].id });
+    assert.deepStrictEqual(await nextEvent(admin, 'term:closed'), []);
+    await waitFor(() => JSON.parse(fs.readFileSync(statePath, 'utf8')).closed.length === 0, { message: 'forgotten terminal saved' });
+
+    const exited = nextEvent(admin, 'term:exit');
+    admin.emit('term:kill', { id });
+    await exited;
+});
+
+test('logs terminal output to disk and serves it by log id as text or raw, also after the terminal exits', async () => {
+    admin.emit('term:create');
+    const { id } = await nextEvent(admin, 'term:created');
+    let output = '';
+    admin.on('term:data', ({ data }) => { output += data; });
+
+    const listed = nextEvent(admin, 'term:list');
+    admin.emit('term:setLogging', { id, enabled: true });
+    const entry = (await listed).find(t => t.id === id);
+    assert.strictEqual(entry.logging, true);
+    assert.match(entry.logId, new RegExp(`-${id}$`));
+
+    admin.emit('term:input', { id, data: 'printf "\\033[31mred-%s\\033[0m\\n" $((6*7))\r' });
+    await waitFor(() => output.includes('\x1b[31mred-42'), { timeout: 10000, message: 'colored output' });
+    admin.removeAllListeners('term:data');
+
+    const logUrl = `${url}/api/terminal-logs/${entry.logId}`;
+    const headers = { Authorization: `Bearer ${admin.auth.token}` };
+    const logDir = path.join(dataDir.dir, 'terminal-logs');
+    await waitFor(() => fs.readFileSync(path.join(logDir, `${entry.logId}.txt`), 'utf8').includes('red-42'), { message: 'text log' });
+    const text = await (await fetch(logUrl, { headers })).text();
+    assert.ok(text.includes('\nred-42\n'), JSON.stringify(text));
+    assert.ok(!text.includes('\x1b'), JSON.stringify(text));
+    const raw = await (await fetch(`${logUrl}?format=raw`, { headers })).text();
+    assert.ok(raw.includes('\x1b[31mred-42'), JSON.stringify(raw));
+
+    const viewer = await pairDevice('log viewer');
+    const viewerToken = viewer.auth.token;
+    assert.strictEqual((await fetch(logUrl, { headers: { Authorization: `Bearer ${viewerToken}` } })).status, 403);
+    assert.strictEqual((await fetch(logUrl)).status, 401);
+    assert.strictEqual((await fetch(`${logUrl}?token=${admin.auth.token}`)).status, 401); // Only in the header
+    assert.strictEqual((await fetch(`${url}/api/terminal-logs/nope`, { headers })).status, 404);
+    assert.strictEqual((await fetch(`${url}/api/terminal-logs/..%2Fconfig.json`, { headers })).status, 404);
+
+    const exited = nextEvent(admin, 'term:exit');
+    admin.emit('term:kill', { id });
+    await exited;
+    assert.ok((await (await fetch(logUrl, { headers })).text()).includes('red-42'));
+    const logs = await (await fetch(`${url}/api/terminal-logs`, { headers })).json();
+    assert.deepStrictEqual(
+        logs.filter(log => log.id === entry.logId).map(({ terminalId, running }) => ({ terminalId, running })),
+        [{ terminalId: id, running: false }]
+    );
+    assert.strictEqual((await fetch(`${url}/api/terminal-logs`, { headers: { Authorization: `Bearer ${viewerToken}` } })).status, 403);
+    viewer.disconnect();
+});
+
+test('reports a log that cannot be started to the terminal and deletes logs past their retention', async () => {
+    admin.emit('term:create');
+    const { id } = await nextEvent(admin, 'term:created');
+    const logDir = terminalManager.logDir;
+    try {
+        terminalManager.logDir = path.join(dataDir.dir, 'config.json', 'logs'); // Under a file: mkdir fails
+        const reported = nextEvent(admin, 'term:error');
+        admin.emit('term:setLogging', { id, enabled: true });
+        const error = await reported;
+        assert.strictEqual(error.id, id);
+        assert.match(error.message, /Could not start the log/);
+        assert.strictEqual(terminalManager.listTerminals().find(t => t.id === id).logging, false);
+    } finally {
+        terminalManager.logDir = logDir;
+    }
+
+    const listed = nextEvent(admin, 'term:list');
+    admin.emit('term:setLogging', { id, enabled: true });
+    const { logId } = (await listed).find(t => t.id === id);
+    const old = '2020-01-01T00-00-00-000Z-1';
+    for (const file of [`${old}.log`, `${old}.txt`]) {
+        fs.writeFileSync(path.join(logDir, file), 'old');
+        fs.utimesSync(path.join(logDir, file), new Date('2020-01-02'), new Date('2020-01-02'));
+    }
+    // A running terminal's log is kept however old
+    await waitFor(() => fs.existsSync(path.join(logDir, `${logId}.log`)), { message: 'log file' });
+    fs.utimesSync(path.join(logDir, `${logId}.log`), new Date('2020-01-02'), new Date('2020-01-02'));
+    await terminalManager.pruneLogs();
+    assert.ok(!fs.existsSync(path.join(logDir, `${old}.log`)) && !fs.existsSync(path.join(logDir, `${old}.txt`)));
+    assert.ok(fs.existsSync(path.join(logDir, `${logId}.log`)));
+
+    const exited = nextEvent(admin, 'term:exit');
+    admin.emit('term:kill', { id });
+    await exited;
+});
+
+test('alerts operators on watched terminal output and reports the exit code', async () => {
+    admin.emit('term:create');
+    const { id } = await nextEvent(admin, 'term:created');
+
+    admin.emit('term:setWatchers', { id, watchers: [{ type: 'pattern', pattern: '(' }] });
+    const refused = await nextEvent(admin, 'term:watchers');
+    assert.match(refused.error, /Invalid pattern/);
+    assert.deepStrictEqual(refused.watchers, []);
+
+    const updated = nextEvent(admin, 'term:watchers');
+    admin.emit('term:setWatchers', { id, watchers: [{ type: 'pattern', pattern: 'FAIL|error' }, { type: 'exit', onlyFailure: true }] });
+    const { watchers } = await updated;
+    assert.deepStrictEqual(watchers.map(w => w.type), ['pattern', 'exit']);
+
+    const alerts = [];
+    admin.on('watch:alert', (alert) => alerts.push(alert));
+    // Viewers cannot read terminals, so they get no alerts about them either
+    const viewer = await pairDevice('terminal alerts viewer');
+    const viewerAlerts = [];
+    viewer.on('watch:alert', (alert) => viewerAlerts.push(alert));
+    // Two matching lines within the cooldown: one alert. The echo of the typed command is output
+    // too, so it must not match itself.
+    admin.emit('term:input', { id, data: 'echo "FA""IL $((1+1))"; echo "FA""IL again"\r' });
+    await waitFor(() => alerts.length > 0, { timeout: 10000, message: 'pattern alert' });
+    assert.deepStrictEqual(
+        { ...alerts[0], timestamp: undefined },
+        {
+            type: 'terminal', terminalId: id, reason: 'pattern', terminal: 'Shell', pattern: 'FAIL|error', line: 'FAIL 2', timestamp: undefined,
+            title: 'Terminal "Shell": FAIL|error', body: 'FAIL 2', tag: `terminal-${id}`
+        }
+    );
+
+    const exited = nextEvent(admin, 'term:exit');
+    admin.emit('term:input', { id, data: 'exit 3\r' });
+    assert.deepStrictEqual(await exited, { id, exitCode: 3, signal: null });
+    await waitFor(() => alerts.some(a => a.reason === 'exit'), { message: 'exit alert' });
+    admin.removeAllListeners('watch:alert');
+    viewer.disconnect();
+
+    assert.strictEqual(alerts.filter(a => a.reason === 'pattern').length, 1);
+    assert.deepStrictEqual(viewerAlerts, []);
+    const exitAlert = alerts.find(a => a.reason === 'exit');
+    assert.strictEqual(exitAlert.exitCode, 3);
+    assert.strictEqual(exitAlert.terminal, 'Shell');
+    assert.deepStrictEqual([exitAlert.title, exitAlert.body], ['Terminal "Shell" ha terminado', 'Código de salida 3']);
+});
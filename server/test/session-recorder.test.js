@@ -0,0 +1,160 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir({ recording: { fps: 10, quality: 50, retentionDays: 1, maxTotalMB: 1 } });
+
+const sessionRecorder = require('../lib/SessionRecorder');
+const {
+    FILE_HEADER_LENGTH,
+    encodeFileHeader,
+    encodeFrameRecord,
+    encodeInputRecord,
+    parseRecording
+} = require('../lib/recordingFormat');
+
+after(() => dataDir.cleanup());
+
+test('round-trips frames and input events through the recording format', () => {
+    const startedAt = 1760000000123;
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const file = Buffer.concat([
+        encodeFileHeader(startedAt),
+        encodeFrameRecord(image, { time: 0, width: 540, height: 1060 }),
+        encodeInputRecord({ type: 'click', x: 100, y: 200 }, { time: 750 }),
+        encodeFrameRecord(image, { time: 1000, width: 540, height: 1060, encoding: 'png' })
+    ]);
+
+    const recording = parseRecording(file);
+    assert.strictEqual(recording.version, 1);
+    assert.strictEqual(recording.startedAt, startedAt);
+    assert.strictEqual(recording.durationMs, 1000);
+    assert.deepStrictEqual(recording.frames.map(f => [f.time, f.width, f.height, f.encoding]), [
+        [0, 540, 1060, 'jpeg'],
+        [1000, 540, 1060, 'png']
+    ]);
+    assert.ok(recording.frames[0].image.equals(image));
+    assert.deepStrictEqual(recording.inputs, [{ time: 750, event: { type: 'click', x: 100, y: 200 } }]);
+});
+
+test('reads a recording cut short up to its last whole record', () => {
+    const file = Buffer.concat([
+        encodeFileHeader(Date.now()),
+        encodeInputRecord({ type: 'keyTap', key: 'enter' }, { time: 10 }),
+        encodeFrameRecord(Buffer.alloc(64, 7), { time: 20, width: 8, height: 8 })
+    ]);
+
+    const recording = parseRecording(file.subarray(0, file.length - 10));
+    assert.strictEqual(recording.inputs.length, 1);
+    assert.strictEqual(recording.frames.length, 0);
+    assert.strictEqual(parseRecording(file.subarray(0, FILE_HEADER_LENGTH)).durationMs, 0);
+    assert.throws(() => parseRecording(Buffer.from('not a recording')), /Not a session recording/);
+});
+
+test('records a client at the configured rate and leaves out identical frames', async () => {
+    const summary = await sessionRecorder.start('socket-a', { name: 'chat review', device: 'phone', viewMode: 'chat' });
+    assert.strictEqual(summary.recording, true);
+    assert.strictEqual(sessionRecorder.getStatus('socket-a').id, summary.id);
+    assert.deepStrictEqual(sessionRecorder.getStatus('socket-b'), { recording: false });
+
+    const t0 = summary.startedAt;
+    const frameA = Buffer.from('frame a');
+    const frameB = Buffer.from('frame b');
+    assert.strictEqual(sessionRecorder.wantsFrame('socket-a', t0), true);
+    sessionRecorder.recordFrame('socket-a', frameA, { timestamp: t0, width: 10, height: 20 });
+    assert.strictEqual(sessionRecorder.wantsFrame('socket-a', t0 + 50), false, '10 fps leaves 100 ms between frames');
+    assert.strictEqual(sessionRecorder.wantsFrame('socket-a', t0 + 100), true);
+    sessionRecorder.recordFrame('socket-a', frameA, { timestamp: t0 + 100, width: 10, height: 20 });
+    sessionRecorder.recordInput('socket-a', { type: 'type', length: 4 });
+    sessionRecorder.recordFrame('socket-a', frameB, { timestamp: t0 + 200, width: 10, height: 20 });
+    sessionRecorder.recordInput('socket-b', { type: 'type', text: 'not recording' });
+
+    const stopped = await sessionRecorder.stop('socket-a');
+    assert.strictEqual(stopped.recording, false);
+    assert.strictEqual(stopped.frames, 2);
+    assert.strictEqual(stopped.inputs, 1);
+    assert.strictEqual(await sessionRecorder.stop('socket-a'), null);
+
+    const file = sessionRecorder.getRecordingFile(summary.id);
+    assert.strictEqual(fs.statSync(file).size, stopped.bytes);
+    const recording = parseRecording(fs.readFileSync(file));
+    assert.deepStrictEqual(recording.frames.map(f => f.image.toString()), ['frame a', 'frame b']);
+    assert.deepStrictEqual(recording.frames.map(f => f.time), [0, 200]);
+    assert.deepStrictEqual(recording.inputs.map(i => i.event), [{ type: 'type', length: 4 }]);
+
+    const [listed] = await sessionRecorder.list();
+    assert.strictEqual(listed.id, summary.id);
+    assert.strictEqual(listed.name, 'chat review');
+    assert.strictEqual(listed.device, 'phone');
+});
+
+test('opens a single recording for overlapping starts, and stops it right after', async () => {
+    const before = fs.readdirSync(sessionRecorder.dir).filter(file => file.endsWith('.rec')).length;
+    const [first, second] = await Promise.all([
+        sessionRecorder.start('socket-e', { name: 'double tap' }),
+        sessionRecorder.start('socket-e', { name: 'double tap' })
+    ]);
+    assert.strictEqual(first.id, second.id);
+    assert.strictEqual(fs.readdirSync(sessionRecorder.dir).filter(file => file.endsWith('.rec')).length, before + 1);
+    await sessionRecorder.stop('socket-e');
+
+    const started = sessionRecorder.start('socket-e', {});
+    const stopped = await sessionRecorder.stop('socket-e');
+    assert.strictEqual(stopped.id, (await started).id);
+    assert.strictEqual(sessionRecorder.isRecording('socket-e'), false);
+});
+
+test('only serves recordings by well-formed ids', () => {
+    assert.strictEqual(sessionRecorder.getRecordingFile('../config'), null);
+    assert.strictEqual(sessionRecorder.getRecordingFile('missing-recording'), null);
+    assert.strictEqual(sessionRecorder.getRecordingFile(undefined), null);
+});
+
+// A finished recording written straight to disk; `bytes` is what retention counts
+function writeRecording(id, { startedAt, endedAt = startedAt + 1000, bytes = 100 }) {
+    const meta = { id, name: id, device: 'phone', deviceId: 'device-1', viewMode: 'chat', startedAt, endedAt, frames: 0, inputs: 0, bytes };
+    fs.writeFileSync(path.join(dataDir.dir, 'recordings', `${id}.json`), JSON.stringify(meta));
+    fs.writeFileSync(path.join(dataDir.dir, 'recordings', `${id}.rec`), encodeFileHeader(startedAt));
+}
+
+test('deletes finished recordings but not one in progress', async () => {
+    const now = Date.now();
+    writeRecording('finished', { startedAt: now - 5000 });
+    writeRecording('interrupted', { startedAt: now - 4000, endedAt: null });
+
+    assert.strictEqual((await sessionRecorder.getSummary('interrupted')).recording, false, 'no socket records it any more');
+    assert.strictEqual(await sessionRecorder.remove('finished'), true);
+    assert.strictEqual(sessionRecorder.getRecordingFile('finished'), null);
+    assert.strictEqual(await sessionRecorder.getSummary('finished'), null);
+    assert.strictEqual(await sessionRecorder.remove('finished'), false);
+    assert.strictEqual(await sessionRecorder.remove('../config'), false);
+    assert.strictEqual(await sessionRecorder.remove('interrupted'), true);
+
+    const running = await sessionRecorder.start('socket-c', { name: 'running' });
+    await assert.rejects(sessionRecorder.remove(running.id), /in progress/);
+    await sessionRecorder.stop('socket-c');
+    assert.strictEqual(await sessionRecorder.remove(running.id), true);
+});
+
+test('prunes recordings past the retention days, then the oldest over the size limit', async () => {
+    const now = Date.now();
+    const hour = 60 * 60 * 1000;
+    writeRecording('expired', { startedAt: now - 50 * hour });
+    writeRecording('big-old', { startedAt: now - 3 * hour, bytes: 600 * 1024 });
+    writeRecording('big-new', { startedAt: now - 2 * hour, bytes: 600 * 1024 });
+    writeRecording('small', { startedAt: now - hour });
+
+    assert.deepStrictEqual(await sessionRecorder.prune(now), ['expired', 'big-old']);
+    const left = (await sessionRecorder.list()).map(r => r.id);
+    assert.ok(left.includes('big-new') && left.includes('small'), left.join(', '));
+    assert.deepStrictEqual(await sessionRecorder.prune(now), []);
+
+    // A new recording makes room first
+    writeRecording('big-newest', { startedAt: now - hour / 2, bytes: 600 * 1024 });
+    const summary = await sessionRecorder.start('socket-d', {});
+    await sessionRecorder.stop('socket-d');
+    const ids = (await sessionRecorder.list()).map(r => r.id);
+    assert.ok(!ids.includes('big-new') && ids.includes('big-newest') && ids.includes(summary.id), ids.join(', '));
+});
@@ -0,0 +1,49 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TerminalLog = require('../lib/TerminalLog');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-log-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('writes the raw output and its plain text', async () => {
+    const log = new TerminalLog(path.join(dir, 'plain'));
+    log.write('\x1b[31mred\x1b[0m\r\n');
+    await log.close();
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'plain.log'), 'utf8'), '\x1b[31mred\x1b[0m\r\n');
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'plain.txt'), 'utf8'), 'red\n');
+});
+
+test('stops with a note past maxBytes, counting what earlier logs of the terminal wrote', async () => {
+    const log = new TerminalLog(path.join(dir, 'capped'), { maxBytes: 10, bytes: 4 });
+    log.write('12345');
+    assert.strictEqual(log.full, false);
+    log.write('6789');
+    assert.strictEqual(log.full, true);
+    log.write('dropped');
+    await log.close();
+    const raw = fs.readFileSync(path.join(dir, 'capped.log'), 'utf8');
+    assert.ok(raw.startsWith('123456789\r\n[Log stopped'), JSON.stringify(raw));
+    assert.ok(!raw.includes('dropped'));
+    assert.match(fs.readFileSync(path.join(dir, 'capped.txt'), 'utf8'), /^123456789\n\[Log stopped: size limit \(terminal\.logMaxMB\) reached\]\n$/);
+    assert.strictEqual(log.bytes, 13);
+});
+
+test('reports the first write error and drops later output', async () => {
+    const errors = [];
+    let reported;
+    const failed = new Promise(resolve => { reported = resolve; });
+    const log = new TerminalLog(path.join(dir, 'missing', 'log'), {
+        onError: (err) => {
+            errors.push(err.code);
+            reported();
+        }
+    });
+    await failed;
+    log.write('lost');
+    await log.close();
+    assert.deepStrictEqual(errors, ['ENOENT']); // Both files fail: reported once
+    assert.strictEqual(log.failed, true);
+});
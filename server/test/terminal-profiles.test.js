@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { normalizeProfile, findProfile, profileEnv, listProfiles } = require('../lib/terminalProfiles');
+
+const profiles = [
+    { id: 'shell', name: 'Shell' },
+    { id: 'node', name: 'Node REPL', shell: 'node', args: ['--interactive'], cwd: '~/projects', env: { NODE_ENV: 'development', DEBUG: null } }
+];
+
+test('fills in missing profile fields with the platform shell', () => {
+    const profile = normalizeProfile({ id: 'shell' });
+    assert.strictEqual(profile.name, 'shell');
+    assert.strictEqual(profile.shell, os.platform() === 'win32' ? 'powershell.exe' : 'bash');
+    assert.deepStrictEqual(profile.args, []);
+    assert.strictEqual(profile.cwd, process.cwd());
+    assert.strictEqual(profile.startupCommand, null);
+});
+
+test('finds profiles by id and falls back to the first one', () => {
+    const node = findProfile(profiles, 'node');
+    assert.strictEqual(node.shell, 'node');
+    assert.deepStrictEqual(node.args, ['--interactive']);
+    assert.strictEqual(node.cwd, path.join(os.homedir(), 'projects'));
+
+    assert.strictEqual(findProfile(profiles, 'missing').id, 'shell');
+    assert.strictEqual(findProfile([], undefined).id, 'shell');
+});
+
+test('overrides and unsets environment variables', () => {
+    const env = profileEnv(findProfile(profiles, 'node'), { PATH: '/bin', DEBUG: '*' });
+    assert.deepStrictEqual(env, { PATH: '/bin', NODE_ENV: 'development' });
+});
+
+test('only shows ids and names to clients', () => {
+    assert.deepStrictEqual(listProfiles(profiles), [
+        { id: 'shell', name: 'Shell' },
+        { id: 'node', name: 'Node REPL' }
+    ]);
+});
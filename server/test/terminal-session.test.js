@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TerminalSession = require('../lib/TerminalSession');
+
+const laptop = { id: 'laptop', name: 'Laptop' };
+const phone = { id: 'phone', name: 'Phone' };
+
+function createSession(resizePolicy) {
+    const session = new TerminalSession({ resizePolicy, cols: 80, rows: 24 });
+    session.join('s1', laptop);
+    session.setViewerSize('s1', 160, 48);
+    session.join('s2', phone);
+    session.setViewerSize('s2', 40, 30);
+    return session;
+}
+
+test('the first device drives until another takes control', () => {
+    const session = createSession('smallest');
+    assert.ok(session.canDrive('laptop'));
+    assert.ok(!session.canDrive('phone'));
+    assert.deepStrictEqual(session.describe('phone').driving, false);
+
+    // Leaving does not give control away: the driver may just be reconnecting
+    session.leave('s1');
+    assert.ok(!session.canDrive('phone'));
+
+    session.takeControl(phone);
+    assert.ok(session.canDrive('phone'));
+    assert.deepStrictEqual(session.describe('phone'), {
+        driver: 'Phone', driving: true, viewers: ['Phone'], cols: 80, rows: 24, resizePolicy: 'smallest'
+    });
+});
+
+test('sizes the pty for the smallest viewer', () => {
+    const session = createSession('smallest');
+    assert.strictEqual(session.updateSize(), true);
+    assert.deepStrictEqual([session.cols, session.rows], [40, 30]);
+    assert.strictEqual(session.updateSize(), false);
+
+    session.leave('s2');
+    assert.strictEqual(session.updateSize(), true);
+    assert.deepStrictEqual([session.cols, session.rows], [160, 48]);
+});
+
+test('sizes the pty for the driving device with the owner policy', () => {
+    const session = createSession('owner');
+    session.updateSize();
+    assert.deepStrictEqual([session.cols, session.rows], [160, 48]);
+
+    session.takeControl(phone);
+    session.updateSize();
+    assert.deepStrictEqual([session.cols, session.rows], [40, 30]);
+
+    assert.strictEqual(session.setResizePolicy('largest'), false);
+    assert.strictEqual(session.resizePolicy, 'owner');
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TerminalWatchers = require('../lib/TerminalWatchers');
+
+const COOLDOWN = 1000;
+
+test('fires on complete lines of plain text, once per cooldown', () => {
+    const watchers = new TerminalWatchers(COOLDOWN);
+    watchers.set([{ type: 'pattern', pattern: 'FAIL|error' }]);
+
+    assert.deepStrictEqual(watchers.feed('PASS a.test.js\r\n\x1b[31mFA', 0), []);
+    const fired = watchers.feed('IL\x1b[0m b.test.js\r\nError: boom\r\n', 10);
+    assert.strictEqual(fired.length, 1);
+    assert.strictEqual(fired[0].line, 'FAIL b.test.js');
+
+    assert.deepStrictEqual(watchers.feed('FAIL c.test.js\n', 500), []);
+    assert.strictEqual(watchers.feed('FAIL d.test.js\n', 1500).length, 1);
+});
+
+test('removes watchers set to fire once', () => {
+    const watchers = new TerminalWatchers(COOLDOWN);
+    watchers.set([{ type: 'pattern', pattern: 'Listening', caseSensitive: true, once: true }]);
+    assert.deepStrictEqual(watchers.feed('listening\n', 0), []);
+    assert.strictEqual(watchers.feed('Listening on 5173\n', 0).length, 1);
+    assert.deepStrictEqual(watchers.list(), []);
+});
+
+test('fires exit watchers, optionally only on failure', () => {
+    const watchers = new TerminalWatchers(COOLDOWN);
+    watchers.set([{ type: 'exit' }, { type: 'exit', onlyFailure: true }]);
+    assert.strictEqual(watchers.exit({ exitCode: 0 }).length, 1);
+    assert.strictEqual(watchers.exit({ exitCode: 1 }).length, 2);
+    assert.strictEqual(watchers.exit({ exitCode: 0, signal: 9 }).length, 2);
+});
+
+test('refuses invalid watchers and keeps the previous ones', () => {
+    const watchers = new TerminalWatchers(COOLDOWN);
+    watchers.set([{ id: 'a', type: 'exit' }]);
+    assert.throws(() => watchers.set([{ type: 'pattern', pattern: '(' }]), /Invalid pattern/);
+    assert.throws(() => watchers.set([{ type: 'pattern', pattern: '' }]), /Pattern must have/);
+    assert.throws(() => watchers.set([{ type: 'bell' }]), /type must be/);
+    assert.deepStrictEqual(watchers.list(), [{ id: 'a', type: 'exit', onlyFailure: false }]);
+});
+
+test('refuses patterns that can backtrack exponentially', () => {
+    const watchers = new TerminalWatchers(COOLDOWN);
+    for (const pattern of ['(a+)+$', '(x|xy)*z', '(?:\\d+\\s?)*!', '((ab)*c){5}', '(\\w+) \\1']) {
+        assert.throws(() => watchers.set([{ type: 'pattern', pattern }]), /too slow/, pattern);
+    }
+    assert.deepStrictEqual(watchers.list(), []);
+
+    watchers.set([{ type: 'pattern', pattern: '(FAIL|ERROR): .*\\(\\d+\\)+ [(+]+' }, { type: 'pattern', pattern: '(https?://)?\\w+' }]);
+    assert.strictEqual(watchers.feed('FAIL: b.test.js (3)) ((\n', 0).length, 2);
+});
@@ -0,0 +1,246 @@
+/**
+ * X11 backend against a real X server: capture, XTEST input and EWMH window listing.
+ * Starts its own Xvfb when one is installed (`Xvfb -displayfd`), otherwise uses $DISPLAY;
+ * skipped when neither is available. On $DISPLAY it only types into and clicks on its own window.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const x11 = require('x11');
+const X11Backend = require('../lib/desktop/X11Backend');
+
+const WINDOW = { x: 40, y: 60, width: 200, height: 120 };
+const TITLE = 'Remote control X11 test – ñ';
+const SMILEY = 0x0100263a; // '☺', in no default layout
+
+function findXvfb() {
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        const file = path.join(dir, 'Xvfb');
+        if (dir && fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+const xvfbPath = findXvfb();
+const skip = !xvfbPath && !process.env.DISPLAY ? 'needs Xvfb or an X display ($DISPLAY)' : false;
+
+let xvfb = null;
+let helper; // A second X client that owns the test window and sees its events
+let backend;
+let wid;
+let hasWindowManager;
+const events = [];
+
+function request(X, method, ...args) {
+    return new Promise((resolve, reject) => {
+        X[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(predicate, message, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await predicate();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+        await sleep(25);
+    }
+}
+
+function startXvfb() {
+    return new Promise((resolve, reject) => {
+        xvfb = spawn(xvfbPath, ['-displayfd', '3', '-screen', '0', '640x480x24', '-nolisten', 'tcp'], {
+            stdio: ['ignore', 'ignore', 'ignore', 'pipe']
+        });
+        xvfb.on('error', reject);
+        xvfb.on('exit', (code) => reject(new Error(`Xvfb exited with code ${code}`)));
+        let output = '';
+        xvfb.stdio[3].on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('\n')) resolve(`:${output.trim()}`);
+        });
+    });
+}
+
+function openHelper() {
+    return new Promise((resolve, reject) => {
+        const client = x11.createClient((err, display) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve({ X: display.client, display, root: display.screen[0].root });
+        });
+        client.on('error', (err) => console.error('X11 test client error:', err.message));
+    });
+}
+
+// Keycode of a keysym the way the backend picks it: the first keycode with it unshifted or shifted
+async function keycodeOf(keysym) {
+    const { X, display } = helper;
+    const rows = await request(X, 'GetKeyboardMapping', display.min_keycode, display.max_keycode - display.min_keycode + 1);
+    const index = rows.findIndex(row => row.slice(0, 2).includes(keysym));
+    return index === -1 ? null : display.min_keycode + index;
+}
+
+async function keyPresses(count) {
+    return until(() => {
+        const presses = events.filter(e => e.name === 'KeyPress');
+        return presses.length >= count && presses.map(e => e.keycode);
+    }, `${count} key presses`);
+}
+
+before(async () => {
+    if (skip) return;
+    if (xvfbPath) process.env.DISPLAY = await startXvfb();
+
+    helper = await openHelper();
+    const { X, root } = helper;
+    X.on('event', (ev) => events.push(ev));
+
+    wid = X.AllocID();
+    X.CreateWindow(wid, root, WINDOW.x, WINDOW.y, WINDOW.width, WINDOW.height, 0, 0, 0, 0, {
+        backgroundPixel: 0xff0000,
+        eventMask: x11.eventMask.KeyPress | x11.eventMask.ButtonPress | x11.eventMask.Exposure
+    });
+    const [utf8, wmName, wmPid, wmCheck] = await Promise.all(['UTF8_STRING', '_NET_WM_NAME', '_NET_WM_PID', '_NET_SUPPORTING_WM_CHECK']
+        .map(name => request(X, 'InternAtom', false, name)));
+    X.ChangeProperty(0, wid, wmName, utf8, 8, Buffer.from(TITLE, 'utf8'));
+    X.ChangeProperty(0, wid, wmPid, X.atoms.CARDINAL, 32, [process.pid]);
+    X.MapWindow(wid);
+    await until(() => events.some(e => e.name === 'Expose' && e.wid === wid), 'the test window');
+
+    // Without a window manager nobody maintains the client list: play its part
+    hasWindowManager = (await request(X, 'GetProperty', 0, root, wmCheck, 0, 0, 1)).data.length > 0;
+    if (!hasWindowManager) {
+        const clientList = await request(X, 'InternAtom', false, '_NET_CLIENT_LIST');
+        X.ChangeProperty(0, root, clientList, X.atoms.WINDOW, 32, [wid]);
+    }
+    X.SetInputFocus(wid, 1);
+
+    backend = new X11Backend();
+    await backend.connect();
+});
+
+after(async () => {
+    if (skip) return;
+    if (backend && backend.connection) (await backend.connection).X.terminate();
+    if (helper) {
+        if (!hasWindowManager) helper.X.DeleteProperty(helper.root, await request(helper.X, 'InternAtom', false, '_NET_CLIENT_LIST'));
+        helper.X.DestroyWindow(wid);
+        await request(helper.X, 'GetInputFocus'); // Round trip: the requests above have been processed
+        helper.X.terminate();
+    }
+    if (xvfb) {
+        xvfb.removeAllListeners('exit');
+        xvfb.kill();
+    }
+});
+
+async function windowCenter() {
+    const { X, root } = helper;
+    const origin = await request(X, 'TranslateCoordinates', wid, root, WINDOW.width / 2, WINDOW.height / 2);
+    return { x: origin.destX, y: origin.destY };
+}
+
+test('captures the screen and any region of it', { skip }, async () => {
+    const image = await backend.captureImage();
+    const { width, height } = backend.getScreenSize();
+    assert.strictEqual(image.bitmap.width, width);
+    assert.strictEqual(image.bitmap.height, height);
+
+    const center = await windowCenter();
+    const region = await backend.captureRaw({ ...center, width: 2, height: 1 });
+    assert.deepStrictEqual({ x: region.x, y: region.y, width: region.width, height: region.height }, { ...center, width: 2, height: 1 });
+    assert.strictEqual(region.format, 'bgrx');
+    assert.deepStrictEqual([region.data[2], region.data[1], region.data[0]], [255, 0, 0]);
+});
+
+test('clicks and scrolls where the pointer was moved', { skip }, async () => {
+    const center = await windowCenter();
+    events.length = 0;
+    await backend.moveMouse(center.x, center.y);
+    await backend.click();
+    await backend.scroll(2);
+    await backend.scroll(-1);
+
+    const presses = await until(() => {
+        const found = events.filter(e => e.name === 'ButtonPress');
+        return found.length >= 4 && found;
+    }, 'button presses');
+    assert.deepStrictEqual(presses.map(e => e.keycode), [1, 4, 4, 5]);
+    assert.strictEqual(presses[0].wid, wid);
+    assert.deepStrictEqual({ x: presses[0].x, y: presses[0].y }, { x: WINDOW.width / 2, y: WINDOW.height / 2 });
+});
+
+test('types text and taps named keys', { skip }, async () => {
+    events.length = 0;
+    await backend.typeString('aB');
+    await backend.keyTap('enter');
+
+    const expected = [
+        await keycodeOf(x11.keySyms.XK_a.code),
+        await keycodeOf(x11.keySyms.XK_Shift_L.code),
+        await keycodeOf(x11.keySyms.XK_b.code),
+        await keycodeOf(x11.keySyms.XK_Return.code)
+    ];
+    assert.deepStrictEqual(await keyPresses(4), expected);
+    await assert.rejects(backend.keyTap('hyper'), /Unknown key/);
+});
+
+test('picks up keymap changes made after it was loaded', { skip }, async (t) => {
+    const { X, display } = helper;
+    await backend.keyTap('a'); // The keymap is loaded
+    const rows = await request(X, 'GetKeyboardMapping', display.min_keycode, display.max_keycode - display.min_keycode + 1);
+    const spare = rows.map((row, index) => (row.every(keysym => keysym === 0) ? display.min_keycode + index : null)).filter(k => k !== null);
+    if (spare.length < 2) {
+        t.skip('the keymap has no two unused keycodes');
+        return;
+    }
+
+    // The backend binds unknown keysyms to the last unused keycode: bind this one to the first
+    const [keycode] = spare;
+    const perKeycode = rows[0].length;
+    X.ChangeKeyboardMapping(keycode, perKeycode, new Array(perKeycode).fill(SMILEY));
+    try {
+        await until(() => backend.keymap === null, 'MappingNotify');
+        events.length = 0;
+        await backend.typeString('☺');
+        assert.deepStrictEqual(await keyPresses(1), [keycode]);
+    } finally {
+        X.ChangeKeyboardMapping(keycode, perKeycode, new Array(perKeycode).fill(0));
+    }
+});
+
+test('unbinds the keycode it binds for characters missing from the layout', { skip }, async () => {
+    const { X, display } = helper;
+    const readKeymap = () => request(X, 'GetKeyboardMapping', display.min_keycode, display.max_keycode - display.min_keycode + 1);
+    const before = await readKeymap();
+
+    events.length = 0;
+    await backend.typeString('☺');
+    const [keycode] = await keyPresses(1);
+    assert.ok(before[keycode - display.min_keycode].every(keysym => keysym === 0), 'an unused keycode');
+    await until(async () => JSON.stringify(await readKeymap()) === JSON.stringify(before), 'the keymap restored');
+});
+
+test('lists windows through EWMH and finds their bounds', { skip }, async () => {
+    const listed = await until(async () => (await backend.listWindows()).find(w => w.handle === wid), 'the window in _NET_CLIENT_LIST');
+    assert.deepStrictEqual(listed, { title: TITLE, handle: wid, process: process.pid });
+
+    const bounds = await backend.findWindowBounds('^Remote control X11 test');
+    assert.deepStrictEqual(await backend.findWindowBoundsByHandle(wid), bounds);
+    if (hasWindowManager) {
+        // Placed by the window manager, frame included
+        assert.ok(bounds.width >= WINDOW.width && bounds.height >= WINDOW.height, JSON.stringify(bounds));
+    } else {
+        assert.deepStrictEqual(bounds, WINDOW);
+    }
+
+    assert.strictEqual(await backend.findWindowBounds('no window has this title'), null);
+    assert.strictEqual(await backend.activateWindow('no window has this title'), 'NOT_FOUND');
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { keySyms } = require('x11');
+const { XK_SHIFT_L, charToKeysym, keyNameToKeysym } = require('../lib/desktop/x11/keysyms');
+
+test('maps ASCII and Latin-1 characters to their own keysyms', () => {
+    assert.strictEqual(charToKeysym('a'), 0x61);
+    assert.strictEqual(charToKeysym('A'), 0x41);
+    assert.strictEqual(charToKeysym(' '), keySyms.XK_space.code);
+    assert.strictEqual(charToKeysym('~'), 0x7e);
+    assert.strictEqual(charToKeysym('ñ'), keySyms.XK_ntilde.code);
+    assert.strictEqual(charToKeysym('\u00a0'), 0xa0); // No-break space
+});
+
+test('maps line breaks and tabs to their keys', () => {
+    assert.strictEqual(charToKeysym('\n'), keySyms.XK_Return.code);
+    assert.strictEqual(charToKeysym('\t'), keySyms.XK_Tab.code);
+});
+
+test('maps other characters to Unicode keysyms', () => {
+    assert.strictEqual(charToKeysym('€'), 0x010020ac);
+    assert.strictEqual(charToKeysym('☺'), 0x0100263a);
+    assert.strictEqual(charToKeysym('😀'), 0x0101f600); // Outside the BMP: the whole code point
+    assert.strictEqual(charToKeysym('\x7f'), 0x0100007f); // Not printable ASCII
+});
+
+test('maps robotjs key names, in any case', () => {
+    assert.strictEqual(keyNameToKeysym('enter'), keySyms.XK_Return.code);
+    assert.strictEqual(keyNameToKeysym('Escape'), keySyms.XK_Escape.code);
+    assert.strictEqual(keyNameToKeysym('pagedown'), keySyms.XK_Page_Down.code);
+    assert.strictEqual(keyNameToKeysym('command'), keySyms.XK_Super_L.code);
+    assert.strictEqual(keyNameToKeysym('shift'), XK_SHIFT_L);
+});
+
+test('maps function keys F1 to F24', () => {
+    assert.strictEqual(keyNameToKeysym('f1'), keySyms.XK_F1.code);
+    assert.strictEqual(keyNameToKeysym('F12'), keySyms.XK_F12.code);
+    assert.strictEqual(keyNameToKeysym('f24'), keySyms.XK_F24.code);
+    assert.strictEqual(keyNameToKeysym('f25'), null);
+    assert.strictEqual(keyNameToKeysym('f0'), null);
+});
+
+test('maps single characters and refuses unknown names', () => {
+    assert.strictEqual(keyNameToKeysym('a'), 0x61);
+    assert.strictEqual(keyNameToKeysym('Ñ'), keySyms.XK_Ntilde.code);
+    assert.strictEqual(keyNameToKeysym('😀'), 0x0101f600);
+    assert.strictEqual(keyNameToKeysym('hyper'), null);
+    assert.strictEqual(keyNameToKeysym(''), null);
+});
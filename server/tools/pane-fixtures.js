@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Pane detection fixtures CLI
+ *
+ *   node tools/pane-fixtures.js report
+ *       Runs the detectors on every fixture and prints the accuracy per fixture and per theme.
+ *       Exits with 1 if a fixture without "todo" fails.
+ *
+ *   node tools/pane-fixtures.js add <name> [--theme dark] [--window "Cursor"] [--image shot.png]
+ *                                          [--chat x,y,w,h | --no-chat] [--terminal x,y,w,h | --no-terminal]
+ *                                          [--description "..."]
+ *       Captures the IDE window (or crops nothing when --image is given) and saves it as a fixture.
+ *       Panes not given explicitly are pre-filled from the current detector output: check them
+ *       against the image before committing, otherwise the fixture only records today's behaviour.
+ */
+const { parseArgs } = require('util');
+const { Jimp } = require('jimp');
+const configManager = require('../configManager');
+const { findChatPaneStructural, findTerminalPane } = require('../pane-detector');
+const { loadFixtures, evaluateFixture, formatReport, validateFixtureName, saveFixture, FIXTURES_DIR } = require('../lib/pane-fixtures');
+
+const USAGE = `Usage:
+  node tools/pane-fixtures.js report
+  node tools/pane-fixtures.js add <name> [--theme dark] [--window <regex>] [--image <file>]
+                                         [--chat x,y,w,h | --no-chat] [--terminal x,y,w,h | --no-terminal]
+                                         [--description <text>]`;
+
+function parseRect(value, option) {
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+        throw new Error(`--${option} expects x,y,width,height (got "${value}")`);
+    }
+    const [x, y, width, height] = parts;
+    return { x, y, width, height };
+}
+
+async function report() {
+    const fixtures = await loadFixtures();
+    if (fixtures.length === 0) {
+        console.log(`No fixtures in ${FIXTURES_DIR}`);
+        return 0;
+    }
+
+    const results = [];
+    for (const fixture of fixtures) {
+        results.push(await evaluateFixture(fixture));
+    }
+    console.log(formatReport(results));
+
+    return results.some(r => !r.pass && !r.fixture.todo) ? 1 : 0;
+}
+
+// Same crop as StreamEngine: window bounds are logical, the capture is physical
+async function captureWindow(titlePattern) {
+    const desktop = require('../lib/desktop');
+    const bounds = await desktop.findWindowBounds(titlePattern);
+    if (!bounds) {
+        throw new Error(`No window matches "${titlePattern}"`);
+    }
+
+    const screen = await desktop.captureImage();
+    const logical = desktop.getScreenSize();
+    const scaleX = screen.width / logical.width;
+    const scaleY = screen.height / logical.height;
+
+    const x = Math.max(0, Math.round(bounds.x * scaleX));
+    const y = Math.max(0, Math.round(bounds.y * scaleY));
+    return screen.crop({
+        x,
+        y,
+        w: Math.min(screen.width - x, Math.round(bounds.width * scaleX)),
+        h: Math.min(screen.height - y, Math.round(bounds.height * scaleY))
+    });
+}
+
+async function add(name, options) {
+    validateFixtureName(name);
+    const image = options.image
+        ? await Jimp.read(options.image)
+        : await captureWindow(options.window || configManager.getTargetWindowTitles());
+
+    const prefilled = [];
+    const truthFor = async (pane, detector) => {
+        if (options[`no-${pane}`]) return null;
+        if (options[pane]) return parseRect(options[pane], pane);
+        prefilled.push(pane);
+        return detector(image.clone(), { quiet: true });
+    };
+
+    const truth = {
+        theme: options.theme,
+        description: options.description || '',
+        chat: await truthFor('chat', findChatPaneStructural),
+        terminal: await truthFor('terminal', findTerminalPane)
+    };
+
+    await saveFixture(name, image, truth);
+    console.log(`Saved fixture "${name}" (${image.width}x${image.height}) to ${FIXTURES_DIR}`);
+    console.log(JSON.stringify(truth, null, 2));
+    if (prefilled.length > 0) {
+        console.log('\x1b[33m%s\x1b[0m', `⚠ ${prefilled.join(' and ')} pre-filled from the current detector output - check ${name}.json against the image before committing.`);
+    }
+    return 0;
+}
+
+async function main() {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            theme: { type: 'string', default: 'dark' },
+            window: { type: 'string' },
+            image: { type: 'string' },
+            chat: { type: 'string' },
+            terminal: { type: 'string' },
+            'no-chat': { type: 'boolean' },
+            'no-terminal': { type: 'boolean' },
+            description: { type: 'string' }
+        }
+    });
+
+    await configManager.ready;
+    const [command, name] = positionals;
+
+    if (command === 'report') return report();
+    if (command === 'add' && name) return add(name, values);
+
+    console.log(USAGE);
+    return 1;
+}
+
+// Exit explicitly: desktop backends may keep helper processes or connections open
+main().then(code => process.exit(code), (error) => {
+    console.error(error.message);
+    process.exit(1);
+});
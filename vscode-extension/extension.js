@@ -11,10 +11,12 @@ function activate(context) {
     outputChannel.appendLine('Remote Control Bridge is active');
 
     // Connect to the local server
-    // Server runs on port 3001
-    // Connect to the local server
-    // Server runs on port 3001
-    const socket = io('http://localhost:3001');
+    // Server runs on port 3001 (https:// when started with --https)
+    const serverUrl = vscode.workspace.getConfiguration('remoteControl').get('serverUrl', 'http://localhost:3001');
+    const socket = io(serverUrl, {
+        // The server's self-signed certificate can't be verified; it's only trusted over loopback
+        rejectUnauthorized: !/^https:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(serverUrl)
+    });
 
     socket.on('connect', () => {
         outputChannel.appendLine('✅ Connected to Remote Control Server');